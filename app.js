@@ -0,0 +1,1648 @@
+import express from 'express';
+import cors from 'cors';
+import { parsePubmedArticleSet } from './lib/pubmedParser.js';
+import {
+  createAffiliationClassifier,
+  extractAuthorsAndAffiliations,
+  loadRulesFromFile,
+  rulesFromRows
+} from './lib/affiliationClassifier.js';
+import {
+  extractAuthorEmails,
+  pickCorrespondingAuthor,
+  toAuthorEmail
+} from './lib/authorEmails.js';
+import { createExporter, parseExportColumns, EXPORT_FORMATS } from './lib/exporters.js';
+import { createArticleCache } from './lib/articleCache.js';
+import { buildNetwork, createCitationService, toGraphML, NETWORK_FORMATS } from './lib/citations.js';
+import { createFullTextService, formatFullText, mergeFullTextAuthors } from './lib/fullText.js';
+import { createCompanyMentionDetector, findIndustryTies } from './lib/companyMentions.js';
+import {
+  checkWebhookUrl,
+  createSavedSearchRunner,
+  formatSavedSearch,
+  scheduleMinutes,
+  startScheduler,
+  MIN_INTERVAL_MINUTES,
+  SCHEDULES
+} from './lib/savedSearches.js';
+import { buildFtsQuery, pubmedTermToFtsQuery } from './lib/localSearch.js';
+import {
+  createJobRunner,
+  formatJob,
+  DEFAULT_BATCH_SIZE,
+  FINISHED_STATUSES,
+  MAX_BATCH_SIZE,
+  MAX_JOB_RESULTS
+} from './lib/jobs.js';
+import { compileQuery, lintQueryString } from './lib/queryBuilder.js';
+import { assignCompanies, normalizeCompanyKey, seedDefaultCompanies } from './lib/companyResolver.js';
+import { redactConfig } from './lib/config.js';
+import { ESEARCH_MAX_RECORDS } from './lib/pubmedClient.js';
+import { logger, requestLogger } from './lib/logger.js';
+import {
+  asyncHandler,
+  errorHandler,
+  notFoundHandler,
+  ConflictError,
+  DatabaseError,
+  DatabaseUnavailableError,
+  NotFoundError,
+  ValidationError
+} from './lib/errors.js';
+import { validateRequest, ID } from './lib/validation.js';
+import {
+  createAuth,
+  formatApiKey,
+  formatUser,
+  generateApiKey,
+  canAccess,
+  ownerId,
+  ROLES
+} from './lib/auth.js';
+import { createMetricsRegistry, httpMetrics } from './lib/metrics.js';
+
+// Sort orders and date fields accepted by esearch
+const SORT_OPTIONS = ['relevance', 'pub_date', 'Author', 'JournalName'];
+const DATE_TYPES = ['pdat', 'edat', 'mdat'];
+
+// esearch sort options and the local corpus orders they map to; sorting by
+// author falls back to relevance
+const LOCAL_SORT = { relevance: 'rank', pub_date: 'year', JournalName: 'journal' };
+
+// Searches are labelled with a name and up to MAX_TAGS tags
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// How esearch read a term, with the problems it reported
+function describeTranslation(term, searchResult) {
+  return {
+    term,
+    querytranslation: searchResult.querytranslation || '',
+    errorlist: searchResult.errorlist || null,
+    warninglist: searchResult.warninglist || null
+  };
+}
+
+// Whether an esearch errorlist or warninglist reports anything
+function hasEntries(list) {
+  return Boolean(list) && Object.values(list).some(entries => Array.isArray(entries) && entries.length > 0);
+}
+
+// Turn the validated query of a request body into a PubMed term. A string
+// is checked for malformed syntax and used as is; an object is a structured
+// query (see lib/queryBuilder.js). Returns { term, structuredQuery } and
+// throws a ValidationError listing the problems otherwise.
+function resolveQueryInput(query) {
+  if (typeof query === 'object') {
+    const { term, error } = compileQuery(query);
+    if (error) {
+      throw new ValidationError(`Invalid structured query: ${error}`, [{ location: 'body', field: 'query', message: error }], {
+        code: 'invalid_query'
+      });
+    }
+    return { term, structuredQuery: query };
+  }
+
+  const problems = lintQueryString(query);
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `Malformed query: ${problems.join('; ')}`,
+      problems.map(message => ({ location: 'body', field: 'query', message })),
+      { code: 'invalid_query' }
+    );
+  }
+  return { term: query, structuredQuery: null };
+}
+
+// Sorting and date filters passed on to esearch
+const SEARCH_FILTER_SCHEMA = {
+  sort: { type: 'string', values: SORT_OPTIONS },
+  minDate: { type: 'date' },
+  maxDate: { type: 'date' },
+  dateType: { type: 'string', values: DATE_TYPES }
+};
+
+// Build the paging metadata returned alongside search results
+function buildPagination(total, retstart, retmax) {
+  return {
+    total,
+    page: Math.floor(retstart / retmax) + 1,
+    pageSize: retmax,
+    totalPages: Math.ceil(total / retmax),
+    retstart,
+    retmax
+  };
+}
+
+// Trimmed, de-duplicated tags, or a ValidationError
+function normalizeTags(tags) {
+  const normalized = [];
+  for (const tag of tags) {
+    const value = typeof tag === 'string' ? tag.trim() : '';
+    if (!value || value.length > MAX_TAG_LENGTH) {
+      const message = `tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`;
+      throw new ValidationError(message, [{ location: 'body', field: 'tags', message }]);
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+  return normalized;
+}
+
+// Shape an author row with an article count for API responses
+function formatAuthorSummary(author) {
+  return {
+    id: author.id,
+    name: author.name,
+    orcid: author.orcid,
+    articleCount: author.article_count
+  };
+}
+
+// Shape a saved_search_runs row for API responses
+function formatRun(run) {
+  return {
+    id: run.id,
+    status: run.status,
+    startedAt: new Date(run.started_at).toISOString(),
+    finishedAt: run.finished_at ? new Date(run.finished_at).toISOString() : null,
+    totalCount: run.total_count,
+    newCount: run.new_count,
+    error: run.error,
+    webhookStatus: run.webhook_status
+  };
+}
+
+// Express's `trust proxy` setting from TRUST_PROXY: true or false, a number
+// of proxies in front of the server, or their addresses and subnets
+function trustProxyValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value.split(',').map(address => address.trim());
+}
+
+// Build the API around a repository from database.js (or null to run
+// without a database) and an E-utilities client from lib/pubmedClient.js,
+// so both can be swapped out in tests. `metrics` is the registry served by
+// GET /metrics. Returns { app, start, stop }: the Express app, and
+// functions to start and stop the saved search scheduler and the bulk job
+// worker, which createApp leaves stopped.
+export function createApp({ config, configSources = {}, repository = null, pubmed, metrics = createMetricsRegistry() }) {
+  const app = express();
+  // Behind a reverse proxy, take the client address from X-Forwarded-For, so
+  // anonymous callers are rate limited one by one rather than as the proxy
+  app.set('trust proxy', trustProxyValue(config.trustProxy));
+
+  // Prometheus metrics for requests and the article cache, served by GET /metrics
+  const httpRequestCount = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status'
+  });
+  const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status'
+  });
+  metrics.counter({
+    name: 'article_cache_lookups_total',
+    help: 'Article cache lookups by result (hit or miss)',
+    collect(counter) {
+      if (articleCache) {
+        counter.set({ result: 'hit' }, articleCache.stats.hits);
+        counter.set({ result: 'miss' }, articleCache.stats.misses);
+      }
+    }
+  });
+  metrics.gauge({
+    name: 'article_cache_hit_ratio',
+    help: 'Share of article cache lookups that found a fresh article',
+    collect(gauge) {
+      if (articleCache) {
+        const { hits, misses } = articleCache.stats;
+        gauge.set({}, hits + misses > 0 ? hits / (hits + misses) : 0);
+      }
+    }
+  });
+
+  // With OFFLINE_MODE, NCBI is never called: /api/search answers from the
+  // articles imported with `npm run import-pubmed` (or fetched earlier) and
+  // everything else that needs E-utilities answers 503
+  const offline = config.offline.enabled;
+  const repo = repository;
+
+  // Paging limits for /api/search
+  const DEFAULT_PAGE_SIZE = config.search.defaultPageSize;
+  const MAX_PAGE_SIZE = config.search.maxPageSize;
+
+  // Middleware
+  // Request ids and one log line per request, then request metrics
+  app.use(requestLogger());
+  app.use(httpMetrics({ requests: httpRequestCount, duration: httpRequestDuration }));
+  // CORS_ORIGINS of * allows any origin
+  app.use(cors({ origin: config.cors.origins.includes('*') ? '*' : config.cors.origins }));
+  app.use(express.json());
+
+  if (offline) {
+    logger.info('Offline mode: searches are answered from the local corpus');
+    if (!repo) {
+      logger.warn('Offline mode needs the database; searches will fail');
+    }
+  }
+
+  // Every /api request needs an API key or a JWT, unless AUTH_REQUIRED=false,
+  // and counts against the caller's rate limit and daily quota (see lib/auth.js)
+  const auth = createAuth({
+    repository: repo,
+    required: config.auth.required,
+    jwtSecret: config.auth.jwtSecret,
+    adminKey: config.auth.adminKey,
+    rateLimitPerMinute: config.auth.rateLimitPerMinute,
+    dailyQuota: config.auth.dailyQuota
+  });
+  app.use('/api', auth.authenticate, auth.rateLimit);
+
+  if (config.auth.required && !config.auth.adminKey && !config.auth.jwtSecret && repo && repo.getUsers().length === 0) {
+    logger.warn('Authentication is required but no users exist; set ADMIN_API_KEY to issue API keys');
+  }
+
+  // Load affiliation classifier rules from AFFILIATION_RULES_FILE (JSON or YAML),
+  // then the affiliation_rules table, falling back to config/affiliation-rules.json
+  function loadAffiliationClassifier() {
+    try {
+      if (config.affiliationRules.file) {
+        return createAffiliationClassifier(loadRulesFromFile(config.affiliationRules.file));
+      }
+      if (repo) {
+        const ruleSet = config.affiliationRules.ruleSet;
+        const rules = rulesFromRows(repo.getAffiliationRules(ruleSet), ruleSet);
+        if (rules) {
+          return createAffiliationClassifier(rules);
+        }
+      }
+    } catch (err) {
+      logger.error('Error loading affiliation rules, using defaults', err);
+    }
+    return createAffiliationClassifier();
+  }
+
+  const classifier = loadAffiliationClassifier();
+  logger.info('Affiliation classifier loaded', { ruleSet: classifier.name });
+
+  // Company mentions in grants, funding and COI statements, using the
+  // classifier's company names as well as the known company aliases
+  const companyMentions = createCompanyMentionDetector({ names: classifier.rules.company.names });
+
+  // Article cache; ARTICLE_CACHE_TTL is in seconds and 0 turns caching off
+  const articleCache = repo ? createArticleCache(repo, { ttlMs: config.articleCache.ttlSeconds * 1000 }) : null;
+
+  // Citation links from elink; CITATION_TTL is in seconds
+  const citations = repo
+    ? createCitationService({ repository: repo, pubmed, ttlMs: config.citations.ttlSeconds * 1000 })
+    : null;
+
+  // PMC full text for funding, competing interests and complete affiliations.
+  // It costs an elink and up to five PMC efetch requests per search page, so
+  // it is off unless PMC_FULL_TEXT=true
+  const fullTexts = repo && config.fullText.enabled && !offline ? createFullTextService({ repository: repo, pubmed }) : null;
+
+  // Link newly stored affiliations to company entities
+  function resolveNewCompanies() {
+    if (!repo) return;
+    try {
+      assignCompanies(repo, classifier, repo.getUnresolvedAffiliations());
+    } catch (dbErr) {
+      logger.error('Database error when resolving companies', dbErr);
+    }
+  }
+
+  // Seed the default companies on first start and resolve any affiliations
+  // stored before company resolution existed
+  if (repo) {
+    try {
+      const seeded = seedDefaultCompanies(repo);
+      if (seeded > 0) {
+        logger.info('Seeded default companies', { count: seeded });
+      }
+    } catch (dbErr) {
+      logger.error('Database error when seeding companies', dbErr);
+    }
+    resolveNewCompanies();
+  }
+
+  // Function to fetch data from PubMed API through the E-utilities client
+  // Options: retstart, retmax, sort, minDate, maxDate, dateType
+  async function fetchPubMedData(query, options = {}) {
+    const { retmax = DEFAULT_PAGE_SIZE } = options;
+    if (offline) {
+      return searchLocalCorpus(query, { ...options, retmax });
+    }
+
+    try {
+      // First, search for article IDs
+      const searchResult = await pubmed.esearch(query, { ...options, retmax });
+      const pubmedIds = searchResult.idlist;
+      const total = parseInt(searchResult.count, 10) || 0;
+      const translation = describeTranslation(query, searchResult);
+
+      if (!pubmedIds || pubmedIds.length === 0) {
+        return { results: [], total, translation };
+      }
+
+      const articlesById = await getArticles(pubmedIds);
+
+      // Process each article, keeping the esearch order
+      const results = [];
+      
+      for (const id of pubmedIds) {
+        const article = articlesById.get(id);
+        if (!article) {
+          logger.warn('No efetch record returned for article', { pmid: id });
+          continue;
+        }
+
+        try {
+          results.push(buildResult(article));
+        } catch (error) {
+          logger.error('Error processing article', { pmid: id, err: error });
+        }
+      }
+
+      return { results, total, translation };
+    } catch (error) {
+      logger.error('Error fetching from PubMed API', error);
+      throw error;
+    }
+  }
+
+  // Answer a search from the stored articles with the full-text index instead
+  // of esearch, for offline mode. Date ranges filter on the publication year.
+  // Returns the same shape as fetchPubMedData, with the FTS5 query that was
+  // run as the querytranslation.
+  async function searchLocalCorpus(query, options) {
+    const match = pubmedTermToFtsQuery(query);
+    if (!match) {
+      throw new ValidationError('query has no searchable terms', [
+        { location: 'body', field: 'query', message: 'query has no searchable terms' }
+      ]);
+    }
+
+    const yearOf = date => (date ? parseInt(date.slice(0, 4), 10) : undefined);
+    const { total, rows } = requireRepo().searchArticles({
+      match,
+      minYear: yearOf(options.minDate),
+      maxYear: yearOf(options.maxDate),
+      sort: LOCAL_SORT[options.sort] || 'rank',
+      limit: options.retmax,
+      offset: options.retstart || 0
+    });
+
+    const articlesById = await getArticles(rows.map(row => row.pmid));
+    const results = rows
+      .filter(row => articlesById.has(row.pmid))
+      .map(row => buildResult(articlesById.get(row.pmid)));
+
+    return {
+      results,
+      total,
+      translation: { term: query, querytranslation: match, errorlist: null, warninglist: null }
+    };
+  }
+
+  // The repository, or a DatabaseUnavailableError for routes that need stored data
+  function requireRepo() {
+    if (!repo) {
+      throw new DatabaseUnavailableError();
+    }
+    return repo;
+  }
+
+  // Run repository calls, reporting a failing query as a DatabaseError
+  function queryRepo(fn) {
+    const repository = requireRepo();
+    try {
+      return fn(repository);
+    } catch (err) {
+      throw new DatabaseError(err);
+    }
+  }
+
+  // Get parsed article records for PMIDs, from the article cache when fresh
+  // and from efetch (in batches) otherwise, with their PMC full text attached.
+  // Offline, stored records are used however old they are and missing ones
+  // are left out. Returns a Map of pmid -> record.
+  async function getArticles(pubmedIds) {
+    const articlesById = new Map();
+
+    if (articleCache) {
+      try {
+        const found = offline ? articleCache.getStored(pubmedIds) : articleCache.getFresh(pubmedIds);
+        for (const [pmid, entry] of found) {
+          articlesById.set(pmid, entry.record);
+        }
+      } catch (dbErr) {
+        logger.error('Database error when reading article cache', dbErr);
+      }
+    }
+
+    const missing = pubmedIds.filter(id => !articlesById.has(id));
+    if (missing.length > 0 && !offline) {
+      const batches = await pubmed.efetchBatches(missing);
+      const fetched = batches.flatMap(batchXml => parsePubmedArticleSet(batchXml, { includeRaw: true }));
+
+      if (articleCache) {
+        try {
+          articleCache.putMany(fetched);
+        } catch (dbErr) {
+          logger.error('Database error when storing articles', dbErr);
+          // Continue even if database operations fail
+        }
+        resolveNewCompanies();
+      }
+
+      for (const { rawXml, ...article } of fetched) {
+        articlesById.set(article.pmid, article);
+      }
+    }
+
+    await attachFullText([...articlesById.values()]);
+    return articlesById;
+  }
+
+  // Add PMC full-text details to stored article records as record.fullText
+  // (null when PMC has no copy). Searches still work without them when PMC
+  // can't be reached.
+  async function attachFullText(records) {
+    if (!fullTexts || records.length === 0) return;
+    try {
+      const found = await fullTexts.getFullTexts(records);
+      for (const record of records) {
+        record.fullText = found.get(record.pmid) || null;
+      }
+    } catch (err) {
+      logger.warn('Could not fetch PMC full text', { count: records.length, error: err.message });
+    }
+  }
+
+  // Build the search result for one parsed article record
+  function buildResult(article) {
+    // Full-text affiliations and correspondence notes count as well
+    const authors = mergeFullTextAuthors(article.authors, article.fullText);
+
+    // Get authors and affiliations that are non-academic
+    const {
+      nonAcademicAuthors,
+      companyAffiliations,
+      affiliationClassifications
+    } = extractAuthorsAndAffiliations(classifier, authors);
+    
+    // Tie emails to authors and pick the corresponding author
+    const authorEmails = extractAuthorEmails(authors);
+    const correspondingAuthor = pickCorrespondingAuthor(authorEmails);
+
+    // Company affiliations, industry grants and funding, and COI statements
+    const { hasIndustryTies, ties: industryTies } = findIndustryTies(companyMentions, article, companyAffiliations);
+    
+    return {
+      pubmedId: article.pmid,
+      title: article.title || 'No title available',
+      publicationDate: article.publicationDate,
+      nonAcademicAuthors,
+      companyAffiliations,
+      affiliationClassifications,
+      authorEmails: authorEmails.map(toAuthorEmail),
+      correspondingAuthor,
+      hasIndustryTies,
+      industryTies,
+      url: `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`
+    };
+  }
+
+  // Paging fields of request bodies and query strings: page and pageSize,
+  // or retstart and retmax
+  const PAGING_SCHEMA = {
+    page: { type: 'int', min: 1 },
+    pageSize: { type: 'int', min: 1, max: MAX_PAGE_SIZE },
+    retstart: { type: 'int', min: 0 },
+    retmax: { type: 'int', min: 1, max: MAX_PAGE_SIZE }
+  };
+
+  // esearch options from validated paging and filter values
+  function toSearchOptions(values, pageSize = values.pageSize ?? values.retmax ?? DEFAULT_PAGE_SIZE) {
+    return {
+      retstart: values.page !== undefined ? (values.page - 1) * pageSize : values.retstart ?? 0,
+      retmax: pageSize,
+      sort: values.sort,
+      minDate: values.minDate,
+      maxDate: values.maxDate,
+      dateType: values.dateType || 'pdat'
+    };
+  }
+
+  // Search results for a list of PMIDs, in the same order, skipping any
+  // that efetch did not return
+  async function fetchResults(pubmedIds) {
+    const articlesById = await getArticles(pubmedIds);
+    return pubmedIds
+      .filter(id => articlesById.has(id))
+      .map(id => buildResult(articlesById.get(id)));
+  }
+
+  // Saved searches are re-run by a scheduler that checks for due searches
+  // every SAVED_SEARCH_POLL_SECONDS (0 turns it off). SAVED_SEARCH_WEBHOOK_URL
+  // is used for saved searches that don't have their own webhook.
+  const savedSearchRunner = repo
+    ? createSavedSearchRunner({
+        repository: repo,
+        pubmed,
+        fetchResults,
+        webhookUrl: config.savedSearches.webhookUrl || undefined
+      })
+    : null;
+
+  // Bulk search jobs run in the background, one at a time. The worker checks
+  // for queued jobs every JOB_POLL_SECONDS and straight away when one is created.
+  const jobRunner = repo
+    ? createJobRunner({
+        repository: repo,
+        pubmed,
+        processRecords: processJobRecords,
+        pollMs: config.jobs.pollSeconds * 1000
+      })
+    : null;
+
+  // Store a batch of records fetched by a job and build its search results
+  async function processJobRecords(fetched) {
+    if (articleCache) {
+      try {
+        articleCache.putMany(fetched);
+      } catch (dbErr) {
+        logger.error('Database error when storing articles', dbErr);
+        // Continue even if database operations fail
+      }
+      resolveNewCompanies();
+    }
+    await attachFullText(fetched);
+    return fetched.map(({ rawXml, ...article }) => buildResult(article));
+  }
+
+  // API endpoint for search
+  app.post('/api/search', validateRequest({
+    body: {
+      query: { type: 'query' },
+      searchId: { type: 'int', min: 1 },
+      hasIndustryTies: { type: 'boolean' },
+      ...PAGING_SCHEMA,
+      ...SEARCH_FILTER_SCHEMA
+    }
+  }), asyncHandler(async (req, res) => {
+    const body = req.valid.body;
+    let searchId = null;
+    let query;
+    let structuredQuery = null;
+    let options;
+
+    // Continue paging through an earlier search with its stored settings
+    if (body.searchId !== undefined) {
+      if (body.query !== undefined) {
+        const message = 'Send either searchId, to continue an earlier search, or query, not both';
+        throw new ValidationError(message, [{ location: 'body', field: 'query', message }]);
+      }
+      const search = requireRepo().getSearch(body.searchId);
+      if (!canAccess(req, search)) {
+        throw new NotFoundError('Search');
+      }
+      searchId = search.id;
+      query = search.query;
+      options = toSearchOptions({
+        page: body.page,
+        retstart: body.retstart,
+        sort: search.sort || undefined,
+        minDate: search.min_date || undefined,
+        maxDate: search.max_date || undefined,
+        dateType: search.date_type || undefined
+      }, search.page_size || DEFAULT_PAGE_SIZE);
+    } else {
+      if (body.query === undefined) {
+        throw new ValidationError('query is required', [{ location: 'body', field: 'query', message: 'query is required' }]);
+      }
+
+      // A raw PubMed term, or a structured query compiled into one
+      ({ term: query, structuredQuery } = resolveQueryInput(body.query));
+      options = toSearchOptions(body);
+    }
+
+    // Results are stored by page, so retstart has to be where a page starts
+    if (options.retstart % options.retmax !== 0) {
+      const message = `retstart must be a multiple of the page size (${options.retmax})`;
+      throw new ValidationError(message, [{ location: 'body', field: 'retstart', message }]);
+    }
+    if (options.retstart + options.retmax > ESEARCH_MAX_RECORDS) {
+      const message = `PubMed only returns the first ${ESEARCH_MAX_RECORDS} results of a search, so retstart + retmax ` +
+        `must be at most ${ESEARCH_MAX_RECORDS}; narrow the query to reach later results`;
+      throw new ValidationError(message, [{ location: 'body', field: body.page !== undefined ? 'page' : 'retstart', message }]);
+    }
+
+    // Store in database if available
+    if (repo && !searchId) {
+      try {
+        // Insert search query
+        searchId = repo.createSearch({ query, structuredQuery, ...options, pageSize: options.retmax, userId: ownerId(req) });
+      } catch (dbErr) {
+        logger.error('Database error when storing search', dbErr);
+        // Continue even if database operations fail
+      }
+    }
+
+    // Fetch data from PubMed API
+    const data = await fetchPubMedData(query, options);
+    const pagination = buildPagination(data.total, options.retstart, options.retmax);
+
+    // Store results in database if available
+    if (repo && searchId) {
+      try {
+        // Re-fetching a page replaces what was stored for it before
+        repo.saveResultsPage(searchId, {
+          page: pagination.page,
+          retstart: options.retstart,
+          total: data.total,
+          results: data.results
+        });
+      } catch (dbErr) {
+        logger.error('Database error when storing results', dbErr);
+        // Continue even if database operations fail
+      }
+    }
+
+    // Industry ties are only known once a page is fetched, so hasIndustryTies
+    // filters this page of the response; the whole page is stored and
+    // pagination counts every result
+    if (body.hasIndustryTies === undefined) {
+      res.json({ searchId, query: data.translation, results: data.results, pagination });
+      return;
+    }
+    const results = data.results.filter(result => result.hasIndustryTies === body.hasIndustryTies);
+    const filter = { hasIndustryTies: body.hasIndustryTies, scope: 'page', count: results.length };
+    res.json({ searchId, query: data.translation, results, pagination, filter });
+  }));
+
+  // API endpoint to get the caller's search history, newest first, with the
+  // number of stored results of each search
+  // Query: page, pageSize (default 10), q (part of the query or name), tag,
+  // since, until (ISO 8601)
+  app.get('/api/history', validateRequest({
+    query: {
+      page: PAGING_SCHEMA.page,
+      pageSize: { ...PAGING_SCHEMA.pageSize, default: 10 },
+      q: { type: 'string', max: 200 },
+      tag: { type: 'string', max: MAX_TAG_LENGTH },
+      since: { type: 'timestamp' },
+      until: { type: 'timestamp' }
+    }
+  }), (req, res) => {
+    const { q, tag, since, until } = req.valid.query;
+    const options = toSearchOptions(req.valid.query);
+
+    const history = queryRepo(repository => repository.getSearchHistory({
+      userId: ownerId(req),
+      q,
+      tag,
+      since,
+      until,
+      limit: options.retmax,
+      offset: options.retstart
+    }));
+
+    res.json({ searches: history.rows, pagination: buildPagination(history.total, options.retstart, options.retmax) });
+  });
+
+  // The stored search in req.valid.params.id, if the caller may see it
+  function requireSearch(req, id = req.valid.params.id) {
+    const search = requireRepo().getSearch(id);
+    if (!canAccess(req, search)) {
+      throw new NotFoundError('Search');
+    }
+    return search;
+  }
+
+  // API endpoint to compare the stored results of two searches, e.g. a query
+  // and a refined version of it: PMIDs only in b (new), only in a (dropped)
+  // and in both (shared). Only fetched pages are compared.
+  // Query: a, b (search ids)
+  app.get('/api/searches/compare', validateRequest({
+    query: { a: ID, b: ID }
+  }), (req, res) => {
+    const a = requireSearch(req, req.valid.query.a);
+    const b = requireSearch(req, req.valid.query.b);
+
+    const before = repo.getSearchPmids(a.id);
+    const after = repo.getSearchPmids(b.id);
+    const beforeIds = new Set(before.map(result => result.pubmedId));
+    const afterIds = new Set(after.map(result => result.pubmedId));
+
+    const added = after.filter(result => !beforeIds.has(result.pubmedId));
+    const dropped = before.filter(result => !afterIds.has(result.pubmedId));
+    const shared = after.filter(result => beforeIds.has(result.pubmedId));
+
+    const summarize = search => ({ id: search.id, name: search.name, query: search.query, totalCount: search.total_count });
+    res.json({
+      a: { ...summarize(a), resultCount: before.length },
+      b: { ...summarize(b), resultCount: after.length },
+      counts: { new: added.length, dropped: dropped.length, shared: shared.length },
+      new: added,
+      dropped,
+      shared
+    });
+  });
+
+  // API endpoint to name a search and replace its tags
+  // Body: { name: "Statin trials" | null, tags: ["cardiology", ...] }
+  app.patch('/api/searches/:id', validateRequest({
+    params: { id: ID },
+    body: { name: { type: 'string', max: 200 }, tags: { type: 'array', max: MAX_TAGS } }
+  }), (req, res) => {
+    const search = requireSearch(req);
+    const { name, tags } = req.valid.body;
+    // A null or empty name clears it, which validation reports as missing
+    const clearName = req.body && 'name' in req.body && name === undefined;
+
+    if (name === undefined && !clearName && tags === undefined) {
+      const message = 'Send a name or tags to change';
+      throw new ValidationError(message, [{ location: 'body', field: null, message }]);
+    }
+
+    repo.updateSearch(search.id, {
+      name: clearName ? null : name,
+      tags: tags !== undefined ? normalizeTags(tags) : undefined
+    });
+    res.json({ search: repo.getSearchSummary(search.id) });
+  });
+
+  // API endpoint to delete a search with its stored results, tags, jobs and
+  // saved search. Searches with a queued or running job can't be deleted.
+  app.delete('/api/searches/:id', validateRequest({ params: { id: ID } }), (req, res) => {
+    const search = requireSearch(req);
+    if (repo.hasActiveJob(search.id)) {
+      throw new ConflictError('Search has a bulk job in progress; cancel it first');
+    }
+
+    repo.deleteSearch(search.id);
+    res.status(204).end();
+  });
+
+  // API endpoint to get results for a specific search
+  // Query: page, hasIndustryTies=true|false
+  app.get('/api/results/:searchId', validateRequest({
+    params: { searchId: ID },
+    query: { page: { type: 'int', min: 1 }, hasIndustryTies: { type: 'boolean' } }
+  }), (req, res) => {
+    const { searchId } = req.valid.params;
+    const page = req.valid.query.page ?? null;
+    const { hasIndustryTies } = req.valid.query;
+
+    // Other users' searches are reported as missing
+    const search = queryRepo(repository => repository.getSearch(searchId));
+    if (!canAccess(req, search)) {
+      throw new NotFoundError('Search');
+    }
+
+    const { results, storedPages } = queryRepo(repository => ({
+      results: repository.getResults(searchId, page, { hasIndustryTies }),
+      // Report which pages were fetched so clients can request them again
+      storedPages: repository.getStoredPages(searchId)
+    }));
+
+    let pagination = null;
+    if (search.total_count !== null && search.page_size) {
+      pagination = buildPagination(search.total_count, ((page || 1) - 1) * search.page_size, search.page_size);
+    }
+    if (hasIndustryTies === undefined) {
+      res.json({ results, pagination, storedPages });
+      return;
+    }
+    // pagination describes the search in PubMed, so the filtered count is separate
+    const filter = { hasIndustryTies, scope: page ? 'page' : 'stored', count: results.length };
+    res.json({ results, pagination, storedPages, filter });
+  });
+
+  // API endpoint to export the stored results of a search
+  // Query: format=csv|tsv|ris|bibtex|jsonl, columns=pubmedId,title,..., page=N, bom=false,
+  // hasIndustryTies=true|false
+  app.get('/api/results/:searchId/export', validateRequest({
+    params: { searchId: ID },
+    query: {
+      format: { type: 'string', values: Object.keys(EXPORT_FORMATS), default: 'csv' },
+      columns: { type: 'string' },
+      page: { type: 'int', min: 1 },
+      bom: { type: 'boolean', default: true },
+      hasIndustryTies: { type: 'boolean' }
+    }
+  }), (req, res) => {
+    const { searchId } = req.valid.params;
+    const { format, page = null, bom, hasIndustryTies } = req.valid.query;
+
+    const { columns, error } = parseExportColumns(req.valid.query.columns);
+    if (error) {
+      throw new ValidationError(error, [{ location: 'query', field: 'columns', message: error }]);
+    }
+
+    const search = requireRepo().getSearch(searchId);
+    if (!canAccess(req, search)) {
+      throw new NotFoundError('Search');
+    }
+
+    const exporter = createExporter(format, columns, { bom });
+    const rows = repo.iterateResults(searchId, page, { hasIndustryTies });
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="search-${searchId}.${exporter.extension}"`);
+
+    // Write row by row instead of building the whole file in memory
+    res.write(exporter.header());
+    for (const row of rows) {
+      res.write(exporter.row(row));
+    }
+    res.end(exporter.footer());
+  });
+
+  // API endpoint for term-frequency analytics over the stored results of a
+  // search: top MeSH terms, top journals, publications per year, companies and
+  // company co-occurrence. Only fetched pages are counted.
+  // Query: limit (entries per list, default 10)
+  app.get('/api/searches/:id/analytics', validateRequest({
+    params: { id: ID },
+    query: { limit: { type: 'int', min: 1, max: 100, default: 10 } }
+  }), (req, res) => {
+    const search = requireSearch(req);
+
+    const analytics = repo.getSearchAnalytics(search.id, { limit: req.valid.query.limit });
+    res.json({
+      searchId: search.id,
+      query: search.query,
+      articleCount: analytics.articleCount,
+      topMeshTerms: analytics.meshTerms.map(term => ({
+        descriptor: term.descriptor,
+        descriptorUi: term.descriptor_ui,
+        articleCount: term.article_count,
+        majorTopicCount: term.major_topic_count,
+        qualifiers: analytics.qualifiers
+          .filter(qualifier => qualifier.descriptor === term.descriptor)
+          .slice(0, 5)
+          .map(qualifier => ({ qualifier: qualifier.qualifier, articleCount: qualifier.article_count }))
+      })),
+      topJournals: analytics.journals.map(journal => ({
+        journal: journal.journal,
+        isoAbbreviation: journal.journal_iso,
+        articleCount: journal.article_count
+      })),
+      publicationsPerYear: analytics.years.map(year => ({ year: year.year, articleCount: year.article_count })),
+      companies: analytics.companies.map(company => ({ id: company.id, name: company.name, articleCount: company.article_count })),
+      companyCooccurrence: analytics.cooccurrence.map(pair => ({
+        companies: [{ id: pair.company_a_id, name: pair.company_a }, { id: pair.company_b_id, name: pair.company_b }],
+        articleCount: pair.article_count
+      }))
+    });
+  });
+
+  // API endpoint for the citation network of the stored results of a search,
+  // as JSON or GraphML. Citation links of the result PMIDs are fetched with
+  // elink when missing or stale. Nodes are ordered by how often they are cited
+  // within the network, so the most cited industry papers come first.
+  // Query: format=json|graphml, external=true adds articles outside the
+  // result set, similar=true adds similar-article edges, refresh=true fetches
+  // every link again
+  app.get('/api/searches/:id/network', validateRequest({
+    params: { id: ID },
+    query: {
+      format: { type: 'string', values: NETWORK_FORMATS, default: 'json' },
+      external: { type: 'boolean', default: false },
+      similar: { type: 'boolean', default: false },
+      refresh: { type: 'boolean', default: false }
+    }
+  }), asyncHandler(async (req, res) => {
+    const search = requireSearch(req);
+    const { format, external, similar, refresh } = req.valid.query;
+
+    const pmids = repo.getSearchPmids(search.id).map(result => result.pubmedId);
+    const fetched = await citations.ensureLinks(pmids, { refresh });
+    const network = buildNetwork(repo.getCitationNetwork(search.id, { external, similar }));
+
+    if (format === 'graphml') {
+      res.set('Content-Type', 'application/graphml+xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="search-${search.id}-network.graphml"`);
+      return res.send(toGraphML(network, { graphId: `search-${search.id}` }));
+    }
+
+    res.json({
+      searchId: search.id,
+      query: search.query,
+      linksFetched: fetched,
+      nodeCount: network.nodes.length,
+      edgeCount: network.edges.length,
+      ...network
+    });
+  }));
+
+  // API endpoint to get a single article, from the cache when fresh
+  // Query: refresh=true skips the cache, raw=true includes the PubmedArticle XML
+  app.get('/api/articles/:pmid', validateRequest({
+    params: { pmid: { type: 'string', required: true, pattern: /^\d{1,9}$/, patternHint: 'must be numeric' } },
+    query: { refresh: { type: 'boolean', default: false }, raw: { type: 'boolean', default: false } }
+  }), asyncHandler(async (req, res) => {
+    const { pmid } = req.valid.params;
+    const { refresh, raw } = req.valid.query;
+
+    let entry = null;
+    if (articleCache && (!refresh || offline)) {
+      try {
+        entry = (offline ? articleCache.getStored([pmid]) : articleCache.getFresh([pmid])).get(pmid) || null;
+      } catch (dbErr) {
+        logger.error('Database error when reading article cache', dbErr);
+      }
+    }
+
+    const cached = Boolean(entry);
+    if (!entry && offline) {
+      throw new NotFoundError('Article');
+    }
+    if (!entry) {
+      const xml = await pubmed.efetch({ ids: [pmid] });
+      const [record] = parsePubmedArticleSet(xml, { includeRaw: true });
+      if (!record) {
+        throw new NotFoundError('Article');
+      }
+
+      if (articleCache) {
+        try {
+          articleCache.put(record);
+        } catch (dbErr) {
+          logger.error('Database error when storing article', dbErr);
+        }
+        resolveNewCompanies();
+      }
+
+      const { rawXml, ...article } = record;
+      entry = { record: article, rawXml, fetchedAt: new Date().toISOString() };
+    }
+    await attachFullText([entry.record]);
+
+    // Resolved author ids in byline order, for /api/authors/:id
+    let authorIds = [];
+    if (repo) {
+      try {
+        authorIds = repo.getArticleAuthors(pmid).map(author => author.id);
+      } catch (dbErr) {
+        logger.error('Database error when fetching article authors', dbErr);
+      }
+    }
+
+    const { fullText = null, ...article } = entry.record;
+    res.json({
+      article,
+      result: buildResult(entry.record),
+      fullText: formatFullText(fullText),
+      authorIds,
+      cached,
+      fetchedAt: entry.fetchedAt,
+      ...(raw ? { rawXml: entry.rawXml } : {})
+    });
+  }));
+
+  // API endpoint for the citation links of an article: the articles citing
+  // it, the articles it cites and similar articles, best match first. Links
+  // are fetched with elink when missing or older than CITATION_TTL. Titles are
+  // included for linked articles that are stored locally.
+  // Query: refresh=true fetches the links again
+  app.get('/api/articles/:pmid/citations', validateRequest({
+    params: { pmid: { type: 'string', required: true, pattern: /^\d{1,9}$/, patternHint: 'must be numeric' } },
+    query: { refresh: { type: 'boolean', default: false } }
+  }), asyncHandler(async (req, res) => {
+    const { pmid } = req.valid.params;
+    requireRepo();
+
+    await citations.ensureLinks([pmid], { refresh: req.valid.query.refresh });
+    const links = repo.getArticleLinks(pmid);
+
+    const formatLink = link => ({
+      pubmedId: link.pmid,
+      title: link.title ?? null,
+      year: link.publication_year ?? null,
+      url: `https://pubmed.ncbi.nlm.nih.gov/${link.pmid}/`
+    });
+    res.json({
+      pubmedId: pmid,
+      fetchedAt: new Date(links.fetched.fetched_at).toISOString(),
+      citedByCount: links.citedBy.length,
+      referenceCount: links.references.length,
+      citedBy: links.citedBy.map(formatLink),
+      references: links.references.map(formatLink),
+      similar: links.similar.map(formatLink)
+    });
+  }));
+
+  // API endpoint to check a query before running it. Accepts a raw term or a
+  // structured query and returns the compiled term with esearch's reading of it.
+  // Body: { query }
+  app.post('/api/query/validate', validateRequest({
+    body: { query: { type: 'query', required: true } }
+  }), asyncHandler(async (req, res) => {
+    const { query } = req.valid.body;
+    let term;
+    let problems = [];
+
+    if (typeof query === 'object') {
+      const compiled = compileQuery(query);
+      if (compiled.error) {
+        return res.json({ valid: false, term: null, problems: [compiled.error] });
+      }
+      term = compiled.term;
+    } else {
+      term = query;
+      problems = lintQueryString(term);
+    }
+
+    const searchResult = await pubmed.esearch(term, { retmax: 0 });
+    const translation = describeTranslation(term, searchResult);
+    const count = parseInt(searchResult.count, 10) || 0;
+
+    res.json({
+      valid: problems.length === 0 && !hasEntries(translation.errorlist),
+      problems,
+      count,
+      ...translation
+    });
+  }));
+
+  // API endpoint for full-text search over stored articles
+  // Query: q (words, "phrases", prefix*, title:word, OR, NOT), company, year,
+  // searchId, page, pageSize
+  app.get('/api/local-search', validateRequest({
+    query: {
+      q: { type: 'string', required: true, max: 1000 },
+      company: { type: 'string', max: 200 },
+      year: { type: 'string', pattern: /^\d{4}$/, patternHint: 'must be a four-digit year' },
+      searchId: { type: 'int', min: 1 },
+      page: PAGING_SCHEMA.page,
+      pageSize: PAGING_SCHEMA.pageSize
+    }
+  }), (req, res) => {
+    const { q, company, year, searchId = null } = req.valid.query;
+    const options = toSearchOptions(req.valid.query);
+
+    const match = buildFtsQuery(q);
+    if (!match) {
+      throw new ValidationError('q has no searchable terms', [{ location: 'query', field: 'q', message: 'q has no searchable terms' }]);
+    }
+
+    if (searchId !== null && !canAccess(req, requireRepo().getSearch(searchId))) {
+      throw new NotFoundError('Search');
+    }
+
+    const { total, rows } = requireRepo().searchArticles({
+      match,
+      company,
+      year,
+      searchId,
+      // Only list the caller's own searches each article came from
+      userId: ownerId(req),
+      limit: options.retmax,
+      offset: options.retstart
+    });
+
+    res.json({
+      query: match,
+      results: rows.map(row => ({
+        pubmedId: row.pmid,
+        title: row.title,
+        titleHighlighted: row.title_highlighted,
+        snippet: row.snippet,
+        publicationDate: row.publication_date,
+        searchIds: row.search_ids,
+        rank: row.rank,
+        url: `https://pubmed.ncbi.nlm.nih.gov/${row.pmid}/`
+      })),
+      pagination: buildPagination(total, options.retstart, options.retmax)
+    });
+  });
+
+  // API endpoint to list companies found in stored articles, most published first
+  // Query: q (part of the company name), page, pageSize
+  app.get('/api/companies', validateRequest({
+    query: { q: { type: 'string', max: 200 }, page: PAGING_SCHEMA.page, pageSize: PAGING_SCHEMA.pageSize }
+  }), (req, res) => {
+    const options = toSearchOptions(req.valid.query);
+
+    const { total, rows } = requireRepo().getCompanies({ q: req.valid.query.q, limit: options.retmax, offset: options.retstart });
+    res.json({
+      companies: rows.map(company => ({
+        id: company.id,
+        name: company.name,
+        aliases: company.aliases,
+        articleCount: company.article_count,
+        authorCount: company.author_count,
+        authors: repo.getCompanyAuthors(company.id).map(formatAuthorSummary)
+      })),
+      pagination: buildPagination(total, options.retstart, options.retmax)
+    });
+  });
+
+  // API endpoint to get the stored articles with an author at a company
+  // Query: page, pageSize
+  app.get('/api/companies/:id/articles', validateRequest({
+    params: { id: ID },
+    query: { page: PAGING_SCHEMA.page, pageSize: PAGING_SCHEMA.pageSize }
+  }), (req, res) => {
+    const options = toSearchOptions(req.valid.query);
+
+    const company = requireRepo().getCompany(req.valid.params.id);
+    if (!company) {
+      throw new NotFoundError('Company');
+    }
+
+    const { total, rows } = repo.getCompanyArticles(company.id, { limit: options.retmax, offset: options.retstart });
+    res.json({
+      company: { id: company.id, name: company.name, aliases: company.aliases },
+      articles: rows.map(row => ({
+        pubmedId: row.pmid,
+        title: row.title,
+        publicationDate: row.publication_date,
+        authors: row.authors,
+        organizations: row.organizations,
+        url: `https://pubmed.ncbi.nlm.nih.gov/${row.pmid}/`
+      })),
+      pagination: buildPagination(total, options.retstart, options.retmax)
+    });
+  });
+
+  // Admin endpoint to add an alias to a company, e.g. to merge two companies
+  // that were resolved separately. Stored affiliations are resolved again.
+  // Body: { alias: "Wyeth Research" }
+  app.post('/api/companies/:id/aliases', auth.requireAdmin, validateRequest({
+    params: { id: ID },
+    body: { alias: { type: 'string', required: true, max: 200 } }
+  }), (req, res) => {
+    const alias = normalizeCompanyKey(req.valid.body.alias);
+    if (!alias) {
+      throw new ValidationError('alias has no letters or digits', [
+        { location: 'body', field: 'alias', message: 'alias has no letters or digits' }
+      ]);
+    }
+
+    const company = requireRepo().getCompany(req.valid.params.id);
+    if (!company) {
+      throw new NotFoundError('Company');
+    }
+
+    repo.setCompanyAlias(company.id, alias);
+    reresolveCompanies();
+    res.status(201).json({ company: repo.getCompany(company.id) });
+  });
+
+  // Admin endpoint to remove an alias from a company
+  app.delete('/api/companies/:id/aliases/:alias', auth.requireAdmin, validateRequest({
+    params: { id: ID, alias: { type: 'string', required: true, max: 200 } }
+  }), (req, res) => {
+    if (!requireRepo().deleteCompanyAlias(req.valid.params.id, normalizeCompanyKey(req.valid.params.alias))) {
+      throw new NotFoundError('Alias');
+    }
+
+    reresolveCompanies();
+    res.status(204).end();
+  });
+
+  // API endpoint to find authors by name
+  // Query: name (part of the author's name)
+  app.get('/api/authors', validateRequest({
+    query: { name: { type: 'string', required: true, max: 200 } }
+  }), (req, res) => {
+    res.json({ authors: requireRepo().findAuthors(req.valid.query.name).map(formatAuthorSummary) });
+  });
+
+  // API endpoint to get an author's profile: their stored articles,
+  // affiliation history over time and known email addresses
+  app.get('/api/authors/:id', validateRequest({ params: { id: ID } }), (req, res) => {
+    const author = requireRepo().getAuthor(req.valid.params.id);
+    if (!author) {
+      throw new NotFoundError('Author');
+    }
+
+    const articles = repo.getAuthorArticles(author.id);
+
+    // Emails come from the byline entries of this author in each article
+    const emails = new Map();
+    for (const article of articles) {
+      for (const candidate of extractAuthorEmails(article.record.authors)) {
+        if (candidate.index !== article.position) continue;
+        const entry = emails.get(candidate.email) || { email: candidate.email, sources: [], pubmedIds: [] };
+        if (!entry.sources.includes(candidate.source)) entry.sources.push(candidate.source);
+        entry.pubmedIds.push(article.pmid);
+        emails.set(candidate.email, entry);
+      }
+    }
+
+    res.json({
+      author: {
+        id: author.id,
+        name: author.name,
+        lastName: author.last_name,
+        foreName: author.fore_name,
+        initials: author.initials,
+        collectiveName: author.collective_name,
+        orcid: author.orcid,
+        articleCount: author.article_count
+      },
+      articles: articles.map(article => ({
+        pubmedId: article.pmid,
+        title: article.title,
+        publicationDate: article.publication_date,
+        position: article.position + 1,
+        affiliations: ((article.record.authors || [])[article.position] || {}).affiliations || [],
+        url: `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`
+      })),
+      affiliationHistory: repo.getAuthorAffiliationHistory(author.id).map(entry => ({
+        affiliation: entry.affiliation,
+        company: entry.company_id ? { id: entry.company_id, name: entry.company } : null,
+        firstYear: entry.first_year,
+        lastYear: entry.last_year,
+        articleCount: entry.article_count
+      })),
+      emails: [...emails.values()]
+    });
+  });
+
+  // Resolve every stored affiliation again after the alias table changed,
+  // and drop companies nothing points to any more
+  function reresolveCompanies() {
+    assignCompanies(repo, classifier, repo.getAllAffiliations());
+    repo.deleteEmptyCompanies();
+  }
+
+  // API endpoint to save a search and re-run it on a schedule
+  // Body: query, name, schedule=hourly|daily|weekly or intervalMinutes, webhookUrl,
+  // sort, minDate, maxDate, dateType
+  app.post('/api/saved-searches', validateRequest({
+    body: {
+      query: { type: 'query', required: true },
+      name: { type: 'string', max: 200 },
+      schedule: { type: 'string', values: Object.keys(SCHEDULES) },
+      intervalMinutes: { type: 'int', min: MIN_INTERVAL_MINUTES },
+      webhookUrl: { type: 'url' },
+      ...SEARCH_FILTER_SCHEMA
+    }
+  }), asyncHandler(async (req, res) => {
+    const body = req.valid.body;
+    const { term, structuredQuery } = resolveQueryInput(body.query);
+    const intervalMinutes = scheduleMinutes(body);
+    const options = toSearchOptions(body);
+
+    if (body.webhookUrl) {
+      try {
+        await checkWebhookUrl(body.webhookUrl);
+      } catch (err) {
+        throw new ValidationError(err.message, [{ location: 'body', field: 'webhookUrl', message: err.message }]);
+      }
+    }
+
+    const searchId = requireRepo().createSearch({
+      query: term,
+      structuredQuery,
+      ...options,
+      pageSize: options.retmax,
+      userId: ownerId(req)
+    });
+    const savedSearchId = repo.createSavedSearch({ searchId, name: body.name, intervalMinutes, webhookUrl: body.webhookUrl });
+
+    res.status(201).json({ savedSearch: formatSavedSearch(repo.getSavedSearch(savedSearchId)) });
+  }));
+
+  // API endpoint to list the caller's saved searches
+  app.get('/api/saved-searches', (req, res) => {
+    res.json({ savedSearches: requireRepo().getSavedSearches({ userId: ownerId(req) }).map(formatSavedSearch) });
+  });
+
+  // A saved search by the validated :id path parameter, or a NotFoundError
+  // when it doesn't exist or belongs to someone else
+  function requireSavedSearch(req) {
+    const savedSearch = requireRepo().getSavedSearch(req.valid.params.id);
+    if (!canAccess(req, savedSearch)) {
+      throw new NotFoundError('Saved search');
+    }
+    return savedSearch;
+  }
+
+  // API endpoint to get a saved search with its most recent runs
+  app.get('/api/saved-searches/:id', validateRequest({ params: { id: ID } }), (req, res) => {
+    const savedSearch = requireSavedSearch(req);
+
+    res.json({
+      savedSearch: formatSavedSearch(savedSearch),
+      runs: repo.getSavedSearchRuns(savedSearch.id).map(formatRun)
+    });
+  });
+
+  // API endpoint to delete a saved search. Its search stays in the history.
+  app.delete('/api/saved-searches/:id', validateRequest({ params: { id: ID } }), (req, res) => {
+    repo.deleteSavedSearch(requireSavedSearch(req).id);
+    res.status(204).end();
+  });
+
+  // API endpoint to run a saved search now instead of waiting for the scheduler.
+  // A run that failed upstream is still recorded and returned, with a 502.
+  app.post('/api/saved-searches/:id/run', validateRequest({ params: { id: ID } }), asyncHandler(async (req, res) => {
+    const savedSearch = requireSavedSearch(req);
+
+    const run = await savedSearchRunner.run(savedSearch.id);
+    res.status(run.status === 'error' ? 502 : 200).json({ run });
+  }));
+
+  // API endpoint to get the PMIDs a saved search found that it had not seen before
+  // Query: since=ISO date (defaults to every new hit), limit=N (default 100)
+  app.get('/api/saved-searches/:id/new', validateRequest({
+    params: { id: ID },
+    query: {
+      since: { type: 'timestamp', default: 0 },
+      limit: { type: 'int', min: 1, max: 1000, default: 100 }
+    }
+  }), (req, res) => {
+    const { since, limit } = req.valid.query;
+    const savedSearch = requireSavedSearch(req);
+
+    const hits = repo.getSavedSearchHits(savedSearch.id, { since, limit });
+    res.json({
+      savedSearch: formatSavedSearch(savedSearch),
+      results: hits.map(hit => ({
+        pubmedId: hit.pmid,
+        runId: hit.run_id,
+        firstSeenAt: new Date(hit.first_seen_at).toISOString(),
+        result: hit.result
+      }))
+    });
+  });
+
+  // API endpoint to queue a bulk search job for a query too large for /api/search
+  // Body: query, batchSize (default 200), maxResults (default and at most 10000),
+  // sort, minDate, maxDate, dateType
+  app.post('/api/jobs', validateRequest({
+    body: {
+      query: { type: 'query', required: true },
+      batchSize: { type: 'int', min: 1, max: MAX_BATCH_SIZE, default: DEFAULT_BATCH_SIZE },
+      maxResults: { type: 'int', min: 1, max: MAX_JOB_RESULTS, default: MAX_JOB_RESULTS },
+      ...SEARCH_FILTER_SCHEMA
+    }
+  }), (req, res) => {
+    const body = req.valid.body;
+    const { term, structuredQuery } = resolveQueryInput(body.query);
+    const options = toSearchOptions(body);
+
+    // Each batch is stored as one page of the job's search
+    const searchId = requireRepo().createSearch({
+      query: term,
+      structuredQuery,
+      ...options,
+      pageSize: body.batchSize,
+      userId: ownerId(req)
+    });
+    const jobId = repo.createJob({ searchId, batchSize: body.batchSize, maxResults: body.maxResults });
+    jobRunner.kick();
+
+    res.status(202).json({ job: formatJob(repo.getJob(jobId)) });
+  });
+
+  // API endpoint to list the caller's recent jobs
+  app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: requireRepo().getJobs(50, { userId: ownerId(req) }).map(formatJob) });
+  });
+
+  // A job by the validated :id path parameter, or a NotFoundError when it
+  // doesn't exist or belongs to someone else
+  function requireJob(req) {
+    const job = requireRepo().getJob(req.valid.params.id);
+    if (!canAccess(req, job)) {
+      throw new NotFoundError('Job');
+    }
+    return job;
+  }
+
+  // API endpoint to get the status and progress of a job
+  app.get('/api/jobs/:id', validateRequest({ params: { id: ID } }), (req, res) => {
+    res.json({ job: formatJob(requireJob(req)) });
+  });
+
+  // API endpoint to stream job progress as Server-Sent Events. Sends the
+  // current state first, then a `job` event after every batch, and closes
+  // once the job is completed, failed or cancelled.
+  app.get('/api/jobs/:id/events', validateRequest({ params: { id: ID } }), (req, res) => {
+    const job = requireJob(req);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const send = formatted => {
+      res.write(`event: job\ndata: ${JSON.stringify(formatted)}\n\n`);
+      if (FINISHED_STATUSES.includes(formatted.status)) {
+        close();
+      }
+    };
+    const onJob = formatted => {
+      if (formatted.id === job.id) {
+        send(formatted);
+      }
+    };
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    function close() {
+      clearInterval(heartbeat);
+      jobRunner.events.off('job', onJob);
+      res.end();
+    }
+
+    jobRunner.events.on('job', onJob);
+    req.on('close', close);
+    send(formatJob(job));
+  });
+
+  // API endpoint to cancel a job. A running job stops after its current batch.
+  app.post('/api/jobs/:id/cancel', validateRequest({ params: { id: ID } }), (req, res) => {
+    const job = requireJob(req);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new ConflictError(`Job is already ${job.status}`);
+    }
+
+    res.json({ job: formatJob(jobRunner.cancel(job.id)) });
+  });
+
+  // API endpoint to resume a cancelled or failed job from where it stopped
+  app.post('/api/jobs/:id/resume', validateRequest({ params: { id: ID } }), (req, res) => {
+    const job = requireJob(req);
+    if (job.status !== 'cancelled' && job.status !== 'failed') {
+      throw new ConflictError(`Only cancelled or failed jobs can be resumed; job is ${job.status}`);
+    }
+
+    res.status(202).json({ job: formatJob(jobRunner.resume(job.id)) });
+  });
+
+  // API endpoint describing the caller: their user, API key and limits
+  app.get('/api/me', (req, res) => {
+    const { user, role, keyId, limits } = req.auth;
+    res.json({
+      user,
+      role,
+      apiKey: keyId && repo ? formatApiKey(repo.getApiKey(keyId)) : null,
+      limits: { rateLimitPerMinute: limits.perMinute, dailyQuota: limits.perDay }
+    });
+  });
+
+  // API endpoint to create a user. Admins only.
+  // Body: name, email, role=user|admin
+  app.post('/api/admin/users', auth.requireAdmin, validateRequest({
+    body: {
+      name: { type: 'string', required: true, max: 200 },
+      email: { type: 'string', max: 320, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternHint: 'must be an email address' },
+      role: { type: 'string', values: ROLES, default: 'user' }
+    }
+  }), (req, res) => {
+    const userId = requireRepo().createUser(req.valid.body);
+    res.status(201).json({ user: formatUser(repo.getUser(userId)) });
+  });
+
+  // API endpoint to list users. Admins only.
+  app.get('/api/admin/users', auth.requireAdmin, (req, res) => {
+    res.json({ users: requireRepo().getUsers().map(formatUser) });
+  });
+
+  // API endpoint to issue an API key to a user. Admins only. The key is
+  // returned once and only its hash is stored.
+  // Body: name, rateLimitPerMinute, dailyQuota (0 for unlimited; defaults from
+  // RATE_LIMIT_PER_MINUTE and DAILY_QUOTA when left out)
+  app.post('/api/admin/users/:id/keys', auth.requireAdmin, validateRequest({
+    params: { id: ID },
+    body: {
+      name: { type: 'string', max: 200 },
+      rateLimitPerMinute: { type: 'int', min: 0 },
+      dailyQuota: { type: 'int', min: 0 }
+    }
+  }), (req, res) => {
+    const user = requireRepo().getUser(req.valid.params.id);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const keyId = repo.createApiKey({ userId: user.id, keyHash, prefix, ...req.valid.body });
+    res.status(201).json({ apiKey: formatApiKey(repo.getApiKey(keyId)), key });
+  });
+
+  // API endpoint to list API keys with today's request counts. Admins only.
+  // Query: userId
+  app.get('/api/admin/keys', auth.requireAdmin, validateRequest({
+    query: { userId: { type: 'int', min: 1 } }
+  }), (req, res) => {
+    res.json({ apiKeys: requireRepo().getApiKeys({ userId: req.valid.query.userId }).map(formatApiKey) });
+  });
+
+  // API endpoint to revoke an API key. Admins only. Requests with the key
+  // are rejected from then on.
+  app.post('/api/admin/keys/:id/revoke', auth.requireAdmin, validateRequest({ params: { id: ID } }), (req, res) => {
+    const apiKey = requireRepo().getApiKey(req.valid.params.id);
+    if (!apiKey) {
+      throw new NotFoundError('API key');
+    }
+    if (!repo.revokeApiKey(apiKey.id)) {
+      throw new ConflictError('API key is already revoked');
+    }
+
+    res.json({ apiKey: formatApiKey(repo.getApiKey(apiKey.id)) });
+  });
+
+  // Admin endpoint to show the effective configuration, with secrets redacted.
+  // `sources` says whether each setting came from the environment, the config
+  // file or the defaults. Open to everyone when authentication is off.
+  app.get('/api/config', config.auth.required ? auth.requireAdmin : [], (req, res) => {
+    res.json({ config: redactConfig(config), sources: configSources });
+  });
+
+  // API endpoint for Prometheus metrics
+  app.get('/metrics', (req, res) => {
+    res.type(metrics.contentType).send(metrics.render());
+  });
+
+  // Add a health check endpoint for render.com
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'OK', message: 'Service is running' });
+  });
+
+  // Liveness probe: the process is up and handling requests
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness probe: the database answers a query. Returns 503 when the
+  // database could not be opened or the query fails.
+  app.get('/health/ready', (req, res) => {
+    if (!repo) {
+      return res.status(503).json({
+        status: 'unavailable',
+        checks: { database: { status: 'down', error: 'Database is not available' } }
+      });
+    }
+
+    const started = process.hrtime.bigint();
+    try {
+      const schemaVersion = repo.getSchemaVersion();
+      const latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+      res.json({ status: 'ok', checks: { database: { status: 'up', schemaVersion, latencyMs } } });
+    } catch (error) {
+      logger.error('Database readiness check failed', error);
+      res.status(503).json({
+        status: 'unavailable',
+        checks: { database: { status: 'down', error: 'Database query failed' } }
+      });
+    }
+  });
+
+  // Handle root route
+  app.get('/', (req, res) => {
+    res.json({ message: 'Welcome to PubMed Explorer API. Use /api/search to search for articles.' });
+  });
+
+  // Unknown API routes get a JSON 404, and every error thrown by a route is
+  // turned into the JSON error response (see lib/errors.js)
+  app.use('/api', notFoundHandler);
+  app.use(errorHandler());
+
+  // Start the background work: the saved search scheduler, every
+  // SAVED_SEARCH_POLL_SECONDS (0 turns it off), and the bulk job worker.
+  // Saved searches need esearch, so they don't run on a schedule offline.
+  let scheduler = null;
+  function start() {
+    const pollSeconds = config.savedSearches.pollSeconds;
+    if (savedSearchRunner && pollSeconds > 0 && !offline && !scheduler) {
+      scheduler = startScheduler(savedSearchRunner, { pollMs: pollSeconds * 1000 });
+      logger.info('Saved search scheduler started', { pollSeconds });
+    }
+    if (jobRunner) {
+      jobRunner.start();
+    }
+  }
+
+  // Stop the background work; running requests and jobs finish on their own
+  function stop() {
+    if (scheduler) {
+      scheduler.stop();
+      scheduler = null;
+    }
+    if (jobRunner) {
+      jobRunner.stop();
+    }
+  }
+
+  return { app, start, stop };
+}
@@ -1,101 +1,1360 @@
-import sqlite3 from 'sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Ensure data directory exists
-const dataDir = join(__dirname, 'data');
-if (!existsSync(dataDir)) {
-  mkdirSync(dataDir);
-}
+import Database from 'better-sqlite3';
+import { runMigrations } from './lib/migrations.js';
+import { authorBlockKey, authorForeKey, matchAuthor, MAX_AUTHOR_CANDIDATES } from './lib/authorIdentity.js';
 
-const dbPath = join(dataDir, 'pubmed.db');
+// Open a SQLite database with foreign keys enforced, and upgrade its schema
+// to the latest migration.
+export function openDatabase(dbPath, { verbose } = {}) {
+  const db = new Database(dbPath, { verbose });
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
 
-// Create database connection
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-  } else {
-    console.log('Connected to SQLite database');
-    initializeDatabase();
+// Key for a new author row: ORCID when known, otherwise the name. People
+// who share a name get numbered keys ("name:smith|j#2").
+function authorKey(author) {
+  if (author.orcid) {
+    return `orcid:${author.orcid}`;
+  }
+  if (author.collectiveName && !author.lastName) {
+    return `collective:${author.collectiveName.toLowerCase()}`;
   }
-});
-
-// Initialize database tables
-function initializeDatabase() {
-  db.serialize(() => {
-    // Create articles table
-    db.run(`CREATE TABLE IF NOT EXISTS articles (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      pmid TEXT UNIQUE,
-      title TEXT,
-      abstract TEXT,
-      authors TEXT,
-      journal TEXT,
-      publication_date TEXT,
-      keywords TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Create search_history table
-    db.run(`CREATE TABLE IF NOT EXISTS search_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      query TEXT,
-      results_count INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-  });
+  return `name:${(author.lastName || author.name || '').toLowerCase()}|${(author.initials || '').toLowerCase()}`;
+}
+
+// Publication year of an article row `a`
+const ARTICLE_YEAR = "CAST(COALESCE(json_extract(a.record, '$.publicationYear'), substr(a.publication_date, 1, 4)) AS INTEGER)";
+
+// ORDER BY clauses of searchArticles sort options
+const ARTICLE_SEARCH_ORDER = {
+  rank: 'rank',
+  year: `${ARTICLE_YEAR} DESC, rank`,
+  journal: 'a.journal, rank'
+};
+
+// Jobs are read together with the query and settings of their search
+const JOB_SELECT = `
+  SELECT j.*, s.query, s.sort, s.min_date, s.max_date, s.date_type, s.user_id
+  FROM jobs j
+  JOIN searches s ON s.id = j.search_id
+`;
+
+// Saved searches are read together with the query and settings of their search
+const SAVED_SEARCH_SELECT = `
+  SELECT ss.*, s.query, s.sort, s.min_date, s.max_date, s.date_type, s.user_id
+  FROM saved_searches ss
+  JOIN searches s ON s.id = ss.search_id
+`;
+
+// Start of the UTC day containing a time, in ms. Daily quotas reset at midnight UTC.
+function startOfDay(time) {
+  return time - (time % 86400000);
 }
 
-// Helper function to promisify database operations
-function promisifyDbOperation(operation, ...args) {
-  return new Promise((resolve, reject) => {
-    operation.call(db, ...args, (err, result) => {
-      if (err) reject(err);
-      else resolve(result);
-    });
-  });
+// Searches are listed with their stored result count and tags
+const SEARCH_SUMMARY_SELECT = `
+  SELECT s.*,
+    (SELECT COUNT(*) FROM results r WHERE r.search_id = s.id) AS result_count,
+    (SELECT json_group_array(tag) FROM (SELECT tag FROM search_tags WHERE search_id = s.id ORDER BY tag)) AS tags
+  FROM searches s
+`;
+
+function parseSearchSummary(row) {
+  return { ...row, structured_query: parseJson(row.structured_query, null), tags: parseJson(row.tags, []) };
 }
 
-// Database operations
-export const dbOperations = {
-  // Save article to database
-  saveArticle: async (article) => {
-    const { pmid, title, abstract, authors, journal, publication_date, keywords } = article;
-    const sql = `INSERT OR REPLACE INTO articles (pmid, title, abstract, authors, journal, publication_date, keywords)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
-    
-    return promisifyDbOperation(db.run.bind(db), sql, [
-      pmid,
-      title,
-      abstract,
-      JSON.stringify(authors),
-      journal,
-      publication_date,
-      JSON.stringify(keywords)
-    ]);
-  },
-
-  // Get article by PMID
-  getArticle: async (pmid) => {
-    const sql = 'SELECT * FROM articles WHERE pmid = ?';
-    return promisifyDbOperation(db.get.bind(db), sql, [pmid]);
-  },
-
-  // Save search query to history
-  saveSearch: async (query, resultsCount) => {
-    const sql = 'INSERT INTO search_history (query, results_count) VALUES (?, ?)';
-    return promisifyDbOperation(db.run.bind(db), sql, [query, resultsCount]);
-  },
-
-  // Get search history
-  getSearchHistory: async () => {
-    const sql = 'SELECT * FROM search_history ORDER BY created_at DESC LIMIT 10';
-    return promisifyDbOperation(db.all.bind(db), sql);
+// Multi-valued result columns are stored as JSON
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
   }
-};
+  return JSON.parse(value);
+}
+
+// Repository holding every query the routes run.
+// All methods are synchronous, like better-sqlite3 itself.
+export function createRepository(db) {
+  // Database operations
+  const repository = {
+    db,
+
+    // Save a new search and its paging settings, returning its id.
+    // userId is the owner, or null for anonymous searches.
+    createSearch({ query, structuredQuery, sort, minDate, maxDate, dateType, pageSize, userId = null }) {
+      const info = db.prepare(`
+        INSERT INTO searches (query, structured_query, sort, min_date, max_date, date_type, page_size, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        query,
+        structuredQuery ? JSON.stringify(structuredQuery) : null,
+        sort || null,
+        minDate || null,
+        maxDate || null,
+        minDate || maxDate ? dateType : null,
+        pageSize,
+        userId
+      );
+      return info.lastInsertRowid;
+    },
+
+    // Get a search by id
+    getSearch(searchId) {
+      return db.prepare('SELECT * FROM searches WHERE id = ?').get(searchId);
+    },
+
+    // Searches, newest first, with their stored result counts and tags.
+    // Options: userId - only this user's searches (null for anonymous ones;
+    // everyone's when left out), q - part of the query or name, tag, since
+    // and until (ms), limit, offset. Returns { total, rows }.
+    getSearchHistory({ userId, q, tag, since, until, limit = 10, offset = 0 } = {}) {
+      const conditions = [];
+      if (userId !== undefined) conditions.push('s.user_id IS @userId');
+      if (q) conditions.push("(s.query LIKE '%' || @q || '%' OR s.name LIKE '%' || @q || '%')");
+      if (tag) conditions.push('EXISTS (SELECT 1 FROM search_tags t WHERE t.search_id = s.id AND t.tag = @tag)');
+      // timestamp is stored as UTC text, 'YYYY-MM-DD HH:MM:SS'
+      if (since !== undefined) conditions.push("s.timestamp >= datetime(@since / 1000, 'unixepoch')");
+      if (until !== undefined) conditions.push("s.timestamp < datetime(@until / 1000, 'unixepoch')");
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const params = { userId, q, tag, since, until };
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM searches s ${where}`).get(params);
+      const rows = db.prepare(`${SEARCH_SUMMARY_SELECT} ${where} ORDER BY s.timestamp DESC, s.id DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+      return { total, rows: rows.map(parseSearchSummary) };
+    },
+
+    // A search with its stored result count and tags, like getSearchHistory rows
+    getSearchSummary(searchId) {
+      const row = db.prepare(`${SEARCH_SUMMARY_SELECT} WHERE s.id = ?`).get(searchId);
+      return row ? parseSearchSummary(row) : undefined;
+    },
+
+    // Rename a search and replace its tags. Leave name or tags undefined to
+    // keep them; a null name clears it.
+    updateSearch: db.transaction((searchId, { name, tags }) => {
+      if (name !== undefined) {
+        db.prepare('UPDATE searches SET name = ? WHERE id = ?').run(name, searchId);
+      }
+      if (tags !== undefined) {
+        db.prepare('DELETE FROM search_tags WHERE search_id = ?').run(searchId);
+        const insertTagStmt = db.prepare('INSERT OR IGNORE INTO search_tags (search_id, tag) VALUES (?, ?)');
+        for (const tag of tags) {
+          insertTagStmt.run(searchId, tag);
+        }
+      }
+    }),
+
+    // Delete a search. Its results, tags, jobs and saved search go with it.
+    deleteSearch(searchId) {
+      return db.prepare('DELETE FROM searches WHERE id = ?').run(searchId).changes > 0;
+    },
+
+    // Whether a search has a bulk job that is queued or running
+    hasActiveJob(searchId) {
+      return Boolean(db.prepare("SELECT 1 FROM jobs WHERE search_id = ? AND status IN ('queued', 'running')").get(searchId));
+    },
+
+    // The distinct PMIDs stored for a search with their titles, in result order
+    getSearchPmids(searchId) {
+      return db.prepare(`
+        SELECT pubmed_id, title, MIN(page * 1000000 + COALESCE(position, 0)) AS sort_key
+        FROM results
+        WHERE search_id = ?
+        GROUP BY pubmed_id
+        ORDER BY sort_key
+      `).all(searchId).map(({ pubmed_id: pubmedId, title }) => ({ pubmedId, title }));
+    },
+
+    // Replace the stored rows for one page of a search
+    saveResultsPage: db.transaction((searchId, { page, retstart, total, results }) => {
+      db.prepare('DELETE FROM results WHERE search_id = ? AND page = ?').run(searchId, page);
+      db.prepare('UPDATE searches SET total_count = ? WHERE id = ?').run(total, searchId);
+
+      const insertResultStmt = db.prepare(`
+        INSERT INTO results (
+          search_id, pubmed_id, title, publication_date, non_academic_authors, company_affiliations,
+          affiliation_classifications, corresponding_author_email, author_emails, has_industry_ties, industry_ties,
+          page, position
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      results.forEach((result, index) => {
+        insertResultStmt.run(
+          searchId,
+          result.pubmedId,
+          result.title,
+          result.publicationDate,
+          JSON.stringify(result.nonAcademicAuthors),
+          JSON.stringify(result.companyAffiliations),
+          JSON.stringify(result.affiliationClassifications),
+          result.correspondingAuthor ? result.correspondingAuthor.email : '',
+          JSON.stringify(result.authorEmails),
+          result.hasIndustryTies === undefined ? null : result.hasIndustryTies ? 1 : 0,
+          result.industryTies ? JSON.stringify(result.industryTies) : null,
+          page,
+          retstart + index + 1
+        );
+      });
+    }),
+
+    // Stored result rows for a search, or for one page of it, as stored.
+    // With hasIndustryTies true or false, only rows with or without industry
+    // ties; rows stored before ties were detected match neither.
+    iterateResults(searchId, page = null, { hasIndustryTies } = {}) {
+      const conditions = ['search_id = ?'];
+      const params = [searchId];
+      if (page !== null) {
+        conditions.push('page = ?');
+        params.push(page);
+      }
+      if (hasIndustryTies !== undefined) {
+        conditions.push('has_industry_ties = ?');
+        params.push(hasIndustryTies ? 1 : 0);
+      }
+      return db.prepare(`SELECT * FROM results WHERE ${conditions.join(' AND ')} ORDER BY page, position`).iterate(...params);
+    },
+
+    // Stored results with their JSON columns converted back to arrays
+    getResults(searchId, page = null, options = {}) {
+      return [...repository.iterateResults(searchId, page, options)].map(result => ({
+        ...result,
+        non_academic_authors: parseJson(result.non_academic_authors, []),
+        company_affiliations: parseJson(result.company_affiliations, []),
+        affiliation_classifications: parseJson(result.affiliation_classifications, []),
+        author_emails: parseJson(result.author_emails, []),
+        industry_ties: parseJson(result.industry_ties, [])
+      }));
+    },
+
+    // Pages of a search that have stored results
+    getStoredPages(searchId) {
+      return db.prepare('SELECT DISTINCT page FROM results WHERE search_id = ? ORDER BY page')
+        .all(searchId)
+        .map(row => row.page);
+    },
+
+    // Term-frequency analytics over the articles stored for a search:
+    // article count, top MeSH descriptors (with their top qualifiers), top
+    // journals, articles per publication year, companies, and how often
+    // pairs of companies appear in the same article
+    getSearchAnalytics(searchId, { limit = 10 } = {}) {
+      // Each query reads the distinct PMIDs stored for the search
+      const resultSet = 'SELECT DISTINCT pubmed_id FROM results WHERE search_id = @searchId';
+      const params = { searchId, limit };
+
+      const { article_count: articleCount } = db.prepare(`SELECT COUNT(*) AS article_count FROM (${resultSet})`).get(params);
+
+      const meshTerms = db.prepare(`
+        SELECT descriptor, MAX(descriptor_ui) AS descriptor_ui,
+          COUNT(DISTINCT article_pmid) AS article_count, SUM(major_topic) AS major_topic_count
+        FROM article_mesh_headings
+        WHERE article_pmid IN (${resultSet})
+        GROUP BY descriptor
+        ORDER BY article_count DESC, descriptor
+        LIMIT @limit
+      `).all(params);
+
+      const qualifiers = db.prepare(`
+        SELECT h.descriptor, q.qualifier, COUNT(DISTINCT q.article_pmid) AS article_count
+        FROM article_mesh_qualifiers q
+        JOIN article_mesh_headings h ON h.article_pmid = q.article_pmid AND h.position = q.position
+        WHERE q.article_pmid IN (${resultSet})
+          AND h.descriptor IN (SELECT value FROM json_each(@descriptors))
+        GROUP BY h.descriptor, q.qualifier
+        ORDER BY article_count DESC, q.qualifier
+      `).all({ searchId, descriptors: JSON.stringify(meshTerms.map(term => term.descriptor)) });
+
+      const journals = db.prepare(`
+        SELECT journal, MAX(journal_iso) AS journal_iso, COUNT(*) AS article_count
+        FROM articles
+        WHERE pmid IN (${resultSet}) AND journal IS NOT NULL
+        GROUP BY journal
+        ORDER BY article_count DESC, journal
+        LIMIT @limit
+      `).all(params);
+
+      const years = db.prepare(`
+        SELECT publication_year AS year, COUNT(*) AS article_count
+        FROM articles
+        WHERE pmid IN (${resultSet}) AND publication_year IS NOT NULL
+        GROUP BY publication_year
+        ORDER BY publication_year
+      `).all(params);
+
+      // Companies linked to each article through its authors' affiliations
+      const articleCompanies = `
+        SELECT DISTINCT aaa.article_pmid AS pmid, ac.company_id
+        FROM article_author_affiliations aaa
+        JOIN affiliation_companies ac ON ac.affiliation_id = aaa.affiliation_id
+        WHERE ac.company_id IS NOT NULL AND aaa.article_pmid IN (${resultSet})
+      `;
+
+      const companies = db.prepare(`
+        WITH article_companies AS (${articleCompanies})
+        SELECT c.id, c.name, COUNT(*) AS article_count
+        FROM article_companies x
+        JOIN companies c ON c.id = x.company_id
+        GROUP BY c.id
+        ORDER BY article_count DESC, c.name
+        LIMIT @limit
+      `).all(params);
+
+      const cooccurrence = db.prepare(`
+        WITH article_companies AS (${articleCompanies})
+        SELECT a.id AS company_a_id, a.name AS company_a, b.id AS company_b_id, b.name AS company_b,
+          COUNT(*) AS article_count
+        FROM article_companies x
+        JOIN article_companies y ON y.pmid = x.pmid AND y.company_id > x.company_id
+        JOIN companies a ON a.id = x.company_id
+        JOIN companies b ON b.id = y.company_id
+        GROUP BY x.company_id, y.company_id
+        ORDER BY article_count DESC, a.name, b.name
+        LIMIT @limit
+      `).all(params);
+
+      return { articleCount, meshTerms, qualifiers, journals, years, companies, cooccurrence };
+    },
+
+    // Stored PMC full-text lookups of PMIDs, as a Map of
+    // pmid -> { pmcid, open_access, fetched_at, data }, with data parsed
+    getFullTexts(pmids) {
+      const rows = db.prepare(`
+        SELECT * FROM article_full_text WHERE pmid IN (SELECT value FROM json_each(?))
+      `).all(JSON.stringify(pmids));
+      return new Map(rows.map(row => [row.pmid, { ...row, data: parseJson(row.data, null) }]));
+    },
+
+    // Store PMC full-text lookups: [{ pmid, pmcid, fullText }], where
+    // fullText is the parsed JATS record or null
+    saveFullTexts: db.transaction((entries, fetchedAt = Date.now()) => {
+      const upsertStmt = db.prepare(`
+        INSERT INTO article_full_text (pmid, pmcid, open_access, data, fetched_at)
+        VALUES (@pmid, @pmcid, @openAccess, @data, @fetchedAt)
+        ON CONFLICT(pmid) DO UPDATE SET
+          pmcid = excluded.pmcid,
+          open_access = excluded.open_access,
+          data = excluded.data,
+          fetched_at = excluded.fetched_at
+      `);
+      for (const { pmid, pmcid, fullText } of entries) {
+        upsertStmt.run({
+          pmid,
+          pmcid: pmcid || null,
+          openAccess: fullText && fullText.openAccess ? 1 : 0,
+          data: fullText ? JSON.stringify(fullText) : null,
+          fetchedAt
+        });
+      }
+    }),
+
+    // When the citation links of each PMID were last fetched, as a Map of
+    // pmid -> ms
+    getLinksFetchedAt(pmids) {
+      const rows = db.prepare(`
+        SELECT pmid, fetched_at FROM article_links_fetched WHERE pmid IN (SELECT value FROM json_each(?))
+      `).all(JSON.stringify(pmids));
+      return new Map(rows.map(row => [row.pmid, row.fetched_at]));
+    },
+
+    // Store the elink results of PMIDs: [{ pmid, citedBy, references, similar }].
+    // Citations are added to those already known; similar articles replace
+    // the PMID's previous list.
+    saveArticleLinks: db.transaction((entries, fetchedAt = Date.now()) => {
+      const insertCitationStmt = db.prepare('INSERT OR IGNORE INTO article_citations (citing_pmid, cited_pmid) VALUES (?, ?)');
+      const deleteSimilarStmt = db.prepare('DELETE FROM article_similar WHERE pmid = ?');
+      const insertSimilarStmt = db.prepare('INSERT OR IGNORE INTO article_similar (pmid, similar_pmid, rank) VALUES (?, ?, ?)');
+      const fetchedStmt = db.prepare(`
+        INSERT INTO article_links_fetched (pmid, fetched_at, cited_by_count, reference_count)
+        VALUES (@pmid, @fetchedAt, @citedByCount, @referenceCount)
+        ON CONFLICT(pmid) DO UPDATE SET
+          fetched_at = excluded.fetched_at,
+          cited_by_count = excluded.cited_by_count,
+          reference_count = excluded.reference_count
+      `);
+
+      for (const { pmid, citedBy, references, similar } of entries) {
+        for (const citing of citedBy) {
+          insertCitationStmt.run(citing, pmid);
+        }
+        for (const cited of references) {
+          insertCitationStmt.run(pmid, cited);
+        }
+        deleteSimilarStmt.run(pmid);
+        similar.forEach((similarPmid, index) => insertSimilarStmt.run(pmid, similarPmid, index + 1));
+        fetchedStmt.run({ pmid, fetchedAt, citedByCount: citedBy.length, referenceCount: references.length });
+      }
+    }),
+
+    // Stored links of a PMID: { fetched, citedBy, references, similar }, where
+    // fetched is its article_links_fetched row and each list has the linked
+    // PMIDs with the title and year of those in the articles table
+    getArticleLinks(pmid) {
+      const linked = (select, order) => db.prepare(`
+        SELECT x.pmid, a.title, a.publication_year
+        FROM (${select}) x
+        LEFT JOIN articles a ON a.pmid = x.pmid AND a.deleted_at IS NULL
+        ORDER BY ${order}
+      `).all(pmid);
+
+      return {
+        fetched: db.prepare('SELECT * FROM article_links_fetched WHERE pmid = ?').get(pmid),
+        // Newest (highest) PMIDs first
+        citedBy: linked('SELECT citing_pmid AS pmid FROM article_citations WHERE cited_pmid = ?', 'CAST(x.pmid AS INTEGER) DESC'),
+        references: linked('SELECT cited_pmid AS pmid FROM article_citations WHERE citing_pmid = ?', 'CAST(x.pmid AS INTEGER) DESC'),
+        similar: linked('SELECT similar_pmid AS pmid, rank FROM article_similar WHERE pmid = ?', 'x.rank')
+      };
+    },
+
+    // Citation network of the distinct PMIDs stored for a search. Options:
+    // external - include citations to and from articles outside the result
+    // set; similar - include similar-article links. Returns { nodes,
+    // citations, similar }, where each node has the article's title, year,
+    // companies, total cited-by count and whether it is in the search.
+    getCitationNetwork(searchId, { external = false, similar = false } = {}) {
+      const resultSet = 'SELECT DISTINCT pubmed_id FROM results WHERE search_id = @searchId';
+      const inSearch = new Set(db.prepare(resultSet).pluck().all({ searchId }));
+
+      const citations = db.prepare(`
+        SELECT citing_pmid, cited_pmid
+        FROM article_citations
+        WHERE citing_pmid IN (${resultSet}) ${external ? 'OR' : 'AND'} cited_pmid IN (${resultSet})
+        ORDER BY citing_pmid, cited_pmid
+      `).all({ searchId });
+
+      const similarLinks = similar
+        ? db.prepare(`
+          SELECT pmid, similar_pmid, rank
+          FROM article_similar
+          WHERE pmid IN (${resultSet}) ${external ? '' : `AND similar_pmid IN (${resultSet})`}
+          ORDER BY pmid, rank
+        `).all({ searchId })
+        : [];
+
+      const pmids = new Set(inSearch);
+      for (const edge of citations) {
+        pmids.add(edge.citing_pmid);
+        pmids.add(edge.cited_pmid);
+      }
+      for (const edge of similarLinks) {
+        pmids.add(edge.similar_pmid);
+      }
+
+      const nodes = db.prepare(`
+        SELECT p.value AS pmid, a.title, a.publication_year, f.cited_by_count,
+          (SELECT json_group_array(name) FROM (
+            SELECT DISTINCT c.name
+            FROM article_author_affiliations aaa
+            JOIN affiliation_companies ac ON ac.affiliation_id = aaa.affiliation_id
+            JOIN companies c ON c.id = ac.company_id
+            WHERE aaa.article_pmid = p.value
+            ORDER BY c.name
+          )) AS companies
+        FROM json_each(?) p
+        LEFT JOIN articles a ON a.pmid = p.value AND a.deleted_at IS NULL
+        LEFT JOIN article_links_fetched f ON f.pmid = p.value
+      `).all(JSON.stringify([...pmids]))
+        .map(node => ({ ...node, in_search: inSearch.has(node.pmid), companies: parseJson(node.companies, []) }));
+
+      return { nodes, citations, similar: similarLinks };
+    },
+
+    // Article row by PMID, or undefined. Articles deleted from PubMed are
+    // left out.
+    getArticleRow(pmid) {
+      return db.prepare('SELECT * FROM articles WHERE pmid = ? AND deleted_at IS NULL').get(pmid);
+    },
+
+    // Store parsed article records (with their rawXml), along with their
+    // authors, affiliations, MeSH headings, keywords, publication types and
+    // grants in the normalized tables. With deferAuthors, matching byline
+    // entries to authors is left to resolvePendingAuthors, for bulk imports.
+    saveArticles: db.transaction((records, fetchedAt = Date.now(), { deferAuthors = false } = {}) => {
+      const upsertArticleStmt = db.prepare(`
+        INSERT INTO articles (
+          pmid, title, publication_date, record, raw_xml, fetched_at, abstract, journal, journal_iso, publication_year,
+          coi_statement
+        )
+        VALUES (
+          @pmid, @title, @publicationDate, @record, @rawXml, @fetchedAt, @abstract, @journal, @journalIso, @publicationYear,
+          @coiStatement
+        )
+        ON CONFLICT(pmid) DO UPDATE SET
+          title = excluded.title,
+          publication_date = excluded.publication_date,
+          record = excluded.record,
+          raw_xml = excluded.raw_xml,
+          fetched_at = excluded.fetched_at,
+          abstract = excluded.abstract,
+          journal = excluded.journal,
+          journal_iso = excluded.journal_iso,
+          publication_year = excluded.publication_year,
+          coi_statement = excluded.coi_statement,
+          deleted_at = NULL
+      `);
+      const deleteAuthorsStmt = db.prepare('DELETE FROM article_authors WHERE article_pmid = ?');
+      const insertPendingStmt = db.prepare('INSERT OR IGNORE INTO pending_article_authors (article_pmid) VALUES (?)');
+
+      for (const { rawXml, ...record } of records) {
+        upsertArticleStmt.run({
+          pmid: record.pmid,
+          title: record.title,
+          publicationDate: record.publicationDate,
+          record: JSON.stringify(record),
+          rawXml: rawXml || null,
+          fetchedAt,
+          abstract: (record.abstract && record.abstract.text) || null,
+          journal: (record.journal && record.journal.title) || null,
+          journalIso: (record.journal && record.journal.isoAbbreviation) || null,
+          publicationYear: record.publicationYear || null,
+          coiStatement: record.coiStatement || null
+        });
+        repository.saveArticleTerms(record);
+        repository.saveArticleGrants(record);
+
+        if (deferAuthors) {
+          deleteAuthorsStmt.run(record.pmid);
+          insertPendingStmt.run(record.pmid);
+        } else {
+          repository.saveArticleAuthors(record);
+        }
+      }
+    }),
+
+    // Replace the authors stored for an article record, matching each
+    // byline entry to a known author or adding a new one
+    saveArticleAuthors(record) {
+      db.prepare('DELETE FROM article_authors WHERE article_pmid = ?').run(record.pmid);
+      db.prepare('DELETE FROM pending_article_authors WHERE article_pmid = ?').run(record.pmid);
+
+      const insertArticleAuthorStmt = db.prepare(
+        'INSERT INTO article_authors (article_pmid, position, author_id) VALUES (?, ?, ?)'
+      );
+      const insertAuthorAffiliationStmt = db.prepare(
+        'INSERT OR IGNORE INTO article_author_affiliations (article_pmid, position, affiliation_id) VALUES (?, ?, ?)'
+      );
+      (record.authors || []).forEach((author, position) => {
+        const authorId = repository.upsertAuthor(author);
+        insertArticleAuthorStmt.run(record.pmid, position, authorId);
+        for (const affiliation of author.affiliations || []) {
+          insertAuthorAffiliationStmt.run(record.pmid, position, repository.upsertAffiliation(affiliation));
+        }
+      });
+    },
+
+    // Match the byline entries of up to `limit` articles stored with
+    // deferAuthors to authors, oldest first, in one transaction. Returns the
+    // number of articles done; 0 when none are left.
+    resolvePendingAuthors: db.transaction((limit = 500) => {
+      const rows = db.prepare(`
+        SELECT a.pmid, a.record
+        FROM pending_article_authors p
+        JOIN articles a ON a.pmid = p.article_pmid
+        ORDER BY p.rowid
+        LIMIT ?
+      `).all(limit);
+      for (const row of rows) {
+        repository.saveArticleAuthors({ ...parseJson(row.record, {}), pmid: row.pmid });
+      }
+      return rows.length;
+    }),
+
+    // Replace the MeSH headings with their qualifiers, keywords and
+    // publication types stored for an article record
+    saveArticleTerms(record) {
+      for (const table of ['article_mesh_headings', 'article_keywords', 'article_publication_types']) {
+        db.prepare(`DELETE FROM ${table} WHERE article_pmid = ?`).run(record.pmid);
+      }
+
+      const insertHeadingStmt = db.prepare(`
+        INSERT OR IGNORE INTO article_mesh_headings (article_pmid, position, descriptor, descriptor_ui, major_topic)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      const insertQualifierStmt = db.prepare(`
+        INSERT OR IGNORE INTO article_mesh_qualifiers (article_pmid, position, qualifier, qualifier_ui, major_topic)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      (record.meshHeadings || []).forEach((heading, position) => {
+        if (!heading.descriptor) return;
+        insertHeadingStmt.run(record.pmid, position, heading.descriptor, heading.descriptorUi || null, heading.majorTopic ? 1 : 0);
+        for (const qualifier of heading.qualifiers || []) {
+          if (!qualifier.name) continue;
+          insertQualifierStmt.run(record.pmid, position, qualifier.name, qualifier.ui || null, qualifier.majorTopic ? 1 : 0);
+        }
+      });
+
+      const insertKeywordStmt = db.prepare('INSERT OR IGNORE INTO article_keywords (article_pmid, keyword) VALUES (?, ?)');
+      for (const keyword of record.keywords || []) {
+        if (keyword) insertKeywordStmt.run(record.pmid, keyword);
+      }
+
+      const insertTypeStmt = db.prepare(
+        'INSERT OR IGNORE INTO article_publication_types (article_pmid, publication_type) VALUES (?, ?)'
+      );
+      for (const type of record.publicationTypes || []) {
+        if (type) insertTypeStmt.run(record.pmid, type);
+      }
+    },
+
+    // Apply a DeleteCitation list from a PubMed update file. Articles are
+    // removed, except those stored results still point to: they are marked
+    // deleted and taken out of the full-text index. Returns the number of
+    // stored articles affected.
+    deleteArticles: db.transaction((pmids, now = Date.now()) => {
+      const list = JSON.stringify(pmids.map(String));
+      const removed = db.prepare(`
+        DELETE FROM articles
+        WHERE pmid IN (SELECT value FROM json_each(?))
+          AND NOT EXISTS (SELECT 1 FROM results r WHERE r.pubmed_id = articles.pmid)
+      `).run(list).changes;
+      const marked = db.prepare(`
+        UPDATE articles SET deleted_at = ?
+        WHERE pmid IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL
+      `).run(now, list).changes;
+      db.prepare('DELETE FROM article_fts WHERE rowid IN (SELECT CAST(value AS INTEGER) FROM json_each(?))').run(list);
+      return removed + marked;
+    }),
+
+    // The import of a baseline or update file, by file name, or undefined
+    getPubmedImport(fileName) {
+      return db.prepare('SELECT * FROM pubmed_imports WHERE file_name = ?').get(fileName);
+    },
+
+    // Record that a baseline or update file was imported
+    recordPubmedImport({ fileName, articleCount, deletedCount, startedAt, finishedAt }) {
+      db.prepare(`
+        INSERT INTO pubmed_imports (file_name, article_count, deleted_count, started_at, finished_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(file_name) DO UPDATE SET
+          article_count = excluded.article_count,
+          deleted_count = excluded.deleted_count,
+          started_at = excluded.started_at,
+          finished_at = excluded.finished_at
+      `).run(fileName, articleCount, deletedCount, startedAt, finishedAt);
+    },
+
+    // Replace the grants stored for an article record
+    saveArticleGrants(record) {
+      db.prepare('DELETE FROM article_grants WHERE article_pmid = ?').run(record.pmid);
+      const insertGrantStmt = db.prepare(`
+        INSERT INTO article_grants (article_pmid, position, grant_id, acronym, agency, country)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      (record.grants || []).forEach((grant, position) => {
+        insertGrantStmt.run(
+          record.pmid,
+          position,
+          grant.grantId || null,
+          grant.acronym || null,
+          grant.agency || null,
+          grant.country || null
+        );
+      });
+    },
+
+    // Find or create the author a byline entry belongs to, returning its
+    // id. See lib/authorIdentity.js for how entries without an ORCID are
+    // matched to known authors.
+    upsertAuthor(author) {
+      if (author.orcid) {
+        const existing = db.prepare('SELECT id FROM authors WHERE orcid = ?').get(author.orcid);
+        if (existing) {
+          return existing.id;
+        }
+      } else if (author.collectiveName && !author.lastName) {
+        const existing = db.prepare('SELECT id FROM authors WHERE author_key = ?').get(authorKey(author));
+        if (existing) {
+          return existing.id;
+        }
+        return repository.insertAuthor(author);
+      }
+
+      const blockKey = authorBlockKey(author);
+      const match = matchAuthor(author, repository.getAuthorCandidates(blockKey, author));
+      if (match) {
+        // A name-only author turns out to have an ORCID
+        if (author.orcid) {
+          db.prepare('UPDATE authors SET orcid = ?, author_key = ? WHERE id = ? AND orcid IS NULL')
+            .run(author.orcid, authorKey(author), match.id);
+        }
+        return match.id;
+      }
+      return repository.insertAuthor(author, blockKey);
+    },
 
-export default db; 
\ No newline at end of file
+    // Known authors in a block whose fore name fits `author`, newest
+    // first, with up to 50 of the affiliations each has been listed under
+    getAuthorCandidates(blockKey, author = {}) {
+      const foreKey = authorForeKey(author);
+      const candidates = foreKey
+        ? db.prepare(`
+            SELECT id, last_name, fore_name, initials, orcid FROM authors
+            WHERE block_key = ? AND fore_key IN (?, '')
+            ORDER BY id DESC
+            LIMIT ?
+          `).all(blockKey, foreKey, MAX_AUTHOR_CANDIDATES)
+        : db.prepare(`
+            SELECT id, last_name, fore_name, initials, orcid FROM authors
+            WHERE block_key = ?
+            ORDER BY id DESC
+            LIMIT ?
+          `).all(blockKey, MAX_AUTHOR_CANDIDATES);
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const affiliations = new Map(candidates.map(candidate => [candidate.id, []]));
+      const rows = db.prepare(`
+        SELECT author_id, text FROM (
+          SELECT author_id, text, ROW_NUMBER() OVER (PARTITION BY author_id ORDER BY text) AS n
+          FROM (
+            SELECT DISTINCT aa.author_id, af.text
+            FROM article_authors aa
+            JOIN article_author_affiliations aaf ON aaf.article_pmid = aa.article_pmid AND aaf.position = aa.position
+            JOIN affiliations af ON af.id = aaf.affiliation_id
+            WHERE aa.author_id IN (SELECT value FROM json_each(?))
+          )
+        )
+        WHERE n <= 50
+      `).all(JSON.stringify(candidates.map(candidate => candidate.id)));
+      for (const row of rows) {
+        affiliations.get(row.author_id).push(row.text);
+      }
+      return candidates.map(candidate => ({ ...candidate, affiliations: affiliations.get(candidate.id) }));
+    },
+
+    // Insert a new author. A key that is already taken gets the next number
+    // from author_key_counters.
+    insertAuthor(author, blockKey = authorBlockKey(author)) {
+      const baseKey = authorKey(author);
+      const { last_number: number } = db.prepare(`
+        INSERT INTO author_key_counters (base_key, last_number) VALUES (?, 1)
+        ON CONFLICT (base_key) DO UPDATE SET last_number = last_number + 1
+        RETURNING last_number
+      `).get(baseKey);
+      const key = number === 1 ? baseKey : `${baseKey}#${number}`;
+
+      const info = db.prepare(`
+        INSERT INTO authors (author_key, name, last_name, fore_name, initials, collective_name, orcid, block_key, fore_key)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        key,
+        author.name || author.collectiveName || '',
+        author.lastName || null,
+        author.foreName || null,
+        author.initials || null,
+        author.collectiveName || null,
+        author.orcid || null,
+        blockKey,
+        authorForeKey(author)
+      );
+      return info.lastInsertRowid;
+    },
+
+    // Author by id, with the number of stored articles they appear on
+    getAuthor(authorId) {
+      return db.prepare(`
+        SELECT a.*, (SELECT COUNT(DISTINCT article_pmid) FROM article_authors WHERE author_id = a.id) AS article_count
+        FROM authors a
+        WHERE a.id = ?
+      `).get(authorId);
+    },
+
+    // Authors whose name contains `name`, most published first
+    findAuthors(name, limit = 20) {
+      return db.prepare(`
+        SELECT a.id, a.name, a.orcid, COUNT(DISTINCT aa.article_pmid) AS article_count
+        FROM authors a
+        LEFT JOIN article_authors aa ON aa.author_id = a.id
+        WHERE a.name LIKE '%' || ? || '%'
+        GROUP BY a.id
+        ORDER BY article_count DESC, a.name
+        LIMIT ?
+      `).all(name, limit);
+    },
+
+    // Stored articles of an author, newest PMIDs first, with the parsed
+    // record and the author's place in the byline
+    getAuthorArticles(authorId) {
+      return db.prepare(`
+        SELECT a.pmid, a.title, a.publication_date, a.record, aa.position
+        FROM article_authors aa
+        JOIN articles a ON a.pmid = aa.article_pmid
+        WHERE aa.author_id = ? AND a.deleted_at IS NULL
+        ORDER BY CAST(a.pmid AS INTEGER) DESC
+      `).all(authorId).map(row => ({ ...row, record: parseJson(row.record, {}) }));
+    },
+
+    // Affiliations an author has been listed under, with the years they
+    // were used and the company they resolve to, oldest first
+    getAuthorAffiliationHistory(authorId) {
+      return db.prepare(`
+        SELECT
+          af.text AS affiliation,
+          c.id AS company_id,
+          c.name AS company,
+          MIN(${ARTICLE_YEAR}) AS first_year,
+          MAX(${ARTICLE_YEAR}) AS last_year,
+          COUNT(DISTINCT a.pmid) AS article_count
+        FROM article_authors aa
+        JOIN article_author_affiliations aaf ON aaf.article_pmid = aa.article_pmid AND aaf.position = aa.position
+        JOIN affiliations af ON af.id = aaf.affiliation_id
+        JOIN articles a ON a.pmid = aa.article_pmid
+        LEFT JOIN affiliation_companies ac ON ac.affiliation_id = af.id
+        LEFT JOIN companies c ON c.id = ac.company_id
+        WHERE aa.author_id = ? AND a.deleted_at IS NULL
+        GROUP BY af.id
+        ORDER BY first_year, last_year, af.text
+      `).all(authorId);
+    },
+
+    // Find or create an affiliation by its exact text, returning its id
+    upsertAffiliation(text) {
+      db.prepare('INSERT OR IGNORE INTO affiliations (text) VALUES (?)').run(text);
+      return db.prepare('SELECT id FROM affiliations WHERE text = ?').get(text).id;
+    },
+
+    // Authors of an article in byline order, with their affiliations
+    getArticleAuthors(pmid) {
+      const authors = db.prepare(`
+        SELECT aa.position, a.*
+        FROM article_authors aa
+        JOIN authors a ON a.id = aa.author_id
+        WHERE aa.article_pmid = ?
+        ORDER BY aa.position
+      `).all(pmid);
+
+      const affiliationsStmt = db.prepare(`
+        SELECT af.text
+        FROM article_author_affiliations aaf
+        JOIN affiliations af ON af.id = aaf.affiliation_id
+        WHERE aaf.article_pmid = ? AND aaf.position = ?
+      `);
+
+      return authors.map(author => ({
+        ...author,
+        affiliations: affiliationsStmt.all(pmid, author.position).map(row => row.text)
+      }));
+    },
+
+    // Latest applied schema migration; also a cheap query for health checks
+    getSchemaVersion() {
+      return db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version;
+    },
+
+    // Rows of the affiliation_rules table for one rule set
+    getAffiliationRules(ruleSet = 'default') {
+      return db.prepare('SELECT list, value FROM affiliation_rules WHERE rule_set = ?').all(ruleSet);
+    },
+
+    // Full-text search over stored articles. `match` is an FTS5 expression
+    // (see lib/localSearch.js). Filters: company (substring of a stored
+    // company affiliation), year, minYear and maxYear (publication year),
+    // searchId (originating search). sort is 'rank' (best match first),
+    // 'year' (newest first) or 'journal'. With userId, each row's
+    // search_ids only lists that user's searches.
+    // Returns { total, rows } with highlighted titles and snippets.
+    searchArticles({
+      match,
+      company,
+      year,
+      minYear,
+      maxYear,
+      searchId,
+      userId,
+      sort = 'rank',
+      limit = 10,
+      offset = 0,
+      highlight = ['<mark>', '</mark>']
+    }) {
+      const conditions = ['article_fts MATCH @match', 'a.deleted_at IS NULL'];
+      if (company) {
+        conditions.push(`EXISTS (
+          SELECT 1 FROM results r, json_each(r.company_affiliations) c
+          WHERE r.pubmed_id = a.pmid AND c.value LIKE '%' || @company || '%'
+        )`);
+      }
+      if (year) {
+        conditions.push('substr(a.publication_date, 1, 4) = @year');
+      }
+      if (minYear) {
+        conditions.push(`${ARTICLE_YEAR} >= @minYear`);
+      }
+      if (maxYear) {
+        conditions.push(`${ARTICLE_YEAR} <= @maxYear`);
+      }
+      if (searchId) {
+        conditions.push('EXISTS (SELECT 1 FROM results r WHERE r.pubmed_id = a.pmid AND r.search_id = @searchId)');
+      }
+
+      const from = `
+        FROM article_fts
+        JOIN articles a ON a.pmid = article_fts.pmid
+        WHERE ${conditions.join(' AND ')}
+      `;
+      const params = {
+        match,
+        company: company || null,
+        year: year ? String(year) : null,
+        minYear: minYear || null,
+        maxYear: maxYear || null,
+        searchId: searchId || null,
+        userId: userId ?? null,
+        start: highlight[0],
+        end: highlight[1]
+      };
+
+      const { total } = db.prepare(`SELECT COUNT(*) AS total ${from}`).get(params);
+      const rows = db.prepare(`
+        SELECT
+          a.pmid,
+          a.title,
+          a.publication_date,
+          highlight(article_fts, 1, @start, @end) AS title_highlighted,
+          snippet(article_fts, -1, @start, @end, '…', 16) AS snippet,
+          bm25(article_fts, 0, 10, 4, 2, 1) AS rank,
+          (
+            SELECT json_group_array(DISTINCT r.search_id)
+            FROM results r
+            JOIN searches s ON s.id = r.search_id
+            WHERE r.pubmed_id = a.pmid ${userId !== undefined ? 'AND s.user_id IS @userId' : ''}
+          ) AS search_ids
+        ${from}
+        ORDER BY ${ARTICLE_SEARCH_ORDER[sort] || ARTICLE_SEARCH_ORDER.rank}
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit, offset });
+
+      return { total, rows: rows.map(row => ({ ...row, search_ids: parseJson(row.search_ids, []) })) };
+    },
+
+    // Alias rows ({ alias, company_id }) used for company resolution
+    getCompanyAliases() {
+      return db.prepare('SELECT alias, company_id FROM company_aliases').all();
+    },
+
+    // Create a company with its normalized alias keys, returning its id.
+    // Aliases that already belong to another company are left there.
+    createCompany(name, aliases = []) {
+      const companyId = db.prepare('INSERT INTO companies (name) VALUES (?)').run(name).lastInsertRowid;
+      const insertAliasStmt = db.prepare('INSERT OR IGNORE INTO company_aliases (alias, company_id) VALUES (?, ?)');
+      for (const alias of aliases) {
+        insertAliasStmt.run(alias, companyId);
+      }
+      return companyId;
+    },
+
+    // Point an alias key at a company, moving it if another company had it
+    setCompanyAlias(companyId, alias) {
+      db.prepare(`
+        INSERT INTO company_aliases (alias, company_id) VALUES (?, ?)
+        ON CONFLICT(alias) DO UPDATE SET company_id = excluded.company_id
+      `).run(alias, companyId);
+    },
+
+    // Remove an alias key from a company
+    deleteCompanyAlias(companyId, alias) {
+      return db.prepare('DELETE FROM company_aliases WHERE alias = ? AND company_id = ?').run(alias, companyId).changes > 0;
+    },
+
+    // Remove companies left with no aliases and no affiliations
+    deleteEmptyCompanies() {
+      return db.prepare(`
+        DELETE FROM companies
+        WHERE id NOT IN (SELECT company_id FROM company_aliases)
+          AND id NOT IN (SELECT company_id FROM affiliation_companies WHERE company_id IS NOT NULL)
+      `).run().changes;
+    },
+
+    // Record which company an affiliation belongs to (null when none)
+    setAffiliationCompany(affiliationId, companyId, organization) {
+      db.prepare('INSERT OR REPLACE INTO affiliation_companies (affiliation_id, company_id, organization) VALUES (?, ?, ?)')
+        .run(affiliationId, companyId, organization);
+    },
+
+    // Affiliations that have not been through company resolution yet
+    getUnresolvedAffiliations() {
+      return db.prepare(`
+        SELECT af.id, af.text
+        FROM affiliations af
+        LEFT JOIN affiliation_companies ac ON ac.affiliation_id = af.id
+        WHERE ac.affiliation_id IS NULL
+      `).all();
+    },
+
+    // Every stored affiliation, for resolving them all again
+    getAllAffiliations() {
+      return db.prepare('SELECT id, text FROM affiliations').all();
+    },
+
+    // Number of companies, used to seed an empty table
+    countCompanies() {
+      return db.prepare('SELECT COUNT(*) AS count FROM companies').get().count;
+    },
+
+    // Companies with stored articles, most published first.
+    // Options: q (part of the name), limit, offset. Returns { total, rows }.
+    getCompanies({ q, limit = 20, offset = 0 } = {}) {
+      const from = `
+        FROM companies c
+        JOIN affiliation_companies ac ON ac.company_id = c.id
+        JOIN article_author_affiliations aaf ON aaf.affiliation_id = ac.affiliation_id
+        JOIN article_authors aa ON aa.article_pmid = aaf.article_pmid AND aa.position = aaf.position
+        WHERE (@q IS NULL OR c.name LIKE '%' || @q || '%')
+      `;
+      const params = { q: q || null };
+
+      const { total } = db.prepare(`SELECT COUNT(DISTINCT c.id) AS total ${from}`).get(params);
+      const rows = db.prepare(`
+        SELECT
+          c.id,
+          c.name,
+          COUNT(DISTINCT aaf.article_pmid) AS article_count,
+          COUNT(DISTINCT aa.author_id) AS author_count,
+          (SELECT json_group_array(alias) FROM company_aliases WHERE company_id = c.id) AS aliases
+        ${from}
+        GROUP BY c.id
+        ORDER BY article_count DESC, c.name
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit, offset });
+
+      return { total, rows: rows.map(row => ({ ...row, aliases: parseJson(row.aliases, []) })) };
+    },
+
+    // Company by id, with its aliases
+    getCompany(companyId) {
+      const company = db.prepare('SELECT * FROM companies WHERE id = ?').get(companyId);
+      if (!company) {
+        return undefined;
+      }
+      const aliases = db.prepare('SELECT alias FROM company_aliases WHERE company_id = ? ORDER BY alias')
+        .all(companyId)
+        .map(row => row.alias);
+      return { ...company, aliases };
+    },
+
+    // Authors with an affiliation at a company, most published first
+    getCompanyAuthors(companyId, limit = 10) {
+      return db.prepare(`
+        SELECT au.id, au.name, au.orcid, COUNT(DISTINCT aa.article_pmid) AS article_count
+        FROM affiliation_companies ac
+        JOIN article_author_affiliations aaf ON aaf.affiliation_id = ac.affiliation_id
+        JOIN article_authors aa ON aa.article_pmid = aaf.article_pmid AND aa.position = aaf.position
+        JOIN authors au ON au.id = aa.author_id
+        WHERE ac.company_id = ?
+        GROUP BY au.id
+        ORDER BY article_count DESC, au.name
+        LIMIT ?
+      `).all(companyId, limit);
+    },
+
+    // Articles with an author at a company, newest PMIDs first.
+    // Returns { total, rows } with the company's authors and the
+    // organization names they were listed under.
+    getCompanyArticles(companyId, { limit = 20, offset = 0 } = {}) {
+      const from = `
+        FROM affiliation_companies ac
+        JOIN article_author_affiliations aaf ON aaf.affiliation_id = ac.affiliation_id
+        JOIN article_authors aa ON aa.article_pmid = aaf.article_pmid AND aa.position = aaf.position
+        JOIN authors au ON au.id = aa.author_id
+        JOIN articles a ON a.pmid = aaf.article_pmid
+        WHERE ac.company_id = ? AND a.deleted_at IS NULL
+      `;
+
+      const { total } = db.prepare(`SELECT COUNT(DISTINCT a.pmid) AS total ${from}`).get(companyId);
+      const rows = db.prepare(`
+        SELECT
+          a.pmid,
+          a.title,
+          a.publication_date,
+          json_group_array(DISTINCT au.name) AS authors,
+          json_group_array(DISTINCT ac.organization) AS organizations
+        ${from}
+        GROUP BY a.pmid
+        ORDER BY CAST(a.pmid AS INTEGER) DESC
+        LIMIT ? OFFSET ?
+      `).all(companyId, limit, offset);
+
+      return {
+        total,
+        rows: rows.map(row => ({
+          ...row,
+          authors: parseJson(row.authors, []),
+          organizations: parseJson(row.organizations, [])
+        }))
+      };
+    },
+
+    // Queue a bulk search job for a stored search, returning its id
+    createJob({ searchId, batchSize, maxResults, now = Date.now() }) {
+      return db.prepare(`
+        INSERT INTO jobs (search_id, batch_size, max_results, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(searchId, batchSize, maxResults, now, now).lastInsertRowid;
+    },
+
+    // Job by id, with the query and settings of its search
+    getJob(jobId) {
+      return db.prepare(`${JOB_SELECT} WHERE j.id = ?`).get(jobId);
+    },
+
+    // Most recent jobs. Options: userId - only the jobs of this user's searches
+    getJobs(limit = 20, { userId } = {}) {
+      const where = userId !== undefined ? 'WHERE s.user_id IS @userId' : '';
+      return db.prepare(`${JOB_SELECT} ${where} ORDER BY j.id DESC LIMIT @limit`).all({ limit, userId });
+    },
+
+    // Oldest queued job, if any
+    getNextQueuedJob() {
+      return db.prepare(`${JOB_SELECT} WHERE j.status = 'queued' ORDER BY j.id LIMIT 1`).get();
+    },
+
+    // Update some columns of a job, e.g. { status: 'running', startedAt }
+    updateJob(jobId, changes, now = Date.now()) {
+      const columns = {
+        status: 'status',
+        total: 'total',
+        nextRetstart: 'next_retstart',
+        webEnv: 'web_env',
+        queryKey: 'query_key',
+        webEnvAt: 'web_env_at',
+        warning: 'warning',
+        cancelRequested: 'cancel_requested',
+        error: 'error',
+        startedAt: 'started_at',
+        finishedAt: 'finished_at'
+      };
+      const sets = ['updated_at = @updatedAt'];
+      const params = { jobId, updatedAt: now };
+      for (const [name, value] of Object.entries(changes)) {
+        if (!columns[name]) {
+          throw new Error(`Unknown job column: ${name}`);
+        }
+        sets.push(`${columns[name]} = @${name}`);
+        params[name] = typeof value === 'boolean' ? Number(value) : value;
+      }
+      db.prepare(`UPDATE jobs SET ${sets.join(', ')} WHERE id = @jobId`).run(params);
+    },
+
+    // Put jobs that were running when the server stopped back in the queue
+    requeueInterruptedJobs(now = Date.now()) {
+      return db.prepare("UPDATE jobs SET status = 'queued', updated_at = ? WHERE status = 'running'").run(now).changes;
+    },
+
+    // Save a search on a schedule. The first run is due straight away.
+    createSavedSearch({ searchId, name, intervalMinutes, webhookUrl, now = Date.now() }) {
+      const info = db.prepare(`
+        INSERT INTO saved_searches (search_id, name, interval_minutes, webhook_url, created_at, next_run_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(searchId, name || null, intervalMinutes, webhookUrl || null, now, now);
+      return info.lastInsertRowid;
+    },
+
+    // Saved search by id, with the query and settings of its search
+    getSavedSearch(savedSearchId) {
+      return db.prepare(`${SAVED_SEARCH_SELECT} WHERE ss.id = ?`).get(savedSearchId);
+    },
+
+    // All saved searches, newest first. Options: userId - only this user's
+    getSavedSearches({ userId } = {}) {
+      const where = userId !== undefined ? 'WHERE s.user_id IS @userId' : '';
+      return db.prepare(`${SAVED_SEARCH_SELECT} ${where} ORDER BY ss.id DESC`).all({ userId });
+    },
+
+    // Enabled saved searches whose next run is due
+    getDueSavedSearches(now = Date.now()) {
+      return db.prepare(`${SAVED_SEARCH_SELECT} WHERE ss.enabled = 1 AND ss.next_run_at <= ? ORDER BY ss.next_run_at`).all(now);
+    },
+
+    // Delete a saved search with its runs and hits. The search itself stays in the history.
+    deleteSavedSearch(savedSearchId) {
+      return db.prepare('DELETE FROM saved_searches WHERE id = ?').run(savedSearchId).changes > 0;
+    },
+
+    // Record when a saved search last ran successfully and when it runs next
+    scheduleSavedSearch(savedSearchId, { lastRunAt, nextRunAt }) {
+      if (lastRunAt) {
+        db.prepare('UPDATE saved_searches SET last_run_at = ?, next_run_at = ? WHERE id = ?').run(lastRunAt, nextRunAt, savedSearchId);
+      } else {
+        db.prepare('UPDATE saved_searches SET next_run_at = ? WHERE id = ?').run(nextRunAt, savedSearchId);
+      }
+    },
+
+    // Start a run of a saved search, returning the run id
+    startSavedSearchRun(savedSearchId, startedAt = Date.now()) {
+      return db.prepare('INSERT INTO saved_search_runs (saved_search_id, started_at) VALUES (?, ?)')
+        .run(savedSearchId, startedAt)
+        .lastInsertRowid;
+    },
+
+    // Mark a run as finished, with status 'ok' or 'error'
+    finishSavedSearchRun(runId, { status, totalCount = null, newCount = null, error = null, finishedAt = Date.now() }) {
+      db.prepare(`
+        UPDATE saved_search_runs
+        SET status = ?, total_count = ?, new_count = ?, error = ?, finished_at = ?
+        WHERE id = ?
+      `).run(status, totalCount, newCount, error, finishedAt, runId);
+    },
+
+    // Record how the webhook call for a run went
+    setSavedSearchRunWebhookStatus(runId, webhookStatus) {
+      db.prepare('UPDATE saved_search_runs SET webhook_status = ? WHERE id = ?').run(webhookStatus, runId);
+    },
+
+    // Most recent runs of a saved search
+    getSavedSearchRuns(savedSearchId, limit = 10) {
+      return db.prepare('SELECT * FROM saved_search_runs WHERE saved_search_id = ? ORDER BY started_at DESC, id DESC LIMIT ?')
+        .all(savedSearchId, limit);
+    },
+
+    // The PMIDs a saved search has not seen before, in their original order
+    filterUnseenPmids(savedSearchId, pmids) {
+      return db.prepare(`
+        SELECT value FROM json_each(?)
+        WHERE value NOT IN (SELECT pmid FROM saved_search_hits WHERE saved_search_id = ?)
+        ORDER BY key
+      `).all(JSON.stringify(pmids.map(String)), savedSearchId).map(row => row.value);
+    },
+
+    // Remember PMIDs found by a run. Baseline hits are the ones already
+    // there on the first run and are not reported as new.
+    recordSavedSearchHits: db.transaction((savedSearchId, runId, hits, { baseline = false, seenAt = Date.now() } = {}) => {
+      const insertHitStmt = db.prepare(`
+        INSERT OR IGNORE INTO saved_search_hits (saved_search_id, pmid, run_id, first_seen_at, baseline, result)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const hit of hits) {
+        insertHitStmt.run(savedSearchId, hit.pmid, runId, seenAt, baseline ? 1 : 0, hit.result ? JSON.stringify(hit.result) : null);
+      }
+    }),
+
+    // New (non-baseline) hits of a saved search, newest first.
+    // Options: since - only hits first seen at or after this time (ms), limit
+    getSavedSearchHits(savedSearchId, { since = 0, limit = 100 } = {}) {
+      return db.prepare(`
+        SELECT * FROM saved_search_hits
+        WHERE saved_search_id = ? AND baseline = 0 AND first_seen_at >= ?
+        ORDER BY first_seen_at DESC, run_id DESC, rowid
+        LIMIT ?
+      `).all(savedSearchId, since, limit).map(hit => ({ ...hit, result: parseJson(hit.result, null) }));
+    },
+
+    // Create a user, returning its id. role is 'user' or 'admin'.
+    createUser({ name, email = null, role = 'user', externalId = null, now = Date.now() }) {
+      return db.prepare('INSERT INTO users (name, email, role, external_id, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(name, email, role, externalId, now)
+        .lastInsertRowid;
+    },
+
+    // User by id
+    getUser(userId) {
+      return db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    },
+
+    // Every user with the number of API keys they hold that still work
+    getUsers() {
+      return db.prepare(`
+        SELECT u.*, (SELECT COUNT(*) FROM api_keys k WHERE k.user_id = u.id AND k.revoked_at IS NULL) AS active_key_count
+        FROM users u
+        ORDER BY u.id
+      `).all();
+    },
+
+    // Find or create the user for the subject of a JWT, keeping their name,
+    // email and role in step with the token's claims
+    upsertExternalUser({ externalId, name, email = null, role = 'user', now = Date.now() }) {
+      const existing = db.prepare('SELECT id FROM users WHERE external_id = ?').get(externalId);
+      if (existing) {
+        db.prepare('UPDATE users SET name = ?, email = ?, role = ? WHERE id = ?').run(name, email, role, existing.id);
+        return existing.id;
+      }
+      return repository.createUser({ name, email, role, externalId, now });
+    },
+
+    // Store a new API key by the hash of its secret, returning its id.
+    // Limits left null fall back to the configured defaults.
+    createApiKey({ userId, name = null, keyHash, prefix, rateLimitPerMinute = null, dailyQuota = null, now = Date.now() }) {
+      return db.prepare(`
+        INSERT INTO api_keys (user_id, name, key_hash, prefix, rate_limit_per_minute, daily_quota, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(userId, name, keyHash, prefix, rateLimitPerMinute, dailyQuota, now).lastInsertRowid;
+    },
+
+    // API key by id, with its user's name and role
+    getApiKey(keyId) {
+      return db.prepare(`
+        SELECT k.*, u.name AS user_name, u.role
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.id = ?
+      `).get(keyId);
+    },
+
+    // API key by the hash of its secret, with its user's name and role
+    findApiKeyByHash(keyHash) {
+      return db.prepare(`
+        SELECT k.*, u.name AS user_name, u.email AS user_email, u.role
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = ?
+      `).get(keyHash);
+    },
+
+    // Every API key with its user and today's request count, newest first.
+    // Options: userId - only this user's keys
+    getApiKeys({ userId, dayStart = startOfDay(Date.now()) } = {}) {
+      const where = userId !== undefined ? 'WHERE k.user_id = @userId' : '';
+      return db.prepare(`
+        SELECT k.*, u.name AS user_name, u.role,
+          COALESCE((
+            SELECT count FROM api_usage
+            WHERE subject = 'key:' || k.id AND period = 'day' AND period_start = @dayStart
+          ), 0) AS requests_today
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        ${where}
+        ORDER BY k.id DESC
+      `).all({ userId, dayStart });
+    },
+
+    // Revoke an API key. Returns false when it was already revoked.
+    revokeApiKey(keyId, now = Date.now()) {
+      return db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now, keyId).changes > 0;
+    },
+
+    // Record that an API key was used
+    touchApiKey(keyId, now = Date.now()) {
+      db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now, keyId);
+    },
+
+    // Count one request against a subject's per-minute and per-day windows,
+    // unless that would go over a limit (null means no limit). Returns
+    // { allowed, exceeded: 'minute' | 'day' | null, minuteCount, dayCount }.
+    consumeApiRequest: db.transaction((subject, { perMinute = null, perDay = null, now = Date.now() } = {}) => {
+      const minuteStart = now - (now % 60000);
+      const dayStart = startOfDay(now);
+      const countStmt = db.prepare('SELECT count FROM api_usage WHERE subject = ? AND period = ? AND period_start = ?');
+      const minuteCount = (countStmt.get(subject, 'minute', minuteStart) || { count: 0 }).count;
+      const dayCount = (countStmt.get(subject, 'day', dayStart) || { count: 0 }).count;
+
+      const exceeded = perMinute !== null && minuteCount >= perMinute ? 'minute'
+        : perDay !== null && dayCount >= perDay ? 'day'
+          : null;
+      if (exceeded) {
+        return { allowed: false, exceeded, minuteCount, dayCount };
+      }
+
+      const incrementStmt = db.prepare(`
+        INSERT INTO api_usage (subject, period, period_start, count) VALUES (?, ?, ?, 1)
+        ON CONFLICT (subject, period, period_start) DO UPDATE SET count = count + 1
+      `);
+      incrementStmt.run(subject, 'minute', minuteStart);
+      incrementStmt.run(subject, 'day', dayStart);
+      // Only the current minute matters; day rows stay as a usage record
+      db.prepare("DELETE FROM api_usage WHERE subject = ? AND period = 'minute' AND period_start < ?").run(subject, minuteStart);
+
+      return { allowed: true, exceeded: null, minuteCount: minuteCount + 1, dayCount: dayCount + 1 };
+    })
+  };
+
+  return repository;
+}
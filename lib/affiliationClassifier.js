@@ -0,0 +1,191 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { stripEmails } from './authorEmails.js';
+import { logger } from './logger.js';
+
+// Classifies affiliation strings as academic, company or unknown.
+//
+// A rule set has two groups, `academic` and `company`, each made of keyword
+// lists. Rules are tried from most to least specific and the first match
+// decides the classification:
+//
+//   company.names     known pharma/biotech names        company   0.95
+//   company.suffixes  legal suffixes (Inc, GmbH, K.K.)  company   0.9
+//   academic.include  strong academic keywords          academic  0.9
+//   company.include   industry keywords                 company   0.75
+//   academic.weak     ambiguous keywords (national)     academic  0.6
+//
+// A match in a group's `exclude` list switches off that whole group, so
+// "Pfizer Professor of Medicine" is not counted as a company affiliation.
+
+const RULE_ORDER = [
+  { list: 'company.names', classification: 'company', confidence: 0.95, caseSensitive: false },
+  { list: 'company.suffixes', classification: 'company', confidence: 0.9, caseSensitive: true },
+  { list: 'academic.include', classification: 'academic', confidence: 0.9, caseSensitive: false },
+  { list: 'company.include', classification: 'company', confidence: 0.75, caseSensitive: false },
+  { list: 'academic.weak', classification: 'academic', confidence: 0.6, caseSensitive: false }
+];
+
+// Lists a rule set may define, used when merging partial rule sets
+export const RULE_LISTS = [
+  'academic.include',
+  'academic.weak',
+  'academic.exclude',
+  'company.names',
+  'company.suffixes',
+  'company.include',
+  'company.exclude'
+];
+
+const DEFAULT_RULES_PATH = new URL('../config/affiliation-rules.json', import.meta.url);
+
+export const DEFAULT_RULES = JSON.parse(readFileSync(DEFAULT_RULES_PATH, 'utf8'));
+
+// Create a classifier for a rule set. Lists missing from `rules` fall back
+// to the default rule set.
+export function createAffiliationClassifier(rules = DEFAULT_RULES) {
+  const merged = mergeRules(DEFAULT_RULES, rules);
+  const matchers = {};
+  for (const list of RULE_LISTS) {
+    const caseSensitive = list === 'company.suffixes';
+    matchers[list] = getList(merged, list).map(value => ({
+      value,
+      pattern: buildPattern(value, caseSensitive)
+    }));
+  }
+
+  function firstMatch(list, text) {
+    const found = matchers[list].find(matcher => matcher.pattern.test(text));
+    return found ? found.value : null;
+  }
+
+  // Classify one affiliation string.
+  // Returns { affiliation, classification, confidence, rule, matched }
+  function classify(affiliation) {
+    const text = (affiliation || '').trim();
+    const excluded = {
+      company: firstMatch('company.exclude', text) !== null,
+      academic: firstMatch('academic.exclude', text) !== null
+    };
+
+    for (const rule of RULE_ORDER) {
+      if (excluded[rule.classification]) continue;
+
+      const matched = firstMatch(rule.list, text);
+      if (matched !== null) {
+        return {
+          affiliation: text,
+          classification: rule.classification,
+          confidence: rule.confidence,
+          rule: rule.list,
+          matched
+        };
+      }
+    }
+
+    return { affiliation: text, classification: 'unknown', confidence: 0.3, rule: null, matched: null };
+  }
+
+  return {
+    name: merged.name || 'default',
+    rules: merged,
+    classify,
+    isCompany: affiliation => classify(affiliation).classification === 'company',
+    isAcademic: affiliation => classify(affiliation).classification === 'academic'
+  };
+}
+
+// Load a rule set from a .json, .yaml or .yml file
+export function loadRulesFromFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return YAML.parse(content);
+  }
+  return JSON.parse(content);
+}
+
+// Build a rule set from affiliation_rules rows ({ list, value }). Returns
+// null when there are no rows, so callers can fall back to the defaults.
+export function rulesFromRows(rows, ruleSet = 'default') {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const rules = { name: ruleSet };
+  for (const row of rows) {
+    if (!RULE_LISTS.includes(row.list)) {
+      logger.warn('Ignoring affiliation rule with unknown list', { list: row.list });
+      continue;
+    }
+    const [group, key] = row.list.split('.');
+    rules[group] = rules[group] || {};
+    rules[group][key] = rules[group][key] || [];
+    rules[group][key].push(row.value);
+  }
+  return rules;
+}
+
+// Find the authors with a company affiliation among an article's authors,
+// as parsed by lib/pubmedParser.js ({ name, affiliations }), using a
+// classifier from createAffiliationClassifier(). Emails are removed from
+// affiliations before they are classified. Returns { nonAcademicAuthors,
+// companyAffiliations, affiliationClassifications }, each without duplicates.
+export function extractAuthorsAndAffiliations(classifier, authors) {
+  const nonAcademicAuthors = [];
+  const companyAffiliations = [];
+  const affiliationClassifications = [];
+
+  for (const { name, affiliations } of authors) {
+    for (const affiliation of affiliations) {
+      const affiliationText = stripEmails(affiliation);
+      if (!affiliationText) continue;
+
+      const classification = classifier.classify(affiliationText);
+      if (!affiliationClassifications.some(c => c.affiliation === classification.affiliation)) {
+        affiliationClassifications.push(classification);
+      }
+      if (classification.classification === 'company') {
+        if (name && !nonAcademicAuthors.includes(name)) {
+          nonAcademicAuthors.push(name);
+        }
+        if (!companyAffiliations.includes(affiliationText)) {
+          companyAffiliations.push(affiliationText);
+        }
+      }
+    }
+  }
+
+  return { nonAcademicAuthors, companyAffiliations, affiliationClassifications };
+}
+
+function getList(rules, list) {
+  const [group, key] = list.split('.');
+  const values = rules[group] && rules[group][key];
+  if (values !== undefined && !Array.isArray(values)) {
+    throw new Error(`Affiliation rule list ${list} must be an array`);
+  }
+  return values || [];
+}
+
+// Lists present in `override` replace the same lists in `base`
+function mergeRules(base, override) {
+  const merged = { name: override.name || base.name };
+  for (const list of RULE_LISTS) {
+    const [group, key] = list.split('.');
+    const values = override[group] && override[group][key] !== undefined
+      ? getList(override, list)
+      : getList(base, list);
+    merged[group] = merged[group] || {};
+    merged[group][key] = values;
+  }
+  return merged;
+}
+
+// Match a keyword as a whole word or phrase. Word characters are
+// letters and digits so "S.A." and "R&D" match as written.
+function buildPattern(value, caseSensitive) {
+  const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu');
+}
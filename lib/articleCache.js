@@ -0,0 +1,75 @@
+// Article store keyed by PMID.
+// Keeps the parsed record and raw PubmedArticle XML of every fetched
+// article, with the time it was fetched. Records older than the TTL are
+// treated as stale and fetched again from PubMed. Storage goes through the
+// repository in database.js.
+
+export const DEFAULT_ARTICLE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Options: ttlMs - how long a fetched article stays fresh (0 disables the cache)
+export function createArticleCache(repository, { ttlMs = DEFAULT_ARTICLE_TTL_MS } = {}) {
+  const stats = { hits: 0, misses: 0 };
+
+  function isFresh(row, now = Date.now()) {
+    return ttlMs > 0 && now - row.fetched_at < ttlMs;
+  }
+
+  function toEntry(row) {
+    return {
+      pmid: row.pmid,
+      record: JSON.parse(row.record),
+      rawXml: row.raw_xml,
+      fetchedAt: new Date(row.fetched_at).toISOString(),
+      fresh: isFresh(row)
+    };
+  }
+
+  // Look up one article, fresh or not. Returns null when it was never fetched.
+  function get(pmid) {
+    const row = repository.getArticleRow(pmid);
+    return row ? toEntry(row) : null;
+  }
+
+  // Fresh records for the given PMIDs, as a Map of pmid -> entry.
+  // Counts a hit for each fresh record and a miss for everything else.
+  function getFresh(pmids) {
+    const found = new Map();
+    for (const pmid of pmids) {
+      const row = repository.getArticleRow(pmid);
+      if (row && isFresh(row)) {
+        found.set(pmid, toEntry(row));
+      }
+    }
+    stats.hits += found.size;
+    stats.misses += pmids.length - found.size;
+    return found;
+  }
+
+  // Stored records for the given PMIDs however old they are, as a Map of
+  // pmid -> entry, for offline mode. Not counted as hits or misses.
+  function getStored(pmids) {
+    const found = new Map();
+    for (const pmid of pmids) {
+      const row = repository.getArticleRow(pmid);
+      if (row) {
+        found.set(pmid, toEntry(row));
+      }
+    }
+    return found;
+  }
+
+  // Store parsed records (with their rawXml) as fetched now
+  function putMany(records) {
+    repository.saveArticles(records, Date.now());
+  }
+
+  return {
+    ttlMs,
+    stats,
+    get,
+    getFresh,
+    getStored,
+    put: record => putMany([record]),
+    putMany
+  };
+}
@@ -0,0 +1,304 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { AuthenticationError, DatabaseUnavailableError, ForbiddenError, RateLimitError } from './errors.js';
+
+// Authentication and per-caller rate limiting for /api.
+//
+// Callers identify themselves with an API key, sent as `X-API-Key: pmx_...`
+// or `Authorization: Bearer pmx_...`, or with an HS256 JWT signed with
+// JWT_SECRET, sent as `Authorization: Bearer <jwt>`. API keys are issued by
+// admins and stored by the SHA-256 hash of their secret only. A JWT's `sub`
+// claim identifies the user; its `name`, `email` and `role` claims are
+// copied to the users table the first time it is seen and on every use.
+//
+// ADMIN_API_KEY, when set, is an admin credential that needs no database
+// row, for issuing the first keys. With AUTH_REQUIRED=false, requests
+// without credentials are allowed as the anonymous user and rate limited
+// by client IP address.
+//
+// Every authenticated request counts against a per-minute rate limit and a
+// daily quota (UTC days), kept in the api_usage table so they survive
+// restarts. Keys can have their own limits; everyone else gets the defaults.
+
+export const API_KEY_PREFIX = 'pmx_';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ROLES = ['user', 'admin'];
+
+// A new API key: the secret shown once to the caller, the hash stored in
+// the database and a short prefix to recognize it by in listings
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Sign claims as an HS256 JWT. Options: expiresInSeconds, now (ms)
+export function signJwt(claims, secret, { expiresInSeconds, now = Date.now() } = {}) {
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+  const iat = Math.floor(now / 1000);
+  const payload = encodeSegment({
+    iat,
+    ...(expiresInSeconds !== undefined ? { exp: iat + expiresInSeconds } : {}),
+    ...claims
+  });
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+// Check an HS256 JWT's signature, expiry and not-before time and return its
+// claims. Throws an AuthenticationError otherwise.
+export function verifyJwt(token, secret, { now = Date.now() } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+  const [header, payload, signature] = parts;
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = decodeSegment(header);
+    claims = decodeSegment(payload);
+  } catch {
+    throw new AuthenticationError('Malformed token');
+  }
+  if (decodedHeader.alg !== 'HS256') {
+    throw new AuthenticationError('Token must be signed with HS256');
+  }
+  if (!safeEqual(signature, hmac(`${header}.${payload}`, secret))) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const seconds = now / 1000;
+  if (typeof claims.exp === 'number' && seconds >= claims.exp) {
+    throw new AuthenticationError('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) {
+    throw new AuthenticationError('Token is not valid yet');
+  }
+  if (claims.sub === undefined || claims.sub === null || claims.sub === '') {
+    throw new AuthenticationError('Token has no subject');
+  }
+  return claims;
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function hmac(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// Build the authentication and rate limiting middleware.
+// Options:
+//   repository - needed for API keys, JWT users and usage counters
+//   required - reject requests without credentials (default true)
+//   jwtSecret - accept JWTs signed with this secret
+//   adminKey - static admin API key
+//   rateLimitPerMinute, dailyQuota - defaults for callers without their
+//     own limits; 0 means unlimited
+// Returns { authenticate, rateLimit, requireAdmin }. authenticate sets
+// req.auth = { user, role, keyId, subject, limits }, where user is null for
+// anonymous and ADMIN_API_KEY callers.
+export function createAuth({
+  repository,
+  required = true,
+  jwtSecret = null,
+  adminKey = null,
+  rateLimitPerMinute = 60,
+  dailyQuota = 1000,
+  clock = Date.now
+} = {}) {
+  const adminKeyHash = adminKey ? hashApiKey(adminKey) : null;
+  const defaultLimits = { perMinute: rateLimitPerMinute || null, perDay: dailyQuota || null };
+
+  function identify(req) {
+    const header = req.get('Authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+    const apiKey = req.get('X-API-Key') || (bearer && bearer[1].startsWith(API_KEY_PREFIX) ? bearer[1] : null);
+
+    if (apiKey) {
+      return fromApiKey(apiKey);
+    }
+    if (bearer) {
+      return fromJwt(bearer[1]);
+    }
+    if (header) {
+      throw new AuthenticationError('Authorization header must be "Bearer <token>"');
+    }
+    if (required) {
+      throw new AuthenticationError('Authentication required: send an API key in X-API-Key or a bearer token');
+    }
+    return { user: null, role: 'anonymous', keyId: null, subject: `ip:${req.ip}`, limits: defaultLimits };
+  }
+
+  function fromApiKey(key) {
+    const keyHash = hashApiKey(key);
+    if (adminKeyHash && safeEqual(keyHash, adminKeyHash)) {
+      return { user: null, role: 'admin', keyId: null, subject: 'admin', limits: { perMinute: null, perDay: null } };
+    }
+    if (!repository) {
+      throw new DatabaseUnavailableError();
+    }
+
+    const row = repository.findApiKeyByHash(keyHash);
+    if (!row) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    if (row.revoked_at !== null) {
+      throw new AuthenticationError('API key has been revoked');
+    }
+    repository.touchApiKey(row.id, clock());
+
+    return {
+      user: { id: row.user_id, name: row.user_name, email: row.user_email },
+      role: row.role,
+      keyId: row.id,
+      subject: `key:${row.id}`,
+      limits: {
+        perMinute: row.rate_limit_per_minute !== null ? row.rate_limit_per_minute || null : defaultLimits.perMinute,
+        perDay: row.daily_quota !== null ? row.daily_quota || null : defaultLimits.perDay
+      }
+    };
+  }
+
+  function fromJwt(token) {
+    if (!jwtSecret) {
+      throw new AuthenticationError('Bearer tokens are not accepted; use an API key');
+    }
+    const claims = verifyJwt(token, jwtSecret, { now: clock() });
+    if (!repository) {
+      throw new DatabaseUnavailableError();
+    }
+
+    const role = claims.role === 'admin' ? 'admin' : 'user';
+    const externalId = String(claims.sub);
+    const userId = repository.upsertExternalUser({
+      externalId,
+      name: typeof claims.name === 'string' && claims.name ? claims.name : externalId,
+      email: typeof claims.email === 'string' ? claims.email : null,
+      role,
+      now: clock()
+    });
+
+    return {
+      user: { id: userId, name: claims.name || externalId, email: claims.email || null },
+      role,
+      keyId: null,
+      subject: `user:${userId}`,
+      limits: defaultLimits
+    };
+  }
+
+  // Identify the caller, or reject the request with a 401
+  function authenticate(req, res, next) {
+    req.auth = identify(req);
+    next();
+  }
+
+  // Count the request against the caller's limits, or reject it with a 429.
+  // Sets X-RateLimit-* headers for the per-minute limit.
+  function rateLimit(req, res, next) {
+    const { subject, limits } = req.auth;
+    if (!repository || (limits.perMinute === null && limits.perDay === null)) {
+      return next();
+    }
+
+    const now = clock();
+    const usage = repository.consumeApiRequest(subject, { ...limits, now });
+    const minuteReset = Math.ceil((MINUTE_MS - (now % MINUTE_MS)) / 1000);
+
+    if (limits.perMinute !== null) {
+      res.set('X-RateLimit-Limit', String(limits.perMinute));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, limits.perMinute - usage.minuteCount)));
+      res.set('X-RateLimit-Reset', String(minuteReset));
+    }
+    if (limits.perDay !== null) {
+      res.set('X-Quota-Limit', String(limits.perDay));
+      res.set('X-Quota-Remaining', String(Math.max(0, limits.perDay - usage.dayCount)));
+    }
+
+    if (usage.exceeded === 'minute') {
+      throw new RateLimitError(`Rate limit of ${limits.perMinute} requests per minute exceeded`, {
+        limit: limits.perMinute,
+        retryAfterSeconds: minuteReset
+      });
+    }
+    if (usage.exceeded === 'day') {
+      throw new RateLimitError(`Daily quota of ${limits.perDay} requests exceeded`, {
+        code: 'quota_exceeded',
+        limit: limits.perDay,
+        retryAfterSeconds: Math.ceil((DAY_MS - (now % DAY_MS)) / 1000)
+      });
+    }
+    next();
+  }
+
+  // Only let admins through
+  function requireAdmin(req, res, next) {
+    if (!req.auth || req.auth.role !== 'admin') {
+      throw new ForbiddenError();
+    }
+    next();
+  }
+
+  return { authenticate, rateLimit, requireAdmin };
+}
+
+// The id searches made by this request belong to: the caller's user id, or
+// null for anonymous and ADMIN_API_KEY requests
+export function ownerId(req) {
+  return req.auth && req.auth.user ? req.auth.user.id : null;
+}
+
+// Whether the caller may see a stored search (or a job or saved search of
+// one): it must be theirs, unless they are an admin
+export function canAccess(req, row) {
+  return Boolean(row) && ((req.auth && req.auth.role === 'admin') || (row.user_id ?? null) === ownerId(req));
+}
+
+const toIso = value => (value ? new Date(value).toISOString() : null);
+
+// Shape a users row for API responses
+export function formatUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    createdAt: toIso(row.created_at),
+    ...(row.active_key_count !== undefined ? { activeKeyCount: row.active_key_count } : {})
+  };
+}
+
+// Shape an api_keys row for API responses. The secret itself is never stored.
+export function formatApiKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    name: row.name,
+    prefix: row.prefix,
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    dailyQuota: row.daily_quota,
+    createdAt: toIso(row.created_at),
+    lastUsedAt: toIso(row.last_used_at),
+    revokedAt: toIso(row.revoked_at),
+    ...(row.requests_today !== undefined ? { requestsToday: row.requests_today } : {})
+  };
+}
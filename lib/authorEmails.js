@@ -0,0 +1,139 @@
+// Email extraction and attribution for parsed PubMed authors.
+// Emails are only taken from an author's own AffiliationInfo, never from the
+// abstract or other free text, so each address can be tied to a person.
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+const ELECTRONIC_ADDRESS_PATTERN = /electronic address:\s*/i;
+const CORRESPONDENCE_PATTERN = /correspond(ing|ence)/i;
+
+// Clean up an email found in affiliation text: drop "mailto:" and
+// trailing punctuation, and lowercase it
+export function cleanEmail(value) {
+  return value
+    .trim()
+    .replace(/^mailto:/i, '')
+    .replace(/[.,;:)\]]+$/, '')
+    .toLowerCase();
+}
+
+// All emails in a piece of affiliation text, cleaned and de-duplicated
+export function extractEmails(text) {
+  const matches = (text || '').match(EMAIL_PATTERN) || [];
+  return [...new Set(matches.map(cleanEmail))];
+}
+
+// Affiliation text with emails and "Electronic address:" labels removed
+export function stripEmails(text) {
+  return (text || '')
+    .replace(/electronic address:/gi, ' ')
+    .replace(/\b(e-?mail|mailto):?/gi, ' ')
+    .replace(EMAIL_PATTERN, ' ')
+    .replace(/\s+([.,;])/g, '$1')
+    .replace(/([.,;])\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.,;]+$/, '')
+    .trim();
+}
+
+// How well an email's local part matches an author's name:
+// 2 for the last name, 1 for the fore name or initials, 0 otherwise
+export function nameMatchScore(author, email) {
+  const local = foldName(email.split('@')[0]);
+  const lastName = foldName(author.lastName || '');
+  const foreName = foldName((author.foreName || '').split(' ')[0]);
+  const initials = foldName(author.initials || '');
+
+  if (lastName.length >= 3 && local.includes(lastName)) return 2;
+  if (foreName.length >= 3 && local.includes(foreName)) return 1;
+  if (initials && lastName && local.startsWith(initials[0]) && local.includes(lastName.slice(0, 3))) return 1;
+  return 0;
+}
+
+// Lowercase and strip accents, spaces and punctuation
+function foldName(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Tie each email in the authors' affiliations to an author.
+// Returns candidates { author, email, source, index, score, marked } where
+// source is "electronic-address" for PubMed's "Electronic address:" convention
+// and "affiliation" otherwise. Use toAuthorEmail() for the public shape.
+// When the same address appears under several authors, it goes to the
+// author whose name matches it best (ties go to the first of them).
+export function extractAuthorEmails(authors = []) {
+  const candidates = new Map();
+
+  authors.forEach((author, index) => {
+    for (const affiliation of author.affiliations || []) {
+      const electronic = ELECTRONIC_ADDRESS_PATTERN.test(affiliation);
+      for (const email of extractEmails(affiliation)) {
+        const candidate = {
+          author: author.name,
+          email,
+          source: electronic ? 'electronic-address' : 'affiliation',
+          index,
+          score: nameMatchScore(author, email),
+          marked: CORRESPONDENCE_PATTERN.test(affiliation)
+        };
+        const existing = candidates.get(email);
+        if (!existing || candidate.score > existing.score) {
+          candidates.set(email, candidate);
+        }
+      }
+    }
+  });
+
+  return [...candidates.values()].sort((a, b) => a.index - b.index);
+}
+
+// Pick the corresponding author from the output of extractAuthorEmails.
+// Heuristics, in order:
+//   explicit-marker    the affiliation mentions correspondence
+//   electronic-address PubMed's label for the corresponding author's address
+//   single-email       only one author has an email
+//   name-match         the only address that matches its author's name
+//   last-author        the last author in the byline who has an email
+// Returns { author, email, source, reason } or null when no author has an email.
+export function pickCorrespondingAuthor(authorEmails) {
+  if (authorEmails.length === 0) {
+    return null;
+  }
+
+  const pick = (candidate, reason) => ({
+    author: candidate.author,
+    email: candidate.email,
+    source: candidate.source,
+    reason
+  });
+
+  const marked = authorEmails.find(candidate => candidate.marked);
+  if (marked) {
+    return pick(marked, 'explicit-marker');
+  }
+
+  const electronic = authorEmails.find(candidate => candidate.source === 'electronic-address');
+  if (electronic) {
+    return pick(electronic, 'electronic-address');
+  }
+
+  const authorsWithEmail = new Set(authorEmails.map(candidate => candidate.index));
+  if (authorsWithEmail.size === 1) {
+    return pick(authorEmails[0], 'single-email');
+  }
+
+  const nameMatches = authorEmails.filter(candidate => candidate.score > 0);
+  if (nameMatches.length === 1) {
+    return pick(nameMatches[0], 'name-match');
+  }
+
+  return pick(authorEmails[authorEmails.length - 1], 'last-author');
+}
+
+// Public shape of an attributed email, without the scoring details
+export function toAuthorEmail({ author, email, source }) {
+  return { author, email, source };
+}
@@ -0,0 +1,152 @@
+import { extractOrganizationName } from './companyResolver.js';
+
+// Author identity resolution.
+//
+// An ORCID identifies a person outright. Without one, a byline entry is
+// compared with the known authors that share its last name and first
+// initial (the "block"):
+//
+//   - fore names must be compatible: "John" fits "J" and "John A", not "James"
+//   - the best candidate whose affiliations look like the entry's, by word
+//     overlap of either the whole affiliation or its organization part, is
+//     the same person
+//   - with no affiliations to compare on either side, the entry only joins
+//     a candidate when that candidate is the only compatible one
+//
+// Otherwise the entry becomes a new author, so two people called "J Smith"
+// at different institutions stay apart. Only the most recently added
+// compatible authors of a block are compared (MAX_AUTHOR_CANDIDATES), so
+// common names don't make every byline entry slower.
+
+// Most known authors a byline entry is compared with
+export const MAX_AUTHOR_CANDIDATES = 100;
+
+// Affiliation word overlap needed to treat two entries as one person
+export const AFFILIATION_MATCH_THRESHOLD = 0.4;
+
+// Words too common in affiliations to say anything about who someone is
+const STOPWORDS = new Set([
+  'and', 'the', 'for', 'of', 'de', 'la', 'des', 'der', 'und', 'department', 'dept', 'division',
+  'school', 'faculty', 'center', 'centre', 'institute', 'university', 'hospital', 'medicine',
+  'medical', 'research', 'sciences', 'science', 'laboratory', 'unit', 'usa', 'inc', 'ltd'
+]);
+
+// Lowercase without accents
+export function normalizeNamePart(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim();
+}
+
+// Blocking key: last name and first initial ("smith|j")
+export function authorBlockKey(author) {
+  const lastName = normalizeNamePart(author.lastName || author.last_name || author.name);
+  const foreName = normalizeNamePart(author.foreName || author.fore_name || author.initials);
+  return `${lastName}|${foreName.charAt(0)}`;
+}
+
+// First fore name, or '' when only initials are known ("John A" -> "john").
+// Within a block, an entry with a full first name can only be the same
+// person as authors with that first name or with initials only.
+export function authorForeKey(author) {
+  const first = normalizeNamePart(author.foreName || author.fore_name).split(/[\s-]+/)[0];
+  return first.length > 1 ? first : '';
+}
+
+// Initials of a fore name, or the given initials ("John Andrew" -> "ja")
+function initialsOf(author) {
+  const foreName = normalizeNamePart(author.foreName || author.fore_name);
+  if (foreName) {
+    return foreName.split(/[\s-]+/).filter(Boolean).map(part => part.charAt(0)).join('');
+  }
+  return normalizeNamePart(author.initials).replace(/[\s-]/g, '');
+}
+
+// Whether two fore names can belong to the same person. Full first names
+// must agree; initials only need to agree as far as both go.
+export function foreNamesCompatible(a, b) {
+  const initialsA = initialsOf(a);
+  const initialsB = initialsOf(b);
+  if (!initialsA || !initialsB) {
+    return true;
+  }
+  if (!initialsA.startsWith(initialsB) && !initialsB.startsWith(initialsA)) {
+    return false;
+  }
+
+  const firstA = normalizeNamePart(a.foreName || a.fore_name).split(/[\s-]+/)[0] || '';
+  const firstB = normalizeNamePart(b.foreName || b.fore_name).split(/[\s-]+/)[0] || '';
+  if (firstA.length > 1 && firstB.length > 1) {
+    return firstA === firstB;
+  }
+  return true;
+}
+
+function affiliationWords(affiliation) {
+  return new Set(
+    normalizeNamePart(affiliation)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+  );
+}
+
+function jaccard(a, b) {
+  const union = new Set([...a, ...b]).size;
+  return union > 0 ? [...a].filter(word => b.has(word)).length / union : 0;
+}
+
+// Best word overlap (Jaccard) between any affiliation of `a` and any of
+// `b`, from 0 to 1. The organization parts are compared on their own too,
+// so "Pfizer Inc., Groton, CT" and "Pfizer Worldwide R&D, Cambridge, MA"
+// count as the same employer.
+export function affiliationSimilarity(a, b) {
+  const describe = affiliation => ({
+    words: affiliationWords(affiliation),
+    organization: affiliationWords(extractOrganizationName(affiliation))
+  });
+
+  let best = 0;
+  const described = b.map(describe);
+  for (const affiliation of a) {
+    const left = describe(affiliation);
+    for (const right of described) {
+      best = Math.max(best, jaccard(left.words, right.words), jaccard(left.organization, right.organization));
+    }
+  }
+  return best;
+}
+
+// Pick the known author a byline entry belongs to.
+// `author` is a parsed byline entry ({ foreName, initials, orcid, affiliations });
+// `candidates` are authors in the same block, each with the affiliations
+// they have been listed under. Returns { id, score } or null.
+export function matchAuthor(author, candidates) {
+  const compatible = candidates.filter(candidate =>
+    foreNamesCompatible(author, candidate) && (!author.orcid || !candidate.orcid || candidate.orcid === author.orcid)
+  );
+
+  const affiliations = author.affiliations || [];
+  let best = null;
+  for (const candidate of compatible) {
+    if (affiliations.length === 0 || candidate.affiliations.length === 0) continue;
+    const score = affiliationSimilarity(affiliations, candidate.affiliations);
+    if (score >= AFFILIATION_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { id: candidate.id, score };
+    }
+  }
+  if (best) {
+    return best;
+  }
+
+  // Nothing to compare: only join a candidate that can't be confused with another
+  const withoutEvidence = compatible.filter(candidate =>
+    affiliations.length === 0 || candidate.affiliations.length === 0
+  );
+  if (compatible.length === 1 && withoutEvidence.length === 1) {
+    return { id: compatible[0].id, score: 0 };
+  }
+  return null;
+}
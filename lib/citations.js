@@ -0,0 +1,168 @@
+// Citation links between PubMed articles, fetched with E-utilities elink.
+//
+// For every PMID, elink's pubmed_pubmed_citedin (articles citing it),
+// pubmed_pubmed_refs (articles it cites, when PubMed has its reference list)
+// and pubmed_pubmed (similar articles, best match first) links are stored
+// through the repository in database.js, with the time they were fetched.
+// Links older than the TTL are fetched again. Citations only accumulate:
+// the same edge can be learned from either end, so a refresh adds new ones
+// without dropping those found through other articles.
+
+export const DEFAULT_CITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// pubmed_pubmed can list hundreds of similar articles; keep the best ones
+export const MAX_SIMILAR_ARTICLES = 20;
+
+// PMIDs per elink request
+const ELINK_BATCH_SIZE = 100;
+
+const LINK_NAMES = {
+  pubmed_pubmed_citedin: 'citedBy',
+  pubmed_pubmed_refs: 'references',
+  pubmed_pubmed: 'similar'
+};
+
+export const NETWORK_FORMATS = ['json', 'graphml'];
+
+// Turn elink linksets into one { pmid, citedBy, references, similar } entry
+// per requested PMID. PMIDs elink returned nothing for get empty lists, so
+// they are recorded as fetched too.
+export function parseLinkSets(linksets, pmids) {
+  const entries = new Map(pmids.map(pmid => [pmid, { pmid, citedBy: [], references: [], similar: [] }]));
+
+  for (const linkset of linksets) {
+    const pmid = linkset.ids && String(linkset.ids[0]);
+    const entry = entries.get(pmid);
+    if (!entry) continue;
+
+    for (const linksetdb of linkset.linksetdbs || []) {
+      const field = LINK_NAMES[linksetdb.linkname];
+      if (!field) continue;
+      // pubmed_pubmed lists the article itself first
+      const links = (linksetdb.links || []).map(String).filter(link => link !== pmid);
+      entry[field] = field === 'similar' ? links.slice(0, MAX_SIMILAR_ARTICLES) : links;
+    }
+  }
+  return [...entries.values()];
+}
+
+// Options: repository, pubmed (client with elink), ttlMs - how long fetched
+// links stay fresh (0 fetches them every time), batchSize, clock
+export function createCitationService({
+  repository,
+  pubmed,
+  ttlMs = DEFAULT_CITATION_TTL_MS,
+  batchSize = ELINK_BATCH_SIZE,
+  clock = Date.now
+}) {
+  // Fetch and store the links of the PMIDs whose links are missing or stale,
+  // or of all of them with refresh. Returns the number of PMIDs fetched.
+  async function ensureLinks(pmids, { refresh = false } = {}) {
+    const now = clock();
+    const unique = [...new Set(pmids)];
+    const fetchedAt = refresh ? new Map() : repository.getLinksFetchedAt(unique);
+    const stale = unique.filter(pmid => !fetchedAt.has(pmid) || now - fetchedAt.get(pmid) >= ttlMs);
+
+    for (let i = 0; i < stale.length; i += batchSize) {
+      const batch = stale.slice(i, i + batchSize);
+      const linksets = await pubmed.elink(batch);
+      repository.saveArticleLinks(parseLinkSets(linksets, batch), now);
+    }
+    return stale.length;
+  }
+
+  return { ttlMs, ensureLinks };
+}
+
+// Shape the citation network of a search (from repository.getCitationNetwork)
+// for API responses. Nodes are ordered by how often they are cited within
+// the network, most cited first.
+export function buildNetwork({ nodes, citations, similar }) {
+  const citedInNetwork = new Map();
+  for (const edge of citations) {
+    citedInNetwork.set(edge.cited_pmid, (citedInNetwork.get(edge.cited_pmid) || 0) + 1);
+  }
+
+  const formattedNodes = nodes
+    .map(node => ({
+      id: node.pmid,
+      title: node.title ?? null,
+      year: node.publication_year ?? null,
+      inSearch: node.in_search,
+      companies: node.companies,
+      industry: node.companies.length > 0,
+      citedByCount: node.cited_by_count ?? null,
+      citedByInNetwork: citedInNetwork.get(node.pmid) || 0
+    }))
+    .sort((a, b) => b.citedByInNetwork - a.citedByInNetwork || Number(a.id) - Number(b.id));
+
+  const edges = [
+    ...citations.map(edge => ({ source: edge.citing_pmid, target: edge.cited_pmid, type: 'cites' })),
+    ...similar.map(edge => ({ source: edge.pmid, target: edge.similar_pmid, type: 'similar', rank: edge.rank }))
+  ];
+
+  return { nodes: formattedNodes, edges };
+}
+
+// GraphML attributes of nodes and edges: key, attribute name, type
+const GRAPHML_NODE_KEYS = [
+  ['title', 'title', 'string'],
+  ['year', 'year', 'int'],
+  ['inSearch', 'inSearch', 'boolean'],
+  ['companies', 'companies', 'string'],
+  ['industry', 'industry', 'boolean'],
+  ['citedByCount', 'citedByCount', 'int'],
+  ['citedByInNetwork', 'citedByInNetwork', 'int']
+];
+const GRAPHML_EDGE_KEYS = [
+  ['type', 'type', 'string'],
+  ['rank', 'rank', 'int']
+];
+
+// Write a network from buildNetwork() as a GraphML document, for Gephi,
+// Cytoscape or yEd. Companies are joined with '; '.
+export function toGraphML(network, { graphId = 'citations' } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  for (const [id, name, type] of GRAPHML_NODE_KEYS) {
+    lines.push(`  <key id="${id}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  for (const [id, name, type] of GRAPHML_EDGE_KEYS) {
+    lines.push(`  <key id="${id}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+  }
+  lines.push(`  <graph id="${xmlEscape(graphId)}" edgedefault="directed">`);
+
+  for (const node of network.nodes) {
+    lines.push(`    <node id="${xmlEscape(node.id)}">`);
+    for (const [key] of GRAPHML_NODE_KEYS) {
+      const value = key === 'companies' ? node.companies.join('; ') : node[key];
+      if (value !== null && value !== undefined && value !== '') {
+        lines.push(`      <data key="${key}">${xmlEscape(value)}</data>`);
+      }
+    }
+    lines.push('    </node>');
+  }
+
+  for (const edge of network.edges) {
+    lines.push(`    <edge source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">`);
+    for (const [key] of GRAPHML_EDGE_KEYS) {
+      if (edge[key] !== undefined) {
+        lines.push(`      <data key="${key}">${xmlEscape(edge[key])}</data>`);
+      }
+    }
+    lines.push('    </edge>');
+  }
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
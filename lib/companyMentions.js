@@ -0,0 +1,168 @@
+import { DEFAULT_RULES } from './affiliationClassifier.js';
+import { DEFAULT_COMPANY_ALIASES, extractOrganizationName, normalizeCompanyKey } from './companyResolver.js';
+
+// Company mentions in grant agencies, funding statements and conflict of
+// interest (COI) statements, so industry ties show up even when no author
+// has a company affiliation.
+//
+// Known companies are found by name: the aliases in
+// config/company-aliases.json, reported under their company's name, and
+// the classifier's company.names. Names in capitals (GSK, MSD) must match
+// case. Other companies are found as capitalized names ending in a legal
+// form or an industry word ("Acme Therapeutics", "Foo Labs Inc.").
+//
+// Denials are dropped before matching, from "no", "none", "nothing" or
+// "nor" to the end of the clause, so "The authors declare no competing
+// interests with Roche" finds nothing while "A.B. received fees from Pfizer
+// and has no other ties" still finds Pfizer. Names used for foundations,
+// endowed chairs and fellowships ("Novo Nordisk Foundation", "Pfizer
+// Professor") and names after an initial ("J. Janssen", an author) are
+// skipped.
+
+// Where a tie was found, in the order ties are reported
+export const TIE_SOURCES = ['affiliation', 'grant', 'funding', 'coi'];
+
+const DENIAL_PATTERN = /(?<![\p{L}\p{N}])(no|none|nothing|nor)(?![\p{L}\p{N}])(?!\s+other\b)[^,;:.]*/giu;
+
+const NON_COMPANY_FOLLOWER = /^[\s'’s]*(foundation|fonden|stiftung|fund|professor|professorship|chair|fellow|fellowship|scholar|university|institute|college|school|hospital|association|society)\b/i;
+
+const PERSON_INITIAL = /(^|[^\p{L}])\p{Lu}\.?\s*$/u;
+
+const CORPORATE_FORMS = [
+  'Inc\\.?', 'Incorporated', 'Ltd\\.?', 'Limited', 'LLC', 'GmbH', 'AG', 'KGaA', 'plc', 'PLC', 'Corp\\.?',
+  'Corporation', 'S\\.A\\.', 'K\\.K\\.', 'B\\.V\\.', 'N\\.V\\.', 'S\\.p\\.A\\.', 'A/S', 'Pharmaceuticals?',
+  'Pharma', 'Biopharma(?:ceuticals)?', 'Therapeutics', 'Biosciences', 'Biotech(?:nology)?', 'Biologics',
+  'Diagnostics'
+];
+
+const CORPORATE_NAME_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}])((?:\\p{Lu}[\\p{L}\\p{N}'-]*)(?:\\s+(?:\\p{Lu}[\\p{L}\\p{N}'-]*|&))*?),?\\s+(${CORPORATE_FORMS.join('|')})(?![\\p{L}\\p{N}])`,
+  'gu'
+);
+
+// Capitalized names ending in an industry word that are not companies
+const NON_COMPANY_NAME = /\b(University|Institute|Hospital|College|School|Foundation|Council|Society|Association|Ministry|Agency|Trust|Fund|Center|Centre)\b/;
+
+// Sentence openers picked up as part of a capitalized name
+const LEADING_WORDS = /^((The|This|From|By|And|Funded|Supported|Funding|Support)\s+)+/;
+
+// Create a detector over known companies ([{ name, aliases }]) and extra
+// company names (the classifier's company.names). findMentions(text)
+// returns [{ company, sentence }], one per company.
+export function createCompanyMentionDetector({
+  companies = DEFAULT_COMPANY_ALIASES,
+  names = DEFAULT_RULES.company.names
+} = {}) {
+  const known = new Map();
+  for (const company of companies) {
+    for (const alias of [company.name, ...company.aliases]) {
+      known.set(alias, company.name);
+    }
+  }
+  const knownKeys = new Set([...known.keys()].map(normalizeCompanyKey));
+  for (const name of names) {
+    if (!knownKeys.has(normalizeCompanyKey(name))) {
+      known.set(name, name);
+    }
+  }
+
+  // Longest names first, so "Merck Sharp & Dohme" wins over "Merck"
+  const matchers = [...known]
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([alias, company]) => ({ company, pattern: buildPattern(alias) }));
+
+  function findMentions(text) {
+    const mentions = new Map();
+    for (const sentence of splitSentences(text)) {
+      const clean = sentence.replace(DENIAL_PATTERN, match => ' '.repeat(match.length));
+      const taken = [];
+      const overlaps = (start, end) => taken.some(range => start < range.end && end > range.start);
+
+      for (const { company, pattern } of matchers) {
+        for (const match of clean.matchAll(pattern)) {
+          const start = match.index;
+          const end = start + match[0].length;
+          if (overlaps(start, end) || isNonCompanyUse(clean, start, end)) continue;
+          taken.push({ start, end });
+          if (!mentions.has(company)) mentions.set(company, { company, sentence });
+        }
+      }
+
+      for (const match of clean.matchAll(CORPORATE_NAME_PATTERN)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const name = match[0].replace(LEADING_WORDS, '').replace(/,(?=\s)/, '').trim();
+        if (overlaps(start, end) || NON_COMPANY_NAME.test(name) || isNonCompanyUse(clean, start, end)) continue;
+        if (name === match[2]) continue;
+        taken.push({ start, end });
+        if (!mentions.has(name)) mentions.set(name, { company: name, sentence });
+      }
+    }
+    return [...mentions.values()];
+  }
+
+  return { findMentions };
+}
+
+// Industry ties of an article record: its authors' company affiliations
+// (as found by the classifier), its grants and, when its PMC full text was
+// fetched, the funding and competing interests sections there. Returns
+// { hasIndustryTies, ties: [{ source, company, text }] } with one tie per
+// source and company.
+export function findIndustryTies(detector, article, companyAffiliations = []) {
+  const ties = new Map();
+  const add = (source, company, text) => {
+    const key = `${source}\u0000${normalizeCompanyKey(company)}`;
+    if (company && !ties.has(key)) ties.set(key, { source, company, text });
+  };
+  const addMentions = (source, text) => {
+    for (const mention of detector.findMentions(text)) {
+      add(source, mention.company, mention.sentence);
+    }
+  };
+  const fullText = article.fullText || {};
+
+  for (const affiliation of companyAffiliations) {
+    const [mention] = detector.findMentions(affiliation);
+    add('affiliation', mention ? mention.company : extractOrganizationName(affiliation), affiliation);
+  }
+  for (const grant of article.grants || []) {
+    addMentions('grant', grant.agency);
+  }
+  for (const statement of fullText.fundingStatements || []) {
+    addMentions('funding', statement);
+  }
+  for (const award of fullText.awards || []) {
+    addMentions('funding', award.agency);
+  }
+  for (const statement of [article.coiStatement, ...(fullText.competingInterests || [])]) {
+    addMentions('coi', statement);
+  }
+
+  return { hasIndustryTies: ties.size > 0, ties: [...ties.values()] };
+}
+
+// Split a statement into sentences (and semicolon-separated clauses), so a
+// denial in one doesn't hide a tie in the next. A period only ends a
+// sentence when a capital or an opening bracket follows and it doesn't end
+// an initial, which keeps "Pfizer Inc. and" or "J. Janssen" in one piece.
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])(?<!(?:^|[\s.(])\p{Lu}\.)\s+(?=[\p{Lu}(["])|;\s*/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// A name used for a foundation, a chair or a fellowship, or an author's
+// surname after an initial
+function isNonCompanyUse(text, start, end) {
+  return NON_COMPANY_FOLLOWER.test(text.slice(end)) || PERSON_INITIAL.test(text.slice(0, start));
+}
+
+// Match a name as a whole word or phrase. Names written in capitals must
+// match case, so "msd" in running text doesn't count.
+function buildPattern(value) {
+  const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const caseSensitive = value === value.toUpperCase();
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu');
+}
@@ -0,0 +1,165 @@
+import { readFileSync } from 'fs';
+import { stripEmails } from './authorEmails.js';
+
+// Company entity resolution.
+//
+// Raw company affiliations come in many forms for the same company:
+// "Pfizer Inc., Groton, CT, USA", "Pfizer Worldwide R&D, Cambridge, MA".
+// Resolution takes the organization out of each affiliation string
+// (dropping departments and address parts), normalizes it into a key
+// ("pfizer", "pfizer worldwide r and d") and looks the key up in the
+// company_aliases table. A key matches an alias when it equals the alias or
+// starts with it as whole words, so every "Pfizer ..." variant lands on
+// the Pfizer entity. Organizations with no matching alias become new
+// companies, with their own key as their first alias.
+
+const DEFAULT_ALIASES_PATH = new URL('../config/company-aliases.json', import.meta.url);
+
+// Companies seeded into an empty database: [{ name, aliases: [...] }]
+export const DEFAULT_COMPANY_ALIASES = JSON.parse(readFileSync(DEFAULT_ALIASES_PATH, 'utf8'));
+
+// Legal-form words dropped from the end of a normalized name, along with
+// the "and" left over from names like "Merck & Co."
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'lp', 'gmbh', 'ag', 'kgaa', 'plc', 'corp',
+  'corporation', 'co', 'company', 'sa', 'sas', 'spa', 'srl', 'kk', 'bv', 'nv', 'se', 'ab', 'as', 'oy',
+  'pty', 'and'
+]);
+
+// Segments that name a department or sub-unit rather than the organization
+const SUB_UNIT_PATTERN = /^(the\s+)?(dept\.?|department|division|unit|section|group|team|program|programme|office|laboratory of|lab of|faculty|chair)\b/i;
+
+// Segments that are part of an address
+const ADDRESS_PATTERNS = [
+  /\d{3,}/,
+  /^\d/,
+  /^[A-Z]{2}$/,
+  /\b(street|st\.|road|rd\.|avenue|ave\.?|drive|boulevard|blvd|lane|way|plaza|floor|suite|building|campus|p\.?\s?o\.? box|straße|strasse|rue|via)\b/i,
+  /^(usa|u\.s\.a\.?|united states( of america)?|uk|u\.k\.|united kingdom|england|scotland|germany|france|switzerland|italy|spain|belgium|netherlands|the netherlands|denmark|sweden|norway|finland|austria|ireland|japan|china|korea|south korea|india|canada|australia|brazil|israel|singapore)$/i
+];
+
+// A segment that is only a legal form ("Inc.", "Ltd") belongs to the segment before it
+const LEGAL_FORM_SEGMENT = /^(inc|incorporated|ltd|limited|llc|gmbh|ag|plc|corp|co|s\.?a|k\.?k|b\.?v|n\.?v|s\.?p\.?a)\.?$/i;
+
+// Organization names usually carry a legal form or an industry word
+const ORGANIZATION_HINT = /\b(inc|ltd|llc|gmbh|ag|kgaa|plc|corp|corporation|company|s\.a|k\.k|b\.v|n\.v|pharma\w*|biopharma\w*|therapeutics|biosciences|biotech\w*|biologics|diagnostics)\b/i;
+
+// Take the organization name out of an affiliation string.
+// Returns an empty string when nothing is left after cleaning.
+export function extractOrganizationName(affiliation) {
+  const segments = [];
+  for (const raw of stripEmails(affiliation).split(/[,;]/)) {
+    const segment = raw.trim().replace(/\.$/, '');
+    if (!segment) continue;
+    if (LEGAL_FORM_SEGMENT.test(segment) && segments.length > 0) {
+      segments[segments.length - 1] += ` ${segment}`;
+      continue;
+    }
+    segments.push(segment);
+  }
+
+  const candidates = segments.filter(segment =>
+    !SUB_UNIT_PATTERN.test(segment) && !ADDRESS_PATTERNS.some(pattern => pattern.test(segment))
+  );
+
+  return candidates.find(segment => ORGANIZATION_HINT.test(segment)) || candidates[0] || '';
+}
+
+// Normalize an organization name into the key used for alias lookups
+export function normalizeCompanyKey(name) {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // "S.A." and "K.K." become "sa" and "kk"
+    .replace(/\b(\p{L})\.(?=\p{L}\b)/gu, '$1')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  while (words.length > 1 && words[0] === 'the') {
+    words.shift();
+  }
+  return words.join(' ');
+}
+
+// Create a resolver over alias rows ({ alias, company_id }).
+// resolve(affiliation) returns { organization, key, companyId }, with a
+// null companyId when no alias matches.
+export function createCompanyResolver(aliasRows = []) {
+  const aliases = new Map();
+  for (const row of aliasRows) {
+    aliases.set(row.alias, row.company_id);
+  }
+
+  function lookup(key) {
+    if (aliases.has(key)) {
+      return aliases.get(key);
+    }
+    // Longest alias that the key starts with, as whole words
+    let best = null;
+    for (const [alias, companyId] of aliases) {
+      if (key.startsWith(`${alias} `) && (!best || alias.length > best.alias.length)) {
+        best = { alias, companyId };
+      }
+    }
+    return best ? best.companyId : null;
+  }
+
+  function resolve(affiliation) {
+    const organization = extractOrganizationName(affiliation);
+    const key = normalizeCompanyKey(organization);
+    return { organization, key, companyId: key ? lookup(key) : null };
+  }
+
+  return {
+    resolve,
+    addAlias: (alias, companyId) => aliases.set(alias, companyId)
+  };
+}
+
+// Link stored affiliations ({ id, text }) to company entities. Affiliations
+// the classifier doesn't call a company are recorded without one, so they
+// are not checked again. New organizations become new companies.
+export function assignCompanies(repository, classifier, affiliations) {
+  const resolver = createCompanyResolver(repository.getCompanyAliases());
+
+  repository.db.transaction(() => {
+    for (const affiliation of affiliations) {
+      const text = stripEmails(affiliation.text);
+      if (!text || !classifier.isCompany(text)) {
+        repository.setAffiliationCompany(affiliation.id, null, null);
+        continue;
+      }
+
+      let { organization, key, companyId } = resolver.resolve(text);
+      if (!key) {
+        repository.setAffiliationCompany(affiliation.id, null, null);
+        continue;
+      }
+      if (!companyId) {
+        companyId = repository.createCompany(organization, [key]);
+        resolver.addAlias(key, companyId);
+      }
+      repository.setAffiliationCompany(affiliation.id, companyId, organization);
+    }
+  })();
+}
+
+// Seed an empty companies table with the default companies and aliases
+export function seedDefaultCompanies(repository, companies = DEFAULT_COMPANY_ALIASES) {
+  if (repository.countCompanies() > 0) {
+    return 0;
+  }
+  repository.db.transaction(() => {
+    for (const company of companies) {
+      repository.createCompany(company.name, company.aliases.map(normalizeCompanyKey));
+    }
+  })();
+  return companies.length;
+}
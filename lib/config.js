@@ -0,0 +1,257 @@
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { DEFAULT_EUTILS_URL } from './pubmedClient.js';
+import { DEFAULT_ARTICLE_TTL_MS } from './articleCache.js';
+import { DEFAULT_CITATION_TTL_MS } from './citations.js';
+import { LOG_LEVELS } from './logger.js';
+
+// Server configuration.
+//
+// Every setting can come from an environment variable or from the config
+// file named by CONFIG_FILE (JSON or YAML, nested like the config object:
+// { "port": 8081, "ncbi": { "email": "me@example.org" } }). Environment
+// variables win over the file, and the file wins over the defaults. A .env
+// file is loaded into the environment by index.js before this runs.
+
+// name: path in the config object
+// env: environment variable
+// type: int, boolean, string, url, email, path or list (comma-separated in env)
+// values: allowed values of a string setting
+// secret: never shown by /api/config
+export const SETTINGS = [
+  { name: 'port', env: 'PORT', type: 'int', min: 1, max: 65535, default: 8081 },
+  {
+    name: 'trustProxy',
+    env: 'TRUST_PROXY',
+    type: 'string',
+    pattern: /^(true|false|\d+|[\w.:/-]+(\s*,\s*[\w.:/-]+)*)$/,
+    patternHint: 'must be true, false, a number of proxies or a comma-separated list of proxy addresses',
+    default: 'false'
+  },
+  { name: 'log.level', env: 'LOG_LEVEL', type: 'string', values: LOG_LEVELS, default: 'info' },
+  { name: 'db.path', env: 'DB_PATH', type: 'path', default: 'pubmed.db' },
+  { name: 'db.verbose', env: 'DB_VERBOSE', type: 'boolean', default: false },
+  { name: 'ncbi.apiKey', env: 'NCBI_API_KEY', type: 'string', secret: true },
+  { name: 'ncbi.tool', env: 'NCBI_TOOL', type: 'string', pattern: /^\S+$/, patternHint: 'must not contain spaces', default: 'pubmed-explorer' },
+  { name: 'ncbi.email', env: 'NCBI_EMAIL', type: 'email' },
+  { name: 'ncbi.baseUrl', env: 'EUTILS_BASE_URL', type: 'url', default: DEFAULT_EUTILS_URL },
+  { name: 'ncbi.batchSize', env: 'EFETCH_BATCH_SIZE', type: 'int', min: 1, max: 10000, default: 200 },
+  { name: 'search.defaultPageSize', env: 'SEARCH_DEFAULT_PAGE_SIZE', type: 'int', min: 1, max: 10000, default: 10 },
+  { name: 'search.maxPageSize', env: 'SEARCH_MAX_PAGE_SIZE', type: 'int', min: 1, max: 10000, default: 100 },
+  { name: 'cors.origins', env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+  { name: 'articleCache.ttlSeconds', env: 'ARTICLE_CACHE_TTL', type: 'int', min: 0, default: DEFAULT_ARTICLE_TTL_MS / 1000 },
+  { name: 'fullText.enabled', env: 'PMC_FULL_TEXT', type: 'boolean', default: false },
+  { name: 'offline.enabled', env: 'OFFLINE_MODE', type: 'boolean', default: false },
+  { name: 'citations.ttlSeconds', env: 'CITATION_TTL', type: 'int', min: 0, default: DEFAULT_CITATION_TTL_MS / 1000 },
+  { name: 'affiliationRules.file', env: 'AFFILIATION_RULES_FILE', type: 'path', mustExist: true },
+  { name: 'affiliationRules.ruleSet', env: 'AFFILIATION_RULE_SET', type: 'string', default: 'default' },
+  { name: 'savedSearches.pollSeconds', env: 'SAVED_SEARCH_POLL_SECONDS', type: 'int', min: 0, default: 60 },
+  { name: 'savedSearches.webhookUrl', env: 'SAVED_SEARCH_WEBHOOK_URL', type: 'url', secret: true },
+  { name: 'jobs.pollSeconds', env: 'JOB_POLL_SECONDS', type: 'int', min: 1, default: 5 },
+  { name: 'auth.required', env: 'AUTH_REQUIRED', type: 'boolean', default: true },
+  { name: 'auth.adminKey', env: 'ADMIN_API_KEY', type: 'string', secret: true },
+  { name: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'string', secret: true },
+  { name: 'auth.rateLimitPerMinute', env: 'RATE_LIMIT_PER_MINUTE', type: 'int', min: 0, default: 60 },
+  { name: 'auth.dailyQuota', env: 'DAILY_QUOTA', type: 'int', min: 0, default: 1000 }
+];
+
+const REDACTED = '[redacted]';
+
+// Thrown by loadConfig with every problem found, not just the first
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Build the config from the environment and the optional config file.
+// Relative paths are resolved against baseDir. Returns { config, sources },
+// where sources maps each setting name to 'env', 'file' or 'default'.
+// Throws a ConfigError listing every invalid value.
+export function loadConfig({ env = process.env, baseDir = process.cwd() } = {}) {
+  const problems = [];
+  const config = {};
+  const sources = {};
+
+  let fileValues = {};
+  if (env.CONFIG_FILE) {
+    try {
+      fileValues = readConfigFile(path.resolve(baseDir, env.CONFIG_FILE)) || {};
+      if (typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+        throw new Error('expected an object at the top level');
+      }
+    } catch (err) {
+      throw new ConfigError([`CONFIG_FILE ${env.CONFIG_FILE}: ${err.message}`]);
+    }
+    for (const name of flattenKeys(fileValues)) {
+      if (!SETTINGS.some(setting => setting.name === name)) {
+        problems.push(`Unknown setting "${name}" in ${env.CONFIG_FILE}`);
+      }
+    }
+  }
+
+  for (const setting of SETTINGS) {
+    let raw;
+    let label;
+    let source;
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      label = setting.env;
+      source = 'env';
+    } else if (getPath(fileValues, setting.name) !== undefined) {
+      raw = getPath(fileValues, setting.name);
+      label = `${setting.name} in ${env.CONFIG_FILE}`;
+      source = 'file';
+    } else {
+      raw = setting.default;
+      source = 'default';
+    }
+
+    if (raw === undefined || raw === null) {
+      setPath(config, setting.name, null);
+      sources[setting.name] = source;
+      continue;
+    }
+
+    const { value, error } = parseValue(setting, raw, baseDir);
+    if (error) {
+      problems.push(`${label || setting.name} ${error} (got ${JSON.stringify(raw)})`);
+      continue;
+    }
+    setPath(config, setting.name, value);
+    sources[setting.name] = source;
+  }
+
+  if (problems.length === 0 && config.search.defaultPageSize > config.search.maxPageSize) {
+    problems.push('SEARCH_DEFAULT_PAGE_SIZE must not be larger than SEARCH_MAX_PAGE_SIZE');
+  }
+  // Without either, nobody could get credentials to issue the first API keys
+  if (problems.length === 0 && config.auth.required && !config.auth.adminKey && !config.auth.jwtSecret) {
+    problems.push('AUTH_REQUIRED is on, so ADMIN_API_KEY or JWT_SECRET must be set (or set AUTH_REQUIRED=false)');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return { config, sources };
+}
+
+function readConfigFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return YAML.parse(content);
+  }
+  return JSON.parse(content);
+}
+
+// Convert one raw value to its setting's type. Returns { value } or { error }.
+function parseValue(setting, raw, baseDir) {
+  switch (setting.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) {
+        return { error: 'must be an integer' };
+      }
+      if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+        return { error: setting.max !== undefined
+          ? `must be between ${setting.min} and ${setting.max}`
+          : `must be at least ${setting.min}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'url': {
+      const text = String(raw).trim();
+      try {
+        const url = new URL(text);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          return { value: text };
+        }
+      } catch {
+        // Reported below
+      }
+      return { error: 'must be an http or https URL' };
+    }
+    case 'email': {
+      const text = String(raw).trim();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { value: text } : { error: 'must be an email address' };
+    }
+    case 'path': {
+      if (typeof raw !== 'string' || raw.trim() === '') {
+        return { error: 'must be a file path' };
+      }
+      const text = raw.trim();
+      // SQLite's in-memory database isn't a file
+      const value = text === ':memory:' ? text : path.resolve(baseDir, text);
+      if (setting.mustExist && !existsSync(value)) {
+        return { error: `file ${value} does not exist` };
+      }
+      return { value };
+    }
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      const value = items.map(item => item.trim()).filter(Boolean);
+      const invalid = value.filter(origin => origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin));
+      if (value.length === 0 || invalid.length > 0) {
+        return { error: 'must be * or a comma-separated list of origins like https://example.org' };
+      }
+      return { value };
+    }
+    default: {
+      const text = String(raw).trim();
+      if (setting.values && !setting.values.includes(text)) {
+        return { error: `must be one of: ${setting.values.join(', ')}` };
+      }
+      if (setting.pattern && !setting.pattern.test(text)) {
+        return { error: setting.patternHint };
+      }
+      return { value: text };
+    }
+  }
+}
+
+// The config with secrets replaced, for /api/config
+export function redactConfig(config) {
+  const copy = structuredClone(config);
+  for (const setting of SETTINGS) {
+    if (setting.secret && getPath(copy, setting.name)) {
+      setPath(copy, setting.name, REDACTED);
+    }
+  }
+  return copy;
+}
+
+function getPath(object, name) {
+  return name.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), object);
+}
+
+function setPath(object, name, value) {
+  const keys = name.split('.');
+  const last = keys.pop();
+  let node = object;
+  for (const key of keys) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+// Dotted names of the leaf values of a config file object
+function flattenKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value) ? flattenKeys(value, name) : [name];
+  });
+}
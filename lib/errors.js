@@ -0,0 +1,168 @@
+import { logger } from './logger.js';
+
+// Error types and the Express error middleware.
+//
+// Routes throw (or pass to next) one of the AppError subclasses below; the
+// error middleware turns it into a response with the error's status and a
+// body of
+//
+//   { "error": "Search not found", "code": "not_found", "details": ..., "requestId": "..." }
+//
+// `code` is stable and machine-readable; `error` is a message for people.
+// Any other error becomes a 500 "internal_error" without its message, so
+// internals don't leak to clients.
+
+export class AppError extends Error {
+  // Options: status, code, details (JSON-serializable), cause
+  constructor(message, { status = 500, code = 'internal_error', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// Invalid request body, query string or path parameter.
+// details: [{ location, field, message }]
+export class ValidationError extends AppError {
+  constructor(message, details, { code = 'validation_error' } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// No credentials, or credentials that are invalid, expired or revoked
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, { status: 401, code: 'unauthorized' });
+  }
+}
+
+// Valid credentials without permission for the request
+export class ForbiddenError extends AppError {
+  constructor(message = 'Admin access required') {
+    super(message, { status: 403, code: 'forbidden' });
+  }
+}
+
+// Too many requests for a key's per-minute limit ('rate_limited') or its
+// daily quota ('quota_exceeded'). Sent with a Retry-After header.
+export class RateLimitError extends AppError {
+  constructor(message, { code = 'rate_limited', limit, retryAfterSeconds }) {
+    super(message, { status: 429, code, details: { limit, retryAfterSeconds } });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// A resource that doesn't exist, e.g. new NotFoundError('Search')
+export class NotFoundError extends AppError {
+  constructor(resource, { code = 'not_found' } = {}) {
+    super(`${resource} not found`, { status: 404, code });
+  }
+}
+
+// The request is valid but conflicts with the resource's current state
+export class ConflictError extends AppError {
+  constructor(message) {
+    super(message, { status: 409, code: 'conflict' });
+  }
+}
+
+// The SQLite database could not be opened, so stored data can't be served
+export class DatabaseUnavailableError extends AppError {
+  constructor() {
+    super('Database is not available', { status: 503, code: 'database_unavailable' });
+  }
+}
+
+// A database query failed. The cause is logged, not sent to clients.
+export class DatabaseError extends AppError {
+  constructor(cause) {
+    super('Database query failed', { status: 500, code: 'database_error', cause });
+  }
+}
+
+// NCBI E-utilities answered with an error or an unusable response, or could
+// not be reached. details: { endpoint, upstreamStatus }
+export class UpstreamError extends AppError {
+  constructor(message, { endpoint, upstreamStatus, cause, status = 502, code = 'upstream_error' } = {}) {
+    super(message, { status, code, cause, details: { endpoint, upstreamStatus: upstreamStatus ?? null } });
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// NCBI E-utilities did not answer in time
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(message, { endpoint, cause } = {}) {
+    super(message, { endpoint, cause, status: 504, code: 'upstream_timeout' });
+  }
+}
+
+// The server runs with OFFLINE_MODE and does not call E-utilities.
+// details: { endpoint }
+export class OfflineModeError extends AppError {
+  constructor(endpoint) {
+    super(`PubMed ${endpoint} is not available in offline mode`, {
+      status: 503,
+      code: 'offline_mode',
+      details: { endpoint }
+    });
+  }
+}
+
+// Wrap an async route handler so rejected promises reach the error middleware
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// Final middleware for requests no route matched
+export function notFoundHandler(req, res, next) {
+  // originalUrl keeps the mount path that req.path drops under app.use('/api', ...)
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'route_not_found' }));
+}
+
+// Turn an error from any route into the JSON error response
+export function errorHandler({ log = logger } = {}) {
+  // Express recognizes error middleware by its four parameters
+  return (err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) {
+      log.error('Error handling request', { method: req.method, path: req.path, err });
+    }
+
+    // A streamed response (export, SSE) can only be cut short
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    if (error.retryAfterSeconds !== undefined) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+    }
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.details !== undefined ? { details: error.details } : {}),
+      ...(req.id ? { requestId: req.id } : {})
+    });
+  };
+}
+
+// Map errors thrown by Express itself (body parsing) and unknown errors
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err && err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', undefined, { code: 'invalid_json' });
+  }
+  if (err && err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'payload_too_large' });
+  }
+  return new AppError('Internal server error');
+}
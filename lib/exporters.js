@@ -0,0 +1,203 @@
+// Export writers for stored search results.
+// Each writer turns rows of the `results` table into text one row at a time,
+// so routes can stream large result sets without building one big string.
+
+// Columns that can be exported, keyed by the name used in ?columns=
+export const EXPORT_COLUMNS = {
+  pubmedId: { header: 'PubmedID', value: row => row.pubmed_id },
+  title: { header: 'Title', value: row => row.title },
+  publicationDate: { header: 'Publication Date', value: row => row.publication_date },
+  nonAcademicAuthors: { header: 'Non-academic Author(s)', value: row => parseList(row.non_academic_authors) },
+  companyAffiliations: { header: 'Company Affiliation(s)', value: row => parseList(row.company_affiliations) },
+  correspondingAuthorEmail: { header: 'Corresponding Author Email', value: row => row.corresponding_author_email || '' },
+  authorEmails: {
+    header: 'Author Emails',
+    value: row => parseList(row.author_emails).map(entry => `${entry.author} <${entry.email}>`)
+  },
+  hasIndustryTies: {
+    header: 'Industry Ties',
+    value: row => (row.has_industry_ties === null || row.has_industry_ties === undefined ? '' : row.has_industry_ties ? 'yes' : 'no')
+  },
+  industryTies: {
+    header: 'Industry Tie Sources',
+    value: row => parseList(row.industry_ties).map(tie => `${tie.company} (${tie.source})`)
+  },
+  url: { header: 'URL', value: row => `https://pubmed.ncbi.nlm.nih.gov/${row.pubmed_id}/` },
+  page: { header: 'Page', value: row => row.page },
+  position: { header: 'Position', value: row => row.position }
+};
+
+// The layout the pharma team's spreadsheets expect
+export const DEFAULT_EXPORT_COLUMNS = [
+  'pubmedId',
+  'title',
+  'publicationDate',
+  'nonAcademicAuthors',
+  'companyAffiliations',
+  'correspondingAuthorEmail'
+];
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Separator used for multi-valued columns in CSV and TSV cells
+const LIST_SEPARATOR = '; ';
+
+// Parse a comma-separated ?columns= value. Returns { columns } or { error }.
+export function parseExportColumns(value) {
+  if (!value) {
+    return { columns: DEFAULT_EXPORT_COLUMNS };
+  }
+  const columns = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = columns.filter(name => !EXPORT_COLUMNS[name]);
+  if (unknown.length > 0 || columns.length === 0) {
+    return { error: `Unknown export columns: ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+  return { columns };
+}
+
+// Create a writer for one export. Returns { contentType, extension,
+// header(), row(row), footer() } where each method returns a string.
+// Options: bom - prefix CSV output with a UTF-8 byte order mark for Excel
+export function createExporter(format, columns = DEFAULT_EXPORT_COLUMNS, { bom = true } = {}) {
+  const info = EXPORT_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const writers = {
+    csv: () => delimitedWriter(',', csvCell, bom ? '\uFEFF' : ''),
+    tsv: () => delimitedWriter('\t', tsvCell, ''),
+    ris: () => ({ header: () => '', row: risRecord, footer: () => '' }),
+    bibtex: () => ({ header: () => '', row: bibtexEntry, footer: () => '' }),
+    jsonl: () => ({ header: () => '', row: jsonLine, footer: () => '' })
+  };
+
+  function delimitedWriter(separator, formatCell, prefix) {
+    return {
+      header: () => prefix + columns.map(name => formatCell(EXPORT_COLUMNS[name].header)).join(separator) + '\r\n',
+      row: row => columns.map(name => formatCell(EXPORT_COLUMNS[name].value(row))).join(separator) + '\r\n',
+      footer: () => ''
+    };
+  }
+
+  function jsonLine(row) {
+    const record = {};
+    for (const name of columns) {
+      record[name] = EXPORT_COLUMNS[name].value(row);
+    }
+    return JSON.stringify(record) + '\n';
+  }
+
+  return { ...info, ...writers[format]() };
+}
+
+// Quote a CSV cell when needed
+function csvCell(value) {
+  const text = guardFormula(cellText(value));
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// TSV has no quoting, so tabs and line breaks become spaces
+function tsvCell(value) {
+  return guardFormula(cellText(value)).replace(/[\t\r\n]+/g, ' ');
+}
+
+// Prefix cells that a spreadsheet would read as a formula with an apostrophe
+function guardFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function cellText(value) {
+  if (Array.isArray(value)) {
+    return value.join(LIST_SEPARATOR);
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// RIS record for one result. Company affiliations go in AD and the
+// non-academic authors in a note, since stored rows don't keep the full byline.
+function risRecord(row) {
+  const lines = ['TY  - JOUR'];
+  const add = (tag, value) => {
+    if (value) lines.push(`${tag}  - ${String(value).replace(/\s+/g, ' ')}`);
+  };
+
+  add('TI', row.title);
+  const year = yearOf(row.publication_date);
+  add('PY', year);
+  add('DA', row.publication_date);
+  add('AN', row.pubmed_id);
+  add('DB', 'PubMed');
+  add('UR', `https://pubmed.ncbi.nlm.nih.gov/${row.pubmed_id}/`);
+  for (const affiliation of parseList(row.company_affiliations)) {
+    add('AD', affiliation);
+  }
+  const authors = parseList(row.non_academic_authors);
+  if (authors.length > 0) {
+    add('N1', `Non-academic authors: ${authors.join(LIST_SEPARATOR)}`);
+  }
+  add('N1', row.corresponding_author_email ? `Corresponding author email: ${row.corresponding_author_email}` : '');
+  lines.push('ER  - ');
+  return lines.join('\r\n') + '\r\n\r\n';
+}
+
+// BibTeX entry for one result, keyed by PMID
+function bibtexEntry(row) {
+  const fields = [
+    ['title', `{${bibtexEscape(row.title)}}`],
+    ['year', yearOf(row.publication_date)],
+    ['note', bibtexEscape(noteFor(row))],
+    ['pmid', row.pubmed_id],
+    ['url', `https://pubmed.ncbi.nlm.nih.gov/${row.pubmed_id}/`]
+  ].filter(([, value]) => value);
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+  return `@article{pmid${row.pubmed_id},\n${body}\n}\n\n`;
+}
+
+function noteFor(row) {
+  const parts = [];
+  const authors = parseList(row.non_academic_authors);
+  const companies = parseList(row.company_affiliations);
+  if (authors.length > 0) parts.push(`Non-academic authors: ${authors.join(LIST_SEPARATOR)}`);
+  if (companies.length > 0) parts.push(`Company affiliations: ${companies.join(LIST_SEPARATOR)}`);
+  if (row.corresponding_author_email) parts.push(`Corresponding author email: ${row.corresponding_author_email}`);
+  return parts.join('. ');
+}
+
+// Escape characters that are special in BibTeX/LaTeX
+function bibtexEscape(value) {
+  const replacements = {
+    '\\': '\\textbackslash{}',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}'
+  };
+  return String(value || '')
+    .replace(/[\\~^{}&%$#_]/g, char => replacements[char] || `\\${char}`)
+    .replace(/\s+/g, ' ');
+}
+
+function yearOf(date) {
+  const match = String(date || '').match(/\d{4}/);
+  return match ? match[0] : '';
+}
+
+// Multi-valued columns are stored as JSON arrays
+function parseList(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
@@ -0,0 +1,334 @@
+import { parseElements, child, children, textOf } from './pubmedParser.js';
+import { extractEmails, stripEmails } from './authorEmails.js';
+
+// PubMed Central full text.
+//
+// Funding, competing interests, complete affiliation blocks and
+// correspondence footnotes are often only in an article's full text. For
+// articles with a PMCID (from PubMed's ArticleIdList, or elink pubmed_pmc
+// when it has none) the JATS XML is fetched with efetch from the pmc
+// database and parsed into those details. PMC only returns the body of
+// open-access articles, but the front matter, where most of these details
+// live, usually comes with every article.
+//
+// The parsed details are stored per PMID through the repository, along
+// with lookups that found no PMCID, and fetched again after the TTL.
+// mergeFullTextAuthors() adds them to the PubMed authors before affiliation
+// classification and corresponding author detection.
+
+export const DEFAULT_FULL_TEXT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Full-text articles are large; fetch a few per request
+const EFETCH_BATCH_SIZE = 20;
+
+// PMIDs per elink request when looking up PMCIDs
+const ELINK_BATCH_SIZE = 100;
+
+// fn-type values and section titles of competing interest and funding notes
+const COI_FN_TYPES = ['conflict', 'coi-statement', 'competing-interests', 'financial-disclosure'];
+const FUNDING_FN_TYPES = ['supported-by', 'financial-support', 'funding'];
+const COI_TITLE_PATTERN = /competing interests?|conflicts? of interests?|declaration of interests?|disclosures?/i;
+const FUNDING_TITLE_PATTERN = /^\s*(funding|financial support|sources? of funding|role of the funding source)/i;
+
+// Leading "* Correspondence to:" style labels of correspondence footnotes
+const CORRESPONDENCE_LABEL_PATTERN = /^[\s*†‡§]*((address )?correspondence( to)?|corresponding authors?)\s*[:.]?/i;
+
+// All descendant elements with the given name, in document order
+function descendants(node, name) {
+  if (!node) return [];
+  const found = [];
+  for (const c of node.children) {
+    if (typeof c === 'string') continue;
+    if (c.name === name) found.push(c);
+    found.push(...descendants(c, name));
+  }
+  return found;
+}
+
+// Text of a node without its <label> and <title> children, e.g. the "1" of
+// an <aff> or the "Funding" heading of a section
+function textWithoutLabels(node) {
+  return textOf({ ...node, children: node.children.filter(c => typeof c === 'string' || !['label', 'title'].includes(c.name)) });
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// The PMCID of a record as "PMC123", or '' when it has none
+export function normalizePmcid(value) {
+  const match = String(value || '').match(/^(?:PMC)?(\d+)$/i);
+  return match ? `PMC${match[1]}` : '';
+}
+
+// Parse a pmc-articleset document into full-text records
+export function parseJatsArticleSet(xml) {
+  return parseElements(xml, 'article').map(parseJatsArticleNode);
+}
+
+// Turn one JATS <article> element into
+// { pmcid, pmid, openAccess, authors, affiliations, fundingStatements,
+//   awards, competingInterests, correspondingNotes, footnotes }
+export function parseJatsArticleNode(article) {
+  const front = child(article, 'front');
+  const meta = child(front, 'article-meta');
+  const back = child(article, 'back');
+
+  const articleIds = {};
+  for (const idNode of children(meta, 'article-id')) {
+    const type = idNode.attributes['pub-id-type'];
+    if (type && !articleIds[type]) {
+      articleIds[type] = textOf(idNode);
+    }
+  }
+
+  // Affiliations by id; ones without an id apply to every author without
+  // affiliation links
+  const affNodes = descendants(front, 'aff');
+  const affiliationsById = new Map();
+  for (const aff of affNodes) {
+    if (aff.attributes.id) {
+      affiliationsById.set(aff.attributes.id, textWithoutLabels(aff));
+    }
+  }
+  const sharedAffiliations = affNodes.filter(aff => !aff.attributes.id).map(textWithoutLabels);
+
+  const authorNotes = child(meta, 'author-notes');
+  const correspondingById = new Map();
+  for (const corresp of descendants(authorNotes, 'corresp')) {
+    correspondingById.set(corresp.attributes.id || '', textWithoutLabels(corresp));
+  }
+
+  const authors = descendants(meta, 'contrib')
+    .filter(contrib => (contrib.attributes['contrib-type'] || 'author') === 'author')
+    .map(contrib => {
+      const nameNode = child(contrib, 'name');
+      const surname = textOf(child(nameNode, 'surname'));
+      const givenNames = textOf(child(nameNode, 'given-names'));
+      const xrefs = children(contrib, 'xref');
+      const rids = type => xrefs
+        .filter(xref => xref.attributes['ref-type'] === type)
+        .flatMap(xref => (xref.attributes.rid || '').split(/\s+/));
+
+      const linked = rids('aff').map(rid => affiliationsById.get(rid));
+      const nested = children(contrib, 'aff').map(textWithoutLabels);
+      const affiliations = unique([...linked, ...nested]);
+      const correspondingNotes = unique(rids('corresp').map(rid => correspondingById.get(rid)));
+
+      return {
+        name: surname ? [givenNames, surname].filter(Boolean).join(' ') : textOf(child(contrib, 'collab')),
+        surname,
+        givenNames,
+        corresponding: contrib.attributes.corresp === 'yes' || correspondingNotes.length > 0,
+        emails: unique(descendants(contrib, 'email').map(textOf)),
+        affiliations: affiliations.length > 0 ? affiliations : sharedAffiliations,
+        correspondingNotes
+      };
+    });
+
+  // Footnotes of the author notes and the back matter, sorted by type
+  const competingInterests = [];
+  const fundingStatements = [];
+  const footnotes = [];
+  const notes = [...children(authorNotes, 'fn'), ...descendants(back, 'fn')];
+  for (const fn of notes) {
+    const type = (fn.attributes['fn-type'] || '').toLowerCase();
+    const text = textWithoutLabels(fn);
+    if (COI_FN_TYPES.includes(type)) {
+      competingInterests.push(text);
+    } else if (FUNDING_FN_TYPES.includes(type)) {
+      fundingStatements.push(text);
+    } else {
+      footnotes.push(text);
+    }
+  }
+
+  // Declarations written as back-matter sections or notes
+  for (const section of [...descendants(back, 'sec'), ...descendants(back, 'notes')]) {
+    const title = textOf(child(section, 'title'));
+    const type = (section.attributes['sec-type'] || section.attributes['notes-type'] || '').toLowerCase();
+    if (COI_FN_TYPES.includes(type) || COI_TITLE_PATTERN.test(title)) {
+      competingInterests.push(textWithoutLabels(section));
+    } else if (FUNDING_FN_TYPES.includes(type) || FUNDING_TITLE_PATTERN.test(title)) {
+      fundingStatements.push(textWithoutLabels(section));
+    }
+  }
+
+  const awards = [];
+  for (const fundingGroup of descendants(meta, 'funding-group')) {
+    for (const awardGroup of children(fundingGroup, 'award-group')) {
+      awards.push({
+        agency: unique(children(awardGroup, 'funding-source').map(textWithoutLabels)).join('; '),
+        awardIds: unique(children(awardGroup, 'award-id').map(textOf))
+      });
+    }
+    fundingStatements.push(...children(fundingGroup, 'funding-statement').map(textOf));
+  }
+
+  return {
+    pmcid: normalizePmcid(articleIds.pmc || articleIds.pmcid || articleIds['pmc-uid']),
+    pmid: articleIds.pmid || '',
+    openAccess: Boolean(child(article, 'body')),
+    authors,
+    affiliations: unique([...affiliationsById.values(), ...sharedAffiliations, ...authors.flatMap(a => a.affiliations)]),
+    fundingStatements: unique(fundingStatements),
+    awards,
+    competingInterests: unique(competingInterests),
+    correspondingNotes: unique([...correspondingById.values()]),
+    footnotes: unique(footnotes)
+  };
+}
+
+// Lower-cased letters and digits, for comparing names and affiliations
+function fold(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// The PubMed author a full-text author is: same last name and first initial
+function matchAuthor(authors, fullTextAuthor) {
+  const surname = fold(fullTextAuthor.surname);
+  const initial = fold(fullTextAuthor.givenNames).charAt(0);
+  if (!surname) return -1;
+  return authors.findIndex(author =>
+    fold(author.lastName) === surname && (!initial || fold(author.foreName || author.initials).charAt(0) === initial)
+  );
+}
+
+// PubMed authors with the affiliations and correspondence notes of the
+// matching full-text authors added. Affiliations PubMed already has (in
+// any spelling that folds to the same text) are not repeated.
+export function mergeFullTextAuthors(authors = [], fullText) {
+  if (!fullText) {
+    return authors;
+  }
+
+  const merged = authors.map(author => ({ ...author, affiliations: [...(author.affiliations || [])] }));
+  for (const fullTextAuthor of fullText.authors) {
+    const index = matchAuthor(merged, fullTextAuthor);
+    if (index === -1) continue;
+
+    const author = merged[index];
+    const known = author.affiliations.map(fold);
+    const additions = [...fullTextAuthor.affiliations, ...correspondenceEntries(fullTextAuthor)];
+    for (const addition of additions) {
+      const folded = fold(addition);
+      if (folded && !known.some(existing => existing && (existing.includes(folded) || folded.includes(existing)))) {
+        author.affiliations.push(addition);
+        known.push(folded);
+      }
+    }
+  }
+  return merged;
+}
+
+// Affiliation entries for a full-text author's correspondence details, in
+// the forms lib/authorEmails.js recognizes: notes with an address keep
+// their text and are marked as correspondence; bare email addresses of the
+// corresponding author use PubMed's "Electronic address:" convention
+function correspondenceEntries(fullTextAuthor) {
+  const entries = [];
+  for (const note of fullTextAuthor.correspondingNotes) {
+    if (stripEmails(note).replace(CORRESPONDENCE_LABEL_PATTERN, '').trim()) {
+      entries.push(/correspond/i.test(note) ? note : `Correspondence: ${note}`);
+    } else {
+      entries.push(...extractEmails(note).map(email => `Electronic address: ${email}`));
+    }
+  }
+  for (const email of fullTextAuthor.emails) {
+    entries.push(fullTextAuthor.corresponding ? `Electronic address: ${email}` : email);
+  }
+  return entries;
+}
+
+// Summary of a full-text record for API responses
+export function formatFullText(fullText) {
+  if (!fullText) {
+    return null;
+  }
+  return {
+    pmcid: fullText.pmcid,
+    openAccess: fullText.openAccess,
+    fundingStatements: fullText.fundingStatements,
+    awards: fullText.awards,
+    competingInterests: fullText.competingInterests,
+    affiliations: fullText.affiliations,
+    correspondingNotes: fullText.correspondingNotes,
+    footnotes: fullText.footnotes
+  };
+}
+
+// Options: repository, pubmed (client with elink and efetch), ttlMs - how
+// long a lookup stays fresh, clock
+export function createFullTextService({ repository, pubmed, ttlMs = DEFAULT_FULL_TEXT_TTL_MS, clock = Date.now }) {
+  // PMCIDs of PMIDs PubMed lists none for, through elink pubmed_pmc.
+  // Returns a Map of pmid -> PMCID.
+  async function lookUpPmcids(pmids) {
+    const pmcids = new Map();
+    for (let i = 0; i < pmids.length; i += ELINK_BATCH_SIZE) {
+      const linksets = await pubmed.elink(pmids.slice(i, i + ELINK_BATCH_SIZE), { db: 'pmc', linkName: 'pubmed_pmc' });
+      for (const linkset of linksets) {
+        const link = (linkset.linksetdbs || []).find(db => db.linkname === 'pubmed_pmc');
+        if (linkset.ids && link && link.links && link.links.length > 0) {
+          pmcids.set(String(linkset.ids[0]), normalizePmcid(link.links[0]));
+        }
+      }
+    }
+    return pmcids;
+  }
+
+  // Parsed JATS records of PMCIDs, as a Map of PMCID -> record
+  async function fetchJats(pmcids) {
+    const found = new Map();
+    for (let i = 0; i < pmcids.length; i += EFETCH_BATCH_SIZE) {
+      const ids = pmcids.slice(i, i + EFETCH_BATCH_SIZE).map(pmcid => pmcid.replace(/^PMC/, ''));
+      const xml = await pubmed.efetch({ db: 'pmc', ids });
+      for (const record of parseJatsArticleSet(xml)) {
+        if (record.pmcid) {
+          found.set(record.pmcid, record);
+        }
+      }
+    }
+    return found;
+  }
+
+  // Full text of parsed PubMed records, fetching what is missing or stale.
+  // The records must already be stored. Returns a Map of pmid -> full-text
+  // record, or null for articles without one in PMC.
+  async function getFullTexts(records, { refresh = false } = {}) {
+    const now = clock();
+    const stored = repository.getFullTexts(records.map(record => record.pmid));
+    const stale = records.filter(record => {
+      const row = stored.get(record.pmid);
+      return refresh || !row || now - row.fetched_at >= ttlMs;
+    });
+
+    if (stale.length > 0) {
+      const pmcids = new Map(stale.map(record => [record.pmid, normalizePmcid(record.pmcid)]));
+      const unknown = stale.map(record => record.pmid).filter(pmid => !pmcids.get(pmid));
+      if (unknown.length > 0) {
+        for (const [pmid, pmcid] of await lookUpPmcids(unknown)) {
+          pmcids.set(pmid, pmcid);
+        }
+      }
+
+      const jats = await fetchJats(unique([...pmcids.values()]));
+      const entries = stale.map(record => {
+        const pmcid = pmcids.get(record.pmid) || null;
+        return { pmid: record.pmid, pmcid, fullText: (pmcid && jats.get(pmcid)) || null };
+      });
+      repository.saveFullTexts(entries, now);
+      for (const entry of entries) {
+        stored.set(entry.pmid, { pmcid: entry.pmcid, fetched_at: now, data: entry.fullText });
+      }
+    }
+
+    return new Map(records.map(record => [record.pmid, (stored.get(record.pmid) || {}).data || null]));
+  }
+
+  return { ttlMs, getFullTexts };
+}
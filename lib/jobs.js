@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { parsePubmedArticleSet } from './pubmedParser.js';
+import { logger } from './logger.js';
+
+// Bulk search jobs.
+//
+// A job pages through a query too large for one /api/search request. It
+// runs esearch once with usehistory to keep the result set on the NCBI
+// history server, then fetches it batch by batch with efetch, saving each
+// batch as a page of the job's search as soon as it is processed. Progress
+// (next_retstart) is stored after every batch, so a job interrupted by a
+// restart, cancelled or failed picks up where it stopped when resumed.
+//
+// Offsets only mean something within one result set: a new esearch can
+// match more or fewer articles, in another order. A resumed job continues
+// in its stored result set while the history server still keeps it;
+// otherwise it starts again from the first record and says so in its
+// warning.
+//
+// Jobs run one at a time, oldest first.
+
+// Statuses a job doesn't leave on its own
+export const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const DEFAULT_BATCH_SIZE = 200;
+export const MAX_BATCH_SIZE = 500;
+
+// esearch and efetch can't page past the first 10,000 records of a query
+export const MAX_JOB_RESULTS = 10000;
+
+// NCBI drops history-server result sets after some hours without use; a
+// job only continues in one it used this recently
+export const WEB_ENV_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Shape a jobs row for API responses
+export function formatJob(row) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+  const total = row.total === null ? null : Math.min(row.total, row.max_results);
+  const processed = total === null ? 0 : Math.min(row.next_retstart, total);
+  return {
+    id: row.id,
+    searchId: row.search_id,
+    query: row.query,
+    status: row.status,
+    total,
+    processed,
+    progress: total ? processed / total : (row.status === 'completed' ? 1 : 0),
+    batchSize: row.batch_size,
+    maxResults: row.max_results,
+    cancelRequested: Boolean(row.cancel_requested),
+    error: row.error,
+    warning: row.warning,
+    createdAt: toIso(row.created_at),
+    startedAt: toIso(row.started_at),
+    updatedAt: toIso(row.updated_at),
+    finishedAt: toIso(row.finished_at),
+    resultsUrl: `/api/results/${row.search_id}`
+  };
+}
+
+// Create the job runner.
+// Options:
+//   repository     - database repository (see database.js)
+//   pubmed         - E-utilities client
+//   processRecords - async (parsed article records) => search results
+//   parse          - efetch XML parser, defaults to parsePubmedArticleSet
+//   pollMs         - how often to look for queued jobs
+//   webEnvMaxAgeMs - how long after its last use a result set is reused
+// The runner emits a 'job' event with the formatted job after every change.
+export function createJobRunner(options) {
+  const {
+    repository,
+    pubmed,
+    processRecords,
+    parse = xml => parsePubmedArticleSet(xml, { includeRaw: true }),
+    pollMs = 5000,
+    webEnvMaxAgeMs = WEB_ENV_MAX_AGE_MS
+  } = options;
+
+  const events = new EventEmitter();
+  // Each SSE client adds a listener
+  events.setMaxListeners(0);
+
+  let draining = null;
+  let timer = null;
+
+  function update(jobId, changes) {
+    repository.updateJob(jobId, changes);
+    const job = repository.getJob(jobId);
+    events.emit('job', formatJob(job));
+    return job;
+  }
+
+  // Run queued jobs until there are none left. Only one drain runs at a time.
+  function drain() {
+    if (!draining) {
+      draining = runQueuedJobs().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  async function runQueuedJobs() {
+    let job;
+    while ((job = repository.getNextQueuedJob())) {
+      await runJob(job);
+    }
+  }
+
+  async function runJob(queued) {
+    let job = update(queued.id, { status: 'running', startedAt: queued.started_at || Date.now(), error: null });
+
+    try {
+      const reusable = job.web_env && job.web_env_at !== null && Date.now() - job.web_env_at < webEnvMaxAgeMs;
+      if (!reusable) {
+        job = await openResultSet(job);
+      }
+
+      const count = job.total;
+      const total = Math.min(count, job.max_results);
+      let retstart = job.next_retstart;
+
+      while (retstart < total) {
+        if (repository.getJob(job.id).cancel_requested) {
+          update(job.id, { status: 'cancelled', cancelRequested: false, finishedAt: Date.now() });
+          return;
+        }
+
+        const retmax = Math.min(job.batch_size, total - retstart);
+        const xml = await pubmed.efetch({ webEnv: job.web_env, queryKey: job.query_key, retstart, retmax });
+        const results = await processRecords(parse(xml));
+
+        repository.saveResultsPage(job.search_id, {
+          page: Math.floor(retstart / job.batch_size) + 1,
+          retstart,
+          total: count,
+          results
+        });
+
+        retstart += retmax;
+        job = update(job.id, { nextRetstart: retstart, webEnvAt: Date.now() });
+      }
+
+      update(job.id, { status: 'completed', cancelRequested: false, finishedAt: Date.now() });
+    } catch (error) {
+      logger.error('Error running job', { jobId: job.id, err: error });
+      // A failing database shouldn't stop the other queued jobs; this one
+      // is requeued on the next start
+      try {
+        update(job.id, { status: 'failed', error: error.message, finishedAt: Date.now() });
+      } catch (updateError) {
+        logger.error('Error marking job as failed', { jobId: job.id, err: updateError });
+      }
+    }
+  }
+
+  // Run esearch with usehistory for a job, storing the new result set.
+  // Progress made in an earlier result set doesn't carry over.
+  async function openResultSet(job) {
+    const searchResult = await pubmed.esearch(job.query, {
+      retmax: 0,
+      usehistory: true,
+      sort: job.sort || undefined,
+      minDate: job.min_date || undefined,
+      maxDate: job.max_date || undefined,
+      dateType: job.date_type || undefined
+    });
+    const changes = {
+      total: parseInt(searchResult.count, 10) || 0,
+      webEnv: searchResult.webenv,
+      queryKey: searchResult.querykey,
+      webEnvAt: Date.now(),
+      nextRetstart: 0
+    };
+    if (job.next_retstart > 0) {
+      changes.warning = `The PubMed result set expired after ${job.next_retstart} records, so the job started again from the first record`;
+      logger.warn('Job result set expired, starting again', { jobId: job.id, processed: job.next_retstart });
+    }
+    return update(job.id, changes);
+  }
+
+  // Start working: requeue jobs interrupted by a restart, then check for
+  // queued jobs every pollMs
+  function start() {
+    const requeued = repository.requeueInterruptedJobs();
+    if (requeued > 0) {
+      logger.info('Resuming interrupted jobs', { count: requeued });
+    }
+    timer = setInterval(kick, pollMs);
+    timer.unref();
+    kick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  // Look for queued jobs now instead of at the next poll
+  function kick() {
+    drain().catch(err => logger.error('Error running jobs', err));
+  }
+
+  // Cancel a job. Queued jobs stop straight away; a running job stops
+  // after its current batch. Returns the updated job row.
+  function cancel(jobId) {
+    const job = repository.getJob(jobId);
+    if (job.status === 'queued') {
+      return update(job.id, { status: 'cancelled', finishedAt: Date.now() });
+    }
+    if (job.status === 'running') {
+      return update(job.id, { cancelRequested: true });
+    }
+    return job;
+  }
+
+  // Queue a cancelled or failed job again, keeping its progress
+  function resume(jobId) {
+    const job = repository.getJob(jobId);
+    if (job.status !== 'cancelled' && job.status !== 'failed') {
+      return job;
+    }
+    const resumed = update(job.id, { status: 'queued', cancelRequested: false, error: null, finishedAt: null });
+    kick();
+    return resumed;
+  }
+
+  return { events, start, stop, kick, drain, cancel, resume };
+}
@@ -0,0 +1,82 @@
+// Helpers for full-text search over stored articles (the article_fts table).
+//
+// User queries are rewritten into safe FTS5 syntax rather than passed
+// through, so stray punctuation can't cause an FTS5 syntax error:
+//
+//   kinase inhibitor     both words, anywhere in the article
+//   "kinase inhibitor"   the exact phrase
+//   inhib*               any word starting with "inhib"
+//   title:imatinib       a word in one column (title, abstract, authors, affiliations)
+//   imatinib OR nilotinib, imatinib NOT leukemia
+//
+// Terms without an operator between them must all match.
+
+export const FTS_COLUMNS = ['title', 'abstract', 'authors', 'affiliations'];
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Turn a user query into an FTS5 MATCH expression.
+// Returns null when the query has no searchable terms.
+export function buildFtsQuery(input) {
+  const tokens = String(input || '').match(/(\w+:)?"[^"]*"?|\S+/gu) || [];
+  const parts = [];
+
+  for (const token of tokens) {
+    if (OPERATORS.includes(token)) {
+      // Drop operators that don't sit between two terms
+      if (parts.length > 0 && !OPERATORS.includes(parts[parts.length - 1])) {
+        parts.push(token);
+      }
+      continue;
+    }
+
+    const term = buildTerm(token);
+    if (term) {
+      parts.push(term);
+    }
+  }
+
+  while (parts.length > 0 && OPERATORS.includes(parts[parts.length - 1])) {
+    parts.pop();
+  }
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+// FTS5 expression for a PubMed term, used to answer searches from the local
+// corpus in offline mode. Field tags such as [tiab] or [mh] are dropped, so
+// every word searches the whole article; AND, OR, NOT and quoted phrases
+// keep their meaning, but parentheses are ignored.
+export function pubmedTermToFtsQuery(term) {
+  return buildFtsQuery(String(term || '').replace(/\[[^\]]*\]/g, ' ').replace(/[()]/g, ' '));
+}
+
+// One term: an optional column filter, then a quoted phrase or word with
+// an optional trailing * for prefix matching
+function buildTerm(token) {
+  let text = token;
+  let column = '';
+
+  const columnMatch = text.match(/^(\w+):(.+)$/u);
+  if (columnMatch && FTS_COLUMNS.includes(columnMatch[1].toLowerCase())) {
+    column = `${columnMatch[1].toLowerCase()} : `;
+    text = columnMatch[2];
+  }
+
+  if (text.startsWith('"')) {
+    const phrase = cleanWords(text.replace(/"/g, ''));
+    return phrase ? `${column}"${phrase}"` : null;
+  }
+
+  const prefix = text.endsWith('*');
+  const words = cleanWords(text);
+  if (!words) {
+    return null;
+  }
+  return `${column}"${words}"${prefix ? '*' : ''}`;
+}
+
+// Keep letters and digits only; the tokenizer treats everything else as a
+// separator anyway, so "COVID-19" still matches as the phrase "COVID 19"
+function cleanWords(text) {
+  return text.replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
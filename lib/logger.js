@@ -0,0 +1,123 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Structured logger.
+//
+// Writes one JSON object per line: { time, level, msg, ...fields }. Lines
+// written while handling a request carry its requestId, which is tracked with
+// AsyncLocalStorage so code deep in the call stack doesn't need it passed in.
+// Email addresses in messages and string fields are masked, since they are
+// personal data that turns up in affiliations and errors.
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const requestContext = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values are used only when they look like an id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const EMAIL_PATTERN = /([\w.+-])[\w.+-]*@([\w-]+\.[\w.-]+)/g;
+
+// Mask the local part of email addresses: john.smith@pfizer.com -> j***@pfizer.com
+export function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+// Options:
+//   level  - most verbose level written (error, warn, info or debug)
+//   write  - where lines go, defaults to stdout
+//   fields - fields added to every line
+export function createLogger({ level = 'info', write = line => process.stdout.write(line), fields = {} } = {}) {
+  const state = { threshold: LOG_LEVELS.indexOf(level) };
+
+  function log(lineLevel, msg, extra) {
+    if (LOG_LEVELS.indexOf(lineLevel) > state.threshold) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg: maskEmails(String(msg)), ...fields };
+    const context = requestContext.getStore();
+    if (context) {
+      entry.requestId = context.requestId;
+    }
+    // A bare Error is logged as the `err` field
+    Object.assign(entry, serializeFields(extra instanceof Error ? { err: extra } : extra));
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    error: (msg, extra) => log('error', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    debug: (msg, extra) => log('debug', msg, extra),
+    isLevelEnabled: lineLevel => LOG_LEVELS.indexOf(lineLevel) <= state.threshold,
+    setLevel(newLevel) {
+      if (!LOG_LEVELS.includes(newLevel)) {
+        throw new Error(`log level must be one of: ${LOG_LEVELS.join(', ')}`);
+      }
+      state.threshold = LOG_LEVELS.indexOf(newLevel);
+    }
+  };
+}
+
+function serializeFields(extra) {
+  if (!extra || typeof extra !== 'object') {
+    return {};
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(extra)) {
+    out[key] = serializeValue(value);
+  }
+  return out;
+}
+
+function serializeValue(value) {
+  if (value instanceof Error) {
+    const err = { name: value.name, message: maskEmails(value.message) };
+    if (value.status !== undefined) err.status = value.status;
+    if (value.code !== undefined) err.code = value.code;
+    if (value.stack) err.stack = maskEmails(value.stack);
+    if (value.cause) err.cause = serializeValue(value.cause);
+    return err;
+  }
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+  return value;
+}
+
+// The application logger. index.js sets its level from LOG_LEVEL.
+export const logger = createLogger();
+
+// Id of the request being handled, or undefined outside a request
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+// Express middleware that gives each request an id (the incoming X-Request-Id
+// when valid, otherwise a new UUID), echoes it in the X-Request-Id response
+// header, and logs one line per request when the response is finished.
+export function requestLogger({ log = logger } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      requestContext.run({ requestId }, () => {
+        log[level]('Request completed', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10
+        });
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
@@ -0,0 +1,174 @@
+// Prometheus metrics.
+//
+// A small registry of counters, gauges and histograms with labels, rendered
+// in the Prometheus text exposition format by GET /metrics. Metrics whose
+// value lives elsewhere (like the article cache hit counts) are read when
+// scraped through a collect callback.
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Buckets for SQLite calls, which are mostly well under a millisecond
+export const DB_BUCKETS = [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Options: name, help, collect - called before rendering, e.g. to set values
+  function counter({ name, help, collect }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      collect,
+      values,
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      set(labels, value) {
+        values.set(labelKey(labels), value);
+      },
+      get(labels = {}) {
+        return values.get(labelKey(labels)) || 0;
+      }
+    });
+  }
+
+  function gauge({ name, help, collect }) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      collect,
+      values,
+      set(labels, value) {
+        values.set(labelKey(labels), value);
+      },
+      get(labels = {}) {
+        return values.get(labelKey(labels));
+      }
+    });
+  }
+
+  // Options: name, help, buckets (upper bounds in seconds)
+  function histogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      buckets,
+      series,
+      observe(labels, seconds) {
+        const key = labelKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+          if (seconds <= bound) entry.counts[i]++;
+        });
+        entry.sum += seconds;
+        entry.count++;
+      },
+      // Time a synchronous call, observing its duration even when it throws
+      time(labels, fn) {
+        const started = process.hrtime.bigint();
+        try {
+          return fn();
+        } finally {
+          this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+        }
+      }
+    });
+  }
+
+  // Every metric in the Prometheus text format
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        metric.collect(metric);
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      if (metric.type === 'histogram') {
+        for (const [key, entry] of metric.series) {
+          const labels = parseLabelKey(key);
+          metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${entry.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(labels)} ${entry.count}`);
+        }
+      } else {
+        for (const [key, value] of metric.values) {
+          lines.push(`${metric.name}${formatLabels(parseLabelKey(key))} ${value}`);
+        }
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+// Labels are stored as a JSON key with sorted names, so { a, b } and { b, a }
+// are the same series
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function parseLabelKey(key) {
+  return Object.fromEntries(JSON.parse(key));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// Wrap every method of a repository so its duration is observed in the
+// histogram, labeled with the method name
+export function instrumentRepository(repository, histogram) {
+  const instrumented = {};
+  for (const [name, value] of Object.entries(repository)) {
+    instrumented[name] = typeof value === 'function'
+      ? (...args) => histogram.time({ operation: name }, () => value(...args))
+      : value;
+  }
+  return instrumented;
+}
+
+// Express middleware that counts requests and observes their latency, by
+// method, route pattern and status. Requests that match no route are
+// labeled "unmatched" to keep the number of series bounded.
+export function httpMetrics({ requests, duration }) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const labels = { method: req.method, route, status: res.statusCode };
+      requests.inc(labels);
+      duration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  };
+}
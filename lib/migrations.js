@@ -0,0 +1,749 @@
+import { logger } from './logger.js';
+
+// Versioned schema migrations for pubmed.db.
+//
+// Each migration runs once and is recorded in the schema_migrations table.
+// Pending migrations are applied together in one transaction, so a failed
+// upgrade leaves the file as it was. Early migrations use IF NOT EXISTS and
+// column checks so they also upgrade files created before migrations
+// existed, when the server created its tables ad hoc at startup.
+//
+// To change the schema, append a new migration; never edit one that has
+// already shipped.
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'initial searches and results tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS searches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          query TEXT NOT NULL,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          search_id INTEGER,
+          pubmed_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          publication_date TEXT,
+          non_academic_authors TEXT,
+          company_affiliations TEXT,
+          corresponding_author_email TEXT,
+          FOREIGN KEY (search_id) REFERENCES searches(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'search paging settings and result details',
+    up(db) {
+      addColumnIfMissing(db, 'searches', 'sort', 'TEXT');
+      addColumnIfMissing(db, 'searches', 'min_date', 'TEXT');
+      addColumnIfMissing(db, 'searches', 'max_date', 'TEXT');
+      addColumnIfMissing(db, 'searches', 'date_type', 'TEXT');
+      addColumnIfMissing(db, 'searches', 'page_size', 'INTEGER');
+      addColumnIfMissing(db, 'searches', 'total_count', 'INTEGER');
+      addColumnIfMissing(db, 'results', 'page', 'INTEGER DEFAULT 1');
+      addColumnIfMissing(db, 'results', 'position', 'INTEGER');
+      addColumnIfMissing(db, 'results', 'affiliation_classifications', 'TEXT');
+      addColumnIfMissing(db, 'results', 'author_emails', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'article cache and affiliation rules',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS articles (
+          pmid TEXT PRIMARY KEY,
+          title TEXT,
+          publication_date TEXT,
+          record TEXT NOT NULL,
+          raw_xml TEXT,
+          fetched_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS affiliation_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_set TEXT NOT NULL DEFAULT 'default',
+          list TEXT NOT NULL,
+          value TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'normalized authors and affiliations with foreign keys',
+    up(db) {
+      // Results point at articles now, so give every stored PMID an article
+      // row. These placeholders are stale (fetched_at = 0) and get replaced
+      // the next time the article is fetched.
+      db.exec(`
+        INSERT OR IGNORE INTO articles (pmid, title, publication_date, record, raw_xml, fetched_at)
+        SELECT
+          pubmed_id,
+          MAX(title),
+          MAX(publication_date),
+          json_object('pmid', pubmed_id, 'title', MAX(title), 'publicationDate', MAX(publication_date), 'authors', json('[]')),
+          NULL,
+          0
+        FROM results
+        GROUP BY pubmed_id;
+      `);
+
+      // The old server never enforced the search foreign key, so results can
+      // outlive their search. They can't be reached from any route.
+      const orphans = db.prepare('DELETE FROM results WHERE search_id IS NULL OR search_id NOT IN (SELECT id FROM searches)').run();
+      if (orphans.changes > 0) {
+        logger.warn('Dropped results of searches that no longer exist', { count: orphans.changes });
+      }
+
+      // SQLite can't add constraints to an existing table, so rebuild results
+      db.exec(`
+        CREATE TABLE results_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          search_id INTEGER NOT NULL REFERENCES searches(id) ON DELETE CASCADE,
+          pubmed_id TEXT NOT NULL REFERENCES articles(pmid),
+          title TEXT NOT NULL,
+          publication_date TEXT,
+          non_academic_authors TEXT,
+          company_affiliations TEXT,
+          affiliation_classifications TEXT,
+          corresponding_author_email TEXT,
+          author_emails TEXT,
+          page INTEGER NOT NULL DEFAULT 1,
+          position INTEGER
+        );
+
+        INSERT INTO results_new (
+          id, search_id, pubmed_id, title, publication_date, non_academic_authors, company_affiliations,
+          affiliation_classifications, corresponding_author_email, author_emails, page, position
+        )
+        SELECT
+          id, search_id, pubmed_id, title, publication_date, non_academic_authors, company_affiliations,
+          affiliation_classifications, corresponding_author_email, author_emails, COALESCE(page, 1), position
+        FROM results;
+
+        DROP TABLE results;
+        ALTER TABLE results_new RENAME TO results;
+
+        CREATE INDEX idx_results_search_page ON results (search_id, page, position);
+        CREATE INDEX idx_results_pubmed_id ON results (pubmed_id);
+        CREATE INDEX IF NOT EXISTS idx_searches_timestamp ON searches (timestamp);
+        CREATE INDEX IF NOT EXISTS idx_affiliation_rules_set ON affiliation_rules (rule_set);
+
+        CREATE TABLE authors (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          author_key TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          last_name TEXT,
+          fore_name TEXT,
+          initials TEXT,
+          collective_name TEXT,
+          orcid TEXT UNIQUE
+        );
+
+        CREATE TABLE affiliations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          text TEXT NOT NULL UNIQUE
+        );
+
+        CREATE TABLE article_authors (
+          article_pmid TEXT NOT NULL REFERENCES articles(pmid) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          author_id INTEGER NOT NULL REFERENCES authors(id),
+          PRIMARY KEY (article_pmid, position)
+        );
+        CREATE INDEX idx_article_authors_author ON article_authors (author_id);
+
+        CREATE TABLE article_author_affiliations (
+          article_pmid TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          affiliation_id INTEGER NOT NULL REFERENCES affiliations(id),
+          PRIMARY KEY (article_pmid, position, affiliation_id),
+          FOREIGN KEY (article_pmid, position) REFERENCES article_authors(article_pmid, position) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_article_author_affiliations_affiliation ON article_author_affiliations (affiliation_id);
+      `);
+
+      // Fill the new tables from the records already stored. Authors are
+      // keyed the way the repository keyed them at this version: by ORCID,
+      // by collective name, or by last name and initials.
+      const authorKey = author => {
+        if (author.orcid) {
+          return `orcid:${author.orcid}`;
+        }
+        if (author.collectiveName && !author.lastName) {
+          return `collective:${author.collectiveName.toLowerCase()}`;
+        }
+        return `name:${(author.lastName || author.name || '').toLowerCase()}|${(author.initials || '').toLowerCase()}`;
+      };
+      const insertAuthorStmt = db.prepare(`
+        INSERT OR IGNORE INTO authors (author_key, name, last_name, fore_name, initials, collective_name, orcid)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      const authorIdStmt = db.prepare('SELECT id FROM authors WHERE author_key = ?');
+      const insertAffiliationStmt = db.prepare('INSERT OR IGNORE INTO affiliations (text) VALUES (?)');
+      const affiliationIdStmt = db.prepare('SELECT id FROM affiliations WHERE text = ?');
+      const insertArticleAuthorStmt = db.prepare('INSERT INTO article_authors (article_pmid, position, author_id) VALUES (?, ?, ?)');
+      const insertAuthorAffiliationStmt = db.prepare(
+        'INSERT OR IGNORE INTO article_author_affiliations (article_pmid, position, affiliation_id) VALUES (?, ?, ?)'
+      );
+
+      for (const { pmid, record } of db.prepare('SELECT pmid, record FROM articles').all()) {
+        let authors;
+        try {
+          authors = JSON.parse(record).authors;
+        } catch {
+          continue;
+        }
+        (Array.isArray(authors) ? authors : []).forEach((author, position) => {
+          const key = authorKey(author);
+          insertAuthorStmt.run(
+            key,
+            author.name || author.collectiveName || '',
+            author.lastName || null,
+            author.foreName || null,
+            author.initials || null,
+            author.collectiveName || null,
+            author.orcid || null
+          );
+          insertArticleAuthorStmt.run(pmid, position, authorIdStmt.get(key).id);
+          for (const affiliation of author.affiliations || []) {
+            insertAffiliationStmt.run(affiliation);
+            insertAuthorAffiliationStmt.run(pmid, position, affiliationIdStmt.get(affiliation).id);
+          }
+        });
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'saved searches with scheduled runs',
+    up(db) {
+      db.exec(`
+        CREATE TABLE saved_searches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          search_id INTEGER NOT NULL UNIQUE REFERENCES searches(id) ON DELETE CASCADE,
+          name TEXT,
+          interval_minutes INTEGER NOT NULL,
+          webhook_url TEXT,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at INTEGER NOT NULL,
+          last_run_at INTEGER,
+          next_run_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_saved_searches_next_run ON saved_searches (enabled, next_run_at);
+
+        CREATE TABLE saved_search_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+          started_at INTEGER NOT NULL,
+          finished_at INTEGER,
+          status TEXT NOT NULL DEFAULT 'running',
+          total_count INTEGER,
+          new_count INTEGER,
+          error TEXT,
+          webhook_status TEXT
+        );
+        CREATE INDEX idx_saved_search_runs_saved_search ON saved_search_runs (saved_search_id, started_at);
+
+        CREATE TABLE saved_search_hits (
+          saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+          pmid TEXT NOT NULL,
+          run_id INTEGER NOT NULL REFERENCES saved_search_runs(id) ON DELETE CASCADE,
+          first_seen_at INTEGER NOT NULL,
+          baseline INTEGER NOT NULL DEFAULT 0,
+          result TEXT,
+          PRIMARY KEY (saved_search_id, pmid)
+        );
+        CREATE INDEX idx_saved_search_hits_new ON saved_search_hits (saved_search_id, baseline, first_seen_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'full-text index over stored articles',
+    up(db) {
+      // One row per article, keyed by the numeric PMID. Triggers keep it in
+      // step with the articles table, so every fetch updates the index.
+      const columns = `
+        json_extract(NEW.record, '$.title'),
+        json_extract(NEW.record, '$.abstract.text'),
+        (SELECT group_concat(json_extract(au.value, '$.name'), '; ') FROM json_each(NEW.record, '$.authors') au),
+        (SELECT group_concat(aff.value, '; ')
+           FROM json_each(NEW.record, '$.authors') au, json_each(au.value, '$.affiliations') aff)
+      `;
+
+      db.exec(`
+        CREATE VIRTUAL TABLE article_fts USING fts5(
+          pmid UNINDEXED,
+          title,
+          abstract,
+          authors,
+          affiliations,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+          INSERT INTO article_fts (rowid, pmid, title, abstract, authors, affiliations)
+          VALUES (CAST(NEW.pmid AS INTEGER), NEW.pmid, ${columns});
+        END;
+
+        CREATE TRIGGER articles_fts_update AFTER UPDATE OF record ON articles BEGIN
+          DELETE FROM article_fts WHERE rowid = CAST(OLD.pmid AS INTEGER);
+          INSERT INTO article_fts (rowid, pmid, title, abstract, authors, affiliations)
+          VALUES (CAST(NEW.pmid AS INTEGER), NEW.pmid, ${columns});
+        END;
+
+        CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+          DELETE FROM article_fts WHERE rowid = CAST(OLD.pmid AS INTEGER);
+        END;
+      `);
+
+      // Index the articles that are already stored
+      db.exec(`
+        INSERT INTO article_fts (rowid, pmid, title, abstract, authors, affiliations)
+        SELECT CAST(NEW.pmid AS INTEGER), NEW.pmid, ${columns}
+        FROM articles AS NEW;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'company entities and aliases',
+    up(db) {
+      db.exec(`
+        CREATE TABLE companies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE company_aliases (
+          alias TEXT PRIMARY KEY,
+          company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_company_aliases_company ON company_aliases (company_id);
+
+        CREATE TABLE affiliation_companies (
+          affiliation_id INTEGER PRIMARY KEY REFERENCES affiliations(id) ON DELETE CASCADE,
+          company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+          organization TEXT
+        );
+        CREATE INDEX idx_affiliation_companies_company ON affiliation_companies (company_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'author blocking keys for disambiguation',
+    up(db) {
+      // Last name and first initial, lowercased without accents ("smith|j")
+      const normalize = value => String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .trim();
+
+      addColumnIfMissing(db, 'authors', 'block_key', 'TEXT');
+      const updateStmt = db.prepare('UPDATE authors SET block_key = ? WHERE id = ?');
+      for (const author of db.prepare('SELECT id, name, last_name, fore_name, initials FROM authors').all()) {
+        const foreName = normalize(author.fore_name || author.initials);
+        updateStmt.run(`${normalize(author.last_name || author.name)}|${foreName.charAt(0)}`, author.id);
+      }
+      db.exec('CREATE INDEX idx_authors_block_key ON authors (block_key)');
+    }
+  },
+  {
+    version: 9,
+    name: 'structured queries on searches',
+    up(db) {
+      addColumnIfMissing(db, 'searches', 'structured_query', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    name: 'bulk search jobs',
+    up(db) {
+      db.exec(`
+        CREATE TABLE jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          search_id INTEGER NOT NULL REFERENCES searches(id) ON DELETE CASCADE,
+          status TEXT NOT NULL DEFAULT 'queued',
+          batch_size INTEGER NOT NULL,
+          max_results INTEGER NOT NULL,
+          total INTEGER,
+          next_retstart INTEGER NOT NULL DEFAULT 0,
+          web_env TEXT,
+          query_key TEXT,
+          cancel_requested INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at INTEGER NOT NULL,
+          started_at INTEGER,
+          updated_at INTEGER NOT NULL,
+          finished_at INTEGER
+        );
+        CREATE INDEX idx_jobs_status ON jobs (status, id);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'users, api keys and usage counters',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          email TEXT,
+          role TEXT NOT NULL DEFAULT 'user',
+          external_id TEXT UNIQUE,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT,
+          key_hash TEXT NOT NULL UNIQUE,
+          prefix TEXT NOT NULL,
+          rate_limit_per_minute INTEGER,
+          daily_quota INTEGER,
+          created_at INTEGER NOT NULL,
+          last_used_at INTEGER,
+          revoked_at INTEGER
+        );
+        CREATE INDEX idx_api_keys_user ON api_keys (user_id);
+
+        CREATE TABLE api_usage (
+          subject TEXT NOT NULL,
+          period TEXT NOT NULL,
+          period_start INTEGER NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (subject, period, period_start)
+        );
+      `);
+
+      // Searches from before authentication belong to no one
+      addColumnIfMissing(db, 'searches', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+      db.exec('CREATE INDEX idx_searches_user ON searches (user_id, id)');
+    }
+  },
+  {
+    version: 12,
+    name: 'article abstracts, journals, MeSH headings, keywords and publication types',
+    up(db) {
+      addColumnIfMissing(db, 'articles', 'abstract', 'TEXT');
+      addColumnIfMissing(db, 'articles', 'journal', 'TEXT');
+      addColumnIfMissing(db, 'articles', 'journal_iso', 'TEXT');
+      addColumnIfMissing(db, 'articles', 'publication_year', 'INTEGER');
+
+      db.exec(`
+        CREATE TABLE article_mesh_headings (
+          article_pmid TEXT NOT NULL REFERENCES articles(pmid) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          descriptor TEXT NOT NULL,
+          descriptor_ui TEXT,
+          major_topic INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (article_pmid, position)
+        );
+        CREATE INDEX idx_article_mesh_headings_descriptor ON article_mesh_headings (descriptor);
+
+        CREATE TABLE article_mesh_qualifiers (
+          article_pmid TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          qualifier TEXT NOT NULL,
+          qualifier_ui TEXT,
+          major_topic INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (article_pmid, position, qualifier),
+          FOREIGN KEY (article_pmid, position) REFERENCES article_mesh_headings(article_pmid, position) ON DELETE CASCADE
+        );
+
+        CREATE TABLE article_keywords (
+          article_pmid TEXT NOT NULL REFERENCES articles(pmid) ON DELETE CASCADE,
+          keyword TEXT NOT NULL,
+          PRIMARY KEY (article_pmid, keyword)
+        );
+        CREATE INDEX idx_article_keywords_keyword ON article_keywords (keyword);
+
+        CREATE TABLE article_publication_types (
+          article_pmid TEXT NOT NULL REFERENCES articles(pmid) ON DELETE CASCADE,
+          publication_type TEXT NOT NULL,
+          PRIMARY KEY (article_pmid, publication_type)
+        );
+        CREATE INDEX idx_article_publication_types_type ON article_publication_types (publication_type);
+      `);
+
+      // Fill the new columns and tables from the records already stored
+      db.exec(`
+        UPDATE articles SET
+          abstract = NULLIF(json_extract(record, '$.abstract.text'), ''),
+          journal = NULLIF(json_extract(record, '$.journal.title'), ''),
+          journal_iso = NULLIF(json_extract(record, '$.journal.isoAbbreviation'), ''),
+          publication_year = json_extract(record, '$.publicationYear');
+
+        INSERT OR IGNORE INTO article_mesh_headings (article_pmid, position, descriptor, descriptor_ui, major_topic)
+        SELECT a.pmid, m.key, json_extract(m.value, '$.descriptor'), NULLIF(json_extract(m.value, '$.descriptorUi'), ''),
+          COALESCE(json_extract(m.value, '$.majorTopic'), 0)
+        FROM articles a, json_each(a.record, '$.meshHeadings') m
+        WHERE COALESCE(json_extract(m.value, '$.descriptor'), '') <> '';
+
+        INSERT OR IGNORE INTO article_mesh_qualifiers (article_pmid, position, qualifier, qualifier_ui, major_topic)
+        SELECT a.pmid, m.key, json_extract(q.value, '$.name'), NULLIF(json_extract(q.value, '$.ui'), ''),
+          COALESCE(json_extract(q.value, '$.majorTopic'), 0)
+        FROM articles a, json_each(a.record, '$.meshHeadings') m, json_each(m.value, '$.qualifiers') q
+        WHERE COALESCE(json_extract(m.value, '$.descriptor'), '') <> '' AND COALESCE(json_extract(q.value, '$.name'), '') <> '';
+
+        INSERT OR IGNORE INTO article_keywords (article_pmid, keyword)
+        SELECT a.pmid, k.value FROM articles a, json_each(a.record, '$.keywords') k WHERE k.value <> '';
+
+        INSERT OR IGNORE INTO article_publication_types (article_pmid, publication_type)
+        SELECT a.pmid, t.value FROM articles a, json_each(a.record, '$.publicationTypes') t WHERE t.value <> '';
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'search names and tags',
+    up(db) {
+      addColumnIfMissing(db, 'searches', 'name', 'TEXT');
+      db.exec(`
+        CREATE TABLE search_tags (
+          search_id INTEGER NOT NULL REFERENCES searches(id) ON DELETE CASCADE,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (search_id, tag)
+        );
+        CREATE INDEX idx_search_tags_tag ON search_tags (tag);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'citation links',
+    up(db) {
+      // Linked PMIDs are often not in the articles table, so they have no
+      // foreign keys
+      db.exec(`
+        CREATE TABLE article_citations (
+          citing_pmid TEXT NOT NULL,
+          cited_pmid TEXT NOT NULL,
+          PRIMARY KEY (citing_pmid, cited_pmid)
+        );
+        CREATE INDEX idx_article_citations_cited ON article_citations (cited_pmid);
+
+        CREATE TABLE article_similar (
+          pmid TEXT NOT NULL,
+          similar_pmid TEXT NOT NULL,
+          rank INTEGER NOT NULL,
+          PRIMARY KEY (pmid, similar_pmid)
+        );
+
+        CREATE TABLE article_links_fetched (
+          pmid TEXT PRIMARY KEY,
+          fetched_at INTEGER NOT NULL,
+          cited_by_count INTEGER NOT NULL,
+          reference_count INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'PMC full text details',
+    up(db) {
+      // data holds the parsed JATS details as JSON; pmcid and data are null
+      // when PMC has no copy of the article
+      db.exec(`
+        CREATE TABLE article_full_text (
+          pmid TEXT PRIMARY KEY REFERENCES articles(pmid) ON DELETE CASCADE,
+          pmcid TEXT,
+          open_access INTEGER NOT NULL DEFAULT 0,
+          data TEXT,
+          fetched_at INTEGER NOT NULL
+        );
+        CREATE INDEX idx_article_full_text_pmcid ON article_full_text (pmcid);
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'grants, conflict of interest statements and industry ties',
+    up(db) {
+      // Records stored before this version were parsed without grants or
+      // COI statements, so there is nothing to backfill; they fill in when
+      // the articles are fetched again
+      addColumnIfMissing(db, 'articles', 'coi_statement', 'TEXT');
+      db.exec(`
+        CREATE TABLE article_grants (
+          article_pmid TEXT NOT NULL REFERENCES articles(pmid) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          grant_id TEXT,
+          acronym TEXT,
+          agency TEXT,
+          country TEXT,
+          PRIMARY KEY (article_pmid, position)
+        );
+        CREATE INDEX idx_article_grants_agency ON article_grants (agency);
+      `);
+
+      // Null for results stored before industry ties were detected
+      addColumnIfMissing(db, 'results', 'has_industry_ties', 'INTEGER');
+      addColumnIfMissing(db, 'results', 'industry_ties', 'TEXT');
+    }
+  },
+  {
+    version: 17,
+    name: 'PubMed baseline imports and deleted citations',
+    up(db) {
+      // Articles PubMed deleted that stored results still point to are kept,
+      // marked with the time the deletion was imported
+      addColumnIfMissing(db, 'articles', 'deleted_at', 'INTEGER');
+      db.exec(`
+        CREATE TABLE pubmed_imports (
+          file_name TEXT PRIMARY KEY,
+          article_count INTEGER NOT NULL,
+          deleted_count INTEGER NOT NULL,
+          started_at INTEGER NOT NULL,
+          finished_at INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'author fore name keys and key counters',
+    up(db) {
+      // First fore name, lowercased without accents, or '' when only
+      // initials are known ("john", "")
+      const foreKey = author => {
+        const first = String(author.fore_name || '')
+          .normalize('NFKD')
+          .replace(/[\u0300-\u036f]/g, '')
+          .toLowerCase()
+          .replace(/[^\p{L}\p{N}\s-]/gu, '')
+          .trim()
+          .split(/[\s-]+/)[0];
+        return first.length > 1 ? first : '';
+      };
+
+      addColumnIfMissing(db, 'authors', 'fore_key', "TEXT NOT NULL DEFAULT ''");
+      const updateStmt = db.prepare('UPDATE authors SET fore_key = ? WHERE id = ?');
+      for (const author of db.prepare('SELECT id, fore_name FROM authors').all()) {
+        updateStmt.run(foreKey(author), author.id);
+      }
+      db.exec(`
+        DROP INDEX idx_authors_block_key;
+        CREATE INDEX idx_authors_block_fore ON authors (block_key, fore_key);
+      `);
+
+      // Last number given to each author key, so namesakes are numbered
+      // without looking for a free key ("name:smith|j#3")
+      db.exec(`
+        CREATE TABLE author_key_counters (
+          base_key TEXT PRIMARY KEY,
+          last_number INTEGER NOT NULL
+        );
+      `);
+      const counters = new Map();
+      for (const { author_key: key } of db.prepare('SELECT author_key FROM authors').all()) {
+        const [, baseKey, number] = key.match(/^(.*?)(?:#(\d+))?$/);
+        counters.set(baseKey, Math.max(counters.get(baseKey) || 0, number ? Number(number) : 1));
+      }
+      const insertCounterStmt = db.prepare('INSERT INTO author_key_counters (base_key, last_number) VALUES (?, ?)');
+      for (const [baseKey, lastNumber] of counters) {
+        insertCounterStmt.run(baseKey, lastNumber);
+      }
+    }
+  },
+  {
+    version: 19,
+    name: 'job result set times and warnings',
+    up(db) {
+      // web_env_at is when the job last used its history-server result set
+      addColumnIfMissing(db, 'jobs', 'web_env_at', 'INTEGER');
+      addColumnIfMissing(db, 'jobs', 'warning', 'TEXT');
+    }
+  },
+  {
+    version: 20,
+    name: 'articles waiting for author resolution',
+    up(db) {
+      // Articles stored by a bulk import whose byline entries have not yet
+      // been matched to authors
+      db.exec(`
+        CREATE TABLE pending_article_authors (
+          article_pmid TEXT PRIMARY KEY REFERENCES articles(pmid) ON DELETE CASCADE
+        );
+      `);
+    }
+  }
+];
+
+// Apply every migration newer than the file's current version.
+// Returns the list of versions that were applied.
+export function runMigrations(db, list = migrations) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const pending = [...list].sort((a, b) => a.version - b.version).filter(m => !applied.has(m.version));
+  if (pending.length === 0) {
+    return [];
+  }
+
+  // Table rebuilds need foreign keys off, and the pragma can't change
+  // inside a transaction
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+
+  try {
+    db.transaction(() => {
+      for (const migration of pending) {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      }
+
+      // Rows the old schema allowed must not break the new constraints
+      const violations = db.pragma('foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(
+          `Migrations left ${violations.length} foreign key violation(s), first in table ${violations[0].table}`
+        );
+      }
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  for (const migration of pending) {
+    logger.info('Applied database migration', { version: migration.version, name: migration.name });
+  }
+
+  return pending.map(m => m.version);
+}
+
+// Current schema version of an open database (0 when nothing was applied)
+export function getSchemaVersion(db) {
+  const row = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+  return row.version || 0;
+}
+
+// Add a column to an existing table if it is missing
+export function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
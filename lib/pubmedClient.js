@@ -0,0 +1,302 @@
+import fetch from 'node-fetch';
+import { createTokenBucket, sleep } from './rateLimiter.js';
+import { logger } from './logger.js';
+import { OfflineModeError, UpstreamError, UpstreamTimeoutError } from './errors.js';
+
+export const DEFAULT_EUTILS_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+// esearch only pages through the first 10,000 records of a query: retstart
+// can be at most 9,999
+export const ESEARCH_MAX_RECORDS = 10000;
+
+// NCBI allows 3 requests per second without an API key and 10 with one
+const RATE_WITHOUT_KEY = 3;
+const RATE_WITH_KEY = 10;
+
+// Status codes worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// Longest wait a Retry-After header can ask for before a retry
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+// Client for the NCBI E-utilities API.
+// Options:
+//   baseUrl      - E-utilities root, override to point at a mock server
+//   apiKey       - NCBI API key, also raises the rate limit
+//   tool, email  - identification parameters NCBI asks clients to send
+//   batchSize    - number of PMIDs per efetch request
+//   concurrency  - number of efetch batches in flight at once
+//   maxRetries   - retries for 429/5xx responses and network errors
+//   retryDelayMs - base delay for exponential backoff
+//   timeoutMs    - per-request timeout, including reading the response body
+//   maxRetryAfterMs - upper bound on the wait a Retry-After header asks for
+//   onRequest    - called after every attempt with { endpoint, status, durationMs },
+//                  where status is the HTTP status, 'timeout' or 'network_error'
+export function createPubMedClient(options = {}) {
+  const {
+    baseUrl = DEFAULT_EUTILS_URL,
+    apiKey,
+    tool,
+    email,
+    batchSize = 200,
+    concurrency = 3,
+    maxRetries = 3,
+    retryDelayMs = 500,
+    timeoutMs = 30000,
+    maxRetryAfterMs = MAX_RETRY_AFTER_MS,
+    fetchImpl = fetch,
+    onRequest = () => {}
+  } = options;
+
+  const limiter = createTokenBucket({ ratePerSecond: apiKey ? RATE_WITH_KEY : RATE_WITHOUT_KEY });
+  const root = baseUrl.replace(/\/+$/, '');
+
+  // Add the parameters every E-utilities call should carry
+  function withCommonParams(params) {
+    const all = { ...params };
+    if (apiKey) all.api_key = apiKey;
+    if (tool) all.tool = tool;
+    if (email) all.email = email;
+    return all;
+  }
+
+  // Send one request, waiting for the rate limiter and retrying on failure.
+  // Large parameter sets (long id lists) are sent as a form POST. Array
+  // values are sent as a repeated parameter. Resolves to { status, text }
+  // once the whole body has been read, so the timeout covers a body that
+  // stalls after the headers arrived.
+  async function request(endpoint, params, { method = 'GET' } = {}) {
+    const url = new URL(`${root}/${endpoint}`);
+    const body = new URLSearchParams();
+
+    for (const [key, values] of Object.entries(withCommonParams(params))) {
+      for (const value of Array.isArray(values) ? values : [values]) {
+        if (value === undefined || value === null || value === '') continue;
+        if (method === 'POST') {
+          body.append(key, String(value));
+        } else {
+          url.searchParams.append(key, String(value));
+        }
+      }
+    }
+
+    let attempt = 0;
+    while (true) {
+      await limiter.take();
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const started = Date.now();
+      let response;
+      let text = '';
+
+      try {
+        logger.debug('E-utilities request', { method, endpoint, attempt: attempt + 1 });
+        response = await fetchImpl(url, {
+          method,
+          body: method === 'POST' ? body : undefined,
+          signal: controller.signal
+        });
+        if (response.ok) {
+          text = await response.text();
+        }
+      } catch (err) {
+        clearTimeout(timer);
+        onRequest({
+          endpoint,
+          status: err.name === 'AbortError' ? 'timeout' : 'network_error',
+          durationMs: Date.now() - started
+        });
+        if (attempt >= maxRetries) {
+          if (err.name === 'AbortError') {
+            throw new UpstreamTimeoutError(`E-utilities ${endpoint} timed out after ${timeoutMs}ms`, { endpoint, cause: err });
+          }
+          // The client-facing message leaves out err.message, which holds the
+          // request URL and with it the API key
+          throw new UpstreamError(`E-utilities ${endpoint} could not be reached`, { endpoint, cause: err });
+        }
+        logger.warn('E-utilities request failed, retrying', { endpoint, attempt: attempt + 1, error: err.message });
+        await sleep(backoffDelay(attempt));
+        attempt++;
+        continue;
+      }
+      clearTimeout(timer);
+      onRequest({ endpoint, status: response.status, durationMs: Date.now() - started });
+
+      if (response.ok) {
+        return { status: response.status, text };
+      }
+
+      if (RETRYABLE_STATUS.includes(response.status) && attempt < maxRetries) {
+        logger.warn('E-utilities request failed, retrying', { endpoint, attempt: attempt + 1, status: response.status });
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        await sleep(Number.isInteger(retryAfter) ? Math.min(retryAfter * 1000, maxRetryAfterMs) : backoffDelay(attempt));
+        attempt++;
+        continue;
+      }
+
+      throw new UpstreamError(`E-utilities ${endpoint} error: ${response.status}`, {
+        endpoint,
+        upstreamStatus: response.status
+      });
+    }
+  }
+
+  // Exponential backoff with a little jitter
+  function backoffDelay(attempt) {
+    return retryDelayMs * 2 ** attempt + Math.floor(Math.random() * retryDelayMs);
+  }
+
+  // Run esearch and return the parsed `esearchresult` object.
+  // Set `usehistory` to keep the result set on the NCBI history server.
+  // `relDate` limits results to the last N days when no date range is given.
+  async function esearch(term, searchOptions = {}) {
+    const {
+      retstart = 0,
+      retmax = 20,
+      sort,
+      minDate,
+      maxDate,
+      relDate,
+      dateType = 'pdat',
+      usehistory = false
+    } = searchOptions;
+
+    const params = {
+      db: 'pubmed',
+      term,
+      retmode: 'json',
+      retstart,
+      retmax,
+      sort,
+      usehistory: usehistory ? 'y' : undefined
+    };
+
+    // esearch needs both ends of a date range, so fill in an open end
+    if (minDate || maxDate) {
+      params.datetype = dateType;
+      params.mindate = minDate || '1800';
+      params.maxdate = maxDate || '3000';
+    } else if (relDate) {
+      params.datetype = dateType;
+      params.reldate = relDate;
+    }
+
+    const response = await request('esearch.fcgi', params);
+    const data = parseJson(response.text);
+
+    if (!data || !data.esearchresult) {
+      throw new UpstreamError('E-utilities esearch returned an unexpected response', {
+        endpoint: 'esearch.fcgi',
+        upstreamStatus: response.status
+      });
+    }
+    return data.esearchresult;
+  }
+
+  // Fetch PubmedArticleSet XML, either for a list of ids or for a slice of
+  // a result set stored on the history server (webEnv + queryKey). With
+  // db 'pmc', fetches JATS full-text XML for PMC ids instead.
+  async function efetch({ ids, webEnv, queryKey, retstart, retmax, db = 'pubmed' } = {}) {
+    const params = { db, retmode: 'xml' };
+
+    if (ids && ids.length > 0) {
+      params.id = ids.join(',');
+    } else if (webEnv && queryKey) {
+      params.WebEnv = webEnv;
+      params.query_key = queryKey;
+      params.retstart = retstart;
+      params.retmax = retmax;
+    } else {
+      throw new Error('efetch needs either ids or webEnv and queryKey');
+    }
+
+    const response = await request('efetch.fcgi', params, { method: 'POST' });
+    return response.text;
+  }
+
+  // Fetch any number of PMIDs in batches, a few batches at a time.
+  // Resolves to one XML document per batch, in the order of the input ids.
+  async function efetchBatches(ids) {
+    const batches = [];
+    for (let i = 0; i < ids.length; i += batchSize) {
+      batches.push(ids.slice(i, i + batchSize));
+    }
+    return mapWithConcurrency(batches, concurrency, batch => efetch({ ids: batch }));
+  }
+
+  // Run elink from PubMed to another database (PubMed itself by default) for
+  // a list of PMIDs and return the parsed `linksets`. Each id is sent as its
+  // own parameter so elink answers with one linkset per PMID instead of
+  // merging their links. Without linkName every link to the database is
+  // returned (for PubMed: pubmed_pubmed, pubmed_pubmed_citedin,
+  // pubmed_pubmed_refs, ...).
+  async function elink(ids, { db = 'pubmed', linkName } = {}) {
+    const response = await request('elink.fcgi', {
+      dbfrom: 'pubmed',
+      db,
+      cmd: 'neighbor',
+      retmode: 'json',
+      linkname: linkName,
+      id: ids
+    }, { method: 'POST' });
+    const data = parseJson(response.text);
+
+    if (!data || !Array.isArray(data.linksets)) {
+      throw new UpstreamError('E-utilities elink returned an unexpected response', {
+        endpoint: 'elink.fcgi',
+        upstreamStatus: response.status
+      });
+    }
+    return data.linksets;
+  }
+
+  return { baseUrl: root, request, esearch, efetch, efetchBatches, elink };
+}
+
+// Stand-in for the client in offline mode: every call fails with an
+// OfflineModeError naming the endpoint instead of reaching NCBI
+export function createOfflineClient() {
+  const offline = endpoint => async () => {
+    throw new OfflineModeError(endpoint);
+  };
+  return {
+    baseUrl: null,
+    request: async endpoint => {
+      throw new OfflineModeError(endpoint);
+    },
+    esearch: offline('esearch.fcgi'),
+    efetch: offline('efetch.fcgi'),
+    efetchBatches: offline('efetch.fcgi'),
+    elink: offline('elink.fcgi')
+  };
+}
+
+// Map over items with at most `limit` promises pending at once
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Parse a JSON response body, or null when it isn't JSON
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
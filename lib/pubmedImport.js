@@ -0,0 +1,150 @@
+import { createReadStream } from 'fs';
+import path from 'path';
+import { createGunzip } from 'zlib';
+import { children, createTreeParser, parsePubmedArticleNode, serializeElement, textOf } from './pubmedParser.js';
+
+// Import of PubMed baseline and update files into the local database, for
+// offline use.
+//
+// NLM publishes the whole of PubMed as baseline files and daily update files
+// (https://ftp.ncbi.nlm.nih.gov/pubmed/), each a gzipped PubmedArticleSet
+// of up to 30,000 articles. Files are read as a stream and articles are
+// stored in batches, so memory use doesn't grow with the file. Update files
+// also carry a DeleteCitation list of PMIDs removed from PubMed; deletions
+// are applied in file order, after the articles before them, so files must
+// be imported in the order NLM numbers them.
+//
+// A file is checked to be well-formed XML before anything in it is stored,
+// so a truncated download fails as a whole. Articles are stored without
+// matching their byline entries to authors, which is done once the file's
+// articles are all in (see resolvePendingAuthors in database.js).
+
+export const DEFAULT_IMPORT_BATCH_SIZE = 500;
+
+// Text stream of a file, gunzipped when its name ends in .gz
+function openText(filePath, highWaterMark) {
+  const source = createReadStream(filePath, highWaterMark ? { highWaterMark } : {});
+  let input = source;
+  if (filePath.endsWith('.gz')) {
+    input = source.pipe(createGunzip());
+    source.on('error', err => input.destroy(err));
+  }
+  input.setEncoding('utf8');
+  return input;
+}
+
+// Read a file through without keeping anything, throwing when it isn't a
+// well-formed PubmedArticleSet
+export async function checkPubmedFile(filePath, { highWaterMark } = {}) {
+  const parser = createTreeParser([], () => {}, { documentElement: 'PubmedArticleSet' });
+  for await (const chunk of openText(filePath, highWaterMark)) {
+    parser.write(chunk);
+  }
+  parser.close();
+}
+
+// Read a baseline or update file (gzipped when its name ends in .gz) and
+// yield its contents in file order: { type: 'article', record } for each
+// PubmedArticle, with the record's rawXml, and { type: 'delete', pmids }
+// for each DeleteCitation. Malformed XML throws, after the items before it.
+export async function* readPubmedFile(filePath, { highWaterMark } = {}) {
+  const input = openText(filePath, highWaterMark);
+
+  const pending = [];
+  const parser = createTreeParser(['PubmedArticle', 'DeleteCitation'], node => {
+    if (node.name === 'PubmedArticle') {
+      const record = parsePubmedArticleNode(node);
+      record.rawXml = serializeElement(node);
+      pending.push({ type: 'article', record });
+    } else {
+      pending.push({ type: 'delete', pmids: children(node, 'PMID').map(textOf).filter(Boolean) });
+    }
+  }, { documentElement: 'PubmedArticleSet' });
+
+  for await (const chunk of input) {
+    parser.write(chunk);
+    yield* pending.splice(0);
+  }
+  parser.close();
+  yield* pending.splice(0);
+}
+
+// Import one file through the repository in database.js. Articles are
+// stored batchSize at a time, each batch in one transaction, as fetched at
+// `now`; then their authors are resolved, batchSize articles at a time
+// again, along with any an interrupted import left waiting. onProgress is
+// called with the running counts after every batch. Returns { articles,
+// deleted, authorsResolved }: articles stored, stored articles deleted and
+// articles whose authors were resolved.
+export async function importPubmedFile(repository, filePath, {
+  batchSize = DEFAULT_IMPORT_BATCH_SIZE,
+  now = Date.now(),
+  onProgress = () => {},
+  highWaterMark
+} = {}) {
+  await checkPubmedFile(filePath, { highWaterMark });
+
+  const counts = { articles: 0, deleted: 0, authorsResolved: 0 };
+  let batch = [];
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    repository.saveArticles(batch, now, { deferAuthors: true });
+    counts.articles += batch.length;
+    batch = [];
+    onProgress({ ...counts });
+  };
+
+  for await (const item of readPubmedFile(filePath, { highWaterMark })) {
+    if (item.type === 'article') {
+      batch.push(item.record);
+      if (batch.length >= batchSize) flush();
+    } else {
+      flush();
+      counts.deleted += repository.deleteArticles(item.pmids, now);
+    }
+  }
+  flush();
+
+  let resolved;
+  while ((resolved = repository.resolvePendingAuthors(batchSize)) > 0) {
+    counts.authorsResolved += resolved;
+    onProgress({ ...counts });
+  }
+  return counts;
+}
+
+// Import files in NLM's order (by file name), skipping those imported
+// before unless `force` is set. Options are passed on to importPubmedFile,
+// plus clock and onFile, called with { fileName, skipped, articles, deleted,
+// authorsResolved } after each file. A file that fails to import isn't
+// recorded. Returns the list of those results.
+export async function importPubmedFiles(repository, filePaths, { force = false, clock = Date.now, onFile = () => {}, ...options } = {}) {
+  const sorted = [...filePaths].sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  const imported = [];
+
+  for (const filePath of sorted) {
+    const fileName = path.basename(filePath);
+    if (!force && repository.getPubmedImport(fileName)) {
+      const result = { fileName, skipped: true, articles: 0, deleted: 0, authorsResolved: 0 };
+      imported.push(result);
+      onFile(result);
+      continue;
+    }
+
+    const startedAt = clock();
+    const counts = await importPubmedFile(repository, filePath, { ...options, now: startedAt });
+    repository.recordPubmedImport({
+      fileName,
+      articleCount: counts.articles,
+      deletedCount: counts.deleted,
+      startedAt,
+      finishedAt: clock()
+    });
+
+    const result = { fileName, skipped: false, ...counts };
+    imported.push(result);
+    onFile(result);
+  }
+  return imported;
+}
@@ -0,0 +1,328 @@
+import sax from 'sax';
+import { UpstreamError } from './errors.js';
+
+// Parser for PubMed efetch XML (PubmedArticleSet).
+// The XML is read into a small element tree with sax, then each PubmedArticle
+// is turned into a plain record. Inline markup such as <i> or <sup> is kept as
+// text, and entities are decoded by the XML parser.
+
+// Build element trees for every element named `rootName` in the document.
+// Each node is { name, attributes, children, raw? } where children are nodes
+// or strings. With `includeRaw`, the original XML of each root is kept.
+// Malformed XML throws; see createTreeParser for `documentElement`.
+export function parseElements(xml, rootName, { includeRaw = false, documentElement } = {}) {
+  const roots = [];
+  const parser = createTreeParser([rootName], (node, { start, end }) => {
+    if (includeRaw) {
+      node.raw = xml.substring(start, end);
+    }
+    roots.push(node);
+  }, { documentElement });
+
+  parser.write(xml).close();
+  return roots;
+}
+
+// sax parser that builds the element tree of every element named in
+// `rootNames` and calls onRoot(node, { start, end }) as each one closes,
+// with its character positions in the input. Everything outside those
+// elements is skipped, so a document can be written to the parser in
+// chunks of any size without keeping it in memory.
+//
+// Undeclared entities, which PubMed records occasionally contain, are
+// skipped. Any other XML error throws from write() or close(), so a
+// truncated document or an HTML error page doesn't pass for a shorter
+// one. With `documentElement`, the document must have a root element of
+// that name.
+export function createTreeParser(rootNames, onRoot, { documentElement } = {}) {
+  const names = new Set(rootNames);
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  const stack = [];
+  let rootStart = -1;
+  let seenElement = false;
+
+  parser.onopentag = tag => {
+    if (!seenElement) {
+      seenElement = true;
+      if (documentElement && tag.name !== documentElement) {
+        throw new Error(`Expected a <${documentElement}> document, found <${tag.name}>`);
+      }
+    }
+    if (stack.length === 0 && !names.has(tag.name)) {
+      return;
+    }
+    const node = { name: tag.name, attributes: tag.attributes, children: [] };
+    if (stack.length === 0) {
+      rootStart = parser.startTagPosition - 1;
+    } else {
+      stack[stack.length - 1].children.push(node);
+    }
+    stack.push(node);
+  };
+
+  parser.onclosetag = () => {
+    if (stack.length === 0) {
+      return;
+    }
+    const node = stack.pop();
+    if (stack.length === 0) {
+      onRoot(node, { start: rootStart, end: parser.position });
+    }
+  };
+
+  const onText = text => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(text);
+    }
+  };
+  parser.ontext = onText;
+  parser.oncdata = onText;
+
+  parser.onerror = err => {
+    const [message] = err.message.split('\n');
+    if (message !== 'Invalid character entity') {
+      throw new Error(`Malformed XML at line ${parser.line + 1}: ${message}`);
+    }
+    parser.error = null;
+    parser.resume();
+  };
+
+  parser.onend = () => {
+    if (documentElement && !seenElement) {
+      throw new Error(`Expected a <${documentElement}> document, found no elements`);
+    }
+  };
+
+  return parser;
+}
+
+// Write an element tree back out as XML, for elements whose original text
+// was not kept
+export function serializeElement(node) {
+  if (typeof node === 'string') {
+    return escapeXml(node);
+  }
+  const attributes = Object.entries(node.attributes || {})
+    .map(([name, value]) => ` ${name}="${escapeXml(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+  if (node.children.length === 0) {
+    return `<${node.name}${attributes}/>`;
+  }
+  return `<${node.name}${attributes}>${node.children.map(serializeElement).join('')}</${node.name}>`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// First direct child element with the given name
+export function child(node, name) {
+  if (!node) return null;
+  return node.children.find(c => typeof c !== 'string' && c.name === name) || null;
+}
+
+// All direct child elements with the given name
+export function children(node, name) {
+  if (!node) return [];
+  return node.children.filter(c => typeof c !== 'string' && c.name === name);
+}
+
+// Follow a path of element names, e.g. find(node, 'Article', 'Journal')
+export function find(node, ...path) {
+  let current = node;
+  for (const name of path) {
+    current = child(current, name);
+    if (!current) return null;
+  }
+  return current;
+}
+
+// Concatenated text of a node and all its descendants, with whitespace collapsed
+export function textOf(node) {
+  if (!node) return '';
+  return collectText(node).replace(/\s+/g, ' ').trim();
+}
+
+function collectText(node) {
+  return node.children
+    .map(c => (typeof c === 'string' ? c : collectText(c)))
+    .join('');
+}
+
+// Parse a PubmedArticleSet document into article records. A document that
+// isn't one, or is malformed, throws an UpstreamError for efetch.
+export function parsePubmedArticleSet(xml, options = {}) {
+  let nodes;
+  try {
+    nodes = parseElements(xml, 'PubmedArticle', { ...options, documentElement: 'PubmedArticleSet' });
+  } catch (err) {
+    throw new UpstreamError(`E-utilities efetch returned unreadable XML: ${err.message}`, { endpoint: 'efetch.fcgi', cause: err });
+  }
+  return nodes.map(node => {
+    const record = parsePubmedArticleNode(node);
+    if (options.includeRaw) {
+      record.rawXml = node.raw;
+    }
+    return record;
+  });
+}
+
+// Turn one PubmedArticle element into a structured record
+export function parsePubmedArticleNode(node) {
+  const citation = child(node, 'MedlineCitation');
+  const article = child(citation, 'Article');
+  const pubmedData = child(node, 'PubmedData');
+  const journal = child(article, 'Journal');
+  const journalIssue = child(journal, 'JournalIssue');
+  const articleIds = parseArticleIds(pubmedData, article);
+  const pubDate = parsePubDate(child(journalIssue, 'PubDate'));
+
+  return {
+    pmid: textOf(child(citation, 'PMID')),
+    title: textOf(child(article, 'ArticleTitle')) || textOf(child(article, 'VernacularTitle')),
+    abstract: parseAbstract(child(article, 'Abstract')),
+    journal: {
+      title: textOf(child(journal, 'Title')),
+      isoAbbreviation: textOf(child(journal, 'ISOAbbreviation')),
+      issn: textOf(child(journal, 'ISSN')),
+      volume: textOf(child(journalIssue, 'Volume')),
+      issue: textOf(child(journalIssue, 'Issue')),
+      pages: textOf(find(article, 'Pagination', 'MedlinePgn'))
+    },
+    publicationDate: pubDate.display,
+    publicationYear: pubDate.year,
+    doi: articleIds.doi || '',
+    pmcid: articleIds.pmc || '',
+    articleIds,
+    language: textOf(child(article, 'Language')),
+    authors: children(child(article, 'AuthorList'), 'Author').map(parseAuthor),
+    meshHeadings: children(child(citation, 'MeshHeadingList'), 'MeshHeading').map(parseMeshHeading),
+    keywords: children(citation, 'KeywordList')
+      .flatMap(list => children(list, 'Keyword'))
+      .map(textOf)
+      .filter(Boolean),
+    publicationTypes: children(child(article, 'PublicationTypeList'), 'PublicationType')
+      .map(textOf)
+      .filter(Boolean),
+    grants: children(child(article, 'GrantList'), 'Grant').map(parseGrant),
+    coiStatement: textOf(child(citation, 'CoiStatement'))
+  };
+}
+
+// One entry of the article's GrantList. Many have an agency but no ID.
+function parseGrant(grantNode) {
+  return {
+    grantId: textOf(child(grantNode, 'GrantID')),
+    acronym: textOf(child(grantNode, 'Acronym')),
+    agency: textOf(child(grantNode, 'Agency')),
+    country: textOf(child(grantNode, 'Country'))
+  };
+}
+
+// Abstract text, split into labelled sections for structured abstracts
+function parseAbstract(abstractNode) {
+  const sections = children(abstractNode, 'AbstractText').map(section => ({
+    label: section.attributes.Label || '',
+    category: section.attributes.NlmCategory || '',
+    text: textOf(section)
+  }));
+
+  return {
+    text: sections
+      .map(section => (section.label ? `${section.label}: ${section.text}` : section.text))
+      .join('\n'),
+    sections,
+    copyright: textOf(child(abstractNode, 'CopyrightInformation'))
+  };
+}
+
+// Identifiers from PubmedData/ArticleIdList (not the ones inside the
+// ReferenceList), falling back to the DOI in ELocationID
+function parseArticleIds(pubmedData, article) {
+  const ids = {};
+  for (const idNode of children(child(pubmedData, 'ArticleIdList'), 'ArticleId')) {
+    const type = idNode.attributes.IdType;
+    if (type && !ids[type]) {
+      ids[type] = textOf(idNode);
+    }
+  }
+
+  if (!ids.doi) {
+    const doiNode = children(article, 'ELocationID').find(el => el.attributes.EIdType === 'doi');
+    if (doiNode) {
+      ids.doi = textOf(doiNode);
+    }
+  }
+  return ids;
+}
+
+// Publication date as "YYYY-Mon-DD" (or shorter), falling back to MedlineDate
+function parsePubDate(pubDateNode) {
+  const year = textOf(child(pubDateNode, 'Year'));
+  const month = textOf(child(pubDateNode, 'Month'));
+  const day = textOf(child(pubDateNode, 'Day'));
+  const medlineDate = textOf(child(pubDateNode, 'MedlineDate'));
+
+  let display = 'Unknown date';
+  if (year && month && day) {
+    display = `${year}-${month}-${day}`;
+  } else if (year && month) {
+    display = `${year}-${month}`;
+  } else if (year) {
+    display = year;
+  } else if (medlineDate) {
+    display = medlineDate;
+  }
+
+  const yearMatch = (year || medlineDate).match(/\d{4}/);
+  return { display, year: yearMatch ? parseInt(yearMatch[0], 10) : null };
+}
+
+// Author with their own affiliations and ORCID, if given
+function parseAuthor(authorNode) {
+  const lastName = textOf(child(authorNode, 'LastName'));
+  const foreName = textOf(child(authorNode, 'ForeName'));
+  const initials = textOf(child(authorNode, 'Initials'));
+  const collectiveName = textOf(child(authorNode, 'CollectiveName'));
+
+  let name = collectiveName;
+  if (lastName) {
+    name = foreName ? `${foreName} ${lastName}` : lastName;
+  }
+
+  const orcidNode = children(authorNode, 'Identifier').find(id => id.attributes.Source === 'ORCID');
+
+  return {
+    name,
+    lastName,
+    foreName,
+    initials,
+    collectiveName,
+    orcid: orcidNode ? normalizeOrcid(textOf(orcidNode)) : '',
+    affiliations: children(authorNode, 'AffiliationInfo')
+      .map(info => textOf(child(info, 'Affiliation')))
+      .filter(Boolean)
+  };
+}
+
+// ORCIDs appear both bare and as URLs; keep just the 16-character id
+function normalizeOrcid(value) {
+  const match = value.match(/(\d{4}-?\d{4}-?\d{4}-?\d{3}[\dX])/i);
+  if (!match) return value;
+  const digits = match[1].replace(/-/g, '').toUpperCase();
+  return digits.match(/.{4}/g).join('-');
+}
+
+function parseMeshHeading(headingNode) {
+  const descriptor = child(headingNode, 'DescriptorName');
+  return {
+    descriptor: textOf(descriptor),
+    descriptorUi: descriptor ? descriptor.attributes.UI || '' : '',
+    majorTopic: descriptor ? descriptor.attributes.MajorTopicYN === 'Y' : false,
+    qualifiers: children(headingNode, 'QualifierName').map(qualifier => ({
+      name: textOf(qualifier),
+      ui: qualifier.attributes.UI || '',
+      majorTopic: qualifier.attributes.MajorTopicYN === 'Y'
+    }))
+  };
+}
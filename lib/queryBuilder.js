@@ -0,0 +1,249 @@
+// Builds PubMed query strings from structured queries and checks raw query
+// strings for mistakes esearch would otherwise answer with an empty result.
+//
+// A structured query is a tree of terms and boolean groups:
+//
+//   {
+//     "op": "AND",
+//     "terms": [
+//       { "term": "imatinib", "field": "tiab" },
+//       { "op": "OR", "terms": [{ "term": "Pfizer", "field": "ad" }, { "term": "Novartis", "field": "ad" }] },
+//       { "term": "Neoplasms", "field": "mh" }
+//     ],
+//     "dateRange": { "from": "2020", "to": "2023/06", "field": "pdat" },
+//     "publicationTypes": ["Clinical Trial", "Review"]
+//   }
+//
+// which compiles to
+//
+//   "imatinib"[tiab] AND ("Pfizer"[ad] OR "Novartis"[ad]) AND "Neoplasms"[mh]
+//   AND ("2020"[pdat] : "2023/06"[pdat]) AND ("Clinical Trial"[pt] OR "Review"[pt])
+//
+// A group with op NOT keeps its first term and excludes the rest.
+
+// Field tags accepted in structured queries and raw strings, with their
+// long names mapped to the short tag
+export const FIELD_TAGS = {
+  all: 'all',
+  'all fields': 'all',
+  tiab: 'tiab',
+  'title/abstract': 'tiab',
+  ti: 'ti',
+  title: 'ti',
+  ab: 'ab',
+  abstract: 'ab',
+  tw: 'tw',
+  'text word': 'tw',
+  au: 'au',
+  author: 'au',
+  '1au': '1au',
+  'author - first': '1au',
+  lastau: 'lastau',
+  'author - last': 'lastau',
+  fau: 'fau',
+  'full author name': 'fau',
+  auid: 'auid',
+  'author identifier': 'auid',
+  ad: 'ad',
+  affiliation: 'ad',
+  mh: 'mh',
+  'mesh terms': 'mh',
+  majr: 'majr',
+  'mesh major topic': 'majr',
+  'mh:noexp': 'mh:noexp',
+  sh: 'sh',
+  'mesh subheading': 'sh',
+  ot: 'ot',
+  'other term': 'ot',
+  pt: 'pt',
+  'publication type': 'pt',
+  ta: 'ta',
+  journal: 'ta',
+  la: 'la',
+  language: 'la',
+  gr: 'gr',
+  'grant number': 'gr',
+  pmid: 'pmid',
+  uid: 'pmid',
+  aid: 'aid',
+  'article identifier': 'aid',
+  dp: 'dp',
+  pdat: 'pdat',
+  'publication date': 'pdat',
+  edat: 'edat',
+  'entry date': 'edat',
+  mdat: 'mdat',
+  'modification date': 'mdat',
+  sb: 'sb',
+  subset: 'sb',
+  filter: 'filter'
+};
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const DATE_FIELDS = ['pdat', 'edat', 'mdat', 'dp'];
+const DATE_PATTERN = /^\d{4}(\/\d{1,2}(\/\d{1,2})?)?$/;
+
+// Groups nested deeper than this are almost certainly a client bug
+const MAX_DEPTH = 10;
+
+// Compile a structured query into a PubMed term.
+// Returns { term } or { error }.
+export function compileQuery(query) {
+  try {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      throw new Error('query must be an object with a term or a group of terms');
+    }
+
+    const parts = [];
+    if (query.term !== undefined || query.terms !== undefined) {
+      parts.push(compileNode(query, 0, false));
+    }
+    if (query.dateRange) {
+      parts.push(compileDateRange(query.dateRange));
+    }
+    if (query.publicationTypes !== undefined) {
+      parts.push(compilePublicationTypes(query.publicationTypes));
+    }
+
+    if (parts.length === 0) {
+      throw new Error('query has no terms');
+    }
+    return { term: parts.join(' AND ') };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// One term or group. Groups are parenthesized unless they are the whole query.
+function compileNode(node, depth, nested) {
+  if (depth > MAX_DEPTH) {
+    throw new Error(`query groups can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  if (!node || typeof node !== 'object') {
+    throw new Error('each query term must be an object');
+  }
+
+  if (node.terms !== undefined) {
+    const op = String(node.op || 'AND').toUpperCase();
+    if (!OPERATORS.includes(op)) {
+      throw new Error(`op must be one of: ${OPERATORS.join(', ')}`);
+    }
+    if (!Array.isArray(node.terms) || node.terms.length === 0) {
+      throw new Error('a group needs a non-empty terms array');
+    }
+    if (op === 'NOT' && node.terms.length < 2) {
+      throw new Error('a NOT group needs a term to keep and at least one to exclude');
+    }
+
+    const compiled = node.terms.map(child => compileNode(child, depth + 1, true));
+    if (compiled.length === 1) {
+      return compiled[0];
+    }
+    const joined = compiled.join(` ${op} `);
+    return nested ? `(${joined})` : joined;
+  }
+
+  return compileTerm(node);
+}
+
+function compileTerm({ term, field }) {
+  const text = typeof term === 'string' ? term.trim() : '';
+  if (!text) {
+    throw new Error('each term needs a non-empty term string');
+  }
+  if (/["[\]]/.test(text)) {
+    throw new Error(`term "${text}" must not contain quotes or brackets; use field instead of a [tag]`);
+  }
+
+  const tag = field === undefined ? null : resolveFieldTag(field);
+  if (field !== undefined && !tag) {
+    throw new Error(`Unknown field tag: ${field}`);
+  }
+
+  // Truncated single words stay unquoted so the wildcard works
+  const value = /^[\p{L}\p{N}-]+\*$/u.test(text) ? text : `"${text}"`;
+  return tag ? `${value}[${tag}]` : value;
+}
+
+function compileDateRange({ from, to, field = 'pdat' }) {
+  const tag = resolveFieldTag(field);
+  if (!DATE_FIELDS.includes(tag)) {
+    throw new Error(`dateRange field must be one of: ${DATE_FIELDS.join(', ')}`);
+  }
+
+  const start = normalizeDate(from, '1800');
+  const end = normalizeDate(to, '3000');
+  if (!start || !end) {
+    throw new Error('dateRange from and to must be formatted as YYYY, YYYY/MM or YYYY/MM/DD');
+  }
+  return `("${start}"[${tag}] : "${end}"[${tag}])`;
+}
+
+function normalizeDate(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const normalized = String(value).trim().replace(/-/g, '/');
+  return DATE_PATTERN.test(normalized) ? normalized : null;
+}
+
+function compilePublicationTypes(types) {
+  if (!Array.isArray(types) || types.length === 0 || !types.every(type => typeof type === 'string' && type.trim())) {
+    throw new Error('publicationTypes must be a non-empty array of strings');
+  }
+  const compiled = types.map(type => compileTerm({ term: type, field: 'pt' }));
+  return compiled.length === 1 ? compiled[0] : `(${compiled.join(' OR ')})`;
+}
+
+// Short tag for a field name or tag, or null when it is not known
+export function resolveFieldTag(field) {
+  return FIELD_TAGS[String(field).trim().toLowerCase()] || null;
+}
+
+// Check a raw query string for unbalanced parentheses and quotes, unknown
+// field tags and dangling boolean operators. Returns a list of problems,
+// empty when none were found.
+export function lintQueryString(query) {
+  const problems = [];
+  const text = String(query || '');
+
+  // Parentheses and field tags inside quotes don't count
+  const unquoted = text.replace(/"[^"]*"/g, '""');
+  if ((text.match(/"/g) || []).length % 2 !== 0) {
+    problems.push('Unbalanced double quotes');
+  }
+
+  let depth = 0;
+  for (const char of unquoted) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) break;
+  }
+  if (depth < 0) {
+    problems.push('Closing parenthesis without a matching opening one');
+  } else if (depth > 0) {
+    problems.push('Unclosed parenthesis');
+  }
+
+  for (const [, tag] of unquoted.matchAll(/\[([^\]]*)\]/g)) {
+    if (!resolveFieldTag(tag)) {
+      problems.push(`Unknown field tag: [${tag}]`);
+    }
+  }
+  if (/\[[^\]]*$/.test(unquoted)) {
+    problems.push('Unclosed field tag bracket');
+  }
+
+  const words = unquoted.replace(/[()]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  if (words.length > 0 && OPERATORS.includes(words[0])) {
+    problems.push(`Query starts with ${words[0]}`);
+  }
+  if (words.length > 0 && OPERATORS.includes(words[words.length - 1])) {
+    problems.push(`Query ends with ${words[words.length - 1]}`);
+  }
+  if (/\b(AND|OR|NOT)\s+(AND|OR|NOT)\b/.test(unquoted)) {
+    problems.push('Two boolean operators in a row');
+  }
+
+  return problems;
+}
@@ -0,0 +1,43 @@
+// Token-bucket rate limiter.
+// Tokens refill continuously at `ratePerSecond` up to `capacity`; each call to
+// take() waits until a token is available. Waiters are served in call order.
+// The default capacity of one token spaces calls evenly, so there is no
+// burst above the rate after an idle spell.
+export function createTokenBucket({ ratePerSecond, capacity = 1 }) {
+  if (!(ratePerSecond > 0)) {
+    throw new Error('ratePerSecond must be a positive number');
+  }
+
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  async function acquire() {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+      await sleep(waitMs);
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  // Chain acquisitions so concurrent callers don't race for the same token
+  function take() {
+    const next = queue.then(acquire);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { take, ratePerSecond, capacity };
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
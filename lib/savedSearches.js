@@ -0,0 +1,314 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { logger } from './logger.js';
+
+// Saved searches re-run on a schedule and keep track of the PMIDs they have
+// already seen.
+//
+// The first run of a saved search records everything the query matches as
+// a baseline. Later runs only look at articles added to PubMed since the
+// last successful run (esearch reldate on the Entrez date), keep the PMIDs
+// that were not seen before and report them as new hits, optionally by
+// POSTing them to a webhook.
+
+// Named schedules, in minutes
+export const SCHEDULES = {
+  hourly: 60,
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+// Don't let a saved search poll PubMed more often than this
+export const MIN_INTERVAL_MINUTES = 15;
+
+// esearch returns at most this many ids per request
+const MAX_IDS_PER_RUN = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minutes between runs for a validated schedule: a named one (hourly,
+// daily, weekly; daily by default) or intervalMinutes
+export function scheduleMinutes({ schedule = 'daily', intervalMinutes } = {}) {
+  return intervalMinutes ?? SCHEDULES[schedule];
+}
+
+// Addresses a webhook must not reach: the unspecified address, loopback,
+// private and shared ranges, link-local ones, where cloud metadata
+// services listen, benchmarking, multicast and reserved ranges, and NAT64
+// addresses, which can wrap any IPv4 address. IPv4-mapped IPv6 addresses
+// match the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Check that a webhook URL is an http(s) URL whose host resolves only to
+// public addresses, so users can't make the server POST to itself or to
+// the internal network. Throws an Error saying what is wrong.
+export async function checkWebhookUrl(value, { lookup = dns.promises.lookup } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error('Webhook URL is not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Webhook URL must be an http or https URL');
+  }
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true });
+    } catch (err) {
+      throw new Error(`Webhook host ${host} could not be resolved`);
+    }
+  }
+
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    throw new Error(`Webhook host ${host} resolves to a private address (${blocked.address})`);
+  }
+}
+
+// dns.lookup for webhook connections. It repeats the address check when the
+// connection is made, so a host can't resolve to a public address for
+// checkWebhookUrl and to a private one for the request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// Shape a saved_searches row for API responses
+export function formatSavedSearch(row) {
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+  return {
+    id: row.id,
+    searchId: row.search_id,
+    name: row.name,
+    query: row.query,
+    sort: row.sort,
+    minDate: row.min_date,
+    maxDate: row.max_date,
+    dateType: row.date_type,
+    intervalMinutes: row.interval_minutes,
+    webhookUrl: row.webhook_url,
+    enabled: Boolean(row.enabled),
+    createdAt: toIso(row.created_at),
+    lastRunAt: toIso(row.last_run_at),
+    nextRunAt: toIso(row.next_run_at)
+  };
+}
+
+// Create the runner used by the scheduler and the API.
+// Options:
+//   repository    - database repository (see database.js)
+//   pubmed        - E-utilities client
+//   fetchResults  - async (pmids) => search results for those PMIDs
+//   webhookUrl    - default webhook for saved searches without their own.
+//                   It comes from the server config, so unlike the webhooks
+//                   of saved searches it may point at an internal host.
+//   webhookTimeoutMs, fetchImpl, lookup, now - mainly for tests
+export function createSavedSearchRunner(options) {
+  const {
+    repository,
+    pubmed,
+    fetchResults,
+    webhookUrl: defaultWebhookUrl,
+    webhookTimeoutMs = 10000,
+    fetchImpl = fetch,
+    lookup,
+    now = Date.now
+  } = options;
+
+  // Ids of saved searches with a run in progress
+  const running = new Set();
+
+  // Run one saved search now. Resolves to a summary of the run.
+  async function run(savedSearchId) {
+    const savedSearch = repository.getSavedSearch(savedSearchId);
+    if (!savedSearch) {
+      throw new Error(`Saved search ${savedSearchId} not found`);
+    }
+    if (running.has(savedSearch.id)) {
+      return { savedSearchId: savedSearch.id, status: 'skipped', reason: 'already running' };
+    }
+
+    const startedAt = now();
+    const nextRunAt = startedAt + savedSearch.interval_minutes * 60 * 1000;
+    const baseline = !savedSearch.last_run_at;
+    let runId = null;
+
+    try {
+      running.add(savedSearch.id);
+      runId = repository.startSavedSearchRun(savedSearch.id, startedAt);
+      const searchResult = await pubmed.esearch(savedSearch.query, searchOptionsFor(savedSearch, startedAt));
+      const pmids = searchResult.idlist || [];
+      const totalCount = parseInt(searchResult.count, 10) || 0;
+      if (totalCount > pmids.length) {
+        logger.warn('Saved search matched more articles than are checked', { savedSearchId: savedSearch.id, totalCount, checked: pmids.length });
+      }
+
+      const unseen = repository.filterUnseenPmids(savedSearch.id, pmids);
+      let hits = unseen.map(pmid => ({ pmid, result: null }));
+
+      if (!baseline && unseen.length > 0) {
+        const results = await fetchResults(unseen);
+        const resultsById = new Map(results.map(result => [result.pubmedId, result]));
+        hits = unseen.map(pmid => ({ pmid, result: resultsById.get(pmid) || null }));
+      }
+
+      repository.recordSavedSearchHits(savedSearch.id, runId, hits, { baseline, seenAt: startedAt });
+      const newCount = baseline ? 0 : hits.length;
+      repository.finishSavedSearchRun(runId, { status: 'ok', totalCount, newCount, finishedAt: now() });
+      repository.scheduleSavedSearch(savedSearch.id, { lastRunAt: startedAt, nextRunAt });
+      logger.info('Saved search ran', { savedSearchId: savedSearch.id, baseline, pmids: baseline ? hits.length : newCount });
+
+      const summary = { savedSearchId: savedSearch.id, runId, status: 'ok', baseline, totalCount, newCount };
+      const webhookUrl = savedSearch.webhook_url || defaultWebhookUrl;
+      if (newCount > 0 && webhookUrl) {
+        summary.webhookStatus = await notifyWebhook(webhookUrl, savedSearch, runId, hits, { trusted: !savedSearch.webhook_url });
+        repository.setSavedSearchRunWebhookStatus(runId, summary.webhookStatus);
+      }
+      return summary;
+    } catch (error) {
+      // Without a run record there is nothing to mark as failed
+      if (runId === null) {
+        throw error;
+      }
+      logger.error('Error running saved search', { savedSearchId: savedSearch.id, err: error });
+      repository.finishSavedSearchRun(runId, { status: 'error', error: error.message, finishedAt: now() });
+      // Try again at the next scheduled time rather than straight away
+      repository.scheduleSavedSearch(savedSearch.id, { nextRunAt });
+      return { savedSearchId: savedSearch.id, runId, status: 'error', error: error.message };
+    } finally {
+      running.delete(savedSearch.id);
+    }
+  }
+
+  // Run every saved search that is due, one after the other
+  async function runDue() {
+    const summaries = [];
+    for (const savedSearch of repository.getDueSavedSearches(now())) {
+      summaries.push(await run(savedSearch.id));
+    }
+    return summaries;
+  }
+
+  // POST new hits to a webhook. Returns a short status for the run record;
+  // a failing webhook never fails the run. Webhooks that aren't `trusted`
+  // must point at public hosts, and redirects aren't followed for them.
+  async function notifyWebhook(url, savedSearch, runId, hits, { trusted }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), webhookTimeoutMs);
+    try {
+      if (!trusted) {
+        await checkWebhookUrl(url, { lookup });
+      }
+      const guard = trusted ? {} : { agent: ({ protocol }) => webhookAgents[protocol], redirect: 'manual' };
+      const response = await fetchImpl(url, {
+        ...guard,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: 'saved-search.new-results',
+          savedSearch: formatSavedSearch(savedSearch),
+          runId,
+          newCount: hits.length,
+          results: hits.map(hit => hit.result || { pubmedId: hit.pmid })
+        }),
+        signal: controller.signal
+      });
+      return response.ok ? `sent ${response.status}` : `failed ${response.status}`;
+    } catch (err) {
+      logger.error('Error calling saved search webhook', { savedSearchId: savedSearch.id, err });
+      return `failed: ${err.message}`;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { run, runDue };
+}
+
+// esearch options for a run. A saved search with its own date range keeps
+// it; otherwise later runs only look back to the last successful run, with
+// a day of overlap since reldate counts whole days.
+function searchOptionsFor(savedSearch, startedAt) {
+  const options = { retmax: MAX_IDS_PER_RUN, sort: savedSearch.sort || undefined };
+
+  if (savedSearch.min_date || savedSearch.max_date) {
+    return {
+      ...options,
+      minDate: savedSearch.min_date || undefined,
+      maxDate: savedSearch.max_date || undefined,
+      dateType: savedSearch.date_type || undefined
+    };
+  }
+
+  if (savedSearch.last_run_at) {
+    return {
+      ...options,
+      relDate: Math.ceil((startedAt - savedSearch.last_run_at) / DAY_MS) + 1,
+      dateType: 'edat'
+    };
+  }
+
+  return options;
+}
+
+// Check for due saved searches every `pollMs`. Returns { stop }.
+export function startScheduler(runner, { pollMs = 60 * 1000 } = {}) {
+  let ticking = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick while the previous one is still running
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runner.runDue();
+    } catch (err) {
+      logger.error('Error running saved searches', err);
+    } finally {
+      ticking = false;
+    }
+  }, pollMs);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,177 @@
+import { ValidationError } from './errors.js';
+
+// Request validation.
+//
+// A schema maps field names to specs:
+//
+//   { page: { type: 'int', min: 1 }, sort: { type: 'string', values: SORT_OPTIONS } }
+//
+// Spec options:
+//   type      - string, int, boolean, date (YYYY, YYYY/MM or YYYY/MM/DD),
+//               timestamp (ISO 8601, converted to ms), url (http or https),
+//               query (a PubMed term or a structured query object), object or array
+//   required  - reject a missing value; empty strings count as missing
+//   default   - value used when the field is missing
+//   min, max  - bounds of an int, or length bounds of a string or array
+//   values    - allowed values of a string
+//   pattern   - regular expression a string must match, with patternHint
+//               describing it for the error message
+//
+// validateRequest() checks req.params, req.query and req.body against their
+// schemas and stores the converted values in req.valid. Every problem is
+// reported at once, as a ValidationError whose details list
+// { location, field, message }.
+
+const DATE_PATTERN = /^\d{4}(\/\d{1,2}(\/\d{1,2})?)?$/;
+
+// Spec for numeric ids in paths and bodies
+export const ID = { type: 'int', min: 1, required: true };
+
+// Check one object (params, query or body) against a schema. Returns the
+// converted values of the schema's fields; fields not in the schema are
+// ignored. Throws a ValidationError listing every invalid field.
+export function validate(schema, input, location = 'body') {
+  const details = [];
+  const values = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError(`Request ${location} must be a JSON object`, [
+      { location, field: null, message: `Request ${location} must be a JSON object` }
+    ]);
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = input[field];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (missing) {
+      if (spec.required) {
+        details.push({ location, field, message: `${field} is required` });
+      } else if (spec.default !== undefined) {
+        values[field] = spec.default;
+      }
+      continue;
+    }
+
+    const { value, error } = convert(field, spec, raw);
+    if (error) {
+      details.push({ location, field, message: error });
+    } else {
+      values[field] = value;
+    }
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(details.map(detail => detail.message).join('; '), details);
+  }
+  return values;
+}
+
+// Express middleware validating path parameters, the query string and the
+// JSON body. Converted values are stored in req.valid.params, .query and .body.
+export function validateRequest({ params, query, body } = {}) {
+  return (req, res, next) => {
+    const details = [];
+    const valid = { params: {}, query: {}, body: {} };
+
+    for (const [location, schema, input] of [
+      ['params', params, req.params],
+      ['query', query, req.query],
+      ['body', body, req.body === undefined ? {} : req.body]
+    ]) {
+      if (!schema) continue;
+      try {
+        valid[location] = validate(schema, input, location);
+      } catch (err) {
+        details.push(...err.details);
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError(details.map(detail => detail.message).join('; '), details));
+    }
+    req.valid = valid;
+    next();
+  };
+}
+
+// Convert one present value. Returns { value } or { error }.
+function convert(field, spec, raw) {
+  switch (spec.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : /^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN;
+      if (!Number.isInteger(value) || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { error: describeIntRange(field, spec) };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true') return { value: true };
+      if (raw === 'false') return { value: false };
+      return { error: `${field} must be true or false` };
+    }
+    case 'date': {
+      const value = String(raw).trim().replace(/-/g, '/');
+      return DATE_PATTERN.test(value)
+        ? { value }
+        : { error: `${field} must be formatted as YYYY, YYYY/MM or YYYY/MM/DD` };
+    }
+    case 'timestamp': {
+      const value = typeof raw === 'string' ? Date.parse(raw) : NaN;
+      return Number.isNaN(value) ? { error: `${field} must be an ISO 8601 date` } : { value };
+    }
+    case 'url': {
+      try {
+        const url = new URL(String(raw));
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          return { value: String(raw) };
+        }
+      } catch {
+        // Reported below
+      }
+      return { error: `${field} must be an http or https URL` };
+    }
+    case 'query': {
+      if (typeof raw === 'string' || (typeof raw === 'object' && !Array.isArray(raw))) {
+        return { value: typeof raw === 'string' ? raw.trim() : raw };
+      }
+      return { error: `${field} must be a PubMed query string or a structured query object` };
+    }
+    case 'object':
+      return typeof raw === 'object' && !Array.isArray(raw) ? { value: raw } : { error: `${field} must be an object` };
+    case 'array': {
+      if (!Array.isArray(raw)) {
+        return { error: `${field} must be an array` };
+      }
+      if ((spec.min !== undefined && raw.length < spec.min) || (spec.max !== undefined && raw.length > spec.max)) {
+        return { error: `${field} must have between ${spec.min ?? 0} and ${spec.max} items` };
+      }
+      return { value: raw };
+    }
+    default: {
+      if (typeof raw !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      const value = raw.trim();
+      if (spec.values && !spec.values.includes(value)) {
+        return { error: `${field} must be one of: ${spec.values.join(', ')}` };
+      }
+      if (spec.max !== undefined && value.length > spec.max) {
+        return { error: `${field} must be at most ${spec.max} characters` };
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return { error: `${field} ${spec.patternHint || 'is not valid'}` };
+      }
+      return { value };
+    }
+  }
+}
+
+function describeIntRange(field, { min, max }) {
+  if (min !== undefined && max !== undefined) return `${field} must be between ${min} and ${max}`;
+  if (min === 1) return `${field} must be a positive integer`;
+  if (min === 0) return `${field} must be a non-negative integer`;
+  if (min !== undefined) return `${field} must be an integer of at least ${min}`;
+  return `${field} must be an integer`;
+}
@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadConfig } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+import { DEFAULT_IMPORT_BATCH_SIZE, importPubmedFiles } from '../lib/pubmedImport.js';
+import { openDatabase, createRepository } from '../database.js';
+
+// Import PubMed baseline and update files into the database named by
+// DB_PATH, for serving searches with OFFLINE_MODE=true:
+//
+//   npm run import-pubmed -- pubmed25n0001.xml.gz pubmed25n0002.xml.gz
+//
+// Files already imported are skipped unless --force is given. A file that
+// isn't well-formed XML fails without storing anything. Company resolution
+// of the new affiliations runs the next time the server starts.
+
+const USAGE = 'Usage: npm run import-pubmed -- [--force] [--batch-size N] <file.xml[.gz]>...';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      force: { type: 'boolean', default: false },
+      'batch-size': { type: 'string', default: String(DEFAULT_IMPORT_BATCH_SIZE) },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+} catch (err) {
+  console.error(`${err.message}\n${USAGE}`);
+  process.exit(2);
+}
+
+const batchSize = Number(args.values['batch-size']);
+if (args.values.help || args.positionals.length === 0 || !Number.isInteger(batchSize) || batchSize < 1) {
+  console.error(USAGE);
+  process.exit(args.values.help ? 0 : 2);
+}
+
+let config;
+try {
+  ({ config } = loadConfig({ env: process.env, baseDir: rootDir }));
+} catch (err) {
+  logger.error('Invalid configuration', { problems: err.problems || [err.message] });
+  process.exit(1);
+}
+logger.setLevel(config.log.level);
+
+const repo = createRepository(openDatabase(config.db.path));
+const files = args.positionals.map(file => path.resolve(file));
+
+try {
+  const results = await importPubmedFiles(repo, files, {
+    force: args.values.force,
+    batchSize,
+    onProgress: counts => logger.debug('Import progress', counts),
+    onFile: result => {
+      if (result.skipped) {
+        logger.info('Skipping file imported before; use --force to import it again', { file: result.fileName });
+      } else {
+        logger.info('Imported PubMed file', {
+          file: result.fileName,
+          articles: result.articles,
+          deleted: result.deleted,
+          authorsResolved: result.authorsResolved
+        });
+      }
+    }
+  });
+
+  const imported = results.filter(result => !result.skipped);
+  logger.info('Import finished', {
+    files: imported.length,
+    skipped: results.length - imported.length,
+    articles: imported.reduce((sum, result) => sum + result.articles, 0),
+    deleted: imported.reduce((sum, result) => sum + result.deleted, 0)
+  });
+} catch (err) {
+  logger.error('Import failed', err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createAffiliationClassifier,
+  extractAuthorsAndAffiliations,
+  loadRulesFromFile,
+  rulesFromRows
+} from '../lib/affiliationClassifier.js';
+
+const classifier = createAffiliationClassifier();
+
+test('company suffixes win over ambiguous academic keywords', () => {
+  const result = classifier.classify('National Pharma Inc., Boston, MA, USA.');
+  assert.equal(result.classification, 'company');
+  assert.equal(result.rule, 'company.suffixes');
+  assert.equal(result.matched, 'Inc');
+  assert.equal(result.confidence, 0.9);
+});
+
+test('known company names win over "laboratory"', () => {
+  const result = classifier.classify('Pfizer Laboratory, Groton, CT');
+  assert.equal(result.classification, 'company');
+  assert.equal(result.rule, 'company.names');
+  assert.equal(result.matched, 'Pfizer');
+});
+
+test('recognises suffixes with punctuation', () => {
+  for (const [text, suffix] of [
+    ['Vetter Pharma-Fertigung GmbH & Co. KG, Ravensburg, Germany', 'GmbH'],
+    ['Acme Biologicals S.A., Madrid, Spain', 'S.A.'],
+    ['Sumitomo Pharma K.K., Osaka, Japan', 'K.K.'],
+    ['Widget Holdings LLC, Austin, TX', 'LLC']
+  ]) {
+    const result = classifier.classify(text);
+    assert.equal(result.classification, 'company', text);
+    assert.equal(result.matched, suffix, text);
+  }
+});
+
+test('does not match suffixes inside other words', () => {
+  // "USA" must not match the "SA" of "S.A." or any other suffix
+  const result = classifier.classify('Thousand Oaks, CA, USA');
+  assert.equal(result.classification, 'unknown');
+  assert.equal(result.rule, null);
+});
+
+test('classifies universities and hospitals as academic', () => {
+  const result = classifier.classify('Department of Pharmaceutical Sciences, University of Utah, Salt Lake City');
+  assert.equal(result.classification, 'academic');
+  assert.equal(result.rule, 'academic.include');
+  assert.equal(result.matched, 'university');
+
+  assert.equal(classifier.classify('National Cancer Institute, Bethesda, MD').confidence, 0.6);
+});
+
+test('exclude keywords switch off company rules', () => {
+  const result = classifier.classify('Pfizer Professor of Medicine, Harvard Medical School, Boston');
+  assert.equal(result.classification, 'academic');
+});
+
+test('rule sets override individual lists and keep the rest', () => {
+  const custom = createAffiliationClassifier({
+    name: 'custom',
+    company: { names: ['Initech'] }
+  });
+  assert.equal(custom.name, 'custom');
+  assert.equal(custom.classify('Initech, Austin').rule, 'company.names');
+  assert.equal(custom.classify('Pfizer Laboratory').classification, 'academic');
+  assert.equal(custom.classify('Acme Inc').rule, 'company.suffixes');
+});
+
+test('loads rule sets from JSON and YAML files', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'rules-'));
+  const jsonPath = path.join(dir, 'rules.json');
+  const yamlPath = path.join(dir, 'rules.yaml');
+  writeFileSync(jsonPath, JSON.stringify({ name: 'json', company: { names: ['Globex'] } }));
+  writeFileSync(yamlPath, 'name: yaml\ncompany:\n  names:\n    - Hooli\n');
+
+  assert.deepEqual(loadRulesFromFile(jsonPath), { name: 'json', company: { names: ['Globex'] } });
+  const yamlClassifier = createAffiliationClassifier(loadRulesFromFile(yamlPath));
+  assert.equal(yamlClassifier.classify('Hooli, Palo Alto').matched, 'Hooli');
+});
+
+test('builds rule sets from affiliation_rules rows', () => {
+  assert.equal(rulesFromRows([], 'lab'), null);
+
+  const rules = rulesFromRows([
+    { list: 'company.names', value: 'Umbrella' },
+    { list: 'company.nicknames', value: 'ignored' }
+  ], 'lab');
+  assert.deepEqual(rules, { name: 'lab', company: { names: ['Umbrella'] } });
+  assert.equal(createAffiliationClassifier(rules).classify('Umbrella Corporation').rule, 'company.names');
+});
+
+test('keeps authors with a company affiliation, once each', () => {
+  const authors = [
+    { name: 'Anna Mueller', affiliations: ['Amgen Inc., Thousand Oaks, CA, USA. anna.mueller@amgen.com.', 'Amgen Inc., Thousand Oaks, CA, USA'] },
+    { name: 'Ben Okafor', affiliations: ['Department of Oncology, University of Heidelberg, Germany.'] },
+    { name: 'Carla Diaz', affiliations: ['Amgen Inc., Thousand Oaks, CA, USA'] },
+    { name: 'Dev Patel', affiliations: [] }
+  ];
+
+  const found = extractAuthorsAndAffiliations(classifier, authors);
+  assert.deepEqual(found.nonAcademicAuthors, ['Anna Mueller', 'Carla Diaz']);
+  // Emails are stripped before comparing, so the affiliation counts once
+  assert.deepEqual(found.companyAffiliations, ['Amgen Inc., Thousand Oaks, CA, USA']);
+  assert.deepEqual(found.affiliationClassifications.map(c => c.classification), ['company', 'academic']);
+});
@@ -0,0 +1,621 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createApp } from '../app.js';
+import { openDatabase, createRepository } from '../database.js';
+import { loadConfig } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+import { createOfflineClient, createPubMedClient } from '../lib/pubmedClient.js';
+import { parsePubmedArticleSet } from '../lib/pubmedParser.js';
+import { startMockEutils } from './mockEutils.js';
+
+const baseDir = fileURLToPath(new URL('..', import.meta.url));
+
+let mock;
+
+// What the mock esearch answers, by term. Tests may add terms of their own.
+const searches = {
+  sotorasib: { count: 2, idlist: ['36512345', '31800001'], querytranslation: '"sotorasib"[All Fields]' },
+  'risk factors': { count: 120, idlist: ['31800001', '31800002'] },
+  nothing: { count: 0, idlist: [] }
+};
+
+before(async () => {
+  logger.setLevel('error');
+  mock = await startMockEutils({
+    searches,
+    links: { 36512345: { citedin: ['31800001', '99999999'], refs: [] } }
+  });
+});
+
+after(() => mock.close());
+
+// Start the app on a free port with a fresh in-memory database (unless
+// `repository` says otherwise) and a client for the mock E-utilities
+async function startApp({ repository = createRepository(openDatabase(':memory:')), pubmed, env = {} } = {}) {
+  const { config } = loadConfig({ env: { AUTH_REQUIRED: 'false', PMC_FULL_TEXT: 'false', ...env }, baseDir });
+  const client = pubmed || createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test', maxRetries: 0 });
+  const { app } = createApp({ config, repository, pubmed: client });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const root = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    repository,
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(`${root}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      const type = response.headers.get('content-type') || '';
+      return { status: response.status, body: type.includes('json') ? JSON.parse(text) : text };
+    },
+    // Read a Server-Sent Events stream until the server closes it.
+    // Returns { status, type, events: [{ event, data }] } with parsed data.
+    async events(path) {
+      const response = await fetch(`${root}${path}`);
+      const text = await response.text();
+      const events = text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+        const [, event, data] = block.match(/^event: (.*)\ndata: (.*)$/);
+        return { event, data: JSON.parse(data) };
+      });
+      return { status: response.status, type: response.headers.get('content-type'), events };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// The E-utilities requests made while running fn
+async function requestsDuring(fn) {
+  const start = mock.requests.length;
+  const result = await fn();
+  return { result, requests: mock.requests.slice(start).map(request => request.endpoint) };
+}
+
+// A repository whose listed methods fail like a broken database
+function failingRepository(methods) {
+  const repository = createRepository(openDatabase(':memory:'));
+  return new Proxy(repository, {
+    get(target, name) {
+      if (methods.includes(name)) {
+        return () => {
+          throw new Error('SQLITE_IOERR: disk I/O error');
+        };
+      }
+      return target[name];
+    }
+  });
+}
+
+test('searches esearch and efetch, stores the page and serves it again', async () => {
+  const app = await startApp();
+  try {
+    const { result: search, requests } = await requestsDuring(() => app.request('POST', '/api/search', { query: 'sotorasib' }));
+    assert.equal(search.status, 200);
+    assert.deepEqual(requests, ['esearch.fcgi', 'efetch.fcgi']);
+    assert.equal(search.body.query.querytranslation, '"sotorasib"[All Fields]');
+    assert.deepEqual(search.body.pagination, { total: 2, page: 1, pageSize: 10, totalPages: 1, retstart: 0, retmax: 10 });
+
+    // Results keep the esearch order
+    const [industry, academic] = search.body.results;
+    assert.equal(industry.pubmedId, '36512345');
+    assert.deepEqual(industry.nonAcademicAuthors, ['Anna K Müller', 'Wei Chen']);
+    assert.deepEqual(industry.companyAffiliations, ['Amgen Inc., Thousand Oaks, CA, USA']);
+    assert.equal(industry.correspondingAuthor.email, 'anna.mueller@amgen.com');
+    assert.equal(industry.hasIndustryTies, true);
+    assert.equal(academic.pubmedId, '31800001');
+    assert.deepEqual(academic.nonAcademicAuthors, []);
+    assert.equal(academic.hasIndustryTies, false);
+
+    const stored = await app.request('GET', `/api/results/${search.body.searchId}`);
+    assert.deepEqual(stored.body.results.map(result => result.pubmed_id), ['36512345', '31800001']);
+    assert.deepEqual(stored.body.storedPages, [1]);
+
+    const exported = await app.request('GET', `/api/results/${search.body.searchId}/export?format=tsv&columns=pubmedId,hasIndustryTies&bom=false`);
+    assert.equal(exported.body, 'PubmedID\tIndustry Ties\r\n36512345\tyes\r\n31800001\tno\r\n');
+
+    // The articles are cached, so only esearch runs again
+    const again = await requestsDuring(() => app.request('POST', '/api/search', { searchId: search.body.searchId, hasIndustryTies: true }));
+    assert.deepEqual(again.requests, ['esearch.fcgi']);
+    assert.deepEqual(again.result.body.results.map(result => result.pubmedId), ['36512345']);
+    // The filter only covers the page, so the total is unchanged and the filtered count is separate
+    assert.equal(again.result.body.pagination.total, 2);
+    assert.deepEqual(again.result.body.filter, { hasIndustryTies: true, scope: 'page', count: 1 });
+
+    const academicOnly = await app.request('GET', `/api/results/${search.body.searchId}?hasIndustryTies=false`);
+    assert.deepEqual(academicOnly.body.results.map(result => result.pubmed_id), ['31800001']);
+    assert.deepEqual(academicOnly.body.filter, { hasIndustryTies: false, scope: 'stored', count: 1 });
+    assert.equal(stored.body.filter, undefined);
+
+    const history = await app.request('GET', '/api/history');
+    assert.deepEqual(history.body.searches.map(entry => entry.query), ['sotorasib']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('answers an empty idlist without calling efetch', async () => {
+  const app = await startApp();
+  try {
+    const { result, requests } = await requestsDuring(() => app.request('POST', '/api/search', { query: 'nothing' }));
+    assert.equal(result.status, 200);
+    assert.deepEqual(requests, ['esearch.fcgi']);
+    assert.deepEqual(result.body.results, []);
+    assert.equal(result.body.pagination.total, 0);
+    assert.equal(app.repository.getSearch(result.body.searchId).total_count, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('reports upstream failures as 502 with the failing endpoint', async () => {
+  const app = await startApp();
+  try {
+    mock.fail('esearch.fcgi', 500, { times: 1 });
+    const esearchFailure = await app.request('POST', '/api/search', { query: 'sotorasib' });
+    assert.equal(esearchFailure.status, 502);
+    assert.equal(esearchFailure.body.code, 'upstream_error');
+    assert.deepEqual(esearchFailure.body.details, { endpoint: 'esearch.fcgi', upstreamStatus: 500 });
+
+    mock.fail('efetch.fcgi', 503, { times: 1 });
+    const efetchFailure = await app.request('POST', '/api/search', { query: 'sotorasib' });
+    assert.equal(efetchFailure.status, 502);
+    assert.deepEqual(efetchFailure.body.details, { endpoint: 'efetch.fcgi', upstreamStatus: 503 });
+
+    // Nothing was cached by the failed fetch
+    assert.equal(app.repository.getArticleRow('36512345'), undefined);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rejects missing and malformed queries before calling PubMed', async () => {
+  const app = await startApp();
+  try {
+    const { result: missing, requests } = await requestsDuring(() => app.request('POST', '/api/search', {}));
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_error');
+    assert.deepEqual(requests, []);
+
+    const malformed = await app.request('POST', '/api/search', { query: '(sotorasib' });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'invalid_query');
+
+    const paging = await app.request('POST', '/api/search', { query: 'sotorasib', pageSize: 1000 });
+    assert.equal(paging.status, 400);
+
+    // esearch can't page past the first 10,000 records
+    const { result: tooDeep, requests: deepRequests } = await requestsDuring(
+      () => app.request('POST', '/api/search', { query: 'sotorasib', page: 101, pageSize: 100 })
+    );
+    assert.equal(tooDeep.status, 400);
+    assert.equal(tooDeep.body.details[0].field, 'page');
+    assert.match(tooDeep.body.error, /first 10000 results/);
+    assert.deepEqual(deepRequests, []);
+    const lastPage = await app.request('POST', '/api/search', { query: 'sotorasib', retstart: 9900, retmax: 100 });
+    assert.equal(lastPage.status, 200);
+
+    // A query sent with searchId would be ignored, so it is refused
+    const { searchId } = lastPage.body;
+    const both = await app.request('POST', '/api/search', { searchId, query: 'risk factors' });
+    assert.equal(both.status, 400);
+    assert.equal(both.body.details[0].field, 'query');
+  } finally {
+    await app.close();
+  }
+});
+
+test('stores each page of a search under its own page number', async () => {
+  const app = await startApp();
+  try {
+    const second = await app.request('POST', '/api/search', { query: 'risk factors', page: 2, pageSize: 1 });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.pagination.page, 2);
+    assert.deepEqual(second.body.results.map(result => result.pubmedId), ['31800002']);
+
+    const { searchId } = second.body;
+    const unknown = await app.request('GET', `/api/results/${searchId + 100}`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'not_found');
+
+    const first = await app.request('POST', '/api/search', { searchId, retstart: 0 });
+    assert.equal(first.body.pagination.page, 1);
+    const stored = await app.request('GET', `/api/results/${searchId}`);
+    assert.deepEqual(stored.body.results.map(result => [result.page, result.pubmed_id]), [[1, '31800001'], [2, '31800002']]);
+
+    // An offset inside a page would overwrite the page it falls in
+    const unaligned = await app.request('POST', '/api/search', { query: 'risk factors', retstart: 1, retmax: 2 });
+    assert.equal(unaligned.status, 400);
+    assert.equal(unaligned.body.details[0].field, 'retstart');
+    const pairs = await app.request('POST', '/api/search', { query: 'risk factors', pageSize: 2 });
+    const continued = await app.request('POST', '/api/search', { searchId: pairs.body.searchId, retstart: 3 });
+    assert.equal(continued.status, 400);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rejects saved search webhooks that point inside the network', async () => {
+  const app = await startApp();
+  try {
+    const metadata = await app.request('POST', '/api/saved-searches', { query: 'sotorasib', webhookUrl: 'http://169.254.169.254/latest/meta-data' });
+    assert.equal(metadata.status, 400);
+    assert.equal(metadata.body.details[0].field, 'webhookUrl');
+    assert.match(metadata.body.error, /private address/);
+
+    const saved = await app.request('POST', '/api/saved-searches', { query: 'sotorasib', webhookUrl: 'https://203.0.113.10/hook' });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.savedSearch.webhookUrl, 'https://203.0.113.10/hook');
+  } finally {
+    await app.close();
+  }
+});
+
+test('serves single articles from efetch and then from the cache', async () => {
+  const app = await startApp();
+  try {
+    const first = await app.request('GET', '/api/articles/31800001');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.cached, false);
+    assert.equal(first.body.article.title, 'Global burden of 87 risk factors, 1990-2019.');
+
+    const { result: second, requests } = await requestsDuring(() => app.request('GET', '/api/articles/31800001'));
+    assert.equal(second.body.cached, true);
+    assert.deepEqual(requests, []);
+
+    const missing = await app.request('GET', '/api/articles/12345');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'not_found');
+
+    const citations = await app.request('GET', '/api/articles/36512345/citations');
+    assert.deepEqual(citations.body.citedBy.map(link => [link.pubmedId, link.title]), [
+      ['99999999', null],
+      ['31800001', 'Global burden of 87 risk factors, 1990-2019.']
+    ]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('keeps searching when the database fails', async () => {
+  const app = await startApp({ repository: failingRepository(['createSearch', 'getArticleRow', 'getSearchHistory', 'getSchemaVersion']) });
+  try {
+    const search = await app.request('POST', '/api/search', { query: 'sotorasib' });
+    assert.equal(search.status, 200);
+    assert.equal(search.body.searchId, null);
+    assert.equal(search.body.results.length, 2);
+
+    // Routes that only serve stored data report the failure
+    const history = await app.request('GET', '/api/history');
+    assert.equal(history.status, 500);
+    assert.equal(history.body.code, 'database_error');
+    assert.equal(history.body.error, 'Database query failed');
+
+    const ready = await app.request('GET', '/health/ready');
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.checks.database.error, 'Database query failed');
+  } finally {
+    await app.close();
+  }
+});
+
+test('runs without a database, answering 503 where stored data is needed', async () => {
+  const app = await startApp({ repository: null });
+  try {
+    const search = await app.request('POST', '/api/search', { query: 'sotorasib' });
+    assert.equal(search.status, 200);
+    assert.equal(search.body.searchId, null);
+
+    const saved = await app.request('GET', '/api/saved-searches');
+    assert.equal(saved.status, 503);
+    assert.equal(saved.body.code, 'database_unavailable');
+
+    const ready = await app.request('GET', '/health/ready');
+    assert.equal(ready.status, 503);
+
+    const unknown = await app.request('GET', '/api/nowhere');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'route_not_found');
+  } finally {
+    await app.close();
+  }
+});
+
+test('searches the stored articles in offline mode', async () => {
+  const repository = createRepository(openDatabase(':memory:'));
+  const xml = readFileSync(new URL('./fixtures/structured-abstract.xml', import.meta.url), 'utf8');
+  repository.saveArticles(parsePubmedArticleSet(xml, { includeRaw: true }), 1000);
+
+  const app = await startApp({ repository, pubmed: createOfflineClient(), env: { OFFLINE_MODE: 'true' } });
+  try {
+    const { result: search, requests } = await requestsDuring(() => app.request('POST', '/api/search', { query: 'sotorasib[tiab]' }));
+    assert.equal(search.status, 200);
+    assert.deepEqual(requests, []);
+    assert.deepEqual(search.body.results.map(result => result.pubmedId), ['36512345']);
+    assert.equal(search.body.query.querytranslation, '"sotorasib"');
+
+    const citations = await app.request('GET', '/api/articles/36512345/citations');
+    assert.equal(citations.status, 503);
+    assert.equal(citations.body.code, 'offline_mode');
+  } finally {
+    await app.close();
+  }
+});
+
+test('requires credentials when authentication is on', async () => {
+  const app = await startApp({ env: { AUTH_REQUIRED: 'true', ADMIN_API_KEY: 'admin-key' } });
+  try {
+    const anonymous = await app.request('GET', '/api/history');
+    assert.equal(anonymous.status, 401);
+    // Health checks stay open
+    assert.equal((await app.request('GET', '/health/live')).status, 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rate limits anonymous callers by their forwarded address behind a proxy', async () => {
+  const forwardedFor = address => ({ 'X-Forwarded-For': address });
+  const direct = await startApp({ env: { RATE_LIMIT_PER_MINUTE: '1' } });
+  const proxied = await startApp({ env: { RATE_LIMIT_PER_MINUTE: '1', TRUST_PROXY: '1' } });
+  try {
+    // Without TRUST_PROXY the header is ignored, so both share the proxy's limit
+    assert.equal((await direct.request('GET', '/api/history', undefined, forwardedFor('203.0.113.1'))).status, 200);
+    assert.equal((await direct.request('GET', '/api/history', undefined, forwardedFor('203.0.113.2'))).status, 429);
+
+    assert.equal((await proxied.request('GET', '/api/history', undefined, forwardedFor('203.0.113.1'))).status, 200);
+    assert.equal((await proxied.request('GET', '/api/history', undefined, forwardedFor('203.0.113.2'))).status, 200);
+    assert.equal((await proxied.request('GET', '/api/history', undefined, forwardedFor('203.0.113.1'))).status, 429);
+  } finally {
+    await direct.close();
+    await proxied.close();
+  }
+});
+
+test('keeps company aliases to admins', async () => {
+  const open = await startApp();
+  const secured = await startApp({ env: { AUTH_REQUIRED: 'true', ADMIN_API_KEY: 'admin-key' } });
+  const admin = { 'X-API-Key': 'admin-key' };
+  try {
+    await open.request('POST', '/api/search', { query: 'sotorasib' });
+    const amgen = (await open.request('GET', '/api/companies')).body.companies.find(company => company.name === 'Amgen');
+    const anonymous = await open.request('POST', `/api/companies/${amgen.id}/aliases`, { alias: 'Amgen Research' });
+    assert.equal(anonymous.status, 403);
+    assert.equal((await open.request('DELETE', `/api/companies/${amgen.id}/aliases/amgen`)).status, 403);
+
+    await secured.request('POST', '/api/search', { query: 'sotorasib' }, admin);
+    const company = (await secured.request('GET', '/api/companies', undefined, admin)).body.companies.find(entry => entry.name === 'Amgen');
+    const added = await secured.request('POST', `/api/companies/${company.id}/aliases`, { alias: 'Amgen Research' }, admin);
+    assert.equal(added.status, 201);
+    assert.ok(added.body.company.aliases.includes('amgen research'));
+    const removed = await secured.request('DELETE', `/api/companies/${company.id}/aliases/amgen%20research`, undefined, admin);
+    assert.equal(removed.status, 204);
+  } finally {
+    await open.close();
+    await secured.close();
+  }
+});
+
+test('shows the configuration to everyone when authentication is off', async () => {
+  const app = await startApp();
+  try {
+    const config = await app.request('GET', '/api/config');
+    assert.equal(config.status, 200);
+    assert.equal(config.body.config.auth.required, false);
+  } finally {
+    await app.close();
+  }
+});
+
+test('keeps the configuration to admins and searches to their owners', async () => {
+  const app = await startApp({ env: { AUTH_REQUIRED: 'true', ADMIN_API_KEY: 'admin-key' } });
+  const admin = { 'X-API-Key': 'admin-key' };
+  try {
+    const keys = [];
+    for (const name of ['Ada', 'Grace']) {
+      const user = await app.request('POST', '/api/admin/users', { name }, admin);
+      const issued = await app.request('POST', `/api/admin/users/${user.body.user.id}/keys`, {}, admin);
+      keys.push({ 'X-API-Key': issued.body.key });
+    }
+    const [ada, grace] = keys;
+
+    const adaSearch = await app.request('POST', '/api/search', { query: 'sotorasib' }, ada);
+    await app.request('POST', '/api/search', { query: 'sotorasib' }, grace);
+
+    const found = await app.request('GET', '/api/local-search?q=sotorasib', undefined, ada);
+    assert.equal(found.status, 200);
+    assert.ok(found.body.results.length > 0);
+    for (const result of found.body.results) {
+      assert.deepEqual(result.searchIds, [adaSearch.body.searchId]);
+    }
+
+    const config = await app.request('GET', '/api/config', undefined, ada);
+    assert.equal(config.status, 403);
+    assert.equal(config.body.code, 'forbidden');
+    const adminConfig = await app.request('GET', '/api/config', undefined, admin);
+    assert.equal(adminConfig.status, 200);
+    assert.equal(adminConfig.body.config.auth.adminKey, '[redacted]');
+  } finally {
+    await app.close();
+  }
+});
+
+test('names, tags, compares and deletes searches in the history', async () => {
+  const app = await startApp();
+  try {
+    const a = (await app.request('POST', '/api/search', { query: 'sotorasib' })).body.searchId;
+    const b = (await app.request('POST', '/api/search', { query: 'risk factors' })).body.searchId;
+
+    const named = await app.request('PATCH', `/api/searches/${a}`, { name: 'KRAS G12C', tags: ['oncology', 'kras', ' oncology '] });
+    assert.equal(named.status, 200);
+    assert.equal(named.body.search.name, 'KRAS G12C');
+    assert.deepEqual(named.body.search.tags, ['kras', 'oncology']);
+    const tagged = await app.request('GET', '/api/history?tag=kras');
+    assert.deepEqual(tagged.body.searches.map(entry => entry.id), [a]);
+
+    const cleared = await app.request('PATCH', `/api/searches/${a}`, { name: null });
+    assert.equal(cleared.body.search.name, null);
+    assert.deepEqual(cleared.body.search.tags, ['kras', 'oncology']);
+    const nothing = await app.request('PATCH', `/api/searches/${a}`, {});
+    assert.equal(nothing.status, 400);
+    assert.equal((await app.request('PATCH', `/api/searches/${b + 100}`, { name: 'x' })).status, 404);
+
+    const compared = await app.request('GET', `/api/searches/compare?a=${a}&b=${b}`);
+    assert.equal(compared.status, 200);
+    assert.deepEqual(compared.body.counts, { new: 1, dropped: 1, shared: 1 });
+    assert.deepEqual(compared.body.new.map(result => result.pubmedId), ['31800002']);
+    assert.deepEqual(compared.body.dropped.map(result => result.pubmedId), ['36512345']);
+    assert.deepEqual(compared.body.shared.map(result => result.pubmedId), ['31800001']);
+    assert.equal(compared.body.a.resultCount, 2);
+    assert.equal(compared.body.b.totalCount, 120);
+    assert.equal((await app.request('GET', `/api/searches/compare?a=${a}`)).status, 400);
+
+    const deleted = await app.request('DELETE', `/api/searches/${b}`);
+    assert.equal(deleted.status, 204);
+    assert.equal((await app.request('GET', `/api/results/${b}`)).status, 404);
+    assert.equal((await app.request('DELETE', `/api/searches/${b}`)).status, 404);
+    const history = await app.request('GET', '/api/history');
+    assert.deepEqual(history.body.searches.map(entry => entry.id), [a]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('summarizes the stored results of a search', async () => {
+  const app = await startApp();
+  try {
+    const { searchId } = (await app.request('POST', '/api/search', { query: 'sotorasib' })).body;
+
+    const analytics = await app.request('GET', `/api/searches/${searchId}/analytics?limit=5`);
+    assert.equal(analytics.status, 200);
+    assert.equal(analytics.body.searchId, searchId);
+    assert.equal(analytics.body.articleCount, 2);
+    const [topTerm] = analytics.body.topMeshTerms;
+    assert.equal(topTerm.descriptor, 'Carcinoma, Non-Small-Cell Lung');
+    assert.deepEqual(topTerm.qualifiers.map(qualifier => qualifier.qualifier), ['drug therapy', 'genetics']);
+    assert.deepEqual(analytics.body.topJournals.map(journal => journal.isoAbbreviation), ['Lancet', 'Nature']);
+    assert.deepEqual(analytics.body.publicationsPerYear, [{ year: 2019, articleCount: 1 }, { year: 2023, articleCount: 1 }]);
+    assert.deepEqual(analytics.body.companies.map(company => [company.name, company.articleCount]), [['Amgen', 1]]);
+    assert.deepEqual(analytics.body.companyCooccurrence, []);
+
+    assert.equal((await app.request('GET', `/api/searches/${searchId + 100}/analytics`)).status, 404);
+    assert.equal((await app.request('GET', `/api/searches/${searchId}/analytics?limit=0`)).status, 400);
+  } finally {
+    await app.close();
+  }
+});
+
+test('runs bulk jobs, streams their progress and cancels and resumes them', async () => {
+  const pubmed = createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test', maxRetries: 0, timeoutMs: 200 });
+  const app = await startApp({ pubmed });
+  try {
+    const created = await app.request('POST', '/api/jobs', { query: 'sotorasib', batchSize: 1 });
+    assert.equal(created.status, 202);
+    const jobId = created.body.job.id;
+
+    // The stream ends once the job is finished, after one event per batch
+    const stream = await app.events(`/api/jobs/${jobId}/events`);
+    assert.equal(stream.status, 200);
+    assert.match(stream.type, /^text\/event-stream/);
+    const last = stream.events[stream.events.length - 1].data;
+    assert.equal(last.status, 'completed');
+    assert.equal(last.processed, 2);
+    assert.equal(last.progress, 1);
+
+    const job = await app.request('GET', `/api/jobs/${jobId}`);
+    assert.equal(job.body.job.status, 'completed');
+    const results = await app.request('GET', job.body.job.resultsUrl);
+    assert.deepEqual(results.body.results.map(result => [result.page, result.pubmed_id]), [[1, '36512345'], [2, '31800001']]);
+    assert.equal((await app.request('POST', `/api/jobs/${jobId}/cancel`)).status, 409);
+    assert.equal((await app.request('POST', `/api/jobs/${jobId}/resume`)).status, 409);
+
+    // While the next job waits on a stalled efetch, another one stays queued
+    mock.stall('efetch.fcgi', { times: 1 });
+    const stalled = (await app.request('POST', '/api/jobs', { query: 'sotorasib' })).body.job;
+    const queued = (await app.request('POST', '/api/jobs', { query: 'risk factors', maxResults: 2 })).body.job;
+    assert.equal(queued.status, 'queued');
+    const busy = await app.request('DELETE', `/api/searches/${queued.searchId}`);
+    assert.equal(busy.status, 409);
+
+    const cancelled = await app.request('POST', `/api/jobs/${queued.id}/cancel`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.job.status, 'cancelled');
+
+    const failed = (await app.events(`/api/jobs/${stalled.id}/events`)).events.pop().data;
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.error, /timed out/i);
+
+    for (const id of [stalled.id, queued.id]) {
+      const resumed = await app.request('POST', `/api/jobs/${id}/resume`);
+      assert.equal(resumed.status, 202);
+      assert.equal(resumed.body.job.status, 'queued');
+      assert.equal((await app.events(`/api/jobs/${id}/events`)).events.pop().data.status, 'completed');
+    }
+
+    const jobs = await app.request('GET', '/api/jobs');
+    assert.deepEqual(jobs.body.jobs.map(entry => [entry.id, entry.status, entry.processed]).sort((x, y) => x[0] - y[0]), [
+      [jobId, 'completed', 2],
+      [stalled.id, 'completed', 2],
+      [queued.id, 'completed', 2]
+    ]);
+    assert.equal((await app.request('GET', `/api/jobs/${queued.id + 100}`)).status, 404);
+  } finally {
+    await app.close();
+  }
+});
+
+test('saves searches, runs them and lists the new hits', async () => {
+  const app = await startApp();
+  searches['kras g12c'] = { count: 1, idlist: ['36512345'] };
+  try {
+    const withHook = await app.request('POST', '/api/saved-searches', {
+      query: 'risk factors',
+      name: 'Risk factors',
+      schedule: 'weekly',
+      webhookUrl: 'https://203.0.113.10/hook'
+    });
+    assert.equal(withHook.status, 201);
+    assert.equal(withHook.body.savedSearch.intervalMinutes, 7 * 24 * 60);
+    assert.equal(withHook.body.savedSearch.enabled, true);
+
+    const created = await app.request('POST', '/api/saved-searches', { query: 'kras g12c', intervalMinutes: 120 });
+    const saved = created.body.savedSearch;
+    assert.equal(saved.intervalMinutes, 120);
+    assert.equal(saved.webhookUrl, null);
+    assert.equal((await app.request('POST', '/api/saved-searches', { query: 'kras g12c', intervalMinutes: 1 })).status, 400);
+
+    const list = await app.request('GET', '/api/saved-searches');
+    assert.deepEqual(list.body.savedSearches.map(entry => entry.id).sort(), [withHook.body.savedSearch.id, saved.id].sort());
+
+    // The first run only records what the query matches
+    const baseline = await app.request('POST', `/api/saved-searches/${saved.id}/run`);
+    assert.equal(baseline.status, 200);
+    assert.equal(baseline.body.run.baseline, true);
+    assert.equal(baseline.body.run.newCount, 0);
+
+    searches['kras g12c'] = { count: 2, idlist: ['31800001', '36512345'] };
+    const run = await app.request('POST', `/api/saved-searches/${saved.id}/run`);
+    assert.equal(run.body.run.status, 'ok');
+    assert.equal(run.body.run.newCount, 1);
+
+    const hits = await app.request('GET', `/api/saved-searches/${saved.id}/new`);
+    assert.deepEqual(hits.body.results.map(hit => hit.pubmedId), ['31800001']);
+    const details = await app.request('GET', `/api/saved-searches/${saved.id}`);
+    assert.equal(details.body.runs.length, 2);
+    assert.ok(details.body.savedSearch.lastRunAt);
+
+    // Deleting a saved search keeps its search in the history
+    assert.equal((await app.request('DELETE', `/api/saved-searches/${saved.id}`)).status, 204);
+    assert.equal((await app.request('GET', `/api/saved-searches/${saved.id}`)).status, 404);
+    assert.equal((await app.request('POST', `/api/saved-searches/${saved.id}/run`)).status, 404);
+    const history = await app.request('GET', '/api/history');
+    assert.ok(history.body.searches.some(entry => entry.id === saved.searchId));
+  } finally {
+    delete searches['kras g12c'];
+    await app.close();
+  }
+});
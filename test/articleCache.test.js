@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { createArticleCache } from '../lib/articleCache.js';
+
+function createRepo() {
+  return createRepository(openDatabase(':memory:'));
+}
+
+const record = { pmid: '111', title: 'Cached title', publicationDate: '2020-Jan', authors: [] };
+
+test('stores parsed records and raw XML by PMID', () => {
+  const cache = createArticleCache(createRepo());
+  cache.put({ ...record, rawXml: '<PubmedArticle/>' });
+
+  const entry = cache.get('111');
+  assert.deepEqual(entry.record, record);
+  assert.equal(entry.rawXml, '<PubmedArticle/>');
+  assert.equal(entry.fresh, true);
+  assert.equal(cache.get('222'), null);
+});
+
+test('only returns fresh records and counts hits and misses', () => {
+  const repo = createRepo();
+  const cache = createArticleCache(repo, { ttlMs: 60 * 1000 });
+  cache.putMany([record, { ...record, pmid: '222' }]);
+  repo.db.prepare('UPDATE articles SET fetched_at = ? WHERE pmid = ?').run(Date.now() - 2 * 60 * 1000, '222');
+
+  const fresh = cache.getFresh(['111', '222', '333']);
+  assert.deepEqual([...fresh.keys()], ['111']);
+  assert.deepEqual(cache.stats, { hits: 1, misses: 2 });
+  assert.equal(cache.get('222').fresh, false);
+
+  // Offline mode takes stale records too, without counting them
+  assert.deepEqual([...cache.getStored(['111', '222', '333']).keys()], ['111', '222']);
+  assert.deepEqual(cache.stats, { hits: 1, misses: 2 });
+});
+
+test('replaces a stale record when it is fetched again', () => {
+  const cache = createArticleCache(createRepo());
+  cache.put(record);
+  cache.put({ ...record, title: 'Updated title' });
+  assert.equal(cache.get('111').record.title, 'Updated title');
+});
+
+test('a TTL of zero turns the cache off', () => {
+  const cache = createArticleCache(createRepo(), { ttlMs: 0 });
+  cache.put(record);
+  assert.equal(cache.getFresh(['111']).size, 0);
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { createAuth, canAccess, generateApiKey, hashApiKey, ownerId, signJwt, verifyJwt } from '../lib/auth.js';
+import { AuthenticationError, ForbiddenError, RateLimitError } from '../lib/errors.js';
+
+const SECRET = 'test-secret';
+
+function fakeRequest(headers = {}, ip = '127.0.0.1') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip, get: name => lower[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  const headers = {};
+  return { headers, set: (name, value) => { headers[name] = value; } };
+}
+
+// Run a middleware, returning the error it threw or passed on
+function run(middleware, req, res = fakeResponse()) {
+  let passed;
+  try {
+    middleware(req, res, err => { passed = err; });
+  } catch (err) {
+    passed = err;
+  }
+  return passed;
+}
+
+function setup(options = {}) {
+  const repo = createRepository(openDatabase(':memory:'));
+  const userId = repo.createUser({ name: 'Ada' });
+  const { key, keyHash, prefix } = generateApiKey();
+  const keyId = repo.createApiKey({ userId, keyHash, prefix, ...options.key });
+  let now = Date.UTC(2024, 0, 1, 12, 0, 30);
+  const auth = createAuth({ repository: repo, jwtSecret: SECRET, adminKey: 'admin-secret', clock: () => now, ...options.auth });
+  return { repo, auth, userId, key, keyId, setNow: value => { now = value; } };
+}
+
+test('signs and verifies HS256 tokens', () => {
+  const now = Date.UTC(2024, 0, 1);
+  const token = signJwt({ sub: 'u-1', name: 'Ada' }, SECRET, { expiresInSeconds: 60, now });
+  assert.equal(verifyJwt(token, SECRET, { now }).name, 'Ada');
+
+  assert.throws(() => verifyJwt(token, 'other-secret', { now }), /Invalid token signature/);
+  assert.throws(() => verifyJwt(token, SECRET, { now: now + 61000 }), /Token has expired/);
+  assert.throws(() => verifyJwt('not-a-token', SECRET), AuthenticationError);
+
+  const [, payload, signature] = token.split('.');
+  const none = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.${signature}`;
+  assert.throws(() => verifyJwt(none, SECRET, { now }), /HS256/);
+});
+
+test('generates API keys that are stored by hash only', () => {
+  const { key, keyHash, prefix } = generateApiKey();
+  assert.match(key, /^pmx_[\w-]{32}$/);
+  assert.equal(keyHash, hashApiKey(key));
+  assert.ok(key.startsWith(prefix));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('authenticates API keys and rejects missing, unknown and revoked ones', () => {
+  const { repo, auth, userId, key, keyId } = setup();
+
+  const req = fakeRequest({ 'X-API-Key': key });
+  assert.equal(run(auth.authenticate, req), undefined);
+  assert.equal(req.auth.user.id, userId);
+  assert.equal(req.auth.role, 'user');
+  assert.equal(req.auth.subject, `key:${keyId}`);
+  assert.equal(ownerId(req), userId);
+  assert.ok(repo.getApiKey(keyId).last_used_at);
+
+  const bearer = fakeRequest({ Authorization: `Bearer ${key}` });
+  assert.equal(run(auth.authenticate, bearer), undefined);
+  assert.equal(bearer.auth.keyId, keyId);
+
+  assert.equal(run(auth.authenticate, fakeRequest()).status, 401);
+  assert.match(run(auth.authenticate, fakeRequest({ 'X-API-Key': 'pmx_unknown' })).message, /Invalid API key/);
+
+  repo.revokeApiKey(keyId);
+  assert.match(run(auth.authenticate, fakeRequest({ 'X-API-Key': key })).message, /revoked/);
+  assert.equal(repo.revokeApiKey(keyId), false);
+});
+
+test('accepts JWTs, the admin key and anonymous callers when allowed', () => {
+  const { repo, auth } = setup();
+
+  const token = signJwt({ sub: 'ext-42', name: 'Grace', email: 'grace@example.org' }, SECRET);
+  const req = fakeRequest({ Authorization: `Bearer ${token}` });
+  assert.equal(run(auth.authenticate, req), undefined);
+  assert.equal(repo.getUser(req.auth.user.id).email, 'grace@example.org');
+
+  // The same subject maps to the same user
+  const again = fakeRequest({ Authorization: `Bearer ${token}` });
+  run(auth.authenticate, again);
+  assert.equal(again.auth.user.id, req.auth.user.id);
+  assert.ok(run(auth.requireAdmin, again) instanceof ForbiddenError);
+
+  const admin = fakeRequest({ 'X-API-Key': 'admin-secret' });
+  run(auth.authenticate, admin);
+  assert.equal(admin.auth.role, 'admin');
+  assert.equal(admin.auth.user, null);
+  assert.equal(run(auth.requireAdmin, admin), undefined);
+
+  const open = createAuth({ repository: repo, required: false });
+  const anonymous = fakeRequest({}, '10.0.0.1');
+  run(open.authenticate, anonymous);
+  assert.equal(anonymous.auth.role, 'anonymous');
+  assert.equal(anonymous.auth.subject, 'ip:10.0.0.1');
+  assert.equal(ownerId(anonymous), null);
+});
+
+test('enforces per-key rate limits and daily quotas stored in SQLite', () => {
+  const { repo, auth, key, keyId, setNow } = setup({ key: { rateLimitPerMinute: 2, dailyQuota: 3 } });
+  const call = () => {
+    const req = fakeRequest({ 'X-API-Key': key });
+    const res = fakeResponse();
+    run(auth.authenticate, req, res);
+    return { err: run(auth.rateLimit, req, res), headers: res.headers };
+  };
+
+  assert.equal(call().err, undefined);
+  const second = call();
+  assert.equal(second.err, undefined);
+  assert.equal(second.headers['X-RateLimit-Remaining'], '0');
+
+  const limited = call().err;
+  assert.ok(limited instanceof RateLimitError);
+  assert.equal(limited.code, 'rate_limited');
+  assert.equal(limited.retryAfterSeconds, 30);
+
+  // A new minute resets the rate limit but not the daily quota
+  setNow(Date.UTC(2024, 0, 1, 12, 1, 0));
+  assert.equal(call().err, undefined);
+  const exhausted = call().err;
+  assert.equal(exhausted.code, 'quota_exceeded');
+  assert.equal(exhausted.status, 429);
+
+  // Usage outlives the middleware, e.g. across restarts
+  const restarted = createAuth({ repository: repo, clock: () => Date.UTC(2024, 0, 1, 13) });
+  const req = fakeRequest({ 'X-API-Key': key });
+  run(restarted.authenticate, req);
+  assert.equal(run(restarted.rateLimit, req).code, 'quota_exceeded');
+  assert.equal(repo.getApiKeys({ dayStart: Date.UTC(2024, 0, 1) })[0].requests_today, 3);
+
+  // The next UTC day starts a new quota
+  setNow(Date.UTC(2024, 0, 2, 0, 0, 5));
+  assert.equal(call().err, undefined);
+  assert.equal(repo.getApiKey(keyId).revoked_at, null);
+});
+
+test('limits access to stored searches to their owner and admins', () => {
+  const user = { auth: { user: { id: 1 }, role: 'user' } };
+  const anonymous = { auth: { user: null, role: 'anonymous' } };
+  const admin = { auth: { user: null, role: 'admin' } };
+
+  assert.ok(canAccess(user, { user_id: 1 }));
+  assert.ok(!canAccess(user, { user_id: 2 }));
+  assert.ok(!canAccess(user, { user_id: null }));
+  assert.ok(canAccess(anonymous, { user_id: null }));
+  assert.ok(canAccess(admin, { user_id: 2 }));
+  assert.ok(!canAccess(admin, undefined));
+});
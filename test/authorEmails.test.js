@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cleanEmail,
+  extractEmails,
+  stripEmails,
+  extractAuthorEmails,
+  pickCorrespondingAuthor,
+  toAuthorEmail
+} from '../lib/authorEmails.js';
+
+function author(foreName, lastName, initials, ...affiliations) {
+  return { name: `${foreName} ${lastName}`, foreName, lastName, initials, affiliations };
+}
+
+test('cleans trailing periods and mailto prefixes', () => {
+  assert.equal(cleanEmail('mailto:J.Smith@Pfizer.com.'), 'j.smith@pfizer.com');
+  assert.deepEqual(
+    extractEmails('Pfizer Inc., Groton, CT, USA. Electronic address: john.smith@pfizer.com.'),
+    ['john.smith@pfizer.com']
+  );
+  assert.deepEqual(extractEmails('a@x.org; b@y.co.uk; a@x.org'), ['a@x.org', 'b@y.co.uk']);
+});
+
+test('strips emails and labels from affiliation text', () => {
+  assert.equal(
+    stripEmails('Amgen Inc., Thousand Oaks, CA, USA. Electronic address: anna@amgen.com.'),
+    'Amgen Inc., Thousand Oaks, CA, USA'
+  );
+  assert.equal(stripEmails('Novartis AG, Basel. E-mail: x@novartis.com'), 'Novartis AG, Basel');
+});
+
+test('ties each email to the author whose affiliation lists it', () => {
+  const authors = [
+    author('Anna', 'Müller', 'A', 'University of Heidelberg, Germany. anna.mueller@uni-heidelberg.de.'),
+    author('Wei', 'Chen', 'W', 'Amgen Inc., Thousand Oaks, CA, USA. Electronic address: wchen@amgen.com.')
+  ];
+  assert.deepEqual(extractAuthorEmails(authors).map(toAuthorEmail), [
+    { author: 'Anna Müller', email: 'anna.mueller@uni-heidelberg.de', source: 'affiliation' },
+    { author: 'Wei Chen', email: 'wchen@amgen.com', source: 'electronic-address' }
+  ]);
+});
+
+test('gives a shared address to the author whose name matches it', () => {
+  const shared = 'Pfizer Inc., Groton, CT. Electronic address: jane.doe@pfizer.com.';
+  const authors = [author('John', 'Smith', 'J', shared), author('Jane', 'Doe', 'J', shared)];
+  const emails = extractAuthorEmails(authors);
+  assert.equal(emails.length, 1);
+  assert.equal(emails[0].author, 'Jane Doe');
+});
+
+test('prefers an explicit correspondence marker', () => {
+  const emails = extractAuthorEmails([
+    author('Anna', 'Lee', 'A', 'Genentech, South San Francisco. Electronic address: lee.anna@gene.com.'),
+    author('Ben', 'Ode', 'B', 'Corresponding author: Roche, Basel. ben.ode@roche.com')
+  ]);
+  assert.deepEqual(pickCorrespondingAuthor(emails), {
+    author: 'Ben Ode',
+    email: 'ben.ode@roche.com',
+    source: 'affiliation',
+    reason: 'explicit-marker'
+  });
+});
+
+test('falls back through electronic address, single email, name match and last author', () => {
+  const electronic = extractAuthorEmails([
+    author('Anna', 'Lee', 'A', 'Genentech. lee@gene.com'),
+    author('Ben', 'Ode', 'B', 'Roche. Electronic address: b.o@roche.com')
+  ]);
+  assert.equal(pickCorrespondingAuthor(electronic).reason, 'electronic-address');
+  assert.equal(pickCorrespondingAuthor(electronic).author, 'Ben Ode');
+
+  const single = extractAuthorEmails([
+    author('Anna', 'Lee', 'A', 'Genentech.'),
+    author('Ben', 'Ode', 'B', 'Roche. contact@roche.com; info@roche.com')
+  ]);
+  assert.equal(pickCorrespondingAuthor(single).reason, 'single-email');
+
+  const nameMatch = extractAuthorEmails([
+    author('Anna', 'Lee', 'A', 'Genentech. anna.lee@gene.com'),
+    author('Ben', 'Ode', 'B', 'Roche. lab@roche.com')
+  ]);
+  assert.equal(pickCorrespondingAuthor(nameMatch).reason, 'name-match');
+  assert.equal(pickCorrespondingAuthor(nameMatch).author, 'Anna Lee');
+
+  const last = extractAuthorEmails([
+    author('Anna', 'Lee', 'A', 'Genentech. office@gene.com'),
+    author('Ben', 'Ode', 'B', 'Roche. lab@roche.com')
+  ]);
+  assert.equal(pickCorrespondingAuthor(last).reason, 'last-author');
+  assert.equal(pickCorrespondingAuthor(last).author, 'Ben Ode');
+
+  assert.equal(pickCorrespondingAuthor([]), null);
+});
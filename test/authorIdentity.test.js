@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import {
+  affiliationSimilarity,
+  authorBlockKey,
+  authorForeKey,
+  foreNamesCompatible,
+  matchAuthor,
+  MAX_AUTHOR_CANDIDATES
+} from '../lib/authorIdentity.js';
+
+function author(foreName, affiliations = [], extra = {}) {
+  return {
+    name: `${foreName} Smith`,
+    lastName: 'Smith',
+    foreName,
+    initials: foreName.split(' ').map(part => part.charAt(0)).join(''),
+    orcid: '',
+    affiliations,
+    ...extra
+  };
+}
+
+const BROAD = 'Broad Institute of MIT and Harvard, Cambridge, MA, USA';
+const PFIZER = 'Pfizer Inc., Groton, CT, USA';
+
+test('blocks authors by last name and first initial', () => {
+  assert.equal(authorBlockKey(author('John')), 'smith|j');
+  assert.equal(authorBlockKey({ lastName: 'Müller', initials: 'HJ' }), 'muller|h');
+  assert.equal(authorForeKey(author('Jörg-Peter')), 'jorg');
+  assert.equal(authorForeKey(author('J A')), '');
+});
+
+test('compares fore names and initials', () => {
+  assert.equal(foreNamesCompatible(author('John'), { initials: 'J' }), true);
+  assert.equal(foreNamesCompatible(author('John A'), author('John')), true);
+  assert.equal(foreNamesCompatible(author('John'), author('James')), false);
+  assert.equal(foreNamesCompatible({ initials: 'JA' }, { initials: 'JB' }), false);
+});
+
+test('scores affiliation overlap on distinctive words', () => {
+  assert.equal(affiliationSimilarity([BROAD], ['Broad Institute, Cambridge, MA']), 1 / 2);
+  assert.equal(affiliationSimilarity([PFIZER], ['Pfizer Worldwide R&D, Cambridge, MA, USA']), 1 / 2);
+  assert.equal(affiliationSimilarity([PFIZER], [BROAD]), 0);
+});
+
+test('matches on affiliations and only guesses without them when unambiguous', () => {
+  const candidates = [
+    { id: 1, fore_name: 'John', initials: 'J', orcid: null, affiliations: [BROAD] },
+    { id: 2, fore_name: 'John', initials: 'J', orcid: null, affiliations: [PFIZER] }
+  ];
+  assert.deepEqual(matchAuthor(author('John', [PFIZER]), candidates), { id: 2, score: 1 });
+  assert.equal(matchAuthor(author('John', ['University of Tokyo, Japan']), candidates), null);
+  assert.equal(matchAuthor(author('John'), candidates), null);
+  assert.deepEqual(matchAuthor(author('John'), candidates.slice(0, 1)), { id: 1, score: 0 });
+  assert.equal(matchAuthor(author('John', [BROAD], { orcid: '0000-0001-0000-0001' }), [
+    { ...candidates[0], orcid: '0000-0002-0000-0002' }
+  ]), null);
+});
+
+function save(repo, pmid, authors) {
+  repo.saveArticles([{ pmid, title: `Article ${pmid}`, publicationDate: `${2000 + Number(pmid)}-Jan`, publicationYear: 2000 + Number(pmid), authors }]);
+  return repo.getArticleAuthors(pmid).map(row => row.id);
+}
+
+test('keeps namesakes apart and merges one person across articles', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+
+  const [broad] = save(repo, '1', [author('John', [BROAD])]);
+  const [pfizer] = save(repo, '2', [author('John', [PFIZER])]);
+  const [broadAgain] = save(repo, '3', [author('J', ['Broad Institute, Cambridge, MA'])]);
+
+  assert.notEqual(broad, pfizer);
+  assert.equal(broadAgain, broad);
+  assert.equal(repo.getAuthor(broad).article_count, 2);
+  assert.match(repo.getAuthor(pfizer).author_key, /#2$/);
+});
+
+test('numbers namesakes from a counter and only compares fitting fore names', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+
+  const [broad] = save(repo, '1', [author('John', [BROAD])]);
+  const [pfizer] = save(repo, '2', [author('John', [PFIZER])]);
+  const [james] = save(repo, '3', [author('James', ['University of Tokyo, Japan'])]);
+  assert.deepEqual([broad, pfizer, james].map(id => repo.getAuthor(id).author_key), [
+    'name:smith|j', 'name:smith|j#2', 'name:smith|j#3'
+  ]);
+
+  const ids = candidates => candidates.map(candidate => candidate.id);
+  assert.deepEqual(ids(repo.getAuthorCandidates('smith|j', author('John'))), [pfizer, broad]);
+  assert.deepEqual(ids(repo.getAuthorCandidates('smith|j', author('J'))), [james, pfizer, broad]);
+  assert.deepEqual(repo.getAuthorCandidates('smith|j', author('John'))[1].affiliations, [BROAD]);
+
+  // Common names only compare the newest authors of the block
+  for (let i = 0; i < MAX_AUTHOR_CANDIDATES; i++) {
+    repo.insertAuthor(author('John'));
+  }
+  const candidates = repo.getAuthorCandidates('smith|j', author('John'));
+  assert.equal(candidates.length, MAX_AUTHOR_CANDIDATES);
+  assert.ok(!ids(candidates).includes(broad));
+  assert.equal(repo.getAuthor(candidates[0].id).author_key, `name:smith|j#${MAX_AUTHOR_CANDIDATES + 3}`);
+});
+
+test('uses the ORCID when present and attaches it to a name-only author', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const orcid = '0000-0002-1825-0097';
+
+  const [first] = save(repo, '1', [author('John', [PFIZER])]);
+  const [second] = save(repo, '2', [author('John', ['Amgen Inc., Thousand Oaks, CA'], { orcid })]);
+  const [third] = save(repo, '3', [author('John', [PFIZER], { orcid })]);
+
+  assert.notEqual(first, second);
+  assert.equal(third, second);
+  assert.equal(repo.getAuthor(second).orcid, orcid);
+});
+
+test('builds an affiliation history ordered by year', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const orcid = '0000-0002-1825-0097';
+  save(repo, '5', [author('John', [PFIZER], { orcid })]);
+  const [id] = save(repo, '1', [author('John', [BROAD], { orcid })]);
+  save(repo, '7', [author('John', [PFIZER], { orcid })]);
+
+  const history = repo.getAuthorAffiliationHistory(id);
+  assert.deepEqual(history.map(entry => [entry.affiliation, entry.first_year, entry.last_year, entry.article_count]), [
+    [BROAD, 2001, 2001, 1],
+    [PFIZER, 2005, 2007, 2]
+  ]);
+  assert.deepEqual(repo.getAuthorArticles(id).map(article => [article.pmid, article.position]), [['7', 0], ['5', 0], ['1', 0]]);
+});
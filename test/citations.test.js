@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import {
+  buildNetwork,
+  createCitationService,
+  parseLinkSets,
+  toGraphML,
+  MAX_SIMILAR_ARTICLES
+} from '../lib/citations.js';
+
+// elink linksets for 111, which cites 222 and is cited by 333 and 900
+const LINKSETS = [
+  {
+    dbfrom: 'pubmed',
+    ids: ['111'],
+    linksetdbs: [
+      { dbto: 'pubmed', linkname: 'pubmed_pubmed', links: ['111', '222', '444'] },
+      { dbto: 'pubmed', linkname: 'pubmed_pubmed_citedin', links: ['333', '900'] },
+      { dbto: 'pubmed', linkname: 'pubmed_pubmed_refs', links: ['222'] },
+      { dbto: 'pubmed', linkname: 'pubmed_pubmed_reviews', links: ['555'] }
+    ]
+  },
+  { dbfrom: 'pubmed', ids: ['222'] }
+];
+
+const result = pubmedId => ({
+  pubmedId,
+  title: `Article ${pubmedId}`,
+  publicationDate: '2020',
+  nonAcademicAuthors: [],
+  companyAffiliations: [],
+  affiliationClassifications: [],
+  authorEmails: [],
+  correspondingAuthor: null
+});
+
+// Repository with a search storing 111, 222 and 333, and a citation service
+// whose elink answers with LINKSETS
+function setup({ ttlMs } = {}) {
+  const repo = createRepository(openDatabase(':memory:'));
+  repo.saveArticles(['111', '222', '333'].map(pmid => ({
+    pmid,
+    title: `Article ${pmid}`,
+    publicationDate: '2020',
+    authors: pmid === '222'
+      ? [{ name: 'Wei Chen', lastName: 'Chen', foreName: 'Wei', affiliations: ['Amgen Inc., Thousand Oaks, CA, USA.'] }]
+      : []
+  })));
+  const searchId = repo.createSearch({ query: 'kras', pageSize: 10 });
+  repo.saveResultsPage(searchId, { page: 1, retstart: 0, total: 3, results: ['111', '222', '333'].map(result) });
+  const amgen = repo.db.prepare("INSERT INTO companies (name) VALUES ('Amgen') RETURNING id").get().id;
+  repo.db.prepare('INSERT INTO affiliation_companies (affiliation_id, company_id) SELECT id, ? FROM affiliations').run(amgen);
+
+  const state = { requests: [], now: Date.UTC(2024, 0, 1) };
+  const pubmed = {
+    async elink(ids) {
+      state.requests.push(ids);
+      return LINKSETS;
+    }
+  };
+  const service = createCitationService({ repository: repo, pubmed, ttlMs, clock: () => state.now });
+  return { repo, searchId, service, state };
+}
+
+test('parses elink linksets into citations, references and similar articles', () => {
+  const [first, second, missing] = parseLinkSets(LINKSETS, ['111', '222', '999']);
+  assert.deepEqual(first, { pmid: '111', citedBy: ['333', '900'], references: ['222'], similar: ['222', '444'] });
+  assert.deepEqual(second, { pmid: '222', citedBy: [], references: [], similar: [] });
+  assert.deepEqual(missing, { pmid: '999', citedBy: [], references: [], similar: [] });
+
+  const many = Array.from({ length: 50 }, (_, i) => String(1000 + i));
+  const [capped] = parseLinkSets([{ ids: ['1'], linksetdbs: [{ linkname: 'pubmed_pubmed', links: many }] }], ['1']);
+  assert.equal(capped.similar.length, MAX_SIMILAR_ARTICLES);
+});
+
+test('fetches links once until they go stale', async () => {
+  const { repo, service, state } = setup({ ttlMs: 60 * 1000 });
+
+  assert.equal(await service.ensureLinks(['111', '222', '111']), 2);
+  assert.deepEqual(state.requests, [['111', '222']]);
+  assert.equal(await service.ensureLinks(['111']), 0);
+  assert.equal(await service.ensureLinks(['111'], { refresh: true }), 1);
+
+  state.now += 2 * 60 * 1000;
+  assert.equal(await service.ensureLinks(['111', '222']), 2);
+  assert.equal(state.requests.length, 3);
+
+  const links = repo.getArticleLinks('111');
+  assert.deepEqual(links.citedBy.map(link => [link.pmid, link.title]), [['900', null], ['333', 'Article 333']]);
+  assert.deepEqual(links.references.map(link => link.pmid), ['222']);
+  assert.deepEqual(links.similar.map(link => link.pmid), ['222', '444']);
+  assert.equal(links.fetched.cited_by_count, 2);
+  // 111's reference list also says who cites 222
+  assert.deepEqual(repo.getArticleLinks('222').citedBy.map(link => link.pmid), ['111']);
+});
+
+test('builds the citation network of a search with industry papers flagged', async () => {
+  const { repo, searchId, service } = setup();
+  await service.ensureLinks(['111', '222', '333']);
+
+  const internal = buildNetwork(repo.getCitationNetwork(searchId));
+  assert.deepEqual(internal.nodes.map(node => [node.id, node.citedByInNetwork, node.industry]), [
+    ['111', 1, false],
+    ['222', 1, true],
+    ['333', 0, false]
+  ]);
+  assert.deepEqual(internal.nodes[1].companies, ['Amgen']);
+  assert.deepEqual(internal.edges, [
+    { source: '111', target: '222', type: 'cites' },
+    { source: '333', target: '111', type: 'cites' }
+  ]);
+
+  const all = buildNetwork(repo.getCitationNetwork(searchId, { external: true, similar: true }));
+  const outside = all.nodes.find(node => node.id === '900');
+  assert.deepEqual([outside.inSearch, outside.title], [false, null]);
+  assert.ok(all.edges.some(edge => edge.type === 'similar' && edge.target === '444' && edge.rank === 2));
+});
+
+test('writes GraphML with node and edge attributes', () => {
+  const xml = toGraphML({
+    nodes: [{ id: '111', title: 'A & <B>', year: 2020, inSearch: true, companies: ['Amgen', 'Pfizer'], industry: true, citedByCount: null, citedByInNetwork: 1 }],
+    edges: [{ source: '222', target: '111', type: 'cites' }]
+  }, { graphId: 'search-1' });
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<graphml /);
+  assert.match(xml, /<key id="citedByInNetwork" for="node" attr.name="citedByInNetwork" attr.type="int"\/>/);
+  assert.match(xml, /<graph id="search-1" edgedefault="directed">/);
+  assert.match(xml, /<data key="title">A &amp; &lt;B&gt;<\/data>/);
+  assert.match(xml, /<data key="companies">Amgen; Pfizer<\/data>/);
+  assert.doesNotMatch(xml, /key="citedByCount"><\/data>|<data key="citedByCount">/);
+  assert.match(xml, /<edge source="222" target="111">\n {6}<data key="type">cites<\/data>/);
+});
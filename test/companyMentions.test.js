@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCompanyMentionDetector, findIndustryTies } from '../lib/companyMentions.js';
+
+const detector = createCompanyMentionDetector();
+const companiesIn = text => detector.findMentions(text).map(mention => mention.company);
+
+test('finds known companies under their canonical names', () => {
+  assert.deepEqual(companiesIn('A.K.M. received consulting fees from Merck Sharp & Dohme and GlaxoSmithKline.'), ['Merck', 'GSK']);
+  assert.deepEqual(companiesIn('Funded by MedImmune.'), ['AstraZeneca']);
+  // Names in capitals must match case
+  assert.deepEqual(companiesIn('The msd and gsk cohorts were pooled.'), []);
+});
+
+test('finds unknown companies by their legal form or industry word', () => {
+  assert.deepEqual(companiesIn('This work was supported by Acme Therapeutics, Inc.'), ['Acme Therapeutics']);
+  assert.deepEqual(companiesIn('Reagents were provided by Foo Labs GmbH.'), ['Foo Labs GmbH']);
+  assert.deepEqual(companiesIn('Funded by Takeda Pharmaceuticals.'), ['Takeda']);
+  assert.deepEqual(companiesIn('Supported by the Shenyang Pharmaceutical University.'), []);
+});
+
+test('skips denials but keeps ties in the same statement', () => {
+  assert.deepEqual(companiesIn('The authors declare no competing interests with Roche.'), []);
+  assert.deepEqual(companiesIn('None of the authors has ties to Novartis.'), []);
+  assert.deepEqual(
+    companiesIn('A.B. received fees from Pfizer and has no other ties. C.D. has no ties to Novartis, nor to Bayer.'),
+    ['Pfizer']
+  );
+  assert.deepEqual(companiesIn('The authors have no conflicts of interest. The study was funded by Amgen Inc.'), ['Amgen']);
+});
+
+test('skips foundations, endowed chairs and authors named like companies', () => {
+  assert.deepEqual(companiesIn('Supported by the Novo Nordisk Foundation and a Pfizer Professorship.'), []);
+  assert.deepEqual(companiesIn('J. Janssen received grants from Roche.'), ['Roche']);
+});
+
+test('collects ties from affiliations, grants, full-text funding and COI statements', () => {
+  const article = {
+    grants: [
+      { grantId: 'R01 CA123456', agency: 'NCI NIH HHS' },
+      { grantId: '', agency: 'Amgen' }
+    ],
+    coiStatement: 'W.C. is an employee of Amgen. The other authors declare no competing interests.',
+    fullText: {
+      fundingStatements: ['This work was funded by BioNTech SE.'],
+      awards: [{ agency: 'National Cancer Institute', awardIds: ['CA1'] }],
+      competingInterests: ['A.B. has received honoraria from Amgen and Pfizer.']
+    }
+  };
+
+  const { hasIndustryTies, ties } = findIndustryTies(detector, article, ['Amgen Inc., Thousand Oaks, CA, USA.']);
+  assert.equal(hasIndustryTies, true);
+  assert.deepEqual(ties.map(tie => [tie.source, tie.company]), [
+    ['affiliation', 'Amgen'],
+    ['grant', 'Amgen'],
+    ['funding', 'BioNTech'],
+    ['coi', 'Amgen'],
+    ['coi', 'Pfizer']
+  ]);
+  assert.equal(ties[3].text, 'W.C. is an employee of Amgen.');
+});
+
+test('reports no ties for academic-only articles', () => {
+  const article = {
+    grants: [{ grantId: 'R01 CA1', agency: 'NCI NIH HHS' }],
+    coiStatement: 'The authors declare that they have no competing interests.'
+  };
+  assert.deepEqual(findIndustryTies(detector, article, []), { hasIndustryTies: false, ties: [] });
+  assert.deepEqual(findIndustryTies(detector, {}), { hasIndustryTies: false, ties: [] });
+});
+
+test('uses extra company names from the classifier rules', () => {
+  const custom = createCompanyMentionDetector({ names: ['Contoso Labs'] });
+  assert.deepEqual(custom.findMentions('Funded by Contoso Labs.').map(mention => mention.company), ['Contoso Labs']);
+});
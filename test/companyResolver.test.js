@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { createAffiliationClassifier } from '../lib/affiliationClassifier.js';
+import {
+  assignCompanies,
+  createCompanyResolver,
+  extractOrganizationName,
+  normalizeCompanyKey,
+  seedDefaultCompanies
+} from '../lib/companyResolver.js';
+
+test('takes the organization out of an affiliation string', () => {
+  assert.equal(extractOrganizationName('Pfizer Inc., Groton, CT, USA'), 'Pfizer Inc');
+  assert.equal(extractOrganizationName('Pfizer Worldwide R&D, Cambridge, MA 02139, USA'), 'Pfizer Worldwide R&D');
+  assert.equal(
+    extractOrganizationName('Department of Oncology, Genentech, Inc., 1 DNA Way, South San Francisco, CA 94080, USA.'),
+    'Genentech Inc'
+  );
+  assert.equal(
+    extractOrganizationName('Global Clinical Development, Novartis Pharma AG, Basel, Switzerland. jane@novartis.com'),
+    'Novartis Pharma AG'
+  );
+});
+
+test('normalizes legal forms, punctuation and accents out of company keys', () => {
+  assert.equal(normalizeCompanyKey('Pfizer Inc.'), 'pfizer');
+  assert.equal(normalizeCompanyKey('Merck & Co., Inc.'), 'merck');
+  assert.equal(normalizeCompanyKey('Sanofi-Aventis S.A.'), 'sanofi aventis');
+  assert.equal(normalizeCompanyKey('Nestlé Health Science'), 'nestle health science');
+  assert.equal(normalizeCompanyKey('Pfizer Worldwide R&D'), 'pfizer worldwide r and d');
+});
+
+test('matches aliases exactly or as a leading run of words', () => {
+  const resolver = createCompanyResolver([{ alias: 'pfizer', company_id: 1 }, { alias: 'eli lilly', company_id: 2 }]);
+  assert.equal(resolver.resolve('Pfizer Inc., Groton, CT, USA').companyId, 1);
+  assert.equal(resolver.resolve('Pfizer Worldwide R&D, Cambridge, MA').companyId, 1);
+  assert.equal(resolver.resolve('Eli Lilly and Company, Indianapolis, IN, USA').companyId, 2);
+  assert.equal(resolver.resolve('Pfizerville Biotech Ltd, Austin, TX').companyId, null);
+});
+
+function createRepo() {
+  const repo = createRepository(openDatabase(':memory:'));
+  seedDefaultCompanies(repo);
+  repo.saveArticles([
+    {
+      pmid: '1',
+      title: 'One',
+      authors: [
+        { name: 'Ann Lee', affiliations: ['Pfizer Inc., Groton, CT, USA'] },
+        { name: 'Bo Chen', affiliations: ['Department of Medicine, University of Oxford, Oxford, UK'] }
+      ]
+    },
+    {
+      pmid: '2',
+      title: 'Two',
+      authors: [
+        { name: 'Ann Lee', affiliations: ['Pfizer Worldwide R&D, Cambridge, MA, USA'] },
+        { name: 'Cy Diaz', affiliations: ['Wyeth Research Inc., Collegeville, PA, USA'] }
+      ]
+    }
+  ]);
+  assignCompanies(repo, createAffiliationClassifier(), repo.getUnresolvedAffiliations());
+  return repo;
+}
+
+test('clusters company affiliations into entities with counts and authors', () => {
+  const repo = createRepo();
+  assert.deepEqual(repo.getUnresolvedAffiliations(), []);
+
+  const { total, rows } = repo.getCompanies();
+  assert.equal(total, 2);
+  const pfizer = rows[0];
+  assert.equal(pfizer.name, 'Pfizer');
+  assert.equal(pfizer.article_count, 2);
+  assert.equal(pfizer.author_count, 1);
+  assert.deepEqual(repo.getCompanyAuthors(pfizer.id).map(author => author.name), ['Ann Lee']);
+
+  const articles = repo.getCompanyArticles(pfizer.id);
+  assert.deepEqual(articles.rows.map(row => row.pmid), ['2', '1']);
+  assert.deepEqual(articles.rows[0].organizations, ['Pfizer Worldwide R&D']);
+
+  const wyeth = rows[1];
+  assert.equal(wyeth.name, 'Wyeth Research Inc');
+  assert.deepEqual(wyeth.aliases, ['wyeth research']);
+});
+
+test('moving an alias merges companies when affiliations are resolved again', () => {
+  const repo = createRepo();
+  const [pfizer, wyeth] = repo.getCompanies().rows;
+
+  repo.setCompanyAlias(pfizer.id, 'wyeth research');
+  assignCompanies(repo, createAffiliationClassifier(), repo.getAllAffiliations());
+  assert.equal(repo.deleteEmptyCompanies(), 1);
+
+  const { rows } = repo.getCompanies();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].article_count, 2);
+  assert.equal(rows[0].author_count, 2);
+  assert.equal(repo.getCompany(wyeth.id), undefined);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ConfigError, loadConfig, redactConfig } from '../lib/config.js';
+
+const baseDir = '/srv/pubmed-explorer';
+// Authentication is on by default, which needs an admin key or JWT secret
+const adminKey = { ADMIN_API_KEY: 'admin-key' };
+
+function configFile(name, content) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'pubmed-config-'));
+  const file = path.join(dir, name);
+  writeFileSync(file, content);
+  return file;
+}
+
+test('uses defaults when nothing is set', () => {
+  const { config, sources } = loadConfig({ env: adminKey, baseDir });
+
+  assert.equal(config.port, 8081);
+  assert.equal(config.db.path, '/srv/pubmed-explorer/pubmed.db');
+  assert.equal(config.db.verbose, false);
+  assert.equal(config.ncbi.apiKey, null);
+  assert.equal(config.ncbi.tool, 'pubmed-explorer');
+  assert.deepEqual(config.cors.origins, ['*']);
+  assert.equal(config.search.maxPageSize, 100);
+  assert.equal(config.auth.required, true);
+  assert.equal(config.fullText.enabled, false);
+  assert.equal(sources.port, 'default');
+});
+
+test('reads environment variables', () => {
+  const { config, sources } = loadConfig({
+    env: {
+      ...adminKey,
+      PORT: '9000',
+      DB_PATH: ':memory:',
+      DB_VERBOSE: 'yes',
+      NCBI_API_KEY: 'abc123',
+      NCBI_EMAIL: 'dev@example.org',
+      CORS_ORIGINS: 'https://app.example.org, http://localhost:3000',
+      SEARCH_DEFAULT_PAGE_SIZE: '25'
+    },
+    baseDir
+  });
+
+  assert.equal(config.port, 9000);
+  assert.equal(config.db.path, ':memory:');
+  assert.equal(config.db.verbose, true);
+  assert.equal(config.ncbi.apiKey, 'abc123');
+  assert.equal(config.ncbi.email, 'dev@example.org');
+  assert.deepEqual(config.cors.origins, ['https://app.example.org', 'http://localhost:3000']);
+  assert.equal(config.search.defaultPageSize, 25);
+  assert.equal(sources.port, 'env');
+});
+
+test('reads a config file, with environment variables taking precedence', () => {
+  const file = configFile('config.yaml', 'port: 7000\nncbi:\n  email: file@example.org\n  tool: explorer\njobs:\n  pollSeconds: 30\n');
+  const { config, sources } = loadConfig({ env: { ...adminKey, CONFIG_FILE: file, PORT: '7100' }, baseDir });
+
+  assert.equal(config.port, 7100);
+  assert.equal(config.ncbi.email, 'file@example.org');
+  assert.equal(config.ncbi.tool, 'explorer');
+  assert.equal(config.jobs.pollSeconds, 30);
+  assert.equal(sources.port, 'env');
+  assert.equal(sources['ncbi.email'], 'file');
+});
+
+test('reports every invalid value at once', () => {
+  const file = configFile('config.json', JSON.stringify({ prot: 8080, search: { maxPageSize: 50 } }));
+  assert.throws(
+    () => loadConfig({
+      env: {
+        CONFIG_FILE: file,
+        PORT: 'eighty',
+        NCBI_EMAIL: 'nobody',
+        NCBI_TOOL: 'pubmed explorer',
+        EUTILS_BASE_URL: 'ftp://example.org',
+        DB_VERBOSE: 'maybe',
+        CORS_ORIGINS: 'example.org',
+        AFFILIATION_RULES_FILE: 'missing.json',
+        TRUST_PROXY: 'yes please'
+      },
+      baseDir
+    }),
+    err => {
+      assert.ok(err instanceof ConfigError);
+      assert.equal(err.problems.length, 9);
+      assert.match(err.message, /Unknown setting "prot"/);
+      assert.match(err.message, /PORT must be an integer \(got "eighty"\)/);
+      assert.match(err.message, /NCBI_EMAIL must be an email address/);
+      assert.match(err.message, /NCBI_TOOL must not contain spaces/);
+      assert.match(err.message, /EUTILS_BASE_URL must be an http or https URL/);
+      assert.match(err.message, /DB_VERBOSE must be true or false/);
+      assert.match(err.message, /CORS_ORIGINS must be \*/);
+      assert.match(err.message, /missing\.json does not exist/);
+      assert.match(err.message, /TRUST_PROXY must be true, false, a number of proxies/);
+      return true;
+    }
+  );
+
+  assert.throws(
+    () => loadConfig({ env: { SEARCH_DEFAULT_PAGE_SIZE: '500' }, baseDir }),
+    /SEARCH_DEFAULT_PAGE_SIZE must not be larger than SEARCH_MAX_PAGE_SIZE/
+  );
+  assert.throws(() => loadConfig({ env: { CONFIG_FILE: 'nope.json' }, baseDir }), /CONFIG_FILE nope\.json/);
+});
+
+test('requires an admin key or JWT secret while authentication is on', () => {
+  assert.throws(() => loadConfig({ env: {}, baseDir }), /AUTH_REQUIRED is on, so ADMIN_API_KEY or JWT_SECRET must be set/);
+  assert.equal(loadConfig({ env: { JWT_SECRET: 'secret' }, baseDir }).config.auth.required, true);
+  assert.equal(loadConfig({ env: { AUTH_REQUIRED: 'false' }, baseDir }).config.auth.required, false);
+});
+
+test('redacts secrets', () => {
+  const { config } = loadConfig({
+    env: { ...adminKey, NCBI_API_KEY: 'abc123', SAVED_SEARCH_WEBHOOK_URL: 'https://hooks.example.org/T000/secret' },
+    baseDir
+  });
+  const redacted = redactConfig(config);
+
+  assert.equal(redacted.ncbi.apiKey, '[redacted]');
+  assert.equal(redacted.savedSearches.webhookUrl, '[redacted]');
+  assert.equal(redacted.ncbi.tool, 'pubmed-explorer');
+  assert.equal(config.ncbi.apiKey, 'abc123');
+  assert.equal(redactConfig(loadConfig({ env: adminKey, baseDir }).config).ncbi.apiKey, null);
+});
@@ -0,0 +1,390 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { openDatabase, createRepository } from '../database.js';
+import { runMigrations, getSchemaVersion, migrations } from '../lib/migrations.js';
+import { logger } from '../lib/logger.js';
+
+// Schema created by the server before migrations existed
+function createLegacyDb() {
+  const db = new Database(':memory:');
+  // The old server never turned foreign keys on, so orphaned rows exist
+  db.pragma('foreign_keys = OFF');
+  db.exec(`
+    CREATE TABLE searches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      query TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      search_id INTEGER,
+      pubmed_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      publication_date TEXT,
+      non_academic_authors TEXT,
+      company_affiliations TEXT,
+      corresponding_author_email TEXT,
+      FOREIGN KEY (search_id) REFERENCES searches(id)
+    );
+    INSERT INTO searches (id, query) VALUES (1, 'sotorasib');
+    INSERT INTO results (search_id, pubmed_id, title, publication_date, non_academic_authors, company_affiliations, corresponding_author_email)
+      VALUES (1, '111', 'First', '2020', '["Wei Chen"]', '["Amgen Inc."]', 'w@amgen.com'),
+             (1, '222', 'Second', '2021', '[]', '[]', ''),
+             (9, '333', 'Orphan', '2022', '[]', '[]', '');
+  `);
+  return db;
+}
+
+const article = {
+  pmid: '111',
+  title: 'Fetched title',
+  publicationDate: '2023-Jan',
+  rawXml: '<PubmedArticle/>',
+  authors: [
+    { name: 'Wei Chen', lastName: 'Chen', foreName: 'Wei', initials: 'W', orcid: '0000-0002-1825-0097', affiliations: ['Amgen Inc., Thousand Oaks, CA, USA.'] },
+    { name: 'Anna Lee', lastName: 'Lee', foreName: 'Anna', initials: 'A', orcid: '', affiliations: ['Amgen Inc., Thousand Oaks, CA, USA.', 'Stanford University, CA.'] }
+  ]
+};
+
+test('upgrades a legacy database in place and keeps its rows', () => {
+  const db = createLegacyDb();
+  assert.deepEqual(runMigrations(db), migrations.map(m => m.version));
+  assert.equal(getSchemaVersion(db), migrations[migrations.length - 1].version);
+
+  const repo = createRepository(db);
+  const results = repo.getResults(1);
+  assert.deepEqual(results.map(r => [r.pubmed_id, r.page]), [['111', 1], ['222', 1]]);
+  assert.deepEqual(results[0].non_academic_authors, ['Wei Chen']);
+  assert.deepEqual(results[0].author_emails, []);
+
+  // Stored PMIDs get stale placeholder articles so the foreign keys hold
+  const placeholder = repo.getArticleRow('111');
+  assert.equal(placeholder.fetched_at, 0);
+  assert.equal(JSON.parse(placeholder.record).title, 'First');
+  assert.deepEqual(db.pragma('foreign_key_check'), []);
+});
+
+test('reports dropped orphans and fills authors from stored records when normalizing', t => {
+  const db = createLegacyDb();
+  // A file from before migrations that already has cached articles
+  db.exec('CREATE TABLE articles (pmid TEXT PRIMARY KEY, title TEXT, publication_date TEXT, record TEXT NOT NULL, raw_xml TEXT, fetched_at INTEGER NOT NULL)');
+  db.prepare('INSERT INTO articles (pmid, title, publication_date, record, fetched_at) VALUES (?, ?, ?, ?, ?)')
+    .run('444', article.title, article.publicationDate, JSON.stringify({ ...article, pmid: '444' }), 1);
+
+  const warn = t.mock.method(logger, 'warn', () => {});
+  runMigrations(db);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments), [['Dropped results of searches that no longer exist', { count: 1 }]]);
+
+  const repo = createRepository(db);
+  assert.deepEqual(repo.getArticleAuthors('444').map(author => [author.name, author.orcid, author.affiliations]), [
+    ['Wei Chen', '0000-0002-1825-0097', ['Amgen Inc., Thousand Oaks, CA, USA.']],
+    ['Anna Lee', null, ['Amgen Inc., Thousand Oaks, CA, USA.', 'Stanford University, CA.']]
+  ]);
+  // Later migrations see the backfilled rows too
+  assert.equal(db.prepare("SELECT block_key FROM authors WHERE name = 'Anna Lee'").get().block_key, 'lee|a');
+  assert.deepEqual(repo.getArticleAuthors('111'), []);
+});
+
+test('gives existing authors fore name keys and key counters', () => {
+  const db = new Database(':memory:');
+  runMigrations(db, migrations.filter(migration => migration.version < 18));
+  const insert = db.prepare('INSERT INTO authors (author_key, name, last_name, fore_name, initials, block_key) VALUES (?, ?, ?, ?, ?, ?)');
+  insert.run('name:chen|w', 'Wei Chen', 'Chen', 'Wei', 'W', 'chen|w');
+  insert.run('name:chen|w#3', 'W Chen', 'Chen', null, 'W', 'chen|w');
+  insert.run('name:lee|a', 'Anna Lee', 'Lee', 'Anna', 'A', 'lee|a');
+
+  runMigrations(db);
+  assert.deepEqual(db.prepare('SELECT fore_key FROM authors ORDER BY id').all().map(row => row.fore_key), ['wei', '', 'anna']);
+  assert.deepEqual(db.prepare('SELECT base_key, last_number FROM author_key_counters ORDER BY base_key').all(), [
+    { base_key: 'name:chen|w', last_number: 3 },
+    { base_key: 'name:lee|a', last_number: 1 }
+  ]);
+
+  const repo = createRepository(db);
+  const id = repo.insertAuthor({ name: 'Wei Chen', lastName: 'Chen', foreName: 'Wei', initials: 'W' });
+  assert.equal(repo.getAuthor(id).author_key, 'name:chen|w#4');
+});
+
+test('running migrations twice is a no-op', () => {
+  const db = openDatabase(':memory:');
+  assert.deepEqual(runMigrations(db), []);
+});
+
+test('enforces foreign keys and cascades search deletes to results', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const searchId = repo.createSearch({ query: 'kras', pageSize: 10 });
+
+  assert.throws(
+    () => repo.saveResultsPage(searchId, { page: 1, retstart: 0, total: 1, results: [{ pubmedId: '999', title: 'x' }] }),
+    /FOREIGN KEY constraint failed/
+  );
+
+  repo.saveArticles([article]);
+  repo.saveResultsPage(searchId, {
+    page: 1,
+    retstart: 0,
+    total: 1,
+    results: [{
+      pubmedId: '111',
+      title: 'Fetched title',
+      publicationDate: '2023-Jan',
+      nonAcademicAuthors: [],
+      companyAffiliations: [],
+      affiliationClassifications: [],
+      authorEmails: [],
+      correspondingAuthor: null
+    }]
+  });
+  assert.equal(repo.getResults(searchId).length, 1);
+
+  repo.db.prepare('DELETE FROM searches WHERE id = ?').run(searchId);
+  assert.equal(repo.getResults(searchId).length, 0);
+});
+
+test('stores authors and affiliations in normalized tables', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  repo.saveArticles([article]);
+  repo.saveArticles([{ ...article, pmid: '222' }]);
+
+  const authors = repo.getArticleAuthors('111');
+  assert.deepEqual(authors.map(a => [a.position, a.name, a.orcid]), [
+    [0, 'Wei Chen', '0000-0002-1825-0097'],
+    [1, 'Anna Lee', null]
+  ]);
+  assert.deepEqual(authors[1].affiliations, ['Amgen Inc., Thousand Oaks, CA, USA.', 'Stanford University, CA.']);
+
+  // The same people and affiliations are shared across articles
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM authors').get().n, 2);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM affiliations').get().n, 2);
+
+  // Saving an article again replaces its byline
+  repo.saveArticles([{ ...article, authors: [article.authors[1]] }]);
+  assert.deepEqual(repo.getArticleAuthors('111').map(a => a.name), ['Anna Lee']);
+  assert.equal(JSON.parse(repo.getArticleRow('111').record).rawXml, undefined);
+});
+
+test('filters search history, jobs and saved searches by owner', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const ada = repo.createUser({ name: 'Ada' });
+  const grace = repo.createUser({ name: 'Grace' });
+  const adaSearch = repo.createSearch({ query: 'kras', pageSize: 10, userId: ada });
+  const graceSearch = repo.createSearch({ query: 'egfr', pageSize: 10, userId: grace });
+  repo.createSearch({ query: 'braf', pageSize: 10 });
+  repo.createJob({ searchId: adaSearch, batchSize: 100, maxResults: 100 });
+  repo.createSavedSearch({ searchId: graceSearch, intervalMinutes: 60 });
+
+  assert.deepEqual(repo.getSearchHistory({ userId: ada }).rows.map(s => s.query), ['kras']);
+  assert.deepEqual(repo.getSearchHistory({ userId: null }).rows.map(s => s.query), ['braf']);
+  assert.equal(repo.getSearchHistory().total, 3);
+  assert.equal(repo.getJobs(10, { userId: ada }).length, 1);
+  assert.equal(repo.getJobs(10, { userId: grace }).length, 0);
+  assert.deepEqual(repo.getSavedSearches({ userId: grace }).map(s => s.user_id), [grace]);
+
+  // Deleting a user keeps their searches, without an owner
+  repo.db.prepare('DELETE FROM users WHERE id = ?').run(grace);
+  assert.equal(repo.getSearch(graceSearch).user_id, null);
+});
+
+// A stored result row for saveResultsPage
+const storedResult = (pubmedId, title) => ({
+  pubmedId,
+  title,
+  publicationDate: '2023',
+  nonAcademicAuthors: [],
+  companyAffiliations: [],
+  affiliationClassifications: [],
+  authorEmails: [],
+  correspondingAuthor: null
+});
+
+test('filters search history by text, tag and time and deletes searches with their results', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  repo.saveArticles(['111', '222', '333'].map(pmid => ({ ...article, pmid })));
+  const first = repo.createSearch({ query: 'kras inhibitor', pageSize: 10 });
+  const second = repo.createSearch({ query: 'kras inhibitor AND lung', pageSize: 10 });
+  repo.db.prepare("UPDATE searches SET timestamp = '2024-01-01 00:00:00' WHERE id = ?").run(first);
+  repo.db.prepare("UPDATE searches SET timestamp = '2024-06-01 00:00:00' WHERE id = ?").run(second);
+  repo.saveResultsPage(first, { page: 1, retstart: 0, total: 2, results: [storedResult('111', 'A'), storedResult('222', 'B')] });
+  repo.saveResultsPage(second, { page: 1, retstart: 0, total: 2, results: [storedResult('222', 'B'), storedResult('333', 'C')] });
+
+  repo.updateSearch(first, { name: 'Baseline', tags: ['oncology', 'kras'] });
+  repo.updateSearch(second, { tags: ['oncology'] });
+
+  const history = repo.getSearchHistory();
+  assert.equal(history.total, 2);
+  assert.deepEqual(history.rows.map(s => [s.id, s.name, s.result_count, s.tags]), [
+    [second, null, 2, ['oncology']],
+    [first, 'Baseline', 2, ['kras', 'oncology']]
+  ]);
+  assert.deepEqual(repo.getSearchHistory({ tag: 'kras' }).rows.map(s => s.id), [first]);
+  assert.deepEqual(repo.getSearchHistory({ q: 'baseline' }).rows.map(s => s.id), [first]);
+  assert.deepEqual(repo.getSearchHistory({ q: 'lung' }).rows.map(s => s.id), [second]);
+  assert.deepEqual(repo.getSearchHistory({ since: Date.UTC(2024, 2, 1) }).rows.map(s => s.id), [second]);
+  assert.deepEqual(repo.getSearchHistory({ until: Date.UTC(2024, 2, 1) }).rows.map(s => s.id), [first]);
+  assert.deepEqual(repo.getSearchHistory({ limit: 1, offset: 1 }), { total: 2, rows: [history.rows[1]] });
+
+  // A null name clears it; tags left out are kept
+  repo.updateSearch(first, { name: null });
+  assert.deepEqual([repo.getSearchSummary(first).name, repo.getSearchSummary(first).tags], [null, ['kras', 'oncology']]);
+
+  assert.deepEqual(repo.getSearchPmids(second), [{ pubmedId: '222', title: 'B' }, { pubmedId: '333', title: 'C' }]);
+
+  repo.createJob({ searchId: first, batchSize: 100, maxResults: 100 });
+  assert.equal(repo.hasActiveJob(first), true);
+  assert.equal(repo.hasActiveJob(second), false);
+
+  assert.equal(repo.deleteSearch(first), true);
+  assert.equal(repo.deleteSearch(first), false);
+  assert.equal(repo.getResults(first).length, 0);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM search_tags WHERE search_id = ?').get(first).n, 0);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM jobs WHERE search_id = ?').get(first).n, 0);
+  // Cached articles outlive the searches that found them
+  assert.ok(repo.getArticleRow('111'));
+});
+
+test('stores MeSH headings, keywords and publication types and reports search analytics', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const record = (pmid, year, journal, descriptors, affiliation) => ({
+    pmid,
+    title: `Article ${pmid}`,
+    publicationDate: String(year),
+    publicationYear: year,
+    abstract: { text: `Abstract of ${pmid}`, sections: [] },
+    journal: { title: journal, isoAbbreviation: journal.slice(0, 4) },
+    meshHeadings: descriptors.map(([descriptor, qualifiers = []]) => ({
+      descriptor,
+      descriptorUi: `D-${descriptor}`,
+      majorTopic: qualifiers.length > 0,
+      qualifiers: qualifiers.map(name => ({ name, ui: '', majorTopic: false }))
+    })),
+    keywords: ['kras', ''],
+    publicationTypes: ['Journal Article'],
+    authors: [{ name: 'Wei Chen', lastName: 'Chen', initials: 'W', affiliations: [affiliation] }]
+  });
+  repo.saveArticles([
+    record('1', 2020, 'Nature', [['Neoplasms', ['drug therapy']], ['Humans']], 'Amgen Inc. and Pfizer Inc.'),
+    record('2', 2021, 'Nature', [['Neoplasms', ['genetics']]], 'Amgen Inc.'),
+    record('3', 2021, 'Cell', [['Humans']], 'Stanford University')
+  ]);
+
+  const row = repo.getArticleRow('1');
+  assert.equal(row.abstract, 'Abstract of 1');
+  assert.equal(row.journal, 'Nature');
+  assert.equal(row.publication_year, 2020);
+  assert.deepEqual(repo.db.prepare("SELECT keyword FROM article_keywords WHERE article_pmid = '1'").all(), [{ keyword: 'kras' }]);
+
+  // Two companies on the first article, one on the second
+  const amgen = repo.createCompany('Amgen');
+  const pfizer = repo.createCompany('Pfizer');
+  const affiliations = repo.getAllAffiliations();
+  const idOf = text => affiliations.find(affiliation => affiliation.text === text).id;
+  repo.setAffiliationCompany(idOf('Amgen Inc. and Pfizer Inc.'), amgen, 'Amgen');
+  repo.db.prepare('INSERT INTO affiliation_companies (affiliation_id, company_id) VALUES (?, ?)')
+    .run(repo.upsertAffiliation('Pfizer Inc.'), pfizer);
+  repo.db.prepare("INSERT INTO article_author_affiliations (article_pmid, position, affiliation_id) VALUES ('1', 0, ?)")
+    .run(repo.upsertAffiliation('Pfizer Inc.'));
+  repo.setAffiliationCompany(idOf('Amgen Inc.'), amgen, 'Amgen');
+
+  const searchId = repo.createSearch({ query: 'kras', pageSize: 10 });
+  repo.saveResultsPage(searchId, {
+    page: 1,
+    retstart: 0,
+    total: 3,
+    results: ['1', '2', '3'].map(pubmedId => ({ pubmedId, title: `Article ${pubmedId}` }))
+  });
+
+  const analytics = repo.getSearchAnalytics(searchId, { limit: 5 });
+  assert.equal(analytics.articleCount, 3);
+  assert.deepEqual(analytics.meshTerms.map(term => [term.descriptor, term.article_count, term.major_topic_count]), [
+    ['Humans', 2, 0],
+    ['Neoplasms', 2, 2]
+  ]);
+  assert.deepEqual(analytics.qualifiers.map(q => [q.descriptor, q.qualifier]), [
+    ['Neoplasms', 'drug therapy'],
+    ['Neoplasms', 'genetics']
+  ]);
+  assert.deepEqual(analytics.journals.map(journal => [journal.journal, journal.article_count]), [['Nature', 2], ['Cell', 1]]);
+  assert.deepEqual(analytics.years.map(year => [year.year, year.article_count]), [[2020, 1], [2021, 2]]);
+  assert.deepEqual(analytics.companies.map(company => [company.name, company.article_count]), [['Amgen', 2], ['Pfizer', 1]]);
+  assert.deepEqual(analytics.cooccurrence.map(pair => [pair.company_a, pair.company_b, pair.article_count]), [['Amgen', 'Pfizer', 1]]);
+
+  // Fetching an article again replaces its terms
+  repo.saveArticles([{ ...record('3', 2021, 'Cell', [], 'Stanford University'), keywords: [] }]);
+  assert.equal(repo.db.prepare("SELECT COUNT(*) AS n FROM article_mesh_headings WHERE article_pmid = '3'").get().n, 0);
+});
+
+test('fills article terms from records stored before they had columns', () => {
+  const db = new Database(':memory:');
+  runMigrations(db, migrations.filter(migration => migration.version < 12));
+  db.prepare('INSERT INTO articles (pmid, title, publication_date, record, fetched_at) VALUES (?, ?, ?, ?, ?)').run(
+    '111',
+    'Fetched title',
+    '2023',
+    JSON.stringify({
+      pmid: '111',
+      publicationYear: 2023,
+      abstract: { text: 'Background: ...' },
+      journal: { title: 'Science', isoAbbreviation: 'Science' },
+      meshHeadings: [{ descriptor: 'Humans', descriptorUi: 'D006801', majorTopic: false, qualifiers: [{ name: 'genetics', ui: 'Q000235', majorTopic: true }] }],
+      keywords: ['sotorasib'],
+      publicationTypes: ['Review']
+    }),
+    1
+  );
+
+  assert.equal(runMigrations(db)[0], 12);
+  const row = createRepository(db).getArticleRow('111');
+  assert.deepEqual([row.abstract, row.journal, row.publication_year], ['Background: ...', 'Science', 2023]);
+  assert.deepEqual(db.prepare('SELECT descriptor, descriptor_ui, major_topic FROM article_mesh_headings').all(), [
+    { descriptor: 'Humans', descriptor_ui: 'D006801', major_topic: 0 }
+  ]);
+  assert.deepEqual(db.prepare('SELECT qualifier, major_topic FROM article_mesh_qualifiers').all(), [{ qualifier: 'genetics', major_topic: 1 }]);
+  assert.deepEqual(db.prepare('SELECT keyword FROM article_keywords').all(), [{ keyword: 'sotorasib' }]);
+  assert.deepEqual(db.prepare('SELECT publication_type FROM article_publication_types').all(), [{ publication_type: 'Review' }]);
+});
+
+test('stores grants and COI statements and filters results by industry ties', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  repo.saveArticles([{
+    ...article,
+    grants: [
+      { grantId: 'R01 CA123456', acronym: 'CA', agency: 'NCI NIH HHS', country: 'United States' },
+      { grantId: '', acronym: '', agency: 'Amgen', country: '' }
+    ],
+    coiStatement: 'W.C. is an employee of Amgen.'
+  }]);
+  assert.equal(repo.getArticleRow('111').coi_statement, 'W.C. is an employee of Amgen.');
+  assert.deepEqual(
+    repo.db.prepare("SELECT grant_id, agency, country FROM article_grants WHERE article_pmid = '111' ORDER BY position").all(),
+    [
+      { grant_id: 'R01 CA123456', agency: 'NCI NIH HHS', country: 'United States' },
+      { grant_id: null, agency: 'Amgen', country: null }
+    ]
+  );
+
+  // Fetching the article again replaces its grants
+  repo.saveArticles([{ ...article, grants: [] }]);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM article_grants').get().n, 0);
+  assert.equal(repo.getArticleRow('111').coi_statement, null);
+
+  repo.saveArticles(['1', '2', '3'].map(pmid => ({ pmid, title: `Article ${pmid}`, authors: [] })));
+  const searchId = repo.createSearch({ query: 'kras', pageSize: 10 });
+  const tie = { source: 'coi', company: 'Amgen', text: 'W.C. is an employee of Amgen.' };
+  repo.saveResultsPage(searchId, {
+    page: 1,
+    retstart: 0,
+    total: 3,
+    results: [
+      { pubmedId: '1', title: 'Tied', hasIndustryTies: true, industryTies: [tie] },
+      { pubmedId: '2', title: 'Untied', hasIndustryTies: false, industryTies: [] },
+      { pubmedId: '3', title: 'Unchecked' }
+    ]
+  });
+
+  assert.deepEqual(repo.getResults(searchId).map(row => row.has_industry_ties), [1, 0, null]);
+  const [tied] = repo.getResults(searchId, 1, { hasIndustryTies: true });
+  assert.equal(tied.pubmed_id, '1');
+  assert.deepEqual(tied.industry_ties, [tie]);
+  assert.deepEqual(repo.getResults(searchId, null, { hasIndustryTies: false }).map(row => row.pubmed_id), ['2']);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  asyncHandler,
+  errorHandler,
+  notFoundHandler,
+  ConflictError,
+  NotFoundError,
+  OfflineModeError,
+  RateLimitError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  ValidationError
+} from '../lib/errors.js';
+import { createOfflineClient } from '../lib/pubmedClient.js';
+
+// Minimal response object recording what the error middleware sends
+function fakeResponse({ headersSent = false } = {}) {
+  return {
+    headersSent,
+    headers: {},
+    statusCode: 200,
+    body: undefined,
+    ended: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      this.ended = true;
+    }
+  };
+}
+
+function quietLog() {
+  const errors = [];
+  return { errors, log: { error: (msg, fields) => errors.push({ msg, fields }) } };
+}
+
+function handle(err, req = { method: 'GET', path: '/api/x', id: 'req-1' }, res = fakeResponse()) {
+  const { errors, log } = quietLog();
+  errorHandler({ log })(err, req, res, () => {});
+  return { res, errors };
+}
+
+test('sends the status, code and details of application errors', () => {
+  const validation = handle(new ValidationError('page must be a positive integer', [
+    { location: 'query', field: 'page', message: 'page must be a positive integer' }
+  ]));
+  assert.equal(validation.res.statusCode, 400);
+  assert.deepEqual(validation.res.body, {
+    error: 'page must be a positive integer',
+    code: 'validation_error',
+    details: [{ location: 'query', field: 'page', message: 'page must be a positive integer' }],
+    requestId: 'req-1'
+  });
+  assert.equal(validation.errors.length, 0);
+
+  assert.deepEqual(handle(new NotFoundError('Search')).res.body, { error: 'Search not found', code: 'not_found', requestId: 'req-1' });
+  assert.equal(handle(new ConflictError('Job is already completed')).res.statusCode, 409);
+
+  const limited = handle(new RateLimitError('Rate limit exceeded', { limit: 60, retryAfterSeconds: 12 })).res;
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers['Retry-After'], '12');
+  assert.deepEqual(limited.body.details, { limit: 60, retryAfterSeconds: 12 });
+});
+
+test('maps upstream failures to 502 and 504 and logs them', () => {
+  const upstream = handle(new UpstreamError('esearch failed with status 500', { endpoint: 'esearch', upstreamStatus: 500 }));
+  assert.equal(upstream.res.statusCode, 502);
+  assert.equal(upstream.res.body.code, 'upstream_error');
+  assert.deepEqual(upstream.res.body.details, { endpoint: 'esearch', upstreamStatus: 500 });
+  assert.equal(upstream.errors.length, 1);
+
+  const timeout = handle(new UpstreamTimeoutError('efetch timed out', { endpoint: 'efetch' }));
+  assert.equal(timeout.res.statusCode, 504);
+  assert.equal(timeout.res.body.code, 'upstream_timeout');
+});
+
+test('offline mode answers 503 for every E-utilities call', async () => {
+  const offline = handle(new OfflineModeError('esearch.fcgi')).res;
+  assert.equal(offline.statusCode, 503);
+  assert.equal(offline.body.code, 'offline_mode');
+  assert.deepEqual(offline.body.details, { endpoint: 'esearch.fcgi' });
+
+  const client = createOfflineClient();
+  await assert.rejects(client.esearch('kras'), { code: 'offline_mode', message: 'PubMed esearch.fcgi is not available in offline mode' });
+  await assert.rejects(client.elink(['1']), OfflineModeError);
+});
+
+test('hides the message of unexpected errors and maps body parser errors', () => {
+  const unexpected = handle(new TypeError('Cannot read properties of undefined'));
+  assert.equal(unexpected.res.statusCode, 500);
+  assert.deepEqual(unexpected.res.body, { error: 'Internal server error', code: 'internal_error', requestId: 'req-1' });
+  assert.equal(unexpected.errors[0].fields.err.message, 'Cannot read properties of undefined');
+
+  const badJson = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400 });
+  assert.equal(handle(badJson).res.body.code, 'invalid_json');
+
+  const streamed = handle(new Error('disk full'), undefined, fakeResponse({ headersSent: true }));
+  assert.ok(streamed.res.ended);
+  assert.equal(streamed.res.body, undefined);
+});
+
+test('asyncHandler passes rejections to next and notFoundHandler names the route', async () => {
+  let passed;
+  await new Promise(resolve => {
+    asyncHandler(async () => {
+      throw new NotFoundError('Job');
+    })({}, {}, err => {
+      passed = err;
+      resolve();
+    });
+  });
+  assert.equal(passed.message, 'Job not found');
+
+  notFoundHandler({ method: 'GET', originalUrl: '/api/nope?x=1', path: '/nope' }, {}, err => { passed = err; });
+  assert.equal(passed.status, 404);
+  assert.equal(passed.code, 'route_not_found');
+  assert.equal(passed.message, 'Route GET /api/nope not found');
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExporter, parseExportColumns, DEFAULT_EXPORT_COLUMNS } from '../lib/exporters.js';
+
+const row = {
+  pubmed_id: '36512345',
+  title: 'KRAS "G12C", sotorasib & {lung} cancer',
+  publication_date: '2023-Jan-05',
+  non_academic_authors: JSON.stringify(['Wei Chen', 'Anna Müller']),
+  company_affiliations: JSON.stringify(['Amgen Inc., Thousand Oaks, CA, USA']),
+  corresponding_author_email: 'wchen@amgen.com',
+  author_emails: JSON.stringify([{ author: 'Wei Chen', email: 'wchen@amgen.com', source: 'affiliation' }]),
+  page: 1,
+  position: 1
+};
+
+function render(exporter, rows) {
+  return exporter.header() + rows.map(exporter.row).join('') + exporter.footer();
+}
+
+test('CSV uses the pharma layout, a BOM and quoted multi-valued cells', () => {
+  const csv = render(createExporter('csv'), [row]);
+  const [header, line] = csv.split('\r\n');
+  assert.equal(
+    header,
+    '\uFEFFPubmedID,Title,Publication Date,Non-academic Author(s),Company Affiliation(s),Corresponding Author Email'
+  );
+  assert.equal(
+    line,
+    '36512345,"KRAS ""G12C"", sotorasib & {lung} cancer",2023-Jan-05,Wei Chen; Anna Müller,' +
+      '"Amgen Inc., Thousand Oaks, CA, USA",wchen@amgen.com'
+  );
+});
+
+test('CSV guards against spreadsheet formulas and can skip the BOM', () => {
+  const csv = render(createExporter('csv', ['title'], { bom: false }), [{ ...row, title: '=HYPERLINK("x")' }]);
+  assert.equal(csv, 'Title\r\n"\'=HYPERLINK(""x"")"\r\n');
+  const tab = render(createExporter('csv', ['title'], { bom: false }), [{ ...row, title: '\t=1+1' }]);
+  assert.equal(tab, 'Title\r\n\'\t=1+1\r\n');
+});
+
+test('TSV guards against spreadsheet formulas, also behind a tab or carriage return', () => {
+  const tsv = render(createExporter('tsv', ['title']), [
+    { ...row, title: '=HYPERLINK("x")' },
+    { ...row, title: '@SUM(A1)' },
+    { ...row, title: '\r-2+3' }
+  ]);
+  assert.equal(tsv, 'Title\r\n\'=HYPERLINK("x")\r\n\'@SUM(A1)\r\n\' -2+3\r\n');
+});
+
+test('TSV flattens tabs and line breaks', () => {
+  const tsv = render(createExporter('tsv', ['pubmedId', 'title']), [{ ...row, title: 'a\tb\nc' }]);
+  assert.equal(tsv, 'PubmedID\tTitle\r\n36512345\ta b c\r\n');
+});
+
+test('RIS records carry title, year, PMID and company addresses', () => {
+  const ris = createExporter('ris').row(row);
+  assert.match(ris, /^TY {2}- JOUR\r\n/);
+  assert.match(ris, /\r\nPY {2}- 2023\r\n/);
+  assert.match(ris, /\r\nAN {2}- 36512345\r\n/);
+  assert.match(ris, /\r\nAD {2}- Amgen Inc\., Thousand Oaks, CA, USA\r\n/);
+  assert.match(ris, /ER {2}- \r\n\r\n$/);
+});
+
+test('BibTeX entries escape special characters', () => {
+  const bib = createExporter('bibtex').row(row);
+  assert.match(bib, /^@article\{pmid36512345,\n/);
+  assert.ok(bib.includes('title = {{KRAS "G12C", sotorasib \\& \\{lung\\} cancer}}'));
+  assert.ok(bib.includes('year = {2023}'));
+});
+
+test('JSONL keeps multi-valued columns as arrays', () => {
+  const line = createExporter('jsonl', ['pubmedId', 'nonAcademicAuthors', 'authorEmails']).row(row);
+  assert.deepEqual(JSON.parse(line), {
+    pubmedId: '36512345',
+    nonAcademicAuthors: ['Wei Chen', 'Anna Müller'],
+    authorEmails: ['Wei Chen <wchen@amgen.com>']
+  });
+});
+
+test('industry tie columns are blank for rows stored before ties were detected', () => {
+  const exporter = createExporter('tsv', ['pubmedId', 'hasIndustryTies', 'industryTies']);
+  const tied = {
+    ...row,
+    has_industry_ties: 1,
+    industry_ties: JSON.stringify([
+      { source: 'affiliation', company: 'Amgen', text: 'Amgen Inc.' },
+      { source: 'coi', company: 'Pfizer', text: 'W.C. consults for Pfizer.' }
+    ])
+  };
+  assert.equal(
+    render(exporter, [tied, { ...row, has_industry_ties: 0, industry_ties: '[]' }, row]),
+    'PubmedID\tIndustry Ties\tIndustry Tie Sources\r\n' +
+      '36512345\tyes\tAmgen (affiliation); Pfizer (coi)\r\n' +
+      '36512345\tno\t\r\n' +
+      '36512345\t\t\r\n'
+  );
+});
+
+test('validates column selections', () => {
+  assert.deepEqual(parseExportColumns(undefined), { columns: DEFAULT_EXPORT_COLUMNS });
+  assert.deepEqual(parseExportColumns('pubmedId, title'), { columns: ['pubmedId', 'title'] });
+  assert.match(parseExportColumns('pubmedId,journal').error, /Unknown export columns: journal/);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { openDatabase, createRepository } from '../database.js';
+import {
+  createFullTextService,
+  mergeFullTextAuthors,
+  normalizePmcid,
+  parseJatsArticleSet
+} from '../lib/fullText.js';
+import { extractAuthorEmails, pickCorrespondingAuthor } from '../lib/authorEmails.js';
+
+const JATS = readFileSync(new URL('./fixtures/pmc-article.xml', import.meta.url), 'utf8');
+
+// PubMed's view of the fixture article: no affiliations, no emails
+const record = {
+  pmid: '32100001',
+  title: 'Exposure-response of a KRAS inhibitor',
+  pmcid: '',
+  authors: [
+    { name: 'Wei Chen', lastName: 'Chen', foreName: 'Wei', initials: 'W', affiliations: [] },
+    { name: 'Anna Lee', lastName: 'Lee', foreName: 'Anna', initials: 'A', affiliations: ['Stanford University, Stanford, CA, USA.'] }
+  ]
+};
+
+test('parses funding, competing interests, affiliations and correspondence from JATS', () => {
+  const [article] = parseJatsArticleSet(JATS);
+
+  assert.equal(article.pmcid, 'PMC7000001');
+  assert.equal(article.pmid, '32100001');
+  assert.equal(article.openAccess, true);
+  assert.deepEqual(article.authors.map(author => [author.name, author.corresponding, author.affiliations]), [
+    ['Wei Chen', true, ['Amgen Inc., Thousand Oaks, CA, USA']],
+    ['Anna Lee', false, ['Stanford University, Stanford, CA, USA']]
+  ]);
+  assert.deepEqual(article.authors[0].correspondingNotes, ['* Correspondence: wchen@amgen.com']);
+  assert.deepEqual(article.authors[1].emails, ['anna.lee@stanford.edu']);
+  assert.deepEqual(article.awards, [
+    { agency: 'Amgen', awardIds: [] },
+    { agency: 'National Cancer Institute', awardIds: ['R01 CA123456'] }
+  ]);
+  assert.deepEqual(article.fundingStatements, [
+    'Medical writing support was funded by Amgen.',
+    'This study was funded by Amgen Inc.'
+  ]);
+  assert.deepEqual(article.competingInterests, [
+    'W.C. is an employee and stockholder of Amgen Inc.',
+    'A.L. has received consulting fees from Pfizer.'
+  ]);
+  assert.deepEqual(article.footnotes, ['These authors contributed equally.']);
+});
+
+test('normalizes PMCIDs', () => {
+  assert.equal(normalizePmcid('7000001'), 'PMC7000001');
+  assert.equal(normalizePmcid('pmc7000001'), 'PMC7000001');
+  assert.equal(normalizePmcid(''), '');
+  assert.equal(normalizePmcid('PMC-x'), '');
+});
+
+test('adds full-text affiliations and correspondence to the matching PubMed authors', () => {
+  const [fullText] = parseJatsArticleSet(JATS);
+  const authors = mergeFullTextAuthors(record.authors, fullText);
+
+  assert.deepEqual(authors[0].affiliations, [
+    'Amgen Inc., Thousand Oaks, CA, USA',
+    'Electronic address: wchen@amgen.com'
+  ]);
+  // Stanford was already known; Anna Lee's address is not a correspondence one
+  assert.deepEqual(authors[1].affiliations, ['Stanford University, Stanford, CA, USA.', 'anna.lee@stanford.edu']);
+  // The PubMed records are left as they were
+  assert.deepEqual(record.authors[0].affiliations, []);
+  assert.equal(mergeFullTextAuthors(record.authors, null), record.authors);
+
+  const corresponding = pickCorrespondingAuthor(extractAuthorEmails(authors));
+  assert.deepEqual(corresponding, {
+    author: 'Wei Chen',
+    email: 'wchen@amgen.com',
+    source: 'electronic-address',
+    reason: 'electronic-address'
+  });
+});
+
+test('looks up PMCIDs with elink, fetches JATS once and stores misses too', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const other = { ...record, pmid: '32100002', authors: [] };
+  repo.saveArticles([record, other]);
+
+  const calls = [];
+  const pubmed = {
+    async elink(ids, options) {
+      calls.push(['elink', ids, options]);
+      return [
+        { ids: ['32100001'], linksetdbs: [{ linkname: 'pubmed_pmc', links: ['7000001'] }] },
+        { ids: ['32100002'] }
+      ];
+    },
+    async efetch(options) {
+      calls.push(['efetch', options.ids, options.db]);
+      return JATS;
+    }
+  };
+  let now = Date.UTC(2024, 0, 1);
+  const service = createFullTextService({ repository: repo, pubmed, ttlMs: 1000, clock: () => now });
+
+  const found = await service.getFullTexts([record, other]);
+  assert.equal(found.get('32100001').pmcid, 'PMC7000001');
+  assert.equal(found.get('32100002'), null);
+  assert.deepEqual(calls, [
+    ['elink', ['32100001', '32100002'], { db: 'pmc', linkName: 'pubmed_pmc' }],
+    ['efetch', ['7000001'], 'pmc']
+  ]);
+
+  // Stored lookups are reused until they go stale
+  const again = await service.getFullTexts([record, other]);
+  assert.equal(again.get('32100001').competingInterests.length, 2);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(
+    [...repo.getFullTexts(['32100001', '32100002']).values()].map(row => [row.pmid, row.pmcid, row.open_access]),
+    [['32100001', 'PMC7000001', 1], ['32100002', null, 0]]
+  );
+
+  now += 2000;
+  await service.getFullTexts([{ ...record, pmcid: 'PMC7000001' }]);
+  assert.deepEqual(calls.slice(2), [['efetch', ['7000001'], 'pmc']]);
+});
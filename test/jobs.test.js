@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { createJobRunner, formatJob } from '../lib/jobs.js';
+
+// Fake E-utilities client over PMIDs 1..count. efetch returns the slice as
+// JSON so the fake parser can turn it back into records, and fails once at
+// retstart failAt.
+function fakePubmed(count, { failAt = null, onFetch = () => {} } = {}) {
+  const calls = { esearch: 0, efetch: [] };
+  return {
+    calls,
+    async esearch(term, options) {
+      calls.esearch++;
+      assert.equal(options.usehistory, true);
+      return { count: String(count), webenv: `WEB_${calls.esearch}`, querykey: '1' };
+    },
+    async efetch({ webEnv, queryKey, retstart, retmax }) {
+      calls.efetch.push({ webEnv, queryKey, retstart, retmax });
+      onFetch(retstart);
+      if (retstart === failAt) {
+        failAt = null;
+        throw new Error('E-utilities request failed with status 500');
+      }
+      const pmids = [];
+      for (let i = retstart + 1; i <= Math.min(retstart + retmax, count); i++) {
+        pmids.push(String(i));
+      }
+      return JSON.stringify(pmids);
+    }
+  };
+}
+
+function setup(pubmedOptions, { count = 25, batchSize = 10, maxResults = 10000 } = {}) {
+  const repo = createRepository(openDatabase(':memory:'));
+  const pubmed = fakePubmed(count, pubmedOptions);
+  const runner = createJobRunner({
+    repository: repo,
+    pubmed,
+    parse: xml => JSON.parse(xml).map(pmid => ({ pmid, title: `Article ${pmid}`, authors: [] })),
+    // Results reference stored articles, as the article cache does for real jobs
+    processRecords: async records => {
+      repo.saveArticles(records);
+      return records.map(record => ({ pubmedId: record.pmid, title: record.title }));
+    }
+  });
+  const searchId = repo.createSearch({ query: 'cancer', pageSize: batchSize });
+  const jobId = repo.createJob({ searchId, batchSize, maxResults });
+  return { repo, pubmed, runner, searchId, jobId };
+}
+
+test('pages through the history server and stores each batch', async () => {
+  const { repo, pubmed, runner, searchId, jobId } = setup();
+  const events = [];
+  runner.events.on('job', job => events.push(job));
+
+  await runner.drain();
+
+  const job = formatJob(repo.getJob(jobId));
+  assert.equal(job.status, 'completed');
+  assert.equal(job.total, 25);
+  assert.equal(job.processed, 25);
+  assert.equal(job.progress, 1);
+  assert.deepEqual(pubmed.calls.efetch.map(call => [call.webEnv, call.retstart, call.retmax]), [
+    ['WEB_1', 0, 10],
+    ['WEB_1', 10, 10],
+    ['WEB_1', 20, 5]
+  ]);
+  assert.deepEqual(repo.getStoredPages(searchId), [1, 2, 3]);
+  assert.equal(repo.getResults(searchId).length, 25);
+  assert.deepEqual(events.map(event => event.processed), [0, 0, 10, 20, 25, 25]);
+});
+
+test('stops at maxResults', async () => {
+  const { repo, pubmed, runner, jobId } = setup({}, { count: 25, batchSize: 10, maxResults: 15 });
+  await runner.drain();
+
+  assert.equal(formatJob(repo.getJob(jobId)).processed, 15);
+  assert.deepEqual(pubmed.calls.efetch.map(call => call.retmax), [10, 5]);
+});
+
+test('fails on an efetch error and resumes from the last stored batch', async () => {
+  const { repo, pubmed, runner, searchId, jobId } = setup({ failAt: 10 });
+  await runner.drain();
+
+  let job = repo.getJob(jobId);
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /status 500/);
+  assert.equal(job.next_retstart, 10);
+
+  runner.resume(jobId);
+  await runner.drain();
+
+  job = repo.getJob(jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.error, null);
+  assert.equal(repo.getResults(searchId).length, 25);
+  // The resumed job continues in the same result set
+  assert.equal(pubmed.calls.esearch, 1);
+  assert.deepEqual(pubmed.calls.efetch.map(call => [call.webEnv, call.retstart]), [['WEB_1', 0], ['WEB_1', 10], ['WEB_1', 10], ['WEB_1', 20]]);
+  assert.equal(job.warning, null);
+});
+
+test('keeps draining when a failed job cannot be marked as failed', async t => {
+  const { repo, runner, searchId } = setup({ failAt: 0 });
+  const nextJobId = repo.createJob({ searchId, batchSize: 10, maxResults: 10000 });
+  const updateJob = repo.updateJob;
+  t.mock.method(repo, 'updateJob', (jobId, changes) => {
+    if (changes.status === 'failed') {
+      throw new Error('SQLITE_BUSY: database is locked');
+    }
+    return updateJob(jobId, changes);
+  });
+
+  await runner.drain();
+  assert.equal(repo.getJob(nextJobId).status, 'completed');
+});
+
+test('starts again from the first record when the result set has expired', async () => {
+  const { repo, pubmed, runner, searchId, jobId } = setup({ failAt: 10 });
+  await runner.drain();
+
+  // As if the job failed a day ago
+  repo.updateJob(jobId, { webEnvAt: Date.now() - 24 * 60 * 60 * 1000 });
+  runner.resume(jobId);
+  await runner.drain();
+
+  const job = formatJob(repo.getJob(jobId));
+  assert.equal(job.status, 'completed');
+  assert.match(job.warning, /expired after 10 records/);
+  assert.equal(pubmed.calls.esearch, 2);
+  assert.deepEqual(pubmed.calls.efetch.map(call => [call.webEnv, call.retstart]), [
+    ['WEB_1', 0], ['WEB_1', 10], ['WEB_2', 0], ['WEB_2', 10], ['WEB_2', 20]
+  ]);
+  assert.equal(repo.getResults(searchId).length, 25);
+});
+
+test('cancels queued jobs straight away and running jobs after the current batch', async () => {
+  const queued = setup();
+  assert.equal(queued.runner.cancel(queued.jobId).status, 'cancelled');
+  await queued.runner.drain();
+  assert.equal(queued.pubmed.calls.esearch, 0);
+
+  const running = setup({
+    onFetch: retstart => {
+      if (retstart === 10) {
+        assert.equal(running.runner.cancel(running.jobId).cancel_requested, 1);
+      }
+    }
+  });
+  await running.runner.drain();
+
+  const job = running.repo.getJob(running.jobId);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.next_retstart, 20);
+  assert.equal(running.pubmed.calls.efetch.length, 2);
+
+  running.runner.resume(running.jobId);
+  await running.runner.drain();
+  assert.equal(running.repo.getJob(running.jobId).status, 'completed');
+  assert.deepEqual(running.pubmed.calls.efetch.map(call => call.retstart), [0, 10, 20]);
+});
+
+test('requeues jobs interrupted by a restart and continues them', async () => {
+  const { repo, pubmed, runner, jobId } = setup();
+  repo.updateJob(jobId, { status: 'running', total: 25, nextRetstart: 10, webEnv: 'WEB_0', queryKey: '1', webEnvAt: Date.now() });
+
+  assert.equal(repo.requeueInterruptedJobs(), 1);
+  await runner.drain();
+
+  assert.equal(repo.getJob(jobId).status, 'completed');
+  assert.equal(pubmed.calls.esearch, 0);
+  assert.deepEqual(pubmed.calls.efetch.map(call => [call.webEnv, call.retstart]), [['WEB_0', 10], ['WEB_0', 20]]);
+});
+
+test('picks up jobs queued after an idle check', async () => {
+  const { repo, runner, searchId, jobId } = setup();
+  runner.cancel(jobId);
+  await runner.drain();
+
+  const next = repo.createJob({ searchId, batchSize: 10, maxResults: 10 });
+  await runner.drain();
+  assert.equal(repo.getJob(next).status, 'completed');
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { buildFtsQuery, pubmedTermToFtsQuery } from '../lib/localSearch.js';
+
+const articles = [
+  {
+    pmid: '101',
+    title: 'Imatinib resistance in chronic myeloid leukemia',
+    publicationDate: '2021-Mar',
+    abstract: { text: 'Kinase inhibitors remain the standard of care.' },
+    authors: [{ name: 'Ana Ruiz', affiliations: ['Pfizer Inc., New York, NY, USA'] }]
+  },
+  {
+    pmid: '102',
+    title: 'Kinase signalling in yeast',
+    publicationDate: '2019-Jan',
+    abstract: { text: 'A study of inhibitors of kinase activity.' },
+    authors: [{ name: 'Li Wei', affiliations: ['Department of Biology, University of Oxford'] }]
+  }
+];
+
+function createRepo() {
+  const repo = createRepository(openDatabase(':memory:'));
+  repo.saveArticles(articles);
+
+  const searchId = repo.createSearch({ query: 'imatinib', pageSize: 10 });
+  repo.saveResultsPage(searchId, {
+    page: 1,
+    retstart: 0,
+    total: 1,
+    results: [{
+      pubmedId: '101',
+      title: articles[0].title,
+      publicationDate: '2021-Mar',
+      nonAcademicAuthors: ['Ana Ruiz'],
+      companyAffiliations: ['Pfizer Inc., New York, NY, USA'],
+      affiliationClassifications: [],
+      authorEmails: []
+    }]
+  });
+  return { repo, searchId };
+}
+
+function pmids(repo, q, filters = {}) {
+  return repo.searchArticles({ match: buildFtsQuery(q), ...filters }).rows.map(row => row.pmid);
+}
+
+test('rewrites user queries into quoted FTS5 terms', () => {
+  assert.equal(buildFtsQuery('kinase inhibitor'), '"kinase" "inhibitor"');
+  assert.equal(buildFtsQuery('"kinase inhibitors" inhib*'), '"kinase inhibitors" "inhib"*');
+  assert.equal(buildFtsQuery('title:imatinib OR abstract:"standard of care"'), 'title : "imatinib" OR abstract : "standard of care"');
+  assert.equal(buildFtsQuery('COVID-19 NOT'), '"COVID 19"');
+  assert.equal(buildFtsQuery('unknown:field'), '"unknown field"');
+  assert.equal(buildFtsQuery('  -- "" '), null);
+});
+
+test('matches phrases, prefixes and author or affiliation text', () => {
+  const { repo } = createRepo();
+  assert.deepEqual(pmids(repo, '"kinase inhibitors"'), ['101']);
+  assert.deepEqual(pmids(repo, 'inhib*').sort(), ['101', '102']);
+  assert.deepEqual(pmids(repo, 'ruiz'), ['101']);
+  assert.deepEqual(pmids(repo, 'affiliations:oxford'), ['102']);
+  assert.deepEqual(pmids(repo, 'kinase NOT leukemia'), ['102']);
+});
+
+test('returns highlighted titles and snippets', () => {
+  const { repo } = createRepo();
+  const { total, rows } = repo.searchArticles({ match: buildFtsQuery('imatinib') });
+  assert.equal(total, 1);
+  assert.equal(rows[0].title_highlighted, '<mark>Imatinib</mark> resistance in chronic myeloid leukemia');
+  assert.match(rows[0].snippet, /<mark>Imatinib<\/mark>/);
+});
+
+test('filters by company, publication year and originating search', () => {
+  const { repo, searchId } = createRepo();
+  assert.deepEqual(pmids(repo, 'kinase', { company: 'pfizer' }), ['101']);
+  assert.deepEqual(pmids(repo, 'kinase', { year: 2019 }), ['102']);
+  assert.deepEqual(pmids(repo, 'kinase', { searchId }), ['101']);
+  assert.deepEqual(pmids(repo, 'kinase', { searchId: searchId + 1 }), []);
+});
+
+test('keeps the index in step when an article is fetched again', () => {
+  const { repo } = createRepo();
+  repo.saveArticles([{ ...articles[1], title: 'Phosphatase signalling in yeast' }]);
+  assert.deepEqual(pmids(repo, 'phosphatase'), ['102']);
+  assert.deepEqual(pmids(repo, 'title:kinase'), []);
+});
+
+test('turns PubMed terms into FTS5 queries for offline searches', () => {
+  assert.equal(pubmedTermToFtsQuery('imatinib[tiab] AND (leukemia[mh] OR cml)'), '"imatinib" AND "leukemia" OR "cml"');
+  assert.equal(pubmedTermToFtsQuery('"kinase inhibitors"[Title]'), '"kinase inhibitors"');
+  assert.equal(pubmedTermToFtsQuery('[mh]'), null);
+});
+
+test('filters by a range of years and sorts by year', () => {
+  const { repo } = createRepo();
+  assert.deepEqual(pmids(repo, 'kinase', { minYear: 2020 }), ['101']);
+  assert.deepEqual(pmids(repo, 'kinase', { maxYear: 2020 }), ['102']);
+  assert.deepEqual(pmids(repo, 'kinase', { sort: 'year' }), ['101', '102']);
+});
+
+test('drops deleted citations from the index and keeps those stored results use, without serving them', () => {
+  const { repo } = createRepo();
+  assert.equal(repo.deleteArticles(['101', '102', '999'], 1000), 2);
+  assert.deepEqual(pmids(repo, 'kinase'), []);
+  assert.equal(repo.db.prepare('SELECT deleted_at FROM articles WHERE pmid = ?').get('101').deleted_at, 1000);
+  assert.equal(repo.getArticleRow('101'), undefined);
+  assert.equal(repo.db.prepare('SELECT 1 FROM articles WHERE pmid = ?').get('102'), undefined);
+
+  // Fetched again, a deleted article is back in the index
+  repo.saveArticles([articles[0]]);
+  assert.equal(repo.getArticleRow('101').deleted_at, null);
+  assert.deepEqual(pmids(repo, 'kinase'), ['101']);
+});
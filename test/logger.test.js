@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, maskEmails, requestLogger } from '../lib/logger.js';
+
+function capture(level) {
+  const lines = [];
+  const log = createLogger({ level, write: line => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+test('writes JSON lines at or above the level', () => {
+  const { log, lines } = capture('info');
+  log.debug('hidden');
+  log.info('Job finished', { jobId: 3 });
+  log.error('Job failed', new Error('boom'));
+
+  assert.deepEqual(lines.map(line => [line.level, line.msg]), [['info', 'Job finished'], ['error', 'Job failed']]);
+  assert.equal(lines[0].jobId, 3);
+  assert.match(lines[0].time, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(lines[1].err.message, 'boom');
+  assert.match(lines[1].err.stack, /Error: boom/);
+
+  log.setLevel('debug');
+  log.debug('shown');
+  assert.equal(lines.at(-1).msg, 'shown');
+  assert.throws(() => log.setLevel('verbose'), /log level must be one of/);
+});
+
+test('masks email addresses', () => {
+  assert.equal(maskEmails('Pfizer Inc. john.smith@pfizer.com.'), 'Pfizer Inc. j***@pfizer.com.');
+
+  const { log, lines } = capture('info');
+  log.warn('Bounced mail for jane@example.org', { affiliation: 'Contact: jane@example.org', err: new Error('to x.y@z.com') });
+  assert.equal(lines[0].msg, 'Bounced mail for j***@example.org');
+  assert.equal(lines[0].affiliation, 'Contact: j***@example.org');
+  assert.equal(lines[0].err.message, 'to x***@z.com');
+});
+
+// Minimal request and response objects for the middleware
+function fakeExchange(headers = {}) {
+  const listeners = {};
+  const req = { method: 'GET', path: '/api/history', get: name => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    on(event, fn) { listeners[event] = fn; },
+    finish() { listeners.finish(); }
+  };
+  return { req, res };
+}
+
+test('tags log lines with the request id', () => {
+  const { log, lines } = capture('info');
+  const middleware = requestLogger({ log });
+
+  const { req, res } = fakeExchange({ 'x-request-id': 'abc-123' });
+  middleware(req, res, () => log.info('Handling request'));
+  res.finish();
+
+  assert.equal(req.id, 'abc-123');
+  assert.equal(res.headers['X-Request-Id'], 'abc-123');
+  assert.deepEqual(lines.map(line => [line.msg, line.requestId]), [['Handling request', 'abc-123'], ['Request completed', 'abc-123']]);
+  assert.equal(lines[1].status, 200);
+
+  const other = fakeExchange({ 'x-request-id': 'bad id with spaces' });
+  middleware(other.req, other.res, () => {});
+  assert.match(other.req.id, /^[0-9a-f-]{36}$/);
+
+  log.info('Outside any request');
+  assert.equal(lines.at(-1).requestId, undefined);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry, instrumentRepository } from '../lib/metrics.js';
+
+test('renders counters, gauges and histograms in the Prometheus text format', () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter({ name: 'pubmed_requests_total', help: 'E-utilities requests' });
+  const duration = metrics.histogram({ name: 'request_duration_seconds', help: 'Latency', buckets: [0.1, 1] });
+  metrics.gauge({ name: 'hit_ratio', help: 'Hit ratio', collect: gauge => gauge.set({}, 0.75) });
+
+  requests.inc({ endpoint: 'esearch.fcgi', status: 200 });
+  requests.inc({ status: 200, endpoint: 'esearch.fcgi' });
+  requests.inc({ endpoint: 'efetch.fcgi', status: 'timeout' });
+  duration.observe({ route: '/api/search' }, 0.05);
+  duration.observe({ route: '/api/search' }, 0.5);
+
+  const text = metrics.render();
+  assert.match(text, /# TYPE pubmed_requests_total counter/);
+  assert.match(text, /pubmed_requests_total\{endpoint="esearch.fcgi",status="200"\} 2/);
+  assert.match(text, /pubmed_requests_total\{endpoint="efetch.fcgi",status="timeout"\} 1/);
+  assert.match(text, /request_duration_seconds_bucket\{route="\/api\/search",le="0.1"\} 1/);
+  assert.match(text, /request_duration_seconds_bucket\{route="\/api\/search",le="1"\} 2/);
+  assert.match(text, /request_duration_seconds_bucket\{route="\/api\/search",le="\+Inf"\} 2/);
+  assert.match(text, /request_duration_seconds_count\{route="\/api\/search"\} 2/);
+  assert.match(text, /^hit_ratio 0.75$/m);
+
+  assert.throws(() => metrics.counter({ name: 'hit_ratio', help: 'again' }), /already registered/);
+});
+
+test('times repository calls by method name', () => {
+  const metrics = createMetricsRegistry();
+  const duration = metrics.histogram({ name: 'db_operation_duration_seconds', help: 'DB calls' });
+  const repo = instrumentRepository({
+    getSearch: id => ({ id }),
+    failing: () => {
+      throw new Error('SQLITE_BUSY');
+    }
+  }, duration);
+
+  assert.deepEqual(repo.getSearch(4), { id: 4 });
+  assert.throws(() => repo.failing(), /SQLITE_BUSY/);
+
+  const text = metrics.render();
+  assert.match(text, /db_operation_duration_seconds_count\{operation="getSearch"\} 1/);
+  assert.match(text, /db_operation_duration_seconds_count\{operation="failing"\} 1/);
+});
@@ -0,0 +1,143 @@
+import http from 'http';
+import { once } from 'events';
+import { readFileSync } from 'fs';
+
+// A local stand-in for NCBI E-utilities, for tests that run the app against
+// a real HTTP client. efetch serves PubmedArticle records from recorded XML
+// fixtures by PMID, esearch answers from `searches` (term -> { count,
+// idlist, querytranslation }) and elink from `links` (pmid -> { citedin,
+// refs }). With usehistory=y, esearch also returns a WebEnv, and efetch
+// pages through that search's idlist by retstart and retmax. Every request
+// is kept in `requests` as { endpoint, params, at }, `at` being the time it
+// arrived.
+
+export const DEFAULT_FIXTURES = ['structured-abstract.xml', 'collective-author.xml'];
+
+// PubmedArticle elements of the fixture files by PMID
+function loadArticles(fixtures) {
+  const articles = new Map();
+  for (const name of fixtures) {
+    const xml = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+    for (const [article] of xml.matchAll(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g)) {
+      articles.set(article.match(/<PMID[^>]*>(\d+)<\/PMID>/)[1], article);
+    }
+  }
+  return articles;
+}
+
+// Start the server on a free port. Returns { baseUrl, requests, fail,
+// stall, close }. fail(endpoint, status, { times, headers }) answers the
+// next `times` requests to an endpoint (default every one) with that HTTP
+// status; stall(endpoint, { times }) sends the headers and the start of the
+// body, then nothing more.
+export async function startMockEutils({ fixtures = DEFAULT_FIXTURES, searches = {}, links = {} } = {}) {
+  const articles = loadArticles(fixtures);
+  const requests = [];
+  const failures = new Map();
+  // Terms of the result sets esearch kept, by WebEnv
+  const webEnvs = new Map();
+
+  const handlers = {
+    'esearch.fcgi': params => {
+      const found = searches[params.get('term')] || { count: 0, idlist: [] };
+      const retstart = Number(params.get('retstart') || 0);
+      const retmax = Number(params.get('retmax') ?? 20);
+      const idlist = found.idlist.slice(retstart, retstart + retmax);
+      const history = {};
+      if (params.get('usehistory') === 'y') {
+        history.webenv = `MCID_${webEnvs.size + 1}`;
+        history.querykey = '1';
+        webEnvs.set(history.webenv, params.get('term'));
+      }
+      return json({
+        header: { type: 'esearch', version: '0.3' },
+        esearchresult: {
+          count: String(found.count ?? found.idlist.length),
+          retmax: String(idlist.length),
+          retstart: String(retstart),
+          idlist,
+          translationset: [],
+          querytranslation: found.querytranslation ?? params.get('term'),
+          ...history
+        }
+      });
+    },
+    'efetch.fcgi': params => {
+      let ids = (params.get('id') || '').split(',');
+      if (webEnvs.has(params.get('WebEnv'))) {
+        const retstart = Number(params.get('retstart') || 0);
+        const retmax = Number(params.get('retmax') ?? 20);
+        ids = searches[webEnvs.get(params.get('WebEnv'))].idlist.slice(retstart, retstart + retmax);
+      }
+      ids = ids.filter(id => articles.has(id));
+      return {
+        type: 'text/xml',
+        body: `<?xml version="1.0" ?>\n<PubmedArticleSet>\n${ids.map(id => articles.get(id)).join('\n')}\n</PubmedArticleSet>\n`
+      };
+    },
+    'elink.fcgi': params => json({
+      header: { type: 'elink', version: '0.3' },
+      linksets: params.getAll('id').map(id => ({
+        dbfrom: 'pubmed',
+        ids: [id],
+        linksetdbs: [
+          { dbto: 'pubmed', linkname: 'pubmed_pubmed_citedin', links: (links[id] || {}).citedin || [] },
+          { dbto: 'pubmed', linkname: 'pubmed_pubmed_refs', links: (links[id] || {}).refs || [] }
+        ]
+      }))
+    })
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.slice(1);
+    const params = new URLSearchParams(req.method === 'POST' ? body : url.search);
+    requests.push({ endpoint, params, at: Date.now() });
+
+    const failure = failures.get(endpoint);
+    if (failure && failure.times > 0) {
+      failure.times -= 1;
+      if (failure.stall) {
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        return res.write('<?xml version="1.0" ?>\n<PubmedArticleSet>\n');
+      }
+      res.writeHead(failure.status, { 'Content-Type': 'text/plain', ...failure.headers });
+      return res.end('Mock failure');
+    }
+
+    const handler = handlers[endpoint];
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    const { type, body: responseBody } = handler(params);
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(responseBody);
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    fail(endpoint, status, { times = Infinity, headers = {} } = {}) {
+      failures.set(endpoint, { status, times, headers });
+    },
+    stall(endpoint, { times = Infinity } = {}) {
+      failures.set(endpoint, { stall: true, times });
+    },
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // Stalled responses would keep the server open
+      server.closeAllConnections();
+    })
+  };
+}
+
+function json(value) {
+  return { type: 'application/json', body: JSON.stringify(value) };
+}
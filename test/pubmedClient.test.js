@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPubMedClient } from '../lib/pubmedClient.js';
+import { createTokenBucket } from '../lib/rateLimiter.js';
+import { logger } from '../lib/logger.js';
+import { startMockEutils } from './mockEutils.js';
+
+let mock;
+
+before(async () => {
+  logger.setLevel('error');
+  mock = await startMockEutils({
+    searches: { sotorasib: { count: 2, idlist: ['36512345', '31800001'] } }
+  });
+});
+
+after(() => mock.close());
+
+// Requests to an endpoint made while running fn
+async function requestsDuring(endpoint, fn) {
+  const start = mock.requests.length;
+  const result = await fn();
+  return { result, requests: mock.requests.slice(start).filter(request => request.endpoint === endpoint) };
+}
+
+test('splits efetch into batches and keeps their order', async () => {
+  const client = createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test', batchSize: 2 });
+  const ids = ['36512345', '31800001', '33069324', '31800002', '12345'];
+
+  const { result: batches, requests } = await requestsDuring('efetch.fcgi', () => client.efetchBatches(ids));
+  assert.equal(batches.length, 3);
+  assert.deepEqual(requests.map(request => request.params.get('id')).sort(), ['12345', '33069324,31800002', '36512345,31800001']);
+  assert.match(batches[0], /<PMID Version="1">36512345<\/PMID>/);
+  assert.match(batches[1], /<PMID Version="1">31800002<\/PMID>/);
+  assert.doesNotMatch(batches[2], /<PubmedArticle>/);
+  assert.equal(requests[0].params.get('api_key'), 'test');
+});
+
+test('retries 429 and 5xx responses, then succeeds', async () => {
+  const attempts = [];
+  const client = createPubMedClient({
+    baseUrl: mock.baseUrl,
+    apiKey: 'test',
+    maxRetries: 2,
+    retryDelayMs: 1,
+    onRequest: attempt => attempts.push(attempt.status)
+  });
+
+  mock.fail('esearch.fcgi', 503, { times: 1 });
+  mock.fail('efetch.fcgi', 429, { times: 2 });
+  const found = await client.esearch('sotorasib');
+  assert.deepEqual(found.idlist, ['36512345', '31800001']);
+  assert.match(await client.efetch({ ids: ['36512345'] }), /36512345/);
+  assert.deepEqual(attempts, [503, 200, 429, 429, 200]);
+
+  // Giving up after the last retry reports the upstream status
+  mock.fail('esearch.fcgi', 500, { times: 3 });
+  await assert.rejects(client.esearch('sotorasib'), { code: 'upstream_error', upstreamStatus: 500 });
+});
+
+test('caps the wait a Retry-After header asks for', async () => {
+  const client = createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test', maxRetries: 1, maxRetryAfterMs: 50 });
+
+  mock.fail('esearch.fcgi', 429, { times: 1, headers: { 'Retry-After': '3600' } });
+  const started = Date.now();
+  await client.esearch('sotorasib');
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('times out a body that stalls after the headers', async () => {
+  const client = createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test', maxRetries: 0, timeoutMs: 100 });
+
+  mock.stall('efetch.fcgi', { times: 1 });
+  await assert.rejects(client.efetch({ ids: ['36512345'] }), { code: 'upstream_timeout' });
+});
+
+test('spaces requests at the NCBI rate without an initial burst', async () => {
+  // 10 requests per second with an API key
+  const client = createPubMedClient({ baseUrl: mock.baseUrl, apiKey: 'test' });
+
+  const { requests } = await requestsDuring('esearch.fcgi', () => Promise.all(
+    Array.from({ length: 4 }, () => client.esearch('sotorasib'))
+  ));
+  const gaps = requests.slice(1).map((request, index) => request.at - requests[index].at);
+  // Allow a few milliseconds of timer slack
+  assert.ok(gaps.every(gap => gap >= 90), `gaps were ${gaps.join(', ')}ms`);
+});
+
+test('token buckets hand out one token per interval by default', async () => {
+  const bucket = createTokenBucket({ ratePerSecond: 50 });
+  assert.equal(bucket.capacity, 1);
+
+  const started = Date.now();
+  for (let i = 0; i < 4; i++) {
+    await bucket.take();
+  }
+  // The first token is there straight away, the other three take 20ms each
+  assert.ok(Date.now() - started >= 55);
+  assert.throws(() => createTokenBucket({ ratePerSecond: 0 }), /ratePerSecond/);
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { gzipSync } from 'zlib';
+import { openDatabase, createRepository } from '../database.js';
+import { buildFtsQuery } from '../lib/localSearch.js';
+import { parsePubmedArticleSet } from '../lib/pubmedParser.js';
+import { importPubmedFile, importPubmedFiles, readPubmedFile } from '../lib/pubmedImport.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/pubmed-update.xml', import.meta.url));
+
+async function readAll(filePath, options) {
+  const items = [];
+  for await (const item of readPubmedFile(filePath, options)) {
+    items.push(item);
+  }
+  return items;
+}
+
+// A gzipped copy of the fixture, named like an NLM update file
+function gzippedFixture(name) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'pubmed-import-'));
+  const filePath = path.join(dir, name);
+  writeFileSync(filePath, gzipSync(readFileSync(FIXTURE)));
+  return filePath;
+}
+
+function pmids(repo, q) {
+  return repo.searchArticles({ match: buildFtsQuery(q) }).rows.map(row => row.pmid).sort();
+}
+
+test('streams articles and deletions in file order, across small chunks', async () => {
+  const items = await readAll(FIXTURE, { highWaterMark: 64 });
+  assert.deepEqual(items.map(item => item.type), ['article', 'article', 'delete']);
+  assert.deepEqual(items[2].pmids, ['39000001', '40000002']);
+
+  // Records match what the efetch parser makes of the same XML
+  const parsed = parsePubmedArticleSet(readFileSync(FIXTURE, 'utf8'));
+  assert.deepEqual(items.slice(0, 2).map(({ record: { rawXml, ...record } }) => record), parsed);
+  assert.equal(items[0].record.title, 'Asciminib after imatinib failure in chronic myeloid leukemia & beyond');
+
+  // Raw XML is written back out from the element tree
+  assert.match(items[0].record.rawXml, /^<PubmedArticle>/);
+  assert.ok(items[0].record.rawXml.includes('<ArticleTitle>Asciminib after imatinib failure in chronic myeloid leukemia &amp; beyond</ArticleTitle>'));
+  assert.deepEqual(parsePubmedArticleSet(`<PubmedArticleSet>${items[0].record.rawXml}</PubmedArticleSet>`), [parsed[0]]);
+});
+
+test('reads gzipped files and stores articles in batches before applying deletions', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const progress = [];
+  const counts = await importPubmedFile(repo, gzippedFixture('pubmed25n1300.xml.gz'), {
+    batchSize: 1,
+    now: 5000,
+    onProgress: current => progress.push(current)
+  });
+
+  // 40000002 is deleted before its authors are resolved
+  assert.deepEqual(counts, { articles: 2, deleted: 1, authorsResolved: 1 });
+  assert.deepEqual(progress, [
+    { articles: 1, deleted: 0, authorsResolved: 0 },
+    { articles: 2, deleted: 0, authorsResolved: 0 },
+    { articles: 2, deleted: 1, authorsResolved: 1 }
+  ]);
+  assert.equal(repo.getArticleRow('40000001').fetched_at, 5000);
+  assert.equal(repo.getArticleRow('40000002'), undefined);
+  assert.deepEqual(pmids(repo, 'imatinib OR nilotinib'), ['40000001']);
+  assert.equal(repo.getArticleAuthors('40000001')[0].name, 'Ngozi Okafor');
+});
+
+test('imports files in NLM order and skips those imported before', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const later = gzippedFixture('pubmed25n1301.xml.gz');
+  const earlier = gzippedFixture('pubmed25n1300.xml.gz');
+  let time = 1000;
+  const clock = () => time++;
+
+  const first = await importPubmedFiles(repo, [later, earlier], { clock });
+  assert.deepEqual(first.map(result => [result.fileName, result.skipped, result.articles, result.deleted]), [
+    ['pubmed25n1300.xml.gz', false, 2, 1],
+    // The second file stores 40000002 again and deletes it again
+    ['pubmed25n1301.xml.gz', false, 2, 1]
+  ]);
+  assert.deepEqual(repo.getPubmedImport('pubmed25n1300.xml.gz'), {
+    file_name: 'pubmed25n1300.xml.gz',
+    article_count: 2,
+    deleted_count: 1,
+    started_at: 1000,
+    finished_at: 1001
+  });
+
+  const again = await importPubmedFiles(repo, [earlier], { clock });
+  assert.equal(again[0].skipped, true);
+
+  const forced = await importPubmedFiles(repo, [earlier], { clock, force: true });
+  assert.equal(forced[0].skipped, false);
+  assert.equal(repo.getPubmedImport('pubmed25n1300.xml.gz').started_at, 1004);
+});
+
+test('rejects files that are missing', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  await assert.rejects(importPubmedFile(repo, path.join(tmpdir(), 'missing-pubmed.xml.gz')), { code: 'ENOENT' });
+});
+
+test('fails a truncated file without storing or recording it', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const xml = readFileSync(FIXTURE, 'utf8');
+  const filePath = path.join(mkdtempSync(path.join(tmpdir(), 'pubmed-import-')), 'pubmed25n1302.xml');
+  // Cut off after the first article
+  writeFileSync(filePath, xml.slice(0, xml.indexOf('</PubmedArticle>') + 40));
+
+  await assert.rejects(importPubmedFiles(repo, [filePath]), /Malformed XML at line \d+: Unclosed root tag/);
+  assert.equal(repo.getArticleRow('40000001'), undefined);
+  assert.equal(repo.getPubmedImport('pubmed25n1302.xml'), undefined);
+
+  const htmlPath = path.join(path.dirname(filePath), 'pubmed25n1303.xml');
+  writeFileSync(htmlPath, '<html><body>Service unavailable</body></html>');
+  await assert.rejects(importPubmedFile(repo, htmlPath), /Expected a <PubmedArticleSet> document, found <html>/);
+});
+
+test('resolves authors of articles stored without them', () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  const records = parsePubmedArticleSet(readFileSync(FIXTURE, 'utf8'));
+
+  repo.saveArticles(records, 1000, { deferAuthors: true });
+  assert.deepEqual(repo.getArticleAuthors('40000001'), []);
+  assert.deepEqual(pmids(repo, 'Okafor'), ['40000001']);
+
+  assert.equal(repo.resolvePendingAuthors(1), 1);
+  assert.equal(repo.resolvePendingAuthors(10), 1);
+  assert.equal(repo.resolvePendingAuthors(10), 0);
+  assert.equal(repo.getArticleAuthors('40000001')[0].name, 'Ngozi Okafor');
+
+  // Storing an article again with its authors takes it off the list
+  repo.saveArticles(records, 2000, { deferAuthors: true });
+  repo.saveArticles(records.slice(0, 1), 2000);
+  assert.equal(repo.resolvePendingAuthors(10), 1);
+});
+
+test('leaves deleted articles that stored results still point to out of author pages', async () => {
+  const repo = createRepository(openDatabase(':memory:'));
+  await importPubmedFile(repo, FIXTURE, { now: 5000 });
+  const [record] = parsePubmedArticleSet(readFileSync(FIXTURE, 'utf8'));
+  const author = repo.getArticleAuthors(record.pmid)[0];
+  const searchId = repo.createSearch({ query: 'imatinib', pageSize: 10 });
+  repo.saveResultsPage(searchId, { page: 1, retstart: 0, total: 1, results: [{ pubmedId: record.pmid, title: record.title }] });
+
+  assert.equal(repo.getAuthorArticles(author.id).length, 1);
+  assert.equal(repo.deleteArticles([record.pmid], 6000), 1);
+  assert.deepEqual(repo.getAuthorArticles(author.id), []);
+  assert.deepEqual(repo.getAuthorAffiliationHistory(author.id), []);
+});
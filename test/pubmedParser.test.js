@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parsePubmedArticleSet } from '../lib/pubmedParser.js';
+
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+test('keeps inline markup text and decodes entities in titles', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.equal(
+    article.title,
+    'Inhibition of KRASG12C by sotorasib & TNF-α signalling in <5% of tumours.'
+  );
+});
+
+test('splits structured abstracts into labelled sections', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.deepEqual(article.abstract.sections.map(s => s.label), ['BACKGROUND', 'METHODS', 'RESULTS']);
+  assert.equal(
+    article.abstract.sections[0].text,
+    'KRASG12C mutations occur in roughly 13% of non-small-cell lung cancers.'
+  );
+  assert.match(article.abstract.text, /^BACKGROUND: KRASG12C/);
+  assert.equal(article.abstract.sections[2].text, 'The response rate was 37.1% (95% CI, 28.6–46.2).');
+  assert.equal(article.abstract.copyright, '© 2022. The Author(s).');
+});
+
+test('reads journal details, publication date and identifiers', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.equal(article.pmid, '36512345');
+  assert.deepEqual(article.journal, {
+    title: 'Nature',
+    isoAbbreviation: 'Nature',
+    issn: '1476-4687',
+    volume: '613',
+    issue: '7943',
+    pages: '120-128'
+  });
+  assert.equal(article.publicationDate, '2023-Jan-05');
+  assert.equal(article.publicationYear, 2023);
+  assert.equal(article.doi, '10.1038/s41586-022-05555-1');
+  assert.equal(article.pmcid, 'PMC9812345');
+  // The pubmed id of a cited reference must not leak into the article's ids
+  assert.equal(article.articleIds.pubmed, '36512345');
+});
+
+test('keeps affiliations and ORCID per author', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.equal(article.authors.length, 2);
+
+  const [muller, chen] = article.authors;
+  assert.equal(muller.name, 'Anna K Müller');
+  assert.equal(muller.initials, 'AK');
+  assert.equal(muller.orcid, '0000-0002-1825-009X');
+  assert.deepEqual(muller.affiliations, [
+    'Department of Oncology, University of Heidelberg, Heidelberg, Germany.',
+    'Amgen Inc., Thousand Oaks, CA, USA. anna.mueller@amgen.com.'
+  ]);
+  assert.equal(chen.orcid, '0000-0002-1825-0097');
+  assert.deepEqual(chen.affiliations, ['Amgen Inc., Thousand Oaks, CA, USA.']);
+});
+
+test('reads MeSH headings, keywords and publication types', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.deepEqual(article.meshHeadings[0], {
+    descriptor: 'Carcinoma, Non-Small-Cell Lung',
+    descriptorUi: 'D002289',
+    majorTopic: false,
+    qualifiers: [
+      { name: 'drug therapy', ui: 'Q000188', majorTopic: true },
+      { name: 'genetics', ui: 'Q000235', majorTopic: false }
+    ]
+  });
+  assert.deepEqual(article.meshHeadings[1].qualifiers, []);
+  assert.deepEqual(article.keywords, ['KRAS', 'targeted therapy']);
+  assert.deepEqual(article.publicationTypes, ['Clinical Trial, Phase II', 'Journal Article']);
+});
+
+test('reads grants and the conflict of interest statement', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('structured-abstract.xml'));
+  assert.deepEqual(article.grants, [
+    { grantId: 'R01 CA123456', acronym: 'CA', agency: 'NCI NIH HHS', country: 'United States' },
+    { grantId: '', acronym: '', agency: 'Amgen', country: 'United States' }
+  ]);
+  assert.match(article.coiStatement, /^A\.K\.M\. and W\.C\. are employees of and hold stock in Amgen Inc\./);
+
+  const [collective] = parsePubmedArticleSet(loadFixture('collective-author.xml'));
+  assert.deepEqual(collective.grants, []);
+  assert.equal(collective.coiStatement, '');
+});
+
+test('handles collective authors, missing fore names and MedlineDate', () => {
+  const [article] = parsePubmedArticleSet(loadFixture('collective-author.xml'));
+  assert.equal(article.pmid, '31800001');
+  assert.equal(article.publicationDate, '2019 Nov-Dec');
+  assert.equal(article.publicationYear, 2019);
+  assert.deepEqual(article.authors.map(a => a.name), ['GBD 2019 Risk Factors Collaborators', 'Vos']);
+  assert.equal(article.authors[0].collectiveName, 'GBD 2019 Risk Factors Collaborators');
+  assert.deepEqual(article.authors[0].affiliations, []);
+  assert.equal(article.abstract.text, '');
+  assert.equal(article.doi, '');
+});
+
+test('parses every article in a set and falls back to the vernacular title', () => {
+  const articles = parsePubmedArticleSet(loadFixture('collective-author.xml'));
+  assert.deepEqual(articles.map(a => a.pmid), ['31800001', '31800002']);
+  assert.equal(articles[1].title, 'Étude de cas.');
+  assert.equal(articles[1].publicationDate, '2020');
+  assert.deepEqual(articles[1].authors, []);
+});
+
+test('keeps the raw XML of each article when asked', () => {
+  const xml = loadFixture('collective-author.xml');
+  const articles = parsePubmedArticleSet(xml, { includeRaw: true });
+  assert.match(articles[0].rawXml, /^<PubmedArticle>/);
+  assert.match(articles[0].rawXml, /<\/PubmedArticle>$/);
+  assert.ok(articles[0].rawXml.includes('31800001'));
+  assert.ok(!articles[0].rawXml.includes('31800002'));
+});
+
+test('skips undeclared entities instead of failing', () => {
+  const xml = '<PubmedArticleSet><PubmedArticle><MedlineCitation><PMID>1</PMID><Article>' +
+    '<ArticleTitle>Caf&eacute; culture</ArticleTitle></Article></MedlineCitation></PubmedArticle></PubmedArticleSet>';
+  const [article] = parsePubmedArticleSet(xml);
+  assert.equal(article.pmid, '1');
+  assert.match(article.title, /^Caf.*culture$/);
+});
+
+test('rejects truncated documents and error pages as upstream errors', () => {
+  const xml = loadFixture('collective-author.xml');
+  const truncated = xml.slice(0, xml.indexOf('</PubmedArticle>') + 40);
+  assert.throws(() => parsePubmedArticleSet(truncated), { code: 'upstream_error', details: { endpoint: 'efetch.fcgi', upstreamStatus: null } });
+
+  assert.throws(() => parsePubmedArticleSet('<html><body><h1>Service unavailable</h1></body></html>'), /Expected a <PubmedArticleSet> document, found <html>/);
+  assert.throws(() => parsePubmedArticleSet(''), /found no elements/);
+  assert.throws(() => parsePubmedArticleSet('<PubmedArticleSet><PubmedArticle></Pubmed>'), /Malformed XML at line 1/);
+
+  // An empty set is a valid answer
+  assert.deepEqual(parsePubmedArticleSet('<?xml version="1.0" ?>\n<PubmedArticleSet>\n</PubmedArticleSet>\n'), []);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileQuery, lintQueryString, resolveFieldTag } from '../lib/queryBuilder.js';
+
+test('compiles terms, nested groups, dates and publication types', () => {
+  const { term } = compileQuery({
+    op: 'AND',
+    terms: [
+      { term: 'imatinib', field: 'tiab' },
+      { op: 'OR', terms: [{ term: 'Pfizer', field: 'Affiliation' }, { term: 'Novartis', field: 'ad' }] },
+      { term: 'Neoplasms', field: 'mh' }
+    ],
+    dateRange: { from: '2020', to: '2023-06' },
+    publicationTypes: ['Clinical Trial', 'Review']
+  });
+
+  assert.equal(
+    term,
+    '"imatinib"[tiab] AND ("Pfizer"[ad] OR "Novartis"[ad]) AND "Neoplasms"[mh]' +
+      ' AND ("2020"[pdat] : "2023/06"[pdat]) AND ("Clinical Trial"[pt] OR "Review"[pt])'
+  );
+});
+
+test('compiles single terms, truncation, NOT groups and open date ranges', () => {
+  assert.deepEqual(compileQuery({ term: 'kinase inhibitor' }), { term: '"kinase inhibitor"' });
+  assert.deepEqual(compileQuery({ term: 'oncol*', field: 'ti' }), { term: 'oncol*[ti]' });
+  assert.deepEqual(
+    compileQuery({ op: 'not', terms: [{ term: 'cancer' }, { term: 'mice', field: 'mh' }] }),
+    { term: '"cancer" NOT "mice"[mh]' }
+  );
+  assert.deepEqual(
+    compileQuery({ publicationTypes: ['Review'], dateRange: { from: '2021', field: 'edat' } }),
+    { term: '("2021"[edat] : "3000"[edat]) AND "Review"[pt]' }
+  );
+});
+
+test('reports structured query mistakes', () => {
+  assert.match(compileQuery({ term: 'x', field: 'bogus' }).error, /Unknown field tag: bogus/);
+  assert.match(compileQuery({ op: 'XOR', terms: [{ term: 'a' }] }).error, /op must be one of/);
+  assert.match(compileQuery({ op: 'AND', terms: [] }).error, /non-empty terms/);
+  assert.match(compileQuery({ op: 'NOT', terms: [{ term: 'a' }] }).error, /NOT group/);
+  assert.match(compileQuery({ term: 'cancer[tiab]' }).error, /quotes or brackets/);
+  assert.match(compileQuery({ dateRange: { from: 'last year' } }).error, /dateRange/);
+  assert.match(compileQuery({}).error, /no terms/);
+  assert.match(compileQuery('cancer').error, /must be an object/);
+});
+
+test('resolves short and long field names', () => {
+  assert.equal(resolveFieldTag('TIAB'), 'tiab');
+  assert.equal(resolveFieldTag('Title/Abstract'), 'tiab');
+  assert.equal(resolveFieldTag('MeSH Terms'), 'mh');
+  assert.equal(resolveFieldTag('nope'), null);
+});
+
+test('lints raw query strings', () => {
+  assert.deepEqual(lintQueryString('(cancer[tiab] OR tumor[Title/Abstract]) AND "Pfizer [Inc]"[ad]'), []);
+  assert.deepEqual(lintQueryString('(cancer OR tumor'), ['Unclosed parenthesis']);
+  assert.deepEqual(lintQueryString('cancer) OR (tumor'), ['Closing parenthesis without a matching opening one']);
+  assert.deepEqual(lintQueryString('cancer[tiabx]'), ['Unknown field tag: [tiabx]']);
+  assert.deepEqual(lintQueryString('"cancer'), ['Unbalanced double quotes']);
+  assert.deepEqual(lintQueryString('cancer AND'), ['Query ends with AND']);
+  assert.deepEqual(lintQueryString('cancer AND OR tumor'), ['Two boolean operators in a row']);
+});
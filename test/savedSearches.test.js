@@ -0,0 +1,205 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase, createRepository } from '../database.js';
+import { checkWebhookUrl, createSavedSearchRunner, scheduleMinutes, SCHEDULES } from '../lib/savedSearches.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Repository with one weekly saved search, and a runner whose esearch
+// returns whatever `state.ids` holds and whose DNS knows `state.hosts`
+function setup({ webhookUrl, defaultWebhookUrl } = {}) {
+  const repo = createRepository(openDatabase(':memory:'));
+  const state = {
+    ids: [],
+    searches: [],
+    webhooks: [],
+    hosts: { 'example.test': '93.184.216.34' },
+    now: Date.UTC(2024, 0, 1),
+    fail: false
+  };
+
+  const searchId = repo.createSearch({ query: 'imatinib AND pfizer', pageSize: 10 });
+  const savedSearchId = repo.createSavedSearch({
+    searchId,
+    name: 'imatinib',
+    intervalMinutes: SCHEDULES.weekly,
+    webhookUrl,
+    now: state.now
+  });
+
+  const pubmed = {
+    async esearch(term, options) {
+      state.searches.push({ term, options });
+      if (state.fail) {
+        throw new Error('E-utilities esearch error: 500');
+      }
+      return { count: String(state.ids.length), idlist: state.ids };
+    }
+  };
+
+  const runner = createSavedSearchRunner({
+    repository: repo,
+    pubmed,
+    fetchResults: async pmids => pmids.map(pmid => ({ pubmedId: pmid, title: `Article ${pmid}` })),
+    webhookUrl: defaultWebhookUrl,
+    fetchImpl: async (url, init) => {
+      state.webhooks.push({ url, body: JSON.parse(init.body), redirect: init.redirect });
+      return { ok: true, status: 200 };
+    },
+    lookup: async host => {
+      if (!state.hosts[host]) {
+        throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+      }
+      return [{ address: state.hosts[host], family: 4 }];
+    },
+    now: () => state.now
+  });
+
+  return { repo, runner, state, savedSearchId };
+}
+
+test('turns named schedules and minute intervals into minutes', () => {
+  assert.equal(scheduleMinutes({ schedule: 'weekly' }), 7 * 24 * 60);
+  assert.equal(scheduleMinutes({}), 24 * 60);
+  assert.equal(scheduleMinutes({ intervalMinutes: 90 }), 90);
+});
+
+test('records a baseline first and only reports PMIDs not seen before', async () => {
+  const { repo, runner, state, savedSearchId } = setup();
+
+  state.ids = ['1', '2'];
+  const first = await runner.run(savedSearchId);
+  assert.equal(first.baseline, true);
+  assert.equal(first.newCount, 0);
+  assert.equal(state.searches[0].options.relDate, undefined);
+  assert.deepEqual(repo.getSavedSearchHits(savedSearchId), []);
+
+  state.now += 7 * DAY_MS;
+  state.ids = ['3', '2'];
+  const second = await runner.run(savedSearchId);
+  assert.equal(second.newCount, 1);
+  assert.equal(state.searches[1].options.relDate, 8);
+  assert.equal(state.searches[1].options.dateType, 'edat');
+
+  const hits = repo.getSavedSearchHits(savedSearchId);
+  assert.deepEqual(hits.map(hit => hit.pmid), ['3']);
+  assert.equal(hits[0].result.title, 'Article 3');
+  assert.equal(repo.getSavedSearch(savedSearchId).next_run_at, state.now + 7 * DAY_MS);
+});
+
+test('runs due saved searches and posts new hits to the webhook', async () => {
+  const { repo, runner, state, savedSearchId } = setup({ webhookUrl: 'http://example.test/hook' });
+
+  state.ids = ['1'];
+  assert.equal((await runner.runDue()).length, 1);
+  assert.equal((await runner.runDue()).length, 0);
+  assert.equal(state.webhooks.length, 0);
+
+  state.now += 8 * DAY_MS;
+  state.ids = ['4', '1'];
+  await runner.runDue();
+
+  assert.equal(state.webhooks.length, 1);
+  assert.equal(state.webhooks[0].url, 'http://example.test/hook');
+  assert.equal(state.webhooks[0].redirect, 'manual');
+  assert.equal(state.webhooks[0].body.newCount, 1);
+  assert.equal(state.webhooks[0].body.results[0].pubmedId, '4');
+  assert.equal(repo.getSavedSearchRuns(savedSearchId)[0].webhook_status, 'sent 200');
+});
+
+test('only sends webhooks of saved searches to public addresses', async () => {
+  const { repo, runner, state, savedSearchId } = setup({ webhookUrl: 'http://metadata.example.test/latest' });
+  state.hosts['metadata.example.test'] = '169.254.169.254';
+
+  state.ids = ['1'];
+  await runner.run(savedSearchId);
+  state.now += 8 * DAY_MS;
+  state.ids = ['2'];
+  const summary = await runner.run(savedSearchId);
+
+  // The run still succeeds
+  assert.equal(summary.status, 'ok');
+  assert.equal(summary.webhookStatus, 'failed: Webhook host metadata.example.test resolves to a private address (169.254.169.254)');
+  assert.equal(state.webhooks.length, 0);
+  assert.equal(repo.getSavedSearchRuns(savedSearchId)[0].webhook_status, summary.webhookStatus);
+});
+
+test('trusts the default webhook from the server config', async () => {
+  const { runner, state, savedSearchId } = setup({ defaultWebhookUrl: 'http://127.0.0.1:8080/hook' });
+
+  state.ids = ['1'];
+  await runner.run(savedSearchId);
+  state.now += 8 * DAY_MS;
+  state.ids = ['2'];
+  assert.equal((await runner.run(savedSearchId)).webhookStatus, 'sent 200');
+  assert.equal(state.webhooks[0].redirect, undefined);
+});
+
+test('rejects webhook URLs that reach loopback, private or link-local addresses', async () => {
+  const hosts = { 'hooks.example.test': ['93.184.216.34'], 'split.example.test': ['93.184.216.34', '10.0.0.5'] };
+  const lookup = async host => {
+    if (!hosts[host]) {
+      throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    }
+    return hosts[host].map(address => ({ address, family: 4 }));
+  };
+
+  await checkWebhookUrl('https://hooks.example.test/new', { lookup });
+  await checkWebhookUrl('http://[2606:4700::1111]/hook', { lookup });
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://0.0.0.0:3000/',
+    'http://192.168.1.10/hook',
+    'http://172.31.255.1/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:169.254.169.254]/latest',
+    'http://[fd12::1]/hook',
+    'http://[64:ff9b::5db8:d822]/hook',
+    'http://198.18.0.1/hook',
+    'http://239.255.255.250/hook',
+    'http://240.0.0.1/hook',
+    'https://split.example.test/hook'
+  ]) {
+    await assert.rejects(checkWebhookUrl(url, { lookup }), /private address/, url);
+  }
+  await assert.rejects(checkWebhookUrl('https://unknown.example.test/', { lookup }), /could not be resolved/);
+  await assert.rejects(checkWebhookUrl('ftp://hooks.example.test/', { lookup }), /http or https/);
+});
+
+test('a failed run is recorded and retried at the next scheduled time', async () => {
+  const { repo, runner, state, savedSearchId } = setup();
+
+  state.fail = true;
+  const summary = await runner.run(savedSearchId);
+  assert.equal(summary.status, 'error');
+
+  const savedSearch = repo.getSavedSearch(savedSearchId);
+  assert.equal(savedSearch.last_run_at, null);
+  assert.equal(savedSearch.next_run_at, state.now + 7 * DAY_MS);
+  assert.equal(repo.getSavedSearchRuns(savedSearchId)[0].error, 'E-utilities esearch error: 500');
+});
+
+test('a run that fails to start does not block later runs', async t => {
+  const { repo, runner, savedSearchId } = setup();
+
+  const start = t.mock.method(repo, 'startSavedSearchRun', () => {
+    throw new Error('SQLITE_BUSY: database is locked');
+  });
+  await assert.rejects(runner.run(savedSearchId), /SQLITE_BUSY/);
+
+  start.mock.restore();
+  const summary = await runner.run(savedSearchId);
+  assert.equal(summary.status, 'ok');
+});
+
+test('deleting a saved search removes its runs and hits but keeps the search', async () => {
+  const { repo, runner, state, savedSearchId } = setup();
+  state.ids = ['1'];
+  await runner.run(savedSearchId);
+
+  const { search_id: searchId } = repo.getSavedSearch(savedSearchId);
+  assert.equal(repo.deleteSavedSearch(savedSearchId), true);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM saved_search_hits').get().n, 0);
+  assert.equal(repo.db.prepare('SELECT COUNT(*) AS n FROM saved_search_runs').get().n, 0);
+  assert.ok(repo.getSearch(searchId));
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validateRequest, ID } from '../lib/validation.js';
+import { ValidationError } from '../lib/errors.js';
+
+test('converts values and applies defaults', () => {
+  const values = validate({
+    page: { type: 'int', min: 1 },
+    pageSize: { type: 'int', min: 1, max: 100, default: 10 },
+    raw: { type: 'boolean', default: false },
+    minDate: { type: 'date' },
+    since: { type: 'timestamp' },
+    sort: { type: 'string', values: ['relevance', 'pub_date'] }
+  }, { page: '2', raw: 'true', minDate: '2020-01-05', since: '2024-01-01T00:00:00Z', sort: ' pub_date ', extra: 'x' }, 'query');
+
+  assert.deepEqual(values, {
+    page: 2,
+    pageSize: 10,
+    raw: true,
+    minDate: '2020/01/05',
+    since: Date.UTC(2024, 0, 1),
+    sort: 'pub_date'
+  });
+});
+
+test('reports every invalid field at once', () => {
+  const schema = {
+    id: ID,
+    page: { type: 'int', min: 1 },
+    pageSize: { type: 'int', min: 1, max: 100 },
+    sort: { type: 'string', values: ['relevance', 'pub_date'] },
+    webhookUrl: { type: 'url' },
+    year: { type: 'string', pattern: /^\d{4}$/, patternHint: 'must be a four-digit year' }
+  };
+  const input = { id: '', page: '1.5', pageSize: 500, sort: 'newest', webhookUrl: 'ftp://example.org', year: '99' };
+
+  assert.throws(() => validate(schema, input, 'body'), err => {
+    assert.ok(err instanceof ValidationError);
+    assert.equal(err.status, 400);
+    assert.equal(err.code, 'validation_error');
+    assert.deepEqual(err.details.map(detail => detail.message), [
+      'id is required',
+      'page must be a positive integer',
+      'pageSize must be between 1 and 100',
+      'sort must be one of: relevance, pub_date',
+      'webhookUrl must be an http or https URL',
+      'year must be a four-digit year'
+    ]);
+    assert.ok(err.details.every(detail => detail.location === 'body'));
+    return true;
+  });
+});
+
+test('accepts a query string or a structured query object', () => {
+  const schema = { query: { type: 'query', required: true } };
+  assert.deepEqual(validate(schema, { query: ' cancer ' }), { query: 'cancer' });
+  assert.deepEqual(validate(schema, { query: { all: [] } }), { query: { all: [] } });
+  assert.throws(() => validate(schema, { query: ['cancer'] }), /must be a PubMed query string/);
+  assert.throws(() => validate(schema, 'cancer'), /Request body must be a JSON object/);
+});
+
+test('validateRequest stores values in req.valid and passes errors to next', () => {
+  const middleware = validateRequest({ params: { id: ID }, query: { page: { type: 'int', min: 1, default: 1 } } });
+
+  const req = { params: { id: '7' }, query: {} };
+  let passed;
+  middleware(req, {}, err => { passed = err; });
+  assert.equal(passed, undefined);
+  assert.deepEqual(req.valid, { params: { id: 7 }, query: { page: 1 }, body: {} });
+
+  middleware({ params: { id: 'abc' }, query: { page: '0' } }, {}, err => { passed = err; });
+  assert.ok(passed instanceof ValidationError);
+  assert.deepEqual(passed.details, [
+    { location: 'params', field: 'id', message: 'id must be a positive integer' },
+    { location: 'query', field: 'page', message: 'page must be a positive integer' }
+  ]);
+});